@@ -1,18 +1,18 @@
 BEGIN;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_8b7b2a88f68f45d','order_demo_1768554359562_1','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1100,'success','upi',TIMESTAMP '2026-01-16 09:05:59.563',TIMESTAMP '2026-01-16 09:05:59.563') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_c76a4c4c8533422','order_demo_1768554359576_2','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1200,'success','card',TIMESTAMP '2026-01-16 09:05:59.577',TIMESTAMP '2026-01-16 09:05:59.577') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_b1f8b245ae9a46b','order_demo_1768554359577_3','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1300,'success','upi',TIMESTAMP '2026-01-16 09:05:59.578',TIMESTAMP '2026-01-16 09:05:59.578') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_d945ca979fe841f','order_demo_1768554359578_4','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1400,'success','card',TIMESTAMP '2026-01-16 09:05:59.579',TIMESTAMP '2026-01-16 09:05:59.579') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_1e17548d204440e','order_demo_1768554359580_5','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1500,'success','upi',TIMESTAMP '2026-01-16 09:05:59.581',TIMESTAMP '2026-01-16 09:05:59.581') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_e8eb332cc912499','order_demo_1768554359581_6','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1600,'success','card',TIMESTAMP '2026-01-16 09:05:59.582',TIMESTAMP '2026-01-16 09:05:59.582') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_e6e5a3978d07497','order_demo_1768554359582_7','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1700,'success','upi',TIMESTAMP '2026-01-16 09:05:59.583',TIMESTAMP '2026-01-16 09:05:59.583') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_ebacffca52d0421','order_demo_1768554769698_1','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1100,'success','upi',TIMESTAMP '2026-01-16 09:12:49.698',TIMESTAMP '2026-01-16 09:12:49.698') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_59e3ec7f488240e','order_demo_1768554769701_2','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1200,'success','card',TIMESTAMP '2026-01-16 09:12:49.702',TIMESTAMP '2026-01-16 09:12:49.702') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_fd3b5c582553414','order_demo_1768554769702_3','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1300,'success','upi',TIMESTAMP '2026-01-16 09:12:49.703',TIMESTAMP '2026-01-16 09:12:49.703') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_be1cf012a2e84be','order_demo_1768554769703_4','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1400,'success','card',TIMESTAMP '2026-01-16 09:12:49.704',TIMESTAMP '2026-01-16 09:12:49.704') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_d9f20df5732a428','order_demo_1768554769704_5','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1500,'success','upi',TIMESTAMP '2026-01-16 09:12:49.705',TIMESTAMP '2026-01-16 09:12:49.705') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_c6a7034e4fe548c','order_demo_1768554769705_6','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1600,'success','card',TIMESTAMP '2026-01-16 09:12:49.706',TIMESTAMP '2026-01-16 09:12:49.706') ON CONFLICT (id) DO NOTHING;
-INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_e9e9d92889534ee','order_demo_1768554769707_7','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1700,'success','upi',TIMESTAMP '2026-01-16 09:12:49.708',TIMESTAMP '2026-01-16 09:12:49.708') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_8b7b2a88f68f45d','order_demo_1768554359562_1','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1100,'captured','upi',TIMESTAMP '2026-01-16 09:05:59.563',TIMESTAMP '2026-01-16 09:05:59.563') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_c76a4c4c8533422','order_demo_1768554359576_2','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1200,'captured','card',TIMESTAMP '2026-01-16 09:05:59.577',TIMESTAMP '2026-01-16 09:05:59.577') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_b1f8b245ae9a46b','order_demo_1768554359577_3','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1300,'captured','upi',TIMESTAMP '2026-01-16 09:05:59.578',TIMESTAMP '2026-01-16 09:05:59.578') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_d945ca979fe841f','order_demo_1768554359578_4','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1400,'captured','card',TIMESTAMP '2026-01-16 09:05:59.579',TIMESTAMP '2026-01-16 09:05:59.579') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_1e17548d204440e','order_demo_1768554359580_5','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1500,'captured','upi',TIMESTAMP '2026-01-16 09:05:59.581',TIMESTAMP '2026-01-16 09:05:59.581') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_e8eb332cc912499','order_demo_1768554359581_6','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1600,'captured','card',TIMESTAMP '2026-01-16 09:05:59.582',TIMESTAMP '2026-01-16 09:05:59.582') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_e6e5a3978d07497','order_demo_1768554359582_7','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1700,'captured','upi',TIMESTAMP '2026-01-16 09:05:59.583',TIMESTAMP '2026-01-16 09:05:59.583') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_ebacffca52d0421','order_demo_1768554769698_1','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1100,'captured','upi',TIMESTAMP '2026-01-16 09:12:49.698',TIMESTAMP '2026-01-16 09:12:49.698') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_59e3ec7f488240e','order_demo_1768554769701_2','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1200,'captured','card',TIMESTAMP '2026-01-16 09:12:49.702',TIMESTAMP '2026-01-16 09:12:49.702') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_fd3b5c582553414','order_demo_1768554769702_3','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1300,'captured','upi',TIMESTAMP '2026-01-16 09:12:49.703',TIMESTAMP '2026-01-16 09:12:49.703') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_be1cf012a2e84be','order_demo_1768554769703_4','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1400,'captured','card',TIMESTAMP '2026-01-16 09:12:49.704',TIMESTAMP '2026-01-16 09:12:49.704') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_d9f20df5732a428','order_demo_1768554769704_5','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1500,'captured','upi',TIMESTAMP '2026-01-16 09:12:49.705',TIMESTAMP '2026-01-16 09:12:49.705') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_c6a7034e4fe548c','order_demo_1768554769705_6','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1600,'captured','card',TIMESTAMP '2026-01-16 09:12:49.706',TIMESTAMP '2026-01-16 09:12:49.706') ON CONFLICT (id) DO NOTHING;
+INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_e9e9d92889534ee','order_demo_1768554769707_7','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1700,'captured','upi',TIMESTAMP '2026-01-16 09:12:49.708',TIMESTAMP '2026-01-16 09:12:49.708') ON CONFLICT (id) DO NOTHING;
 INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_8925e648011d44f','order_enq_1768555701202_0','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1000,'pending','card',TIMESTAMP '2026-01-16 09:28:21.203',TIMESTAMP '2026-01-16 09:28:21.203') ON CONFLICT (id) DO NOTHING;
 INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_761d94c886164ab','order_enq_1768555701208_1','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1050,'pending','upi',TIMESTAMP '2026-01-16 09:28:21.209',TIMESTAMP '2026-01-16 09:28:21.209') ON CONFLICT (id) DO NOTHING;
 INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ('pay_6a1b84957e5c4e1','order_enq_1768555701211_2','7fb531cc-7432-49a6-961d-ef8fd1ee3c87',1100,'pending','card',TIMESTAMP '2026-01-16 09:28:21.212',TIMESTAMP '2026-01-16 09:28:21.212') ON CONFLICT (id) DO NOTHING;
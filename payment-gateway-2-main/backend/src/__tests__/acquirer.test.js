@@ -0,0 +1,398 @@
+/**
+ * Unit Tests for acquirer routing, the acquirer adapters and acquirer callbacks
+ */
+
+const AcquirerService = require('../services/AcquirerService');
+const AcquirerController = require('../controllers/AcquirerController');
+const MerchantController = require('../controllers/MerchantController');
+const MerchantService = require('../services/MerchantService');
+const SimulatedAcquirerAdapter = require('../adapters/SimulatedAcquirerAdapter');
+const MockAcquirerAdapter = require('../adapters/MockAcquirerAdapter');
+const { validateAcquirerRoutes, signAcquirerCallback, verifyAcquirerCallback } = require('../utils/acquirers');
+const { acquirerRoutes, acquirerMaxStatusChecks, acquirerStatusCheckIntervalSeconds } = require('../config/payments');
+
+const mockAdapter = () => ({
+  authorize: jest.fn().mockResolvedValue({ status: 'authorized', reference: 'acq_1', errorCode: null, errorDescription: null }),
+  capture: jest.fn().mockResolvedValue({ status: 'captured' }),
+  void: jest.fn().mockResolvedValue({ status: 'voided' }),
+  refund: jest.fn().mockResolvedValue({ status: 'processed', reference: 'acq_rfnd_1' }),
+  status: jest.fn()
+});
+
+// ============================================================================
+// Routing Validation Tests
+// ============================================================================
+
+describe('validateAcquirerRoutes', () => {
+  it('should accept routes by payment method and a default', () => {
+    expect(validateAcquirerRoutes({ card: 'mock', default: 'simulated' })).toBeNull();
+    expect(validateAcquirerRoutes({})).toBeNull();
+  });
+
+  it('should reject unknown methods, unknown acquirers and non-objects', () => {
+    expect(validateAcquirerRoutes({ cheque: 'mock' })).toMatch(/routes keys/);
+    expect(validateAcquirerRoutes({ card: 'acme' })).toMatch(/routes values/);
+    expect(validateAcquirerRoutes(['mock'])).toMatch(/must be an object/);
+    expect(validateAcquirerRoutes(undefined)).toMatch(/must be an object/);
+  });
+});
+
+describe('acquirer callback signatures', () => {
+  it('should verify bodies signed with the shared secret only', () => {
+    const body = { merchant_reference: 'pay_123', status: 'authorized' };
+    const signature = signAcquirerCallback(body, 'secret');
+
+    expect(verifyAcquirerCallback(body, signature, 'secret')).toBe(true);
+    expect(verifyAcquirerCallback(body, signature, 'other')).toBe(false);
+    expect(verifyAcquirerCallback({ ...body, status: 'declined' }, signature, 'secret')).toBe(false);
+    expect(verifyAcquirerCallback(body, undefined, 'secret')).toBe(false);
+  });
+});
+
+// ============================================================================
+// AcquirerService Tests
+// ============================================================================
+
+describe('AcquirerService', () => {
+  let service;
+  let mockRepository;
+  let mockQueue;
+  let simulated;
+  let mock;
+
+  const payment = { id: 'pay_123', amount: 5000, method: 'card', merchant_mode: 'live', acquirer: null };
+
+  beforeEach(() => {
+    mockRepository = { assignAcquirer: jest.fn().mockResolvedValue(), getPaymentForMerchant: jest.fn() };
+    mockQueue = { add: jest.fn().mockResolvedValue() };
+    simulated = mockAdapter();
+    mock = { ...mockAdapter(), verifyCallback: jest.fn() };
+    service = new AcquirerService(mockRepository, mockQueue, { simulated, mock }, { upi: 'mock', default: 'simulated' });
+  });
+
+  describe('route', () => {
+    it('should prefer the merchant\'s route for the method, then its default', () => {
+      expect(service.route({ ...payment, merchant_acquirer_routes: { card: 'mock' } })).toBe('mock');
+      expect(service.route({ ...payment, merchant_acquirer_routes: { default: 'mock' } })).toBe('mock');
+    });
+
+    it('should fall back to the gateway\'s routes', () => {
+      expect(service.route({ ...payment, method: 'upi', merchant_acquirer_routes: {} })).toBe('mock');
+      expect(service.route({ ...payment, merchant_acquirer_routes: null })).toBe('simulated');
+    });
+
+    it('should always route test-mode payments to the simulated acquirer', () => {
+      expect(service.route({ ...payment, merchant_mode: 'test', merchant_acquirer_routes: { card: 'mock' } })).toBe('simulated');
+    });
+  });
+
+  describe('authorize', () => {
+    it('should record the acquirer before sending the payment to it', async () => {
+      const result = await service.authorize({ ...payment, merchant_acquirer_routes: { card: 'mock' } });
+
+      expect(mockRepository.assignAcquirer).toHaveBeenCalledWith('pay_123', 'mock');
+      expect(mockRepository.assignAcquirer.mock.invocationCallOrder[0])
+        .toBeLessThan(mock.authorize.mock.invocationCallOrder[0]);
+      expect(result).toMatchObject({ status: 'authorized', acquirer: 'mock', reference: 'acq_1' });
+      expect(mockQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should treat a timeout as pending and schedule a status check', async () => {
+      simulated.authorize.mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'));
+
+      const result = await service.authorize(payment);
+
+      expect(result).toMatchObject({ status: 'pending', acquirer: 'simulated' });
+      expect(mockQueue.add).toHaveBeenCalledWith('check-payment', { paymentId: 'pay_123', check: 1 }, {
+        delay: acquirerStatusCheckIntervalSeconds * 1000,
+        jobId: 'check_pay_123_1'
+      });
+    });
+
+    it('should query the status of a payment already sent to an acquirer', async () => {
+      mock.status.mockResolvedValueOnce({ status: 'declined', reference: 'acq_1', errorCode: 'PAYMENT_DECLINED' });
+
+      const result = await service.authorize({ ...payment, acquirer: 'mock' }, 2);
+
+      expect(mock.authorize).not.toHaveBeenCalled();
+      expect(mockRepository.assignAcquirer).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'declined', errorCode: 'PAYMENT_DECLINED', acquirer: 'mock' });
+    });
+
+    it('should resend a payment the acquirer never received', async () => {
+      mock.status.mockResolvedValueOnce({ status: 'not_found' });
+
+      const result = await service.authorize({ ...payment, acquirer: 'mock' }, 1);
+
+      expect(mock.authorize).toHaveBeenCalled();
+      expect(result.status).toBe('authorized');
+    });
+
+    it('should void and decline a payment still pending after the last status check', async () => {
+      mock.status.mockResolvedValueOnce({ status: 'pending', reference: 'acq_1' });
+
+      const result = await service.authorize({ ...payment, acquirer: 'mock' }, acquirerMaxStatusChecks);
+
+      expect(mockQueue.add).not.toHaveBeenCalled();
+      expect(mock.void).toHaveBeenCalledWith(expect.objectContaining({ id: 'pay_123', acquirer: 'mock' }));
+      expect(result).toMatchObject({ status: 'declined', errorCode: 'ACQUIRER_TIMEOUT', reference: 'acq_1' });
+    });
+  });
+
+  describe('capture, void and refund', () => {
+    it('should use the acquirer that authorized the payment', async () => {
+      await service.capture({ ...payment, acquirer: 'mock' }, 3000);
+      await service.refund({ ...payment, acquirer: 'mock' }, { id: 'rfnd_1', amount: 1000 });
+
+      expect(mock.capture).toHaveBeenCalledWith(expect.objectContaining({ id: 'pay_123' }), 3000);
+      expect(mock.refund).toHaveBeenCalledWith(expect.objectContaining({ id: 'pay_123' }), { id: 'rfnd_1', amount: 1000 });
+    });
+
+    it('should use the simulated acquirer for payments without one', async () => {
+      await service.void(payment);
+
+      expect(simulated.void).toHaveBeenCalled();
+    });
+  });
+
+  describe('reverseCapture', () => {
+    const captured = { ...payment, merchant_id: 'merch_123', acquirer: 'mock' };
+
+    it('should refund a capture the payment no longer wants, keyed by the payment', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ ...captured, status: 'cancelled' });
+
+      const result = await service.reverseCapture(captured, 5000);
+
+      expect(mockRepository.getPaymentForMerchant).toHaveBeenCalledWith('pay_123', 'merch_123');
+      expect(mock.refund).toHaveBeenCalledWith(captured, { id: 'rvsl_pay_123', amount: 5000 });
+      expect(result.status).toBe('processed');
+    });
+
+    it('should leave a capture another request recorded alone', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ ...captured, status: 'captured' });
+
+      expect(await service.reverseCapture(captured, 5000)).toBeNull();
+      expect(mock.refund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('should schedule a status check for the payment a valid callback names', async () => {
+      mock.verifyCallback.mockReturnValueOnce('pay_123');
+
+      const paymentId = await service.handleCallback('mock', { merchant_reference: 'pay_123' }, 'sig');
+
+      expect(mock.verifyCallback).toHaveBeenCalledWith({ merchant_reference: 'pay_123' }, 'sig');
+      expect(paymentId).toBe('pay_123');
+      expect(mockQueue.add).toHaveBeenCalledWith('check-payment', { paymentId: 'pay_123', check: 0 }, { jobId: 'callback_pay_123' });
+    });
+
+    it('should reject callbacks with an invalid signature', async () => {
+      mock.verifyCallback.mockReturnValueOnce(null);
+
+      await expect(
+        service.handleCallback('mock', { merchant_reference: 'pay_123' }, 'forged')
+      ).rejects.toMatchObject({ code: 'INVALID_SIGNATURE', statusCode: 401 });
+      expect(mockQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should reject acquirers that do not send callbacks', async () => {
+      await expect(
+        service.handleCallback('simulated', {}, 'sig')
+      ).rejects.toMatchObject({ code: 'ACQUIRER_NOT_FOUND', statusCode: 404 });
+      await expect(
+        service.handleCallback('constructor', {}, 'sig')
+      ).rejects.toMatchObject({ code: 'ACQUIRER_NOT_FOUND' });
+    });
+  });
+});
+
+// ============================================================================
+// Adapter Tests
+// ============================================================================
+
+describe('SimulatedAcquirerAdapter', () => {
+  it('should authorize with the payment\'s outcome and answer status queries the same way', async () => {
+    const outcome = jest.fn().mockReturnValue({
+      success: false, errorCode: 'CARD_DECLINED', errorDescription: 'Declined', latencyMs: 0
+    });
+    const adapter = new SimulatedAcquirerAdapter({ outcome });
+    const payment = { id: 'pay_123', merchant_mode: 'test' };
+
+    const result = await adapter.authorize(payment);
+    const status = await adapter.status(payment);
+
+    expect(outcome).toHaveBeenCalledTimes(1);
+    expect(outcome).toHaveBeenCalledWith(payment, 'test');
+    expect(result).toMatchObject({ status: 'declined', errorCode: 'CARD_DECLINED', reference: expect.stringMatching(/^sim_/) });
+    expect(status).toBe(result);
+  });
+
+  it('should capture and void', async () => {
+    const adapter = new SimulatedAcquirerAdapter();
+
+    expect((await adapter.capture({ id: 'pay_123' }, 5000)).status).toBe('captured');
+    expect((await adapter.void({ id: 'pay_123' })).status).toBe('voided');
+  });
+});
+
+describe('MockAcquirerAdapter', () => {
+  let http;
+  let adapter;
+
+  const payment = { id: 'pay_123', amount: 5000, currency: 'INR', method: 'upi', vpa: 'user@okhdfc' };
+
+  beforeEach(() => {
+    http = { post: jest.fn(), get: jest.fn() };
+    adapter = new MockAcquirerAdapter({
+      baseUrl: 'http://acquirer',
+      timeoutMs: 2000,
+      callbackUrl: 'http://api/api/v1/acquirer_callbacks/mock',
+      callbackSecret: 'secret',
+      http
+    });
+  });
+
+  it('should send authorizations keyed by payment ID with the callback URL', async () => {
+    http.post.mockResolvedValueOnce({ data: { status: 'pending', reference: 'acq_1' } });
+
+    const result = await adapter.authorize(payment);
+
+    expect(http.post).toHaveBeenCalledWith('http://acquirer/v1/payments', expect.objectContaining({
+      merchant_reference: 'pay_123',
+      amount: 5000,
+      vpa: 'user@okhdfc',
+      callback_url: 'http://api/api/v1/acquirer_callbacks/mock'
+    }), { timeout: 2000 });
+    expect(result).toEqual({ status: 'pending', reference: 'acq_1', errorCode: null, errorDescription: null });
+  });
+
+  it('should map declines and send refunds keyed by refund ID', async () => {
+    http.post.mockResolvedValueOnce({
+      data: { status: 'declined', error_code: 'REFUND_DECLINED', error_description: 'Declined' }
+    });
+
+    const result = await adapter.refund(payment, { id: 'rfnd_1', amount: 1000 });
+
+    expect(http.post).toHaveBeenCalledWith('http://acquirer/v1/payments/pay_123/refunds', {
+      merchant_reference: 'rfnd_1',
+      amount: 1000
+    }, { timeout: 2000 });
+    expect(result).toMatchObject({ status: 'declined', errorCode: 'REFUND_DECLINED' });
+  });
+
+  it('should report payments the acquirer does not know as not found', async () => {
+    http.get.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+
+    expect((await adapter.status(payment)).status).toBe('not_found');
+  });
+
+  it('should throw when the acquirer cannot be reached', async () => {
+    http.get.mockRejectedValueOnce(new Error('timeout of 2000ms exceeded'));
+
+    await expect(adapter.status(payment)).rejects.toThrow('timeout');
+  });
+
+  it('should verify callback signatures', () => {
+    const body = { merchant_reference: 'pay_123', status: 'authorized' };
+
+    expect(adapter.verifyCallback(body, signAcquirerCallback(body, 'secret'))).toBe('pay_123');
+    expect(adapter.verifyCallback(body, signAcquirerCallback(body, 'other'))).toBeNull();
+  });
+});
+
+// ============================================================================
+// AcquirerController Tests
+// ============================================================================
+
+describe('AcquirerController', () => {
+  let controller;
+  let mockService;
+  let res;
+
+  beforeEach(() => {
+    mockService = { handleCallback: jest.fn() };
+    controller = new AcquirerController(mockService);
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+  });
+
+  it('should pass the callback and its signature to the service', async () => {
+    mockService.handleCallback.mockResolvedValueOnce('pay_123');
+    const req = {
+      params: { acquirer: 'mock' },
+      body: { merchant_reference: 'pay_123' },
+      headers: { 'x-acquirer-signature': 'sig' }
+    };
+
+    await controller.handleCallback(req, res);
+
+    expect(mockService.handleCallback).toHaveBeenCalledWith('mock', { merchant_reference: 'pay_123' }, 'sig');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ received: true, payment_id: 'pay_123' });
+  });
+
+  it('should reject callbacks the service does not accept', async () => {
+    const error = Object.assign(new Error('Callback signature is invalid'), { code: 'INVALID_SIGNATURE', statusCode: 401 });
+    mockService.handleCallback.mockRejectedValueOnce(error);
+
+    await controller.handleCallback({ params: { acquirer: 'mock' }, body: {}, headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      error: { code: 'INVALID_SIGNATURE', description: 'Callback signature is invalid' }
+    });
+  });
+});
+
+// ============================================================================
+// Merchant Acquirer Routes Tests
+// ============================================================================
+
+describe('Merchant acquirer routes', () => {
+  let controller;
+  let mockRepository;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockRepository = { updateAcquirerRoutes: jest.fn() };
+    controller = new MerchantController(new MerchantService(mockRepository));
+
+    req = { params: { merchant_id: 'merch_123' }, query: {}, body: {} };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+  });
+
+  it('should set the merchant\'s routes', async () => {
+    req.body = { routes: { card: 'mock' } };
+    mockRepository.updateAcquirerRoutes.mockResolvedValueOnce({ id: 'merch_123', acquirer_routes: { card: 'mock' } });
+
+    await controller.updateAcquirerRoutes(req, res);
+
+    expect(mockRepository.updateAcquirerRoutes).toHaveBeenCalledWith('merch_123', { card: 'mock' });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      merchant_id: 'merch_123',
+      routes: { card: 'mock' },
+      default_routes: acquirerRoutes
+    });
+  });
+
+  it('should reject invalid routes', async () => {
+    req.body = { routes: { card: 'acme' } };
+
+    await controller.updateAcquirerRoutes(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_ROUTES');
+    expect(mockRepository.updateAcquirerRoutes).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for an unknown merchant', async () => {
+    req.body = { routes: {} };
+    mockRepository.updateAcquirerRoutes.mockResolvedValueOnce(null);
+
+    await controller.updateAcquirerRoutes(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
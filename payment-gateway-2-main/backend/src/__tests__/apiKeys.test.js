@@ -0,0 +1,603 @@
+/**
+ * Unit Tests for API key lifecycle and scopes
+ */
+
+const MerchantController = require('../controllers/MerchantController');
+const MerchantService = require('../services/MerchantService');
+const MerchantRepository = require('../repository/MerchantRepository');
+const { apiKeyCacheTtlSeconds } = require('../config/payments');
+const {
+  generateApiKeySecret,
+  hashApiKey,
+  validateScopes,
+  validateAllowedOrigins,
+  requiredScope,
+  hasScope,
+  coversScopes
+} = require('../utils/apiKeys');
+
+const keyRow = {
+  id: 'key_123',
+  merchant_id: 'merch_123',
+  type: 'secret',
+  mode: 'live',
+  name: 'Backend',
+  key_hash: 'a'.repeat(64),
+  key_last4: 'beef',
+  scopes: ['*'],
+  expires_at: null,
+  replaced_by: null,
+  revoked_at: null,
+  last_used_at: null,
+  created_at: new Date('2024-01-01T00:00:00Z'),
+  rate_limit_read: null,
+  rate_limit_write: null,
+  test_merchant_id: null
+};
+
+// ============================================================================
+// Scope Tests
+// ============================================================================
+
+describe('API key utils', () => {
+  it('should generate distinct secrets and hash them to 64 hex characters', () => {
+    const first = generateApiKeySecret();
+
+    expect(first).toMatch(/^sk_live_[0-9a-f]{48}$/);
+    expect(generateApiKeySecret()).not.toBe(first);
+    expect(hashApiKey(first)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashApiKey(first)).not.toContain(first);
+  });
+
+  it('should prefix keys with their type and mode', () => {
+    expect(generateApiKeySecret('publishable')).toMatch(/^pk_live_[0-9a-f]{48}$/);
+    expect(generateApiKeySecret('secret', 'test')).toMatch(/^sk_test_[0-9a-f]{48}$/);
+  });
+
+  it('should accept origins without paths and reject anything else', () => {
+    expect(validateAllowedOrigins([])).toBeNull();
+    expect(validateAllowedOrigins(['https://shop.example.com', 'http://localhost:8080'])).toBeNull();
+
+    expect(validateAllowedOrigins('https://shop.example.com')).not.toBeNull();
+    expect(validateAllowedOrigins(['https://shop.example.com/'])).not.toBeNull();
+    expect(validateAllowedOrigins(['https://shop.example.com/cart'])).not.toBeNull();
+    expect(validateAllowedOrigins(['*'])).not.toBeNull();
+    expect(validateAllowedOrigins(['ftp://shop.example.com'])).not.toBeNull();
+    expect(validateAllowedOrigins(['https://a.com', 'https://a.com'])).not.toBeNull();
+  });
+
+  it('should accept full access and resource scopes', () => {
+    expect(validateScopes(['*'])).toBeNull();
+    expect(validateScopes(['*:read'])).toBeNull();
+    expect(validateScopes(['refunds:write', 'payments:read'])).toBeNull();
+  });
+
+  it.each([
+    [[]],
+    ['payments:read'],
+    [['payments']],
+    [['payments:delete']],
+    [['unknown:read']],
+    [['payments:read:extra']],
+    [['payments:read', 'payments:read']],
+    [[42]]
+  ])('should reject scopes %p', (scopes) => {
+    expect(validateScopes(scopes)).not.toBeNull();
+  });
+
+  it('should map requests to the scope they need', () => {
+    expect(requiredScope('GET', '/api/v1/payments/pay_123')).toEqual({ resource: 'payments', access: 'read' });
+    expect(requiredScope('POST', '/api/v1/payments')).toEqual({ resource: 'payments', access: 'write' });
+    expect(requiredScope('POST', '/api/v1/payments/pay_123/refunds')).toEqual({ resource: 'refunds', access: 'write' });
+    expect(requiredScope('POST', '/api/v1/payments/pay_123/capture')).toEqual({ resource: 'payments', access: 'write' });
+    expect(requiredScope('GET', '/api/v1/something_new')).toEqual({ resource: null, access: 'read' });
+  });
+
+  it('should map paths whatever their case, as the routes match them', () => {
+    expect(requiredScope('POST', '/api/v1/payments/pay_123/Refunds')).toEqual({ resource: 'refunds', access: 'write' });
+    expect(requiredScope('GET', '/api/v1/PAYMENTS/pay_123/REFUNDS')).toEqual({ resource: 'refunds', access: 'read' });
+  });
+
+  it('should let write scopes read and keep read-only keys from writing', () => {
+    expect(hasScope(['refunds:write'], 'refunds', 'read')).toBe(true);
+    expect(hasScope(['refunds:write'], 'payments', 'read')).toBe(false);
+    expect(hasScope(['*:read'], 'orders', 'read')).toBe(true);
+    expect(hasScope(['*:read'], 'orders', 'write')).toBe(false);
+    expect(hasScope(['*'], 'orders', 'write')).toBe(true);
+  });
+
+  it('should only let full access keys use resources without a scope', () => {
+    expect(hasScope(['*'], null, 'read')).toBe(true);
+    expect(hasScope(['*:write'], null, 'read')).toBe(false);
+  });
+
+  it('should only cover scopes a key has itself', () => {
+    expect(coversScopes(['*'], ['*'])).toBe(true);
+    expect(coversScopes(['payments:write', 'api_keys:write'], ['payments:read', 'api_keys:write'])).toBe(true);
+    expect(coversScopes(['*:write'], ['*:read', 'refunds:write'])).toBe(true);
+    expect(coversScopes(['*:write'], ['*'])).toBe(false);
+    expect(coversScopes(['api_keys:write'], ['*'])).toBe(false);
+    expect(coversScopes(['api_keys:write'], ['*:read'])).toBe(false);
+    expect(coversScopes(['payments:read', 'api_keys:write'], ['payments:write'])).toBe(false);
+    expect(coversScopes(['api_keys:write'], [])).toBe(true);
+  });
+});
+
+// ============================================================================
+// MerchantService Tests
+// ============================================================================
+
+describe('MerchantService API keys', () => {
+  let service;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      useApiKey: jest.fn().mockResolvedValue(keyRow),
+      createApiKey: jest.fn(),
+      ensureTestAccount: jest.fn().mockResolvedValue(),
+      getApiKey: jest.fn(),
+      listApiKeys: jest.fn(),
+      rotateApiKey: jest.fn(),
+      revokeApiKey: jest.fn(),
+      updateAllowedOrigins: jest.fn(),
+      listAllowedOrigins: jest.fn().mockResolvedValue(['https://shop.example.com'])
+    };
+    service = new MerchantService(mockRepository);
+  });
+
+  it('should store only the hash of a new key and return its secret once', async () => {
+    mockRepository.createApiKey.mockImplementationOnce(async (data) => ({ ...keyRow, id: data.id }));
+
+    const key = await service.createApiKey('merch_123', { type: 'secret', mode: 'live', name: 'Backend', scopes: ['payments:read'] });
+
+    const stored = mockRepository.createApiKey.mock.calls[0][0];
+    expect(stored).toEqual({
+      id: expect.stringMatching(/^key_[0-9a-f]{14}$/),
+      merchantId: 'merch_123',
+      type: 'secret',
+      mode: 'live',
+      name: 'Backend',
+      keyHash: hashApiKey(key.key),
+      keyLast4: key.key.slice(-4),
+      scopes: ['payments:read']
+    });
+    expect(JSON.stringify(stored)).not.toContain(key.key);
+    expect(mockRepository.ensureTestAccount).not.toHaveBeenCalled();
+  });
+
+  it('should create the sandbox account along with the first test key', async () => {
+    mockRepository.createApiKey.mockImplementationOnce(async (data) => ({ ...keyRow, id: data.id, mode: 'test' }));
+
+    const key = await service.createApiKey('merch_123', { type: 'secret', mode: 'test', name: 'CI', scopes: ['*'] });
+
+    expect(mockRepository.ensureTestAccount).toHaveBeenCalledWith('merch_123');
+    expect(key.key).toMatch(/^sk_test_/);
+  });
+
+  it('should act as the sandbox account for test keys', async () => {
+    mockRepository.useApiKey.mockResolvedValueOnce({ ...keyRow, mode: 'test', test_merchant_id: 'merch_test' });
+
+    const auth = await service.authenticate('sk_test');
+
+    expect(auth).toMatchObject({ merchantId: 'merch_test', accountId: 'merch_123', mode: 'test' });
+  });
+
+  it('should reject test keys of merchants without a sandbox account', async () => {
+    mockRepository.useApiKey.mockResolvedValueOnce({ ...keyRow, mode: 'test' });
+
+    expect(await service.authenticate('sk_test')).toBeNull();
+  });
+
+  it('should drop a merchant\'s test keys from the cache along with its live keys', async () => {
+    mockRepository.useApiKey.mockResolvedValue({ ...keyRow, mode: 'test', test_merchant_id: 'merch_test' });
+    await service.authenticate('sk_test');
+    mockRepository.revokeApiKey.mockResolvedValueOnce({ ...keyRow, revoked_at: new Date() });
+
+    await service.revokeApiKey('key_123', 'merch_123');
+    await service.authenticate('sk_test');
+
+    expect(mockRepository.useApiKey).toHaveBeenCalledTimes(2);
+  });
+
+  it('should throw MERCHANT_NOT_FOUND when creating a key for an unknown merchant', async () => {
+    mockRepository.createApiKey.mockResolvedValueOnce(null);
+
+    await expect(service.createApiKey('missing', { type: 'secret', name: 'Backend', scopes: ['*'] }))
+      .rejects.toMatchObject({ code: 'MERCHANT_NOT_FOUND', statusCode: 404 });
+  });
+
+  it('should rotate a key with the requested overlap and drop cached keys', async () => {
+    await service.authenticate('sk_old');
+    mockRepository.getApiKey.mockResolvedValueOnce(keyRow);
+    mockRepository.rotateApiKey.mockResolvedValueOnce({ ...keyRow, id: 'key_new', rotated_key_expires_at: new Date() });
+
+    const key = await service.rotateApiKey('key_123', 'merch_123', 6);
+
+    expect(mockRepository.rotateApiKey).toHaveBeenCalledWith('key_123', 'merch_123', {
+      id: expect.stringMatching(/^key_/),
+      keyHash: hashApiKey(key.key),
+      keyLast4: key.key.slice(-4)
+    }, 6);
+    expect(key.id).toBe('key_new');
+    expect(key.key).toMatch(/^sk_/);
+
+    await service.authenticate('sk_old');
+    expect(mockRepository.useApiKey).toHaveBeenCalledTimes(2);
+  });
+
+  it('should replace a publishable key with a publishable key', async () => {
+    mockRepository.getApiKey.mockResolvedValueOnce({ ...keyRow, type: 'publishable' });
+    mockRepository.rotateApiKey.mockResolvedValueOnce({ ...keyRow, type: 'publishable', id: 'key_new' });
+
+    const key = await service.rotateApiKey('key_123', 'merch_123', 24);
+
+    expect(key.key).toMatch(/^pk_/);
+  });
+
+  it('should tell unknown keys from keys that cannot be rotated', async () => {
+    mockRepository.rotateApiKey.mockResolvedValue(null);
+    mockRepository.getApiKey.mockResolvedValueOnce(null);
+
+    await expect(service.rotateApiKey('key_404', 'merch_123', 24))
+      .rejects.toMatchObject({ code: 'API_KEY_NOT_FOUND', statusCode: 404 });
+
+    mockRepository.getApiKey.mockResolvedValueOnce({ ...keyRow, revoked_at: new Date() });
+
+    await expect(service.rotateApiKey('key_123', 'merch_123', 24))
+      .rejects.toMatchObject({ code: 'API_KEY_NOT_ACTIVE', statusCode: 409 });
+  });
+
+  it('should revoke a key and stop serving it from the cache', async () => {
+    await service.authenticate('sk_old');
+    mockRepository.revokeApiKey.mockResolvedValueOnce({ ...keyRow, revoked_at: new Date() });
+    mockRepository.useApiKey.mockResolvedValueOnce(null);
+
+    await service.revokeApiKey('key_123', 'merch_123');
+
+    expect(await service.authenticate('sk_old')).toBeNull();
+  });
+
+  it('should throw API_KEY_NOT_FOUND when revoking an unknown key', async () => {
+    mockRepository.revokeApiKey.mockResolvedValueOnce(null);
+
+    await expect(service.revokeApiKey('key_404', 'merch_123'))
+      .rejects.toMatchObject({ code: 'API_KEY_NOT_FOUND', statusCode: 404 });
+  });
+
+  it('should not let a key issue a key with scopes it does not have', async () => {
+    await expect(service.createApiKey(
+      'merch_123', { type: 'secret', mode: 'live', name: 'Escalated', scopes: ['*'] }, ['api_keys:write']
+    )).rejects.toMatchObject({ code: 'INSUFFICIENT_SCOPE', statusCode: 403 });
+    await expect(service.createApiKey(
+      'merch_123', { type: 'secret', mode: 'live', name: 'Escalated', scopes: ['refunds:write'] }, ['api_keys:write', 'refunds:read']
+    )).rejects.toMatchObject({ code: 'INSUFFICIENT_SCOPE', statusCode: 403 });
+    expect(mockRepository.createApiKey).not.toHaveBeenCalled();
+
+    mockRepository.createApiKey.mockImplementationOnce(async (data) => ({ ...keyRow, id: data.id, scopes: data.scopes }));
+    const key = await service.createApiKey(
+      'merch_123', { type: 'secret', mode: 'live', name: 'Reports', scopes: ['payments:read'] }, ['api_keys:write', 'payments:write']
+    );
+    expect(key.scopes).toEqual(['payments:read']);
+  });
+
+  it('should not let a key rotate or revoke a key with scopes it does not have', async () => {
+    mockRepository.getApiKey.mockResolvedValue(keyRow);
+
+    await expect(service.rotateApiKey('key_123', 'merch_123', 24, ['api_keys:write']))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_SCOPE', statusCode: 403 });
+    await expect(service.revokeApiKey('key_123', 'merch_123', ['api_keys:write']))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_SCOPE', statusCode: 403 });
+
+    expect(mockRepository.rotateApiKey).not.toHaveBeenCalled();
+    expect(mockRepository.revokeApiKey).not.toHaveBeenCalled();
+  });
+
+  it('should let a key rotate and revoke keys within its scopes', async () => {
+    mockRepository.getApiKey.mockResolvedValue({ ...keyRow, scopes: ['payments:read'] });
+    mockRepository.rotateApiKey.mockResolvedValueOnce({ ...keyRow, id: 'key_new', scopes: ['payments:read'] });
+    mockRepository.revokeApiKey.mockResolvedValueOnce({ ...keyRow, revoked_at: new Date() });
+
+    await service.rotateApiKey('key_123', 'merch_123', 24, ['api_keys:write', 'payments:read']);
+    await service.revokeApiKey('key_123', 'merch_123', ['api_keys:write', 'payments:read']);
+
+    expect(mockRepository.rotateApiKey).toHaveBeenCalled();
+    expect(mockRepository.revokeApiKey).toHaveBeenCalled();
+  });
+
+  it('should answer origin checks from the cache until it expires', async () => {
+    const now = Date.now();
+
+    expect(await service.isOriginAllowed('https://shop.example.com', now)).toBe(true);
+    expect(await service.isOriginAllowed('https://evil.example.com', now + 1000)).toBe(false);
+    expect(mockRepository.listAllowedOrigins).toHaveBeenCalledTimes(1);
+
+    await service.isOriginAllowed('https://shop.example.com', now + apiKeyCacheTtlSeconds * 1000);
+    expect(mockRepository.listAllowedOrigins).toHaveBeenCalledTimes(2);
+  });
+
+  it('should apply changed origins to the next request', async () => {
+    await service.authenticate('pk_live');
+    await service.isOriginAllowed('https://shop.example.com');
+    mockRepository.updateAllowedOrigins.mockResolvedValueOnce(['https://new.example.com']);
+
+    expect(await service.updateAllowedOrigins('merch_123', ['https://new.example.com'])).toEqual(['https://new.example.com']);
+
+    await service.authenticate('pk_live');
+    await service.isOriginAllowed('https://shop.example.com');
+    expect(mockRepository.useApiKey).toHaveBeenCalledTimes(2);
+    expect(mockRepository.listAllowedOrigins).toHaveBeenCalledTimes(2);
+  });
+
+  it('should only let a publishable key\'s allowed origins frame the checkout', async () => {
+    mockRepository.useApiKey
+      .mockResolvedValueOnce({ ...keyRow, type: 'publishable', allowed_origins: ['https://shop.example.com'] })
+      .mockResolvedValueOnce(keyRow)
+      .mockResolvedValueOnce(null);
+
+    expect(await service.getCheckoutFrameAncestors('pk_live')).toEqual(['https://shop.example.com']);
+    expect(await service.getCheckoutFrameAncestors('sk_live')).toEqual([]);
+    expect(await service.getCheckoutFrameAncestors('pk_unknown')).toEqual([]);
+    expect(await service.getCheckoutFrameAncestors(undefined)).toEqual([]);
+    expect(mockRepository.useApiKey).toHaveBeenCalledTimes(3);
+  });
+});
+
+// ============================================================================
+// MerchantRepository Tests
+// ============================================================================
+
+describe('MerchantRepository API keys', () => {
+  let repository;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = { query: jest.fn() };
+    repository = new MerchantRepository(mockDb);
+  });
+
+  it('should only accept active keys and record their use', async () => {
+    mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await repository.useApiKey('a'.repeat(64))).toBeNull();
+
+    const [sql, params] = mockDb.query.mock.calls[0];
+    expect(sql).toContain('SET last_used_at = NOW()');
+    expect(sql).toContain('k.revoked_at IS NULL');
+    expect(sql).toContain('k.expires_at > NOW()');
+    expect(params).toEqual(['a'.repeat(64)]);
+  });
+
+  it('should cap the rotated key\'s expiry at the overlap', async () => {
+    mockDb.query.mockResolvedValueOnce({ rows: [{ ...keyRow, id: 'key_new' }] });
+
+    await repository.rotateApiKey('key_123', 'merch_123', { id: 'key_new', keyHash: 'b'.repeat(64), keyLast4: 'cafe' }, 24);
+
+    const [sql, params] = mockDb.query.mock.calls[0];
+    expect(sql).toContain("LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(hours => $6))");
+    expect(sql).toContain('replaced_by IS NULL');
+    expect(params).toEqual(['key_123', 'merch_123', 'key_new', 'b'.repeat(64), 'cafe', 24]);
+  });
+
+  it('should only issue keys to live merchants and copy the mode on rotation', async () => {
+    mockDb.query.mockResolvedValue({ rows: [] });
+
+    await repository.createApiKey({ ...keyRow, merchantId: 'merch_test', keyHash: 'b'.repeat(64), keyLast4: 'cafe' });
+    await repository.rotateApiKey('key_123', 'merch_123', { id: 'key_new', keyHash: 'b'.repeat(64), keyLast4: 'cafe' }, 24);
+
+    expect(mockDb.query.mock.calls[0][0]).toContain("AND mode = 'live'");
+    expect(mockDb.query.mock.calls[0][1]).toContain('live');
+    expect(mockDb.query.mock.calls[1][0]).toContain('SELECT $3, merchant_id, type, mode, name');
+  });
+});
+
+// ============================================================================
+// MerchantController Tests
+// ============================================================================
+
+describe('MerchantController API keys', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      createApiKey: jest.fn(),
+      listApiKeys: jest.fn(),
+      rotateApiKey: jest.fn(),
+      revokeApiKey: jest.fn(),
+      updateAllowedOrigins: jest.fn(),
+      getCheckoutFrameAncestors: jest.fn()
+    };
+    controller = new MerchantController(mockService);
+
+    req = { merchantId: 'merch_123', apiKeyScopes: ['*'], params: {}, query: {}, body: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  it('should create a full access key by default and show its secret', async () => {
+    req.body = { name: ' Backend ' };
+    mockService.createApiKey.mockResolvedValueOnce({ ...keyRow, key: 'sk_secret' });
+
+    await controller.createApiKey(req, res);
+
+    expect(mockService.createApiKey).toHaveBeenCalledWith('merch_123', { type: 'secret', mode: 'live', name: 'Backend', scopes: ['*'] }, ['*']);
+    expect(res.status).toHaveBeenCalledWith(201);
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({ id: 'key_123', key: 'sk_secret', last4: 'beef', status: 'active' });
+    expect(body).not.toHaveProperty('key_hash');
+  });
+
+  it('should issue keys for the merchant in the path on the admin API', async () => {
+    req = { params: { merchant_id: 'merch_456' }, query: {}, body: { name: 'Ops' } };
+    mockService.createApiKey.mockResolvedValueOnce({ ...keyRow, key: 'sk_secret' });
+
+    await controller.createApiKey(req, res);
+
+    expect(mockService.createApiKey).toHaveBeenCalledWith('merch_456', { type: 'secret', mode: 'live', name: 'Ops', scopes: ['*'] }, null);
+  });
+
+  it('should create publishable keys without scopes', async () => {
+    req.body = { name: 'Storefront', type: 'publishable' };
+    mockService.createApiKey.mockResolvedValueOnce({ ...keyRow, type: 'publishable', scopes: [], key: 'pk_secret' });
+
+    await controller.createApiKey(req, res);
+
+    expect(mockService.createApiKey).toHaveBeenCalledWith('merch_123', { type: 'publishable', mode: 'live', name: 'Storefront', scopes: [] }, ['*']);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ type: 'publishable', key: 'pk_secret' });
+  });
+
+  it('should create test keys and reject unknown modes', async () => {
+    req.body = { name: 'CI', mode: 'test' };
+    mockService.createApiKey.mockResolvedValueOnce({ ...keyRow, mode: 'test', key: 'sk_secret' });
+
+    await controller.createApiKey(req, res);
+
+    expect(mockService.createApiKey).toHaveBeenCalledWith('merch_123', { type: 'secret', mode: 'test', name: 'CI', scopes: ['*'] }, ['*']);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ mode: 'test' });
+
+    req.body = { name: 'CI', mode: 'sandbox' };
+    await controller.createApiKey(req, res);
+    expect(res.status).toHaveBeenLastCalledWith(400);
+    expect(res.json.mock.calls[1][0].error.code).toBe('INVALID_MODE');
+  });
+
+  it('should reject unknown types and scopes on publishable keys', async () => {
+    req.body = { name: 'Storefront', type: 'restricted' };
+    await controller.createApiKey(req, res);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_TYPE');
+
+    req.body = { name: 'Storefront', type: 'publishable', scopes: ['payments:write'] };
+    await controller.createApiKey(req, res);
+    expect(res.json.mock.calls[1][0].error.code).toBe('INVALID_SCOPES');
+
+    expect(mockService.createApiKey).not.toHaveBeenCalled();
+  });
+
+  it('should replace the allowed origins', async () => {
+    req.body = { origins: ['https://shop.example.com'] };
+    mockService.updateAllowedOrigins.mockResolvedValueOnce(['https://shop.example.com']);
+
+    await controller.updateAllowedOrigins(req, res);
+
+    expect(mockService.updateAllowedOrigins).toHaveBeenCalledWith('merch_123', ['https://shop.example.com']);
+    expect(res.json).toHaveBeenCalledWith({ origins: ['https://shop.example.com'] });
+  });
+
+  it('should reject invalid origins', async () => {
+    req.body = { origins: ['https://shop.example.com/checkout'] };
+
+    await controller.updateAllowedOrigins(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_ORIGINS');
+    expect(mockService.updateAllowedOrigins).not.toHaveBeenCalled();
+  });
+
+  it('should serve the checkout frame policy from the key\'s allowed origins', async () => {
+    res.set = jest.fn().mockReturnThis();
+    res.end = jest.fn().mockReturnThis();
+    req.query = { key: 'pk_live' };
+    mockService.getCheckoutFrameAncestors
+      .mockResolvedValueOnce(['https://shop.example.com', 'http://localhost:8080'])
+      .mockResolvedValueOnce([]);
+
+    await controller.getCheckoutFramePolicy(req, res);
+    await controller.getCheckoutFramePolicy(req, res);
+
+    expect(mockService.getCheckoutFrameAncestors).toHaveBeenCalledWith('pk_live');
+    expect(res.set.mock.calls[0]).toEqual(['Content-Security-Policy', 'frame-ancestors https://shop.example.com http://localhost:8080']);
+    expect(res.set.mock.calls[1]).toEqual(['Content-Security-Policy', "frame-ancestors 'none'"]);
+    expect(res.status).toHaveBeenCalledWith(204);
+  });
+
+  it('should reject invalid names and scopes', async () => {
+    req.body = { name: '' };
+    await controller.createApiKey(req, res);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_NAME');
+
+    req.body = { name: 'Backend', scopes: ['payments:delete'] };
+    await controller.createApiKey(req, res);
+    expect(res.json.mock.calls[1][0].error.code).toBe('INVALID_SCOPES');
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockService.createApiKey).not.toHaveBeenCalled();
+  });
+
+  it('should list keys without secrets, showing expired and revoked ones', async () => {
+    mockService.listApiKeys.mockResolvedValueOnce([
+      { ...keyRow, id: 'key_1', revoked_at: new Date() },
+      { ...keyRow, id: 'key_2', expires_at: new Date(Date.now() - 1000) },
+      { ...keyRow, id: 'key_3' }
+    ]);
+
+    await controller.listApiKeys(req, res);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.map(key => key.status)).toEqual(['revoked', 'expired', 'active']);
+    expect(data.every(key => !('key' in key) && !('key_hash' in key))).toBe(true);
+  });
+
+  it('should rotate with a 24 hour overlap by default', async () => {
+    req.params.key_id = 'key_123';
+    const oldExpiry = new Date();
+    mockService.rotateApiKey.mockResolvedValueOnce({ ...keyRow, id: 'key_new', key: 'sk_new', rotated_key_expires_at: oldExpiry });
+
+    await controller.rotateApiKey(req, res);
+
+    expect(mockService.rotateApiKey).toHaveBeenCalledWith('key_123', 'merch_123', 24, ['*']);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      id: 'key_new',
+      key: 'sk_new',
+      rotated_key: { id: 'key_123', expires_at: oldExpiry }
+    });
+  });
+
+  it.each([-1, 169, 1.5, '24'])('should reject an overlap of %p hours', async (overlap) => {
+    req.params.key_id = 'key_123';
+    req.body = { overlap_hours: overlap };
+
+    await controller.rotateApiKey(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_OVERLAP');
+    expect(mockService.rotateApiKey).not.toHaveBeenCalled();
+  });
+
+  it('should pass the calling key\'s scopes on so it cannot manage broader keys', async () => {
+    req.apiKeyScopes = ['api_keys:write'];
+    req.params.key_id = 'key_123';
+    req.body = { name: 'Escalated' };
+    const error = new Error('This API key cannot issue a key with scopes it does not have itself');
+    error.code = 'INSUFFICIENT_SCOPE';
+    error.statusCode = 403;
+    mockService.createApiKey.mockRejectedValueOnce(error);
+    mockService.revokeApiKey.mockResolvedValueOnce(keyRow);
+
+    await controller.createApiKey(req, res);
+    await controller.revokeApiKey(req, res);
+
+    expect(mockService.createApiKey).toHaveBeenCalledWith(
+      'merch_123', { type: 'secret', mode: 'live', name: 'Escalated', scopes: ['*'] }, ['api_keys:write']
+    );
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(mockService.revokeApiKey).toHaveBeenCalledWith('key_123', 'merch_123', ['api_keys:write']);
+  });
+
+  it('should return 404 when revoking an unknown key', async () => {
+    req.params.key_id = 'key_404';
+    const error = new Error('API key not found');
+    error.code = 'API_KEY_NOT_FOUND';
+    error.statusCode = 404;
+    mockService.revokeApiKey.mockRejectedValueOnce(error);
+
+    await controller.revokeApiKey(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
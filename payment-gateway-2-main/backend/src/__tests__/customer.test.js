@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for customers and the saved payment method vault
+ */
+
+const CustomerController = require('../controllers/CustomerController');
+const CustomerService = require('../services/CustomerService');
+
+// ============================================================================
+// CustomerService Tests
+// ============================================================================
+
+describe('CustomerService', () => {
+  let service;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      createCustomer: jest.fn(),
+      getCustomerForMerchant: jest.fn(),
+      createToken: jest.fn(),
+      listTokens: jest.fn(),
+      deleteToken: jest.fn()
+    };
+    service = new CustomerService(mockRepository);
+  });
+
+  describe('createToken', () => {
+    it('should save the network, last4 and expiry of a card', async () => {
+      mockRepository.getCustomerForMerchant.mockResolvedValueOnce({ id: 'cust_123' });
+      mockRepository.createToken.mockImplementationOnce(async (data) => data);
+
+      await service.createToken('cust_123', 'merch_123', {
+        method: 'card',
+        card: { network: 'visa', last4: '1111', fingerprint: 'f'.repeat(64), expiryMonth: 12, expiryYear: 2099 }
+      });
+
+      const saved = mockRepository.createToken.mock.calls[0][0];
+      expect(saved).toMatchObject({
+        customerId: 'cust_123',
+        merchantId: 'merch_123',
+        method: 'card',
+        cardNetwork: 'visa',
+        cardLast4: '1111',
+        cardFingerprint: 'f'.repeat(64),
+        cardExpiryMonth: 12,
+        cardExpiryYear: 2099
+      });
+      expect(saved.id).toMatch(/^token_/);
+    });
+
+    it('should save a UPI VPA', async () => {
+      mockRepository.getCustomerForMerchant.mockResolvedValueOnce({ id: 'cust_123' });
+      mockRepository.createToken.mockImplementationOnce(async (data) => data);
+
+      await service.createToken('cust_123', 'merch_123', { method: 'upi', vpa: 'asha@okaxis' });
+
+      expect(mockRepository.createToken).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'upi',
+        vpa: 'asha@okaxis'
+      }));
+    });
+
+    it('should throw 404 for another merchant\'s customer', async () => {
+      mockRepository.getCustomerForMerchant.mockResolvedValueOnce(null);
+
+      await expect(
+        service.createToken('cust_123', 'merch_other', { method: 'upi', vpa: 'asha@okaxis' })
+      ).rejects.toMatchObject({ code: 'CUSTOMER_NOT_FOUND', statusCode: 404 });
+    });
+  });
+
+  describe('deleteToken', () => {
+    it('should throw 404 when the token is not active', async () => {
+      mockRepository.getCustomerForMerchant.mockResolvedValueOnce({ id: 'cust_123' });
+      mockRepository.deleteToken.mockResolvedValueOnce(null);
+
+      await expect(
+        service.deleteToken('cust_123', 'token_missing', 'merch_123')
+      ).rejects.toMatchObject({ code: 'TOKEN_NOT_FOUND', statusCode: 404 });
+    });
+  });
+});
+
+// ============================================================================
+// CustomerController Tests
+// ============================================================================
+
+describe('CustomerController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      createCustomer: jest.fn(),
+      getCustomer: jest.fn(),
+      createToken: jest.fn(),
+      listTokens: jest.fn(),
+      deleteToken: jest.fn()
+    };
+    controller = new CustomerController(mockService);
+
+    req = { params: { customer_id: 'cust_123' }, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  describe('createCustomer', () => {
+    it('should return 400 for an invalid email', async () => {
+      req.body = { name: 'Asha', email: 'not-an-email' };
+
+      await controller.createCustomer(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({ code: 'INVALID_EMAIL' })
+      });
+      expect(mockService.createCustomer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createToken', () => {
+    it('should pass on only the masked card and return the token', async () => {
+      req.body = { method: 'card', card: { number: '4111 1111 1111 1111', expiry_month: 12, expiry_year: 2099 } };
+      mockService.createToken.mockResolvedValueOnce({
+        id: 'token_123',
+        customer_id: 'cust_123',
+        method: 'card',
+        card_network: 'visa',
+        card_last4: '1111',
+        card_expiry_month: 12,
+        card_expiry_year: 2099,
+        vpa: null
+      });
+
+      await controller.createToken(req, res);
+
+      expect(mockService.createToken).toHaveBeenCalledWith('cust_123', 'merch_123', {
+        method: 'card',
+        card: {
+          network: 'visa',
+          last4: '1111',
+          fingerprint: expect.stringMatching(/^[0-9a-f]{64}$/),
+          expiryMonth: 12,
+          expiryYear: 2099
+        }
+      });
+      expect(JSON.stringify(mockService.createToken.mock.calls[0])).not.toContain('4111111111111111');
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'token_123',
+        card: { network: 'visa', last4: '1111', expiry_month: 12, expiry_year: 2099 }
+      }));
+    });
+
+    it('should return 400 for an expired card', async () => {
+      req.body = { method: 'card', card: { number: '4111111111111111', expiry_month: 1, expiry_year: 2020 } };
+
+      await controller.createToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({ code: 'CARD_EXPIRED' })
+      });
+    });
+
+    it('should return 400 for cards from unsupported networks', async () => {
+      req.body = { method: 'card', card: { number: '9999999999999995', expiry_month: 12, expiry_year: 2099 } };
+
+      await controller.createToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({
+          code: 'UNSUPPORTED_CARD_NETWORK',
+          fields: [expect.objectContaining({ field: 'card.number' })]
+        })
+      });
+      expect(mockService.createToken).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a malformed VPA', async () => {
+      req.body = { method: 'upi', vpa: 'asha' };
+
+      await controller.createToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({ code: 'INVALID_VPA' })
+      });
+    });
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * Unit Tests for disputes and chargebacks
+ */
+
+const DisputeController = require('../controllers/DisputeController');
+const DisputeService = require('../services/DisputeService');
+const { validateEvidence } = require('../utils/disputes');
+
+const capturedPayment = {
+  id: 'pay_123',
+  merchant_id: 'merch_123',
+  status: 'partially_refunded',
+  amount: 50000,
+  captured_amount: 40000,
+  currency: 'INR',
+  refunded_amount: 10000
+};
+
+const openDispute = {
+  id: 'disp_123',
+  merchant_id: 'merch_123',
+  payment_id: 'pay_123',
+  amount: 30000,
+  currency: 'INR',
+  reason: 'fraudulent',
+  status: 'open',
+  respond_by: new Date('2026-11-08T10:00:00Z')
+};
+
+// ============================================================================
+// DisputeService Tests
+// ============================================================================
+
+describe('DisputeService', () => {
+  let service;
+  let mockRepository;
+  let mockWebhookQueue;
+  let mockLedgerService;
+
+  beforeEach(() => {
+    mockRepository = {
+      getPaymentWithRefunds: jest.fn(),
+      createDispute: jest.fn().mockImplementation(async (data) => ({
+        ...openDispute, id: data.id, amount: data.amount, respond_by: data.respondBy
+      })),
+      getDisputeById: jest.fn(),
+      getDisputeForMerchant: jest.fn(),
+      listDisputes: jest.fn(),
+      submitEvidence: jest.fn(),
+      updateDispute: jest.fn(),
+      listOverdueDisputes: jest.fn()
+    };
+    mockWebhookQueue = {
+      add: jest.fn()
+    };
+    mockLedgerService = {
+      recordDisputeHold: jest.fn().mockResolvedValue(),
+      recordDisputeRelease: jest.fn().mockResolvedValue(),
+      recordChargeback: jest.fn().mockResolvedValue()
+    };
+    service = new DisputeService(mockRepository, mockWebhookQueue, mockLedgerService);
+  });
+
+  describe('createDispute', () => {
+    const now = new Date('2026-11-01T10:00:00Z');
+
+    it('should dispute what is left of the payment, hold it and notify the merchant', async () => {
+      mockRepository.getPaymentWithRefunds.mockResolvedValueOnce(capturedPayment);
+
+      const dispute = await service.createDispute('pay_123', { reason: 'fraudulent' }, now);
+
+      expect(mockRepository.createDispute).toHaveBeenCalledWith({
+        id: expect.stringMatching(/^disp_/),
+        merchantId: 'merch_123',
+        paymentId: 'pay_123',
+        amount: 30000,
+        currency: 'INR',
+        reason: 'fraudulent',
+        respondBy: new Date('2026-11-08T10:00:00Z')
+      });
+      expect(mockLedgerService.recordDisputeHold).toHaveBeenCalledWith(dispute);
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', {
+        event: 'dispute.created',
+        disputeId: dispute.id,
+        paymentId: 'pay_123',
+        merchantId: 'merch_123'
+      });
+    });
+
+    it('should reject an amount above what is left of the payment', async () => {
+      mockRepository.getPaymentWithRefunds.mockResolvedValueOnce(capturedPayment);
+
+      await expect(service.createDispute('pay_123', { amount: 30001, reason: 'general' }, now))
+        .rejects.toMatchObject({ code: 'INVALID_AMOUNT', statusCode: 400 });
+      expect(mockRepository.createDispute).not.toHaveBeenCalled();
+    });
+
+    it('should only dispute captured payments', async () => {
+      mockRepository.getPaymentWithRefunds.mockResolvedValueOnce({ ...capturedPayment, status: 'authorized' });
+
+      await expect(service.createDispute('pay_123', { reason: 'general' }, now))
+        .rejects.toMatchObject({ code: 'PAYMENT_NOT_DISPUTABLE', statusCode: 409 });
+    });
+
+    it('should not dispute a payment twice', async () => {
+      mockRepository.getPaymentWithRefunds.mockResolvedValueOnce(capturedPayment);
+      mockRepository.createDispute.mockResolvedValueOnce(null);
+
+      await expect(service.createDispute('pay_123', { reason: 'general' }, now))
+        .rejects.toMatchObject({ code: 'DISPUTE_EXISTS', statusCode: 409 });
+      expect(mockLedgerService.recordDisputeHold).not.toHaveBeenCalled();
+    });
+
+    it('should keep the dispute when the ledger posting fails', async () => {
+      mockRepository.getPaymentWithRefunds.mockResolvedValueOnce(capturedPayment);
+      mockLedgerService.recordDisputeHold.mockRejectedValueOnce(new Error('connection reset'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(service.createDispute('pay_123', { reason: 'general' }, now)).resolves.toMatchObject({ status: 'open' });
+      expect(mockWebhookQueue.add).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('submitEvidence', () => {
+    const evidence = { uncategorized_text: 'Customer signed for the delivery' };
+
+    it('should put the dispute under review', async () => {
+      mockRepository.submitEvidence.mockResolvedValueOnce({ ...openDispute, status: 'under_review', evidence });
+
+      const dispute = await service.submitEvidence('disp_123', 'merch_123', evidence);
+
+      expect(mockRepository.submitEvidence).toHaveBeenCalledWith('disp_123', 'merch_123', evidence);
+      expect(dispute.status).toBe('under_review');
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({ event: 'dispute.under_review' }));
+    });
+
+    it('should reject evidence for a dispute that is no longer open', async () => {
+      mockRepository.submitEvidence.mockResolvedValueOnce(null);
+      mockRepository.getDisputeForMerchant.mockResolvedValueOnce({ ...openDispute, status: 'lost' });
+
+      await expect(service.submitEvidence('disp_123', 'merch_123', evidence))
+        .rejects.toMatchObject({ code: 'DISPUTE_NOT_OPEN', statusCode: 409 });
+    });
+
+    it('should reject evidence after the deadline', async () => {
+      mockRepository.submitEvidence.mockResolvedValueOnce(null);
+      mockRepository.getDisputeForMerchant.mockResolvedValueOnce(openDispute);
+
+      await expect(service.submitEvidence('disp_123', 'merch_123', evidence))
+        .rejects.toMatchObject({ code: 'EVIDENCE_DEADLINE_PASSED', statusCode: 409 });
+    });
+
+    it('should not reveal another merchant\'s dispute', async () => {
+      mockRepository.submitEvidence.mockResolvedValueOnce(null);
+      mockRepository.getDisputeForMerchant.mockResolvedValueOnce(null);
+
+      await expect(service.submitEvidence('disp_123', 'merch_other', evidence))
+        .rejects.toMatchObject({ code: 'DISPUTE_NOT_FOUND', statusCode: 404 });
+    });
+  });
+
+  describe('resolveDispute', () => {
+    it('should release the hold of a won dispute', async () => {
+      mockRepository.getDisputeById.mockResolvedValueOnce({ ...openDispute, status: 'under_review' });
+      mockRepository.updateDispute.mockImplementationOnce(async (id, from, changes) => ({ ...openDispute, ...changes }));
+
+      await service.resolveDispute('disp_123', 'won');
+
+      expect(mockRepository.updateDispute).toHaveBeenCalledWith('disp_123', ['open', 'under_review'], {
+        status: 'won', resolved_at: expect.any(Date)
+      });
+      expect(mockLedgerService.recordDisputeRelease).toHaveBeenCalled();
+      expect(mockLedgerService.recordChargeback).not.toHaveBeenCalled();
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({ event: 'dispute.won' }));
+    });
+
+    it('should release and charge back a lost dispute', async () => {
+      mockRepository.getDisputeById.mockResolvedValueOnce(openDispute);
+      mockRepository.updateDispute.mockImplementationOnce(async (id, from, changes) => ({ ...openDispute, ...changes }));
+
+      await service.resolveDispute('disp_123', 'lost');
+
+      expect(mockLedgerService.recordDisputeRelease).toHaveBeenCalled();
+      expect(mockLedgerService.recordChargeback).toHaveBeenCalledWith(expect.objectContaining({ id: 'disp_123', amount: 30000 }));
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({ event: 'dispute.lost' }));
+    });
+
+    it('should not resolve a dispute twice', async () => {
+      mockRepository.getDisputeById
+        .mockResolvedValueOnce(openDispute)
+        .mockResolvedValueOnce({ ...openDispute, status: 'won' });
+      mockRepository.updateDispute.mockResolvedValueOnce(null);
+
+      await expect(service.resolveDispute('disp_123', 'lost'))
+        .rejects.toMatchObject({ code: 'DISPUTE_ALREADY_RESOLVED', statusCode: 409 });
+      expect(mockLedgerService.recordChargeback).not.toHaveBeenCalled();
+      expect(mockWebhookQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should lose open disputes past their deadline unless evidence arrived meanwhile', async () => {
+    const now = new Date('2026-11-09T00:00:00Z');
+    mockRepository.listOverdueDisputes.mockResolvedValueOnce([openDispute, { ...openDispute, id: 'disp_456' }]);
+    mockRepository.updateDispute
+      .mockImplementationOnce(async (id, from, changes) => ({ ...openDispute, ...changes }))
+      .mockResolvedValueOnce(null);
+
+    const lost = await service.expireOverdueDisputes(now);
+
+    expect(mockRepository.listOverdueDisputes).toHaveBeenCalledWith(now, expect.any(Number));
+    expect(mockRepository.updateDispute).toHaveBeenCalledWith('disp_456', ['open'], expect.objectContaining({ status: 'lost' }));
+    expect(lost.map(dispute => dispute.id)).toEqual(['disp_123']);
+    expect(mockLedgerService.recordChargeback).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ============================================================================
+// Evidence validation Tests
+// ============================================================================
+
+describe('validateEvidence', () => {
+  it('should accept known fields with text values', () => {
+    expect(validateEvidence({ product_description: 'Annual plan', shipping_tracking_number: 'AWB123' })).toBeNull();
+  });
+
+  it('should reject empty, unknown and oversized evidence', () => {
+    expect(validateEvidence([])).toMatch(/must be an object/);
+    expect(validateEvidence({})).toMatch(/at least one of/);
+    expect(validateEvidence({ invoice_pdf: 'x' })).toMatch(/not a known evidence field/);
+    expect(validateEvidence({ refund_policy: ' ' })).toMatch(/non-empty string/);
+    expect(validateEvidence({ refund_policy: 'x'.repeat(5001) })).toMatch(/at most 5000/);
+  });
+});
+
+// ============================================================================
+// DisputeController Tests
+// ============================================================================
+
+describe('DisputeController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      listDisputes: jest.fn(),
+      getDispute: jest.fn(),
+      submitEvidence: jest.fn(),
+      createDispute: jest.fn(),
+      resolveDispute: jest.fn()
+    };
+    controller = new DisputeController(mockService);
+
+    req = { params: {}, query: {}, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  it('should list disputes with a status filter', async () => {
+    req.query = { status: 'open' };
+    mockService.listDisputes.mockResolvedValueOnce({ disputes: [openDispute], hasMore: false, nextCursor: null });
+
+    await controller.listDisputes(req, res);
+
+    expect(mockService.listDisputes).toHaveBeenCalledWith('merch_123', { status: 'open' }, { limit: 10, cursor: undefined });
+    expect(res.json).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ id: 'disp_123', payment_id: 'pay_123', amount: 30000, status: 'open', evidence: null })],
+      has_more: false,
+      next_cursor: null,
+      limit: 10
+    });
+  });
+
+  it('should reject an unknown status filter', async () => {
+    req.query = { status: 'closed' };
+
+    await controller.listDisputes(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_FILTER' }) });
+  });
+
+  it('should submit evidence', async () => {
+    const evidence = { customer_communication: 'https://merchant.example/emails.pdf' };
+    req.params.dispute_id = 'disp_123';
+    req.body = { evidence };
+    mockService.submitEvidence.mockResolvedValueOnce({ ...openDispute, status: 'under_review', evidence });
+
+    await controller.submitEvidence(req, res);
+
+    expect(mockService.submitEvidence).toHaveBeenCalledWith('disp_123', 'merch_123', evidence);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'under_review', evidence }));
+  });
+
+  it('should reject invalid evidence', async () => {
+    req.params.dispute_id = 'disp_123';
+    req.body = { evidence: { photos: 'x' } };
+
+    await controller.submitEvidence(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_EVIDENCE' }) });
+    expect(mockService.submitEvidence).not.toHaveBeenCalled();
+  });
+
+  it('should open a dispute with the default reason', async () => {
+    req.params.payment_id = 'pay_123';
+    mockService.createDispute.mockResolvedValueOnce(openDispute);
+
+    await controller.createDispute(req, res);
+
+    expect(mockService.createDispute).toHaveBeenCalledWith('pay_123', { amount: undefined, reason: 'general' });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('should reject an unknown reason or resolution', async () => {
+    req.params = { payment_id: 'pay_123', dispute_id: 'disp_123' };
+    req.body = { reason: 'changed_mind', status: 'closed' };
+
+    await controller.createDispute(req, res);
+    await controller.resolveDispute(req, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, { error: expect.objectContaining({ code: 'INVALID_REASON' }) });
+    expect(res.json).toHaveBeenNthCalledWith(2, { error: expect.objectContaining({ code: 'INVALID_STATUS' }) });
+    expect(mockService.createDispute).not.toHaveBeenCalled();
+    expect(mockService.resolveDispute).not.toHaveBeenCalled();
+  });
+});
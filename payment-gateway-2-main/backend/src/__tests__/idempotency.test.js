@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for Idempotency-Key handling
+ */
+
+const IdempotencyService = require('../services/IdempotencyService');
+const IdempotencyRepository = require('../repository/IdempotencyRepository');
+const { validateIdempotencyKey, canonicalJson, fingerprintRequest } = require('../utils/idempotency');
+
+const request = { method: 'POST', path: '/api/v1/payments', body: { order_id: 'order_123', method: 'upi' } };
+
+// ============================================================================
+// Fingerprint Tests
+// ============================================================================
+
+describe('idempotency utils', () => {
+  it('should accept keys of 1 to 255 characters', () => {
+    expect(validateIdempotencyKey('a')).toBeNull();
+    expect(validateIdempotencyKey('k'.repeat(255))).toBeNull();
+    expect(validateIdempotencyKey('')).not.toBeNull();
+    expect(validateIdempotencyKey('   ')).not.toBeNull();
+    expect(validateIdempotencyKey('k'.repeat(256))).not.toBeNull();
+  });
+
+  it('should serialize objects with sorted keys', () => {
+    expect(canonicalJson({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null } }))
+      .toBe('{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}');
+  });
+
+  it('should give the same fingerprint to bodies differing only in key order', () => {
+    expect(fingerprintRequest('POST', '/api/v1/orders', { amount: 500, currency: 'INR' }))
+      .toBe(fingerprintRequest('post', '/api/v1/orders', { currency: 'INR', amount: 500 }));
+  });
+
+  it('should give different fingerprints to different bodies and paths', () => {
+    const base = fingerprintRequest('POST', '/api/v1/orders', { amount: 500 });
+
+    expect(fingerprintRequest('POST', '/api/v1/orders', { amount: 501 })).not.toBe(base);
+    expect(fingerprintRequest('POST', '/api/v1/customers', { amount: 500 })).not.toBe(base);
+  });
+});
+
+// ============================================================================
+// IdempotencyService Tests
+// ============================================================================
+
+describe('IdempotencyService', () => {
+  let service;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      acquire: jest.fn().mockResolvedValue(true),
+      find: jest.fn(),
+      complete: jest.fn(),
+      release: jest.fn(),
+      purgeExpired: jest.fn()
+    };
+    service = new IdempotencyService(mockRepository);
+  });
+
+  describe('begin', () => {
+    it('should lock an unused key for the request', async () => {
+      const result = await service.begin('merch_123', 'key_1', request);
+
+      expect(result).toEqual({ acquired: true });
+      expect(mockRepository.acquire).toHaveBeenCalledWith(
+        'key_1',
+        'merch_123',
+        fingerprintRequest(request.method, request.path, request.body),
+        { ttlHours: expect.any(Number), lockTimeoutSeconds: expect.any(Number) }
+      );
+      expect(mockRepository.find).not.toHaveBeenCalled();
+    });
+
+    it('should replay the stored status code and body', async () => {
+      mockRepository.acquire.mockResolvedValueOnce(false);
+      mockRepository.find.mockResolvedValueOnce({
+        status: 'completed',
+        request_fingerprint: fingerprintRequest(request.method, request.path, request.body),
+        status_code: 201,
+        response_body: { id: 'pay_123' }
+      });
+
+      const result = await service.begin('merch_123', 'key_1', request);
+
+      expect(result).toEqual({ acquired: false, statusCode: 201, body: { id: 'pay_123' } });
+    });
+
+    it('should reject a key reused with different parameters', async () => {
+      mockRepository.acquire.mockResolvedValueOnce(false);
+      mockRepository.find.mockResolvedValueOnce({
+        status: 'completed',
+        request_fingerprint: fingerprintRequest('POST', '/api/v1/payments', { order_id: 'order_999' }),
+        status_code: 201,
+        response_body: { id: 'pay_123' }
+      });
+
+      await expect(service.begin('merch_123', 'key_1', request))
+        .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_MISMATCH', statusCode: 422 });
+    });
+
+    it('should refuse a retry while the first request is running', async () => {
+      mockRepository.acquire.mockResolvedValueOnce(false);
+      mockRepository.find.mockResolvedValueOnce({
+        status: 'in_progress',
+        request_fingerprint: fingerprintRequest(request.method, request.path, request.body),
+        status_code: null,
+        response_body: null
+      });
+
+      await expect(service.begin('merch_123', 'key_1', request))
+        .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_IN_USE', statusCode: 409 });
+    });
+
+    it('should replay keys stored before requests were fingerprinted with status 200', async () => {
+      mockRepository.acquire.mockResolvedValueOnce(false);
+      mockRepository.find.mockResolvedValueOnce({
+        status: 'completed',
+        request_fingerprint: null,
+        status_code: null,
+        response_body: { id: 'pay_123' }
+      });
+
+      const result = await service.begin('merch_123', 'key_1', request);
+
+      expect(result).toEqual({ acquired: false, statusCode: 200, body: { id: 'pay_123' } });
+    });
+  });
+
+  describe('complete', () => {
+    it('should store responses to replay', async () => {
+      await service.complete('merch_123', 'key_1', 400, { error: { code: 'INVALID_AMOUNT' } });
+
+      expect(mockRepository.complete).toHaveBeenCalledWith('key_1', 'merch_123', 400, { error: { code: 'INVALID_AMOUNT' } });
+      expect(mockRepository.release).not.toHaveBeenCalled();
+    });
+
+    it('should release the key after a server error so the request can be retried', async () => {
+      await service.complete('merch_123', 'key_1', 500, { error: { code: 'INTERNAL_SERVER_ERROR' } });
+
+      expect(mockRepository.release).toHaveBeenCalledWith('key_1', 'merch_123');
+      expect(mockRepository.complete).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// ============================================================================
+// IdempotencyRepository Tests
+// ============================================================================
+
+describe('IdempotencyRepository', () => {
+  let repository;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = { query: jest.fn() };
+    repository = new IdempotencyRepository(mockDb);
+  });
+
+  it('should report whether the key was locked', async () => {
+    mockDb.query.mockResolvedValueOnce({ rows: [{ key: 'key_1' }] });
+    mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+    const options = { ttlHours: 24, lockTimeoutSeconds: 60 };
+    expect(await repository.acquire('key_1', 'merch_123', 'f'.repeat(64), options)).toBe(true);
+    expect(await repository.acquire('key_1', 'merch_123', 'f'.repeat(64), options)).toBe(false);
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('ON CONFLICT (key, merchant_id) DO UPDATE'),
+      ['key_1', 'merch_123', 'f'.repeat(64), 24, 60]
+    );
+  });
+
+  it('should only release keys that are still in progress', async () => {
+    mockDb.query.mockResolvedValueOnce({ rowCount: 1 });
+
+    await repository.release('key_1', 'merch_123');
+
+    expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining("status = 'in_progress'"), ['key_1', 'merch_123']);
+  });
+
+  it('should return how many expired keys were purged', async () => {
+    mockDb.query.mockResolvedValueOnce({ rowCount: 7 });
+
+    expect(await repository.purgeExpired()).toBe(7);
+  });
+});
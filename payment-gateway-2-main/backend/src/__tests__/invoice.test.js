@@ -0,0 +1,424 @@
+/**
+ * Unit Tests for invoices and their receipts
+ */
+
+const InvoiceController = require('../controllers/InvoiceController');
+const InvoiceService = require('../services/InvoiceService');
+const { validateLineItems, validateDiscount, computeInvoiceTotals } = require('../utils/invoices');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoiceDocuments');
+
+const issuedInvoice = {
+  id: 'inv_123',
+  merchant_id: 'merch_123',
+  merchant_name: 'Atlas Studio',
+  order_id: 'order_123',
+  invoice_number: 'INV-1042',
+  customer_name: 'Asha Rao',
+  customer_email: 'asha@example.com',
+  description: 'November retainer',
+  currency: 'INR',
+  line_items: [
+    { name: 'Consulting', description: null, quantity: 2, unit_amount: 100000, tax_rate: 18, amount: 200000, discount_amount: 0, tax_amount: 36000, total: 236000 }
+  ],
+  subtotal: 200000,
+  discount_amount: 0,
+  tax_amount: 36000,
+  amount: 236000,
+  due_date: new Date('2026-12-31T00:00:00Z'),
+  status: 'issued',
+  notes: {},
+  created_at: new Date('2026-11-01T10:00:00Z')
+};
+
+// ============================================================================
+// Invoice totals
+// ============================================================================
+
+describe('invoice totals', () => {
+  it('should total quantities, discount and per-line tax', () => {
+    const totals = computeInvoiceTotals([
+      { name: 'Consulting', quantity: 10, unit_amount: 150000, tax_rate: 18 },
+      { name: 'Travel', unit_amount: 50000 }
+    ], { discountPercent: 10 });
+
+    expect(totals.subtotal).toBe(1550000);
+    expect(totals.discountAmount).toBe(155000);
+    // Consulting 1,500,000 - 150,000 discount, taxed at 18%; travel is untaxed
+    expect(totals.taxAmount).toBe(243000);
+    expect(totals.total).toBe(1550000 - 155000 + 243000);
+    expect(totals.lineItems[0]).toEqual(expect.objectContaining({
+      quantity: 10, amount: 1500000, discount_amount: 150000, tax_amount: 243000, total: 1593000
+    }));
+    expect(totals.lineItems[1]).toEqual(expect.objectContaining({
+      quantity: 1, tax_rate: 0, amount: 50000, discount_amount: 5000, tax_amount: 0, total: 45000
+    }));
+  });
+
+  it('should allocate a fixed discount exactly across lines', () => {
+    const totals = computeInvoiceTotals([
+      { name: 'A', unit_amount: 100 },
+      { name: 'B', unit_amount: 100 },
+      { name: 'C', unit_amount: 101 }
+    ], { discountAmount: 100 });
+
+    const allocated = totals.lineItems.reduce((sum, line) => sum + line.discount_amount, 0);
+    expect(allocated).toBe(100);
+    expect(totals.total).toBe(201);
+    expect(totals.lineItems.reduce((sum, line) => sum + line.total, 0)).toBe(totals.total);
+  });
+
+  it('should reject a fixed discount larger than the subtotal', () => {
+    expect(() => computeInvoiceTotals([{ name: 'A', unit_amount: 100 }], { discountAmount: 101 }))
+      .toThrow('discount_amount cannot exceed the invoice subtotal');
+  });
+
+  it('should validate line items and discounts', () => {
+    expect(validateLineItems([{ name: 'A', unit_amount: 100, tax_rate: 12.5 }])).toBeNull();
+    expect(validateLineItems([])).toMatch(/line_items must be an array/);
+    expect(validateLineItems([{ name: 'A', unit_amount: 1.5 }])).toMatch(/line_items\[0\]\.unit_amount/);
+    expect(validateLineItems([{ name: 'A', unit_amount: 100 }, { name: 'B', unit_amount: 1, quantity: 0 }]))
+      .toMatch(/line_items\[1\]\.quantity/);
+    expect(validateLineItems([{ name: 'A', unit_amount: 100, tax_rate: 12.345 }])).toMatch(/tax_rate/);
+    expect(validateDiscount({ discountAmount: 10, discountPercent: 5 })).toMatch(/either/);
+    expect(validateDiscount({ discountPercent: 101 })).toMatch(/discount_percent/);
+    expect(validateDiscount({})).toBeNull();
+  });
+});
+
+// ============================================================================
+// Receipt documents
+// ============================================================================
+
+describe('invoice documents', () => {
+  it('should render an escaped HTML invoice with totals and a PDF link', () => {
+    const html = renderInvoiceHtml(
+      { ...issuedInvoice, description: '<script>alert(1)</script>' },
+      { pdfUrl: 'http://localhost:8000/api/v1/checkout/invoices/inv_123/receipt?format=pdf' }
+    );
+
+    expect(html).toContain('Invoice from Atlas Studio');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('INR 2,360.00');
+    expect(html).toContain('Amount due');
+    expect(html).toContain('receipt?format=pdf');
+  });
+
+  it('should render a paid invoice as a receipt PDF', () => {
+    const pdf = renderInvoicePdf({
+      ...issuedInvoice,
+      status: 'paid',
+      payment_id: 'pay_123',
+      paid_at: new Date('2026-11-02T10:00:00Z')
+    });
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(text).toContain('(Receipt from Atlas Studio) Tj');
+    expect(text).toContain('(pay_123) Tj');
+    expect(text).toContain('(Amount paid) Tj');
+
+    // The cross-reference table must point at each object
+    const xrefOffset = parseInt(text.match(/startxref\n(\d+)/)[1], 10);
+    expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const firstObjectOffset = parseInt(text.slice(xrefOffset).split('\n')[3].slice(0, 10), 10);
+    expect(text.slice(firstObjectOffset, firstObjectOffset + 7)).toBe('1 0 obj');
+  });
+});
+
+// ============================================================================
+// InvoiceService Tests
+// ============================================================================
+
+describe('InvoiceService', () => {
+  let service;
+  let mockRepository;
+  let mockOrderService;
+  let mockOrderRepository;
+  let mockCustomerRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      createInvoice: jest.fn(),
+      getInvoiceForMerchant: jest.fn(),
+      getInvoiceById: jest.fn(),
+      listInvoices: jest.fn(),
+      cancelInvoice: jest.fn()
+    };
+    mockOrderService = {
+      createOrder: jest.fn()
+    };
+    mockOrderRepository = {
+      cancelOrder: jest.fn()
+    };
+    mockCustomerRepository = {
+      getCustomerForMerchant: jest.fn()
+    };
+    service = new InvoiceService(mockRepository, mockOrderService, mockOrderRepository, mockCustomerRepository);
+  });
+
+  describe('createInvoice', () => {
+    it('should create the invoice\'s order for the computed total', async () => {
+      mockOrderService.createOrder.mockResolvedValueOnce({ id: 'order_123' });
+      mockRepository.createInvoice.mockImplementationOnce(async (data) => data);
+
+      const invoice = await service.createInvoice('merch_123', {
+        lineItems: [{ name: 'Consulting', quantity: 2, unit_amount: 100000, tax_rate: 18 }],
+        currency: 'INR',
+        discountAmount: 20000,
+        invoiceNumber: 'INV-1042'
+      });
+
+      expect(invoice.id).toMatch(/^inv_/);
+      expect(mockOrderService.createOrder).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        amount: 212400,
+        currency: 'INR',
+        receipt: invoice.id
+      }));
+      expect(mockRepository.createInvoice).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: 'order_123',
+        subtotal: 200000,
+        discountAmount: 20000,
+        taxAmount: 32400,
+        amount: 212400,
+        invoiceNumber: 'INV-1042'
+      }));
+    });
+
+    it('should bill a saved customer by default and create the order for them', async () => {
+      mockCustomerRepository.getCustomerForMerchant.mockResolvedValueOnce({ id: 'cust_123', name: 'Asha Rao', email: 'asha@example.com' });
+      mockOrderService.createOrder.mockResolvedValueOnce({ id: 'order_123' });
+      mockRepository.createInvoice.mockImplementationOnce(async (data) => data);
+
+      const invoice = await service.createInvoice('merch_123', {
+        lineItems: [{ name: 'Consulting', unit_amount: 100000 }],
+        currency: 'INR',
+        customerId: 'cust_123',
+        customer: { email: 'billing@example.com' }
+      });
+
+      expect(invoice.customer).toEqual({ name: 'Asha Rao', email: 'billing@example.com' });
+      expect(mockOrderService.createOrder).toHaveBeenCalledWith('merch_123', expect.objectContaining({ customerId: 'cust_123' }));
+    });
+
+    it('should reject an invoice that totals zero', async () => {
+      await expect(service.createInvoice('merch_123', {
+        lineItems: [{ name: 'Free sample', unit_amount: 0 }],
+        currency: 'INR'
+      })).rejects.toMatchObject({ code: 'INVALID_AMOUNT', statusCode: 400 });
+      expect(mockOrderService.createOrder).not.toHaveBeenCalled();
+    });
+
+    it('should reject a discount larger than the subtotal', async () => {
+      await expect(service.createInvoice('merch_123', {
+        lineItems: [{ name: 'Consulting', unit_amount: 100 }],
+        currency: 'INR',
+        discountAmount: 500
+      })).rejects.toMatchObject({ code: 'INVALID_DISCOUNT', statusCode: 400 });
+    });
+
+    it('should reject another merchant\'s customer', async () => {
+      mockCustomerRepository.getCustomerForMerchant.mockResolvedValueOnce(null);
+
+      await expect(service.createInvoice('merch_123', {
+        lineItems: [{ name: 'Consulting', unit_amount: 100 }],
+        currency: 'INR',
+        customerId: 'cust_other'
+      })).rejects.toMatchObject({ code: 'CUSTOMER_NOT_FOUND' });
+      expect(mockOrderService.createOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelInvoice', () => {
+    it('should cancel an issued invoice and its order', async () => {
+      mockRepository.getInvoiceForMerchant.mockResolvedValueOnce(issuedInvoice);
+      mockRepository.cancelInvoice.mockResolvedValueOnce({ ...issuedInvoice, status: 'cancelled' });
+
+      const invoice = await service.cancelInvoice('inv_123', 'merch_123');
+
+      expect(invoice.status).toBe('cancelled');
+      expect(mockOrderRepository.cancelOrder).toHaveBeenCalledWith('order_123');
+    });
+
+    it('should not cancel a paid invoice', async () => {
+      mockRepository.getInvoiceForMerchant.mockResolvedValueOnce({ ...issuedInvoice, status: 'paid' });
+
+      await expect(service.cancelInvoice('inv_123', 'merch_123'))
+        .rejects.toMatchObject({ code: 'INVOICE_NOT_CANCELLABLE', statusCode: 400 });
+      expect(mockRepository.cancelInvoice).not.toHaveBeenCalled();
+    });
+
+    it('should report a concurrent payment as a conflict', async () => {
+      mockRepository.getInvoiceForMerchant.mockResolvedValueOnce(issuedInvoice);
+      mockRepository.cancelInvoice.mockResolvedValueOnce(null);
+
+      await expect(service.cancelInvoice('inv_123', 'merch_123'))
+        .rejects.toMatchObject({ code: 'INVOICE_NOT_CANCELLABLE', statusCode: 409 });
+      expect(mockOrderRepository.cancelOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listInvoices', () => {
+    it('should page with one extra row and reject unknown cursors', async () => {
+      mockRepository.listInvoices.mockResolvedValueOnce([{ id: 'inv_3' }, { id: 'inv_2' }, { id: 'inv_1' }]);
+
+      const result = await service.listInvoices('merch_123', { status: 'issued' }, { limit: 2 });
+
+      expect(mockRepository.listInvoices).toHaveBeenCalledWith('merch_123', { status: 'issued' }, { limit: 3, cursor: undefined });
+      expect(result).toEqual({ invoices: [{ id: 'inv_3' }, { id: 'inv_2' }], hasMore: true, nextCursor: 'inv_2' });
+
+      mockRepository.getInvoiceForMerchant.mockResolvedValueOnce(null);
+      await expect(service.listInvoices('merch_123', {}, { limit: 2, cursor: 'inv_x' }))
+        .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+  });
+
+  it('should return 404 for an unknown hosted invoice', async () => {
+    mockRepository.getInvoiceById.mockResolvedValueOnce(null);
+
+    await expect(service.getCheckoutInvoice('inv_missing'))
+      .rejects.toMatchObject({ code: 'INVOICE_NOT_FOUND', statusCode: 404 });
+  });
+});
+
+// ============================================================================
+// InvoiceController Tests
+// ============================================================================
+
+describe('InvoiceController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      createInvoice: jest.fn(),
+      getInvoice: jest.fn(),
+      listInvoices: jest.fn(),
+      cancelInvoice: jest.fn(),
+      getCheckoutInvoice: jest.fn()
+    };
+    controller = new InvoiceController(mockService);
+
+    req = { params: {}, query: {}, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis()
+    };
+  });
+
+  describe('createInvoice', () => {
+    it('should create an invoice and return its hosted and receipt URLs', async () => {
+      req.body = {
+        currency: 'inr',
+        invoice_number: 'INV-1042',
+        line_items: [{ name: 'Consulting', quantity: 2, unit_amount: 100000, tax_rate: 18 }],
+        due_date: '2999-12-31'
+      };
+      mockService.createInvoice.mockResolvedValueOnce(issuedInvoice);
+
+      await controller.createInvoice(req, res);
+
+      expect(mockService.createInvoice).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        currency: 'INR',
+        invoiceNumber: 'INV-1042',
+        dueDate: new Date('2999-12-31T00:00:00Z')
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'inv_123',
+        short_url: expect.stringContaining('?invoice=inv_123'),
+        receipt_url: expect.stringContaining('/api/v1/checkout/invoices/inv_123/receipt'),
+        amount: 236000,
+        status: 'issued'
+      }));
+    });
+
+    it.each([
+      [{}, 'MISSING_LINE_ITEMS'],
+      [{ line_items: [{ name: 'A' }] }, 'INVALID_LINE_ITEMS'],
+      [{ line_items: [{ name: 'A', unit_amount: 100 }], currency: 'XYZ' }, 'INVALID_CURRENCY'],
+      [{ line_items: [{ name: 'A', unit_amount: 100 }], discount_percent: -1 }, 'INVALID_DISCOUNT'],
+      [{ line_items: [{ name: 'A', unit_amount: 100 }], due_date: '2000-01-01' }, 'INVALID_DUE_DATE'],
+      [{ line_items: [{ name: 'A', unit_amount: 100 }], due_date: 'soon' }, 'INVALID_DUE_DATE'],
+      [{ line_items: [{ name: 'A', unit_amount: 100 }], invoice_number: 'x'.repeat(41) }, 'INVALID_INVOICE_NUMBER'],
+      [{ line_items: [{ name: 'A', unit_amount: 100 }], customer: { email: 'nope' } }, 'INVALID_CUSTOMER']
+    ])('should reject %j with %s', async (body, code) => {
+      req.body = body;
+
+      await controller.createInvoice(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code }) });
+      expect(mockService.createInvoice).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listInvoices', () => {
+    it('should reject an unknown status filter', async () => {
+      req.query = { status: 'overdue' };
+
+      await controller.listInvoices(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_FILTER' }) });
+    });
+  });
+
+  describe('getCheckoutInvoice', () => {
+    it('should expose the itemized bill without merchant notes', async () => {
+      req.params.invoice_id = 'inv_123';
+      mockService.getCheckoutInvoice.mockResolvedValueOnce({ ...issuedInvoice, notes: { internal: 'yes' } });
+
+      await controller.getCheckoutInvoice(req, res);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body).toEqual(expect.objectContaining({
+        order_id: 'order_123',
+        merchant_name: 'Atlas Studio',
+        currency_exponent: 2,
+        line_items: issuedInvoice.line_items,
+        amount: 236000
+      }));
+      expect(body.notes).toBeUndefined();
+    });
+  });
+
+  describe('getInvoiceReceipt', () => {
+    it('should serve the HTML receipt by default', async () => {
+      req.params.invoice_id = 'inv_123';
+      mockService.getCheckoutInvoice.mockResolvedValueOnce(issuedInvoice);
+
+      await controller.getInvoiceReceipt(req, res);
+
+      expect(res.type).toHaveBeenCalledWith('html');
+      expect(res.send).toHaveBeenCalledWith(expect.stringContaining('INV-1042'));
+    });
+
+    it('should serve the PDF as a download', async () => {
+      req.params.invoice_id = 'inv_123';
+      req.query = { format: 'pdf' };
+      mockService.getCheckoutInvoice.mockResolvedValueOnce(issuedInvoice);
+
+      await controller.getInvoiceReceipt(req, res);
+
+      expect(res.set).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="INV-1042.pdf"');
+      expect(res.type).toHaveBeenCalledWith('application/pdf');
+      expect(Buffer.isBuffer(res.send.mock.calls[0][0])).toBe(true);
+    });
+
+    it('should reject unknown formats', async () => {
+      req.query = { format: 'docx' };
+
+      await controller.getInvoiceReceipt(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockService.getCheckoutInvoice).not.toHaveBeenCalled();
+    });
+  });
+});
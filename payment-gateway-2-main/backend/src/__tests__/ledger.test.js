@@ -0,0 +1,238 @@
+/**
+ * Unit Tests for the double-entry ledger and merchant balances
+ */
+
+const LedgerController = require('../controllers/LedgerController');
+const LedgerService = require('../services/LedgerService');
+const LedgerRepository = require('../repository/LedgerRepository');
+
+const capturedPayment = {
+  id: 'pay_123',
+  merchant_id: 'merch_123',
+  currency: 'INR',
+  amount: 10000,
+  captured_amount: 8000,
+  fee: 160,
+  tax: 29
+};
+
+// Sum of debits and credits of the entries of one postJournal call
+function totals(journal) {
+  return journal.entries.reduce(
+    (sum, entry) => ({ debit: sum.debit + entry.debit, credit: sum.credit + entry.credit }),
+    { debit: 0, credit: 0 }
+  );
+}
+
+// ============================================================================
+// LedgerService Tests
+// ============================================================================
+
+describe('LedgerService', () => {
+  let service;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      postJournal: jest.fn().mockImplementation(async (data) => ({ id: data.id, type: data.type })),
+      getAccountBalances: jest.fn(),
+      listUnbalancedJournals: jest.fn(),
+      getTrialBalance: jest.fn(),
+      listUnpostedCaptures: jest.fn().mockResolvedValue([]),
+      listUnpostedRefunds: jest.fn().mockResolvedValue([]),
+      listUnpostedDisputes: jest.fn().mockResolvedValue([]),
+      listUnpostedPayouts: jest.fn().mockResolvedValue([])
+    };
+    service = new LedgerService(mockRepository);
+  });
+
+  describe('recordCapture', () => {
+    it('should post the captured amount and the fee and tax as balanced journals', async () => {
+      await service.recordCapture(capturedPayment);
+
+      const [capture, fee] = mockRepository.postJournal.mock.calls.map(([journal]) => journal);
+      expect(capture).toEqual({
+        id: expect.stringMatching(/^jrnl_/),
+        type: 'capture',
+        merchantId: 'merch_123',
+        currency: 'INR',
+        referenceId: 'pay_123',
+        paymentId: 'pay_123',
+        entries: [
+          { account: 'acquirer_receivable', merchant_id: null, debit: 8000, credit: 0 },
+          { account: 'merchant_balance', merchant_id: 'merch_123', debit: 0, credit: 8000 }
+        ]
+      });
+      expect(fee.type).toBe('fee');
+      expect(fee.entries).toEqual([
+        { account: 'merchant_balance', merchant_id: 'merch_123', debit: 189, credit: 0 },
+        { account: 'fee_revenue', merchant_id: null, debit: 0, credit: 160 },
+        { account: 'tax_payable', merchant_id: null, debit: 0, credit: 29 }
+      ]);
+      expect(totals(fee)).toEqual({ debit: 189, credit: 189 });
+    });
+
+    it('should not post a fee journal for a payment charged no fee', async () => {
+      await service.recordCapture({ ...capturedPayment, fee: 0, tax: 0 });
+
+      expect(mockRepository.postJournal).toHaveBeenCalledTimes(1);
+      expect(mockRepository.postJournal).toHaveBeenCalledWith(expect.objectContaining({ type: 'capture' }));
+    });
+  });
+
+  it('should debit the merchant for refunds, chargebacks and payouts', async () => {
+    await service.recordRefund({ id: 'rfnd_1', payment_id: 'pay_123', merchant_id: 'merch_123', currency: 'INR', amount: 500 });
+    await service.recordChargeback({ id: 'disp_1', payment_id: 'pay_123', merchant_id: 'merch_123', currency: 'INR', amount: 700 });
+    await service.recordPayout({ id: 'setl_1', merchant_id: 'merch_123', currency: 'INR', amount: 7000 });
+
+    const journals = mockRepository.postJournal.mock.calls.map(([journal]) => journal);
+    expect(journals.map(journal => [journal.type, journal.referenceId, journal.paymentId])).toEqual([
+      ['refund', 'rfnd_1', 'pay_123'],
+      ['chargeback', 'disp_1', 'pay_123'],
+      ['payout', 'setl_1', null]
+    ]);
+    for (const journal of journals) {
+      expect(journal.entries[0]).toMatchObject({ account: 'merchant_balance', merchant_id: 'merch_123', credit: 0 });
+      expect(totals(journal).debit).toBe(totals(journal).credit);
+    }
+    expect(journals[2].entries[1]).toMatchObject({ account: 'gateway_bank', credit: 7000 });
+  });
+
+  it('should hold a disputed amount in the merchant\'s dispute reserve and release it', async () => {
+    const dispute = { id: 'disp_1', payment_id: 'pay_123', merchant_id: 'merch_123', currency: 'INR', amount: 700 };
+
+    await service.recordDisputeHold(dispute);
+    await service.recordDisputeRelease(dispute);
+
+    const [hold, release] = mockRepository.postJournal.mock.calls.map(([journal]) => journal);
+    expect(hold).toMatchObject({ type: 'dispute_hold', referenceId: 'disp_1', paymentId: 'pay_123' });
+    expect(hold.entries).toEqual([
+      { account: 'merchant_balance', merchant_id: 'merch_123', debit: 700, credit: 0 },
+      { account: 'dispute_reserve', merchant_id: 'merch_123', debit: 0, credit: 700 }
+    ]);
+    expect(release.type).toBe('dispute_release');
+    expect(release.entries).toEqual([
+      { account: 'dispute_reserve', merchant_id: 'merch_123', debit: 700, credit: 0 },
+      { account: 'merchant_balance', merchant_id: 'merch_123', debit: 0, credit: 700 }
+    ]);
+  });
+
+  it('should post missed captures, refunds and payouts', async () => {
+    const before = new Date('2026-11-02T10:00:00Z');
+    mockRepository.listUnpostedCaptures.mockResolvedValueOnce([capturedPayment]);
+    mockRepository.listUnpostedPayouts.mockResolvedValueOnce([{ id: 'setl_1', merchant_id: 'merch_123', currency: 'INR', amount: 7000 }]);
+
+    const posted = await service.postMissingJournals(before);
+
+    expect(mockRepository.listUnpostedCaptures).toHaveBeenCalledWith(before, expect.any(Number));
+    expect(posted).toEqual({ captures: 1, refunds: 0, disputes: 0, payouts: 1 });
+    expect(mockRepository.postJournal.mock.calls.map(([journal]) => journal.type)).toEqual(['capture', 'fee', 'payout']);
+  });
+
+  it('should post a missed dispute hold before its release and chargeback', async () => {
+    const before = new Date('2026-11-02T10:00:00Z');
+    const lost = { id: 'disp_1', payment_id: 'pay_123', merchant_id: 'merch_123', currency: 'INR', amount: 700, status: 'lost' };
+    mockRepository.listUnpostedDisputes.mockImplementation(async () => [lost]);
+
+    const posted = await service.postMissingJournals(before);
+
+    expect(mockRepository.listUnpostedDisputes.mock.calls.map(([type]) => type))
+      .toEqual(['dispute_hold', 'dispute_release', 'chargeback']);
+    expect(posted.disputes).toBe(3);
+    expect(mockRepository.postJournal.mock.calls.map(([journal]) => journal.type))
+      .toEqual(['dispute_hold', 'dispute_release', 'chargeback']);
+  });
+
+  describe('checkInvariants', () => {
+    it('should report a balanced ledger', async () => {
+      mockRepository.listUnbalancedJournals.mockResolvedValueOnce([]);
+      mockRepository.getTrialBalance.mockResolvedValueOnce([{ currency: 'INR', debit: 8189, credit: 8189 }]);
+
+      const report = await service.checkInvariants();
+
+      expect(report.balanced).toBe(true);
+    });
+
+    it('should report unbalanced journals', async () => {
+      const unbalanced = { id: 'jrnl_1', type: 'fee', reference_id: 'pay_123', debit: 189, credit: 160 };
+      mockRepository.listUnbalancedJournals.mockResolvedValueOnce([unbalanced]);
+      mockRepository.getTrialBalance.mockResolvedValueOnce([{ currency: 'INR', debit: 8189, credit: 8160 }]);
+
+      const report = await service.checkInvariants();
+
+      expect(report).toEqual({
+        balanced: false,
+        unbalancedJournals: [unbalanced],
+        trialBalance: [{ currency: 'INR', debit: 8189, credit: 8160 }]
+      });
+    });
+  });
+});
+
+// ============================================================================
+// LedgerRepository Tests
+// ============================================================================
+
+describe('LedgerRepository', () => {
+  it('should post a journal and its entries in one statement, once per movement', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+    const repository = new LedgerRepository(db);
+    const entries = [
+      { account: 'merchant_balance', merchant_id: 'merch_123', debit: 500, credit: 0 },
+      { account: 'acquirer_receivable', merchant_id: null, debit: 0, credit: 500 }
+    ];
+
+    const journal = await repository.postJournal({
+      id: 'jrnl_1', type: 'refund', merchantId: 'merch_123', currency: 'INR', referenceId: 'rfnd_1', paymentId: 'pay_123', entries
+    });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/ON CONFLICT \(type, reference_id\) DO NOTHING/);
+    expect(sql).toMatch(/INSERT INTO ledger_entries/);
+    expect(params).toEqual(['jrnl_1', 'refund', 'merch_123', 'INR', 'rfnd_1', 'pay_123', JSON.stringify(entries)]);
+    expect(journal).toBeNull();
+  });
+
+  it('should return balances as numbers', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rows: [{ currency: 'INR', balance: '7811' }] }) };
+    const repository = new LedgerRepository(db);
+
+    const balances = await repository.getAccountBalances('merchant_balance', 'merch_123');
+
+    expect(db.query.mock.calls[0][1]).toEqual(['merch_123', 'merchant_balance']);
+    expect(balances).toEqual([{ currency: 'INR', balance: 7811 }]);
+  });
+});
+
+// ============================================================================
+// LedgerController Tests
+// ============================================================================
+
+describe('LedgerController', () => {
+  let controller;
+  let mockService;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      getBalance: jest.fn()
+    };
+    controller = new LedgerController(mockService);
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  it('should return the merchant\'s balance per currency', async () => {
+    mockService.getBalance.mockResolvedValueOnce([{ currency: 'INR', balance: 7811 }, { currency: 'USD', balance: 0 }]);
+
+    await controller.getBalance({ merchantId: 'merch_123' }, res);
+
+    expect(mockService.getBalance).toHaveBeenCalledWith('merch_123');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      data: [{ currency: 'INR', balance: 7811 }, { currency: 'USD', balance: 0 }]
+    });
+  });
+});
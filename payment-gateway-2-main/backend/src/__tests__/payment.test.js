@@ -0,0 +1,1283 @@
+/**
+ * Unit Tests for payment creation, the payment state machine and the Payment read path
+ */
+
+const PaymentController = require('../controllers/PaymentController');
+const PaymentService = require('../services/PaymentService');
+const PaymentRepository = require('../repository/PaymentRepository');
+const PaymentStateMachine = require('../services/PaymentStateMachine');
+const { validateCard, validateVpa, validateBank, validateWallet } = require('../utils/paymentMethods');
+
+// ============================================================================
+// PaymentRepository Tests
+// ============================================================================
+
+describe('PaymentRepository', () => {
+  let repository;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = {
+      query: jest.fn()
+    };
+    repository = new PaymentRepository(mockDb);
+  });
+
+  describe('getPaymentForMerchant', () => {
+    it('should scope the lookup to the merchant', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await repository.getPaymentForMerchant('pay_123', 'merch_123');
+
+      expect(result).toBeNull();
+      expect(mockDb.query).toHaveBeenCalledWith(
+        'SELECT * FROM payments WHERE id = $1 AND merchant_id = $2',
+        ['pay_123', 'merch_123']
+      );
+    });
+  });
+
+  describe('listPayments', () => {
+    it('should build parameterised filters in order', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      await repository.listPayments(
+        'merch_123',
+        { status: 'captured', amountMin: 100, amountMax: 500 },
+        { limit: 11, cursor: 'pay_999' }
+      );
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain('status = $2');
+      expect(sql).toContain('amount >= $3');
+      expect(sql).toContain('amount <= $4');
+      expect(sql).toContain('(created_at, id) < (SELECT created_at, id FROM payments WHERE id = $5 AND merchant_id = $1)');
+      expect(sql).toContain('LIMIT $6');
+      expect(params).toEqual(['merch_123', 'captured', 100, 500, 'pay_999', 11]);
+    });
+
+    it('should filter on the method and its instrument', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      await repository.listPayments('merch_123', { method: 'netbanking', bank: 'HDFC' }, { limit: 11 });
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain('method = $2');
+      expect(sql).toContain('bank = $3');
+      expect(params).toEqual(['merch_123', 'netbanking', 'HDFC', 11]);
+    });
+  });
+
+  describe('transitionStatus', () => {
+    it('should guard on the previous status and record the transition', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [{ id: 'pay_123', status: 'cancelled' }] });
+
+      const result = await repository.transitionStatus('pay_123', 'pending', 'cancelled', {
+        actor: 'merchant:merch_123',
+        reason: 'duplicate',
+        changes: { cancellation_reason: 'duplicate' }
+      });
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain('SET status = $3, updated_at = NOW(), cancellation_reason = $6');
+      expect(sql).toContain('WHERE id = $1 AND status = $2');
+      expect(sql).toContain('INSERT INTO payment_status_history');
+      expect(params).toEqual(['pay_123', 'pending', 'cancelled', 'merchant:merch_123', 'duplicate', 'duplicate']);
+      expect(result).toEqual({ id: 'pay_123', status: 'cancelled' });
+    });
+
+    it('should return null when the payment left the expected status', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await repository.transitionStatus('pay_123', 'authorized', 'captured', { actor: 'worker:payment' });
+
+      expect(result).toBeNull();
+    });
+
+    it('should refuse to set columns outside the transition whitelist', async () => {
+      await expect(
+        repository.transitionStatus('pay_123', 'authorized', 'captured', {
+          actor: 'worker:payment',
+          changes: { amount: 1 }
+        })
+      ).rejects.toThrow('Column cannot be set on a status transition: amount');
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listPayments notes filter', () => {
+    it('should match notes by JSONB containment', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      await repository.listPayments('merch_123', { notes: { customer_ref: 'C-1042' } }, { limit: 11 });
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain('notes @> $2::jsonb');
+      expect(params).toEqual(['merch_123', '{"customer_ref":"C-1042"}', 11]);
+    });
+  });
+
+  describe('getRefundsForPayments', () => {
+    it('should not query when there are no payments', async () => {
+      const result = await repository.getRefundsForPayments([]);
+
+      expect(result).toEqual([]);
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// ============================================================================
+// PaymentStateMachine Tests
+// ============================================================================
+
+describe('PaymentStateMachine', () => {
+  let stateMachine;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      transitionStatus: jest.fn()
+    };
+    stateMachine = new PaymentStateMachine(mockRepository);
+  });
+
+  it('should follow the happy path from created to refunded', () => {
+    const path = ['created', 'pending', 'authorized', 'captured', 'partially_refunded', 'refunded'];
+    for (let i = 1; i < path.length; i++) {
+      expect(PaymentStateMachine.canTransition(path[i - 1], path[i])).toBe(true);
+    }
+  });
+
+  it('should treat failed, cancelled, expired and refunded as final', () => {
+    for (const status of ['failed', 'cancelled', 'expired', 'refunded']) {
+      expect(PaymentStateMachine.TRANSITIONS[status]).toEqual([]);
+    }
+  });
+
+  it('should let payments held for review be approved or rejected', () => {
+    expect(PaymentStateMachine.canTransition('created', 'review')).toBe(true);
+    expect(PaymentStateMachine.canTransition('review', 'pending')).toBe(true);
+    expect(PaymentStateMachine.canTransition('review', 'failed')).toBe(true);
+    expect(PaymentStateMachine.canTransition('review', 'authorized')).toBe(false);
+  });
+
+  it('should reject overwriting a captured payment with failed', async () => {
+    await expect(
+      stateMachine.transition({ id: 'pay_123', status: 'captured' }, 'failed', { actor: 'worker:payment' })
+    ).rejects.toMatchObject({ code: 'INVALID_STATE_TRANSITION', statusCode: 409 });
+    expect(mockRepository.transitionStatus).not.toHaveBeenCalled();
+  });
+
+  it('should apply legal transitions against the status that was read', async () => {
+    mockRepository.transitionStatus.mockResolvedValueOnce({ id: 'pay_123', status: 'expired' });
+
+    const result = await stateMachine.transition({ id: 'pay_123', status: 'authorized' }, 'expired', {
+      actor: 'worker:authorization',
+      reason: 'Authorization window lapsed'
+    });
+
+    expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'authorized', 'expired', {
+      actor: 'worker:authorization',
+      reason: 'Authorization window lapsed',
+      changes: {}
+    });
+    expect(result.status).toBe('expired');
+  });
+});
+
+// ============================================================================
+// Payment Instrument Validation Tests
+// ============================================================================
+
+describe('Payment instrument validation', () => {
+  const validCard = { number: '4111 1111 1111 1111', expiry_month: 12, expiry_year: 2099, cvv: '123', name: 'Asha Rao' };
+
+  it('should derive the network, last4 and fingerprint of a valid card', () => {
+    expect(validateCard(validCard)).toEqual({
+      errors: [],
+      details: {
+        network: 'visa',
+        last4: '1111',
+        fingerprint: expect.stringMatching(/^[0-9a-f]{64}$/),
+        expiryMonth: 12,
+        expiryYear: 2099,
+        name: 'Asha Rao'
+      }
+    });
+  });
+
+  it('should give the same card the same fingerprint however it is typed', () => {
+    const fingerprint = validateCard(validCard).details.fingerprint;
+
+    expect(validateCard({ ...validCard, number: '4111-1111-1111-1111' }).details.fingerprint).toBe(fingerprint);
+    expect(validateCard({ ...validCard, number: '5555555555554444' }).details.fingerprint).not.toBe(fingerprint);
+    expect(fingerprint).not.toContain('4111111111111111');
+  });
+
+  it('should detect each supported network', () => {
+    const networks = {
+      '5555555555554444': 'mastercard',
+      '2223003122003222': 'mastercard',
+      '6521111111111110': 'rupay',
+      '378282246310005': 'amex'
+    };
+    for (const [number, network] of Object.entries(networks)) {
+      const cvv = network === 'amex' ? '1234' : '123';
+      expect(validateCard({ ...validCard, number, cvv }).details.network).toBe(network);
+    }
+  });
+
+  it('should reject numbers failing the Luhn check', () => {
+    const { errors } = validateCard({ ...validCard, number: '4111111111111112' });
+
+    expect(errors).toEqual([expect.objectContaining({ field: 'card.number', code: 'INVALID_CARD_NUMBER' })]);
+  });
+
+  it('should accept two-digit expiry years and reject expired cards', () => {
+    expect(validateCard({ ...validCard, expiry_year: 99 }).details.expiryYear).toBe(2099);
+    expect(validateCard({ ...validCard, expiry_month: 1, expiry_year: 2020 }).errors).toEqual([
+      expect.objectContaining({ field: 'card.expiry_year', code: 'CARD_EXPIRED' })
+    ]);
+  });
+
+  it('should require a four-digit CVV for Amex', () => {
+    const { errors } = validateCard({ ...validCard, number: '378282246310005', cvv: '123' });
+
+    expect(errors).toEqual([expect.objectContaining({ field: 'card.cvv', code: 'INVALID_CVV' })]);
+  });
+
+  it('should report every invalid field at once', () => {
+    const { errors } = validateCard({ number: '1234', expiry_month: 13, expiry_year: 2099, cvv: 'abc', name: '' });
+
+    expect(errors.map(e => e.field)).toEqual(['card.number', 'card.expiry_month', 'card.cvv', 'card.name']);
+  });
+
+  it('should validate UPI VPAs', () => {
+    expect(validateVpa('asha@okaxis')).toEqual([]);
+    expect(validateVpa('asha')).toEqual([expect.objectContaining({ field: 'vpa', code: 'INVALID_VPA' })]);
+    expect(validateVpa(undefined)).toEqual([expect.objectContaining({ field: 'vpa', code: 'MISSING_VPA' })]);
+  });
+
+  it('should only accept supported banks and wallets', () => {
+    expect(validateBank('HDFC')).toEqual([]);
+    expect(validateBank('XXXX')).toEqual([expect.objectContaining({ field: 'bank', code: 'UNSUPPORTED_BANK' })]);
+    expect(validateBank('toString')).toEqual([expect.objectContaining({ code: 'UNSUPPORTED_BANK' })]);
+    expect(validateWallet('paytm')).toEqual([]);
+    expect(validateWallet(undefined)).toEqual([expect.objectContaining({ field: 'wallet', code: 'MISSING_WALLET' })]);
+  });
+});
+
+// ============================================================================
+// PaymentService Tests
+// ============================================================================
+
+describe('PaymentService', () => {
+  let service;
+  let mockRepository;
+  let mockOrderRepository;
+  let mockQueue;
+  let mockWebhookQueue;
+  let mockCustomerRepository;
+  let mockPaymentLinkRepository;
+  let mockInvoiceRepository;
+  let mockPricingService;
+  let mockLedgerService;
+  let mockRiskService;
+  let mockAcquirerService;
+  let mockSubscriptionQueue;
+
+  beforeEach(() => {
+    mockRepository = {
+      createPayment: jest.fn(),
+      getPaymentForMerchant: jest.fn(),
+      getHostedPayment: jest.fn(),
+      listPayments: jest.fn(),
+      paymentExistsForMerchant: jest.fn(),
+      getRefundsForPayments: jest.fn(),
+      getStatusHistory: jest.fn(),
+      transitionStatus: jest.fn()
+    };
+    mockOrderRepository = {
+      getOrderForMerchant: jest.fn(),
+      getHostedOrder: jest.fn(),
+      recordAttempt: jest.fn(),
+      markPaid: jest.fn()
+    };
+    mockQueue = {
+      add: jest.fn(),
+      getJob: jest.fn()
+    };
+    mockWebhookQueue = {
+      add: jest.fn()
+    };
+    mockCustomerRepository = {
+      getCustomerForMerchant: jest.fn(),
+      getTokenForMerchant: jest.fn()
+    };
+    mockPaymentLinkRepository = {
+      markPaidForOrder: jest.fn().mockResolvedValue(null)
+    };
+    mockInvoiceRepository = {
+      markPaidForOrder: jest.fn().mockResolvedValue(null)
+    };
+    mockPricingService = {
+      priceCapture: jest.fn().mockResolvedValue({ fee: 100, tax: 18, pricing_plan_id: 'price_default_v1' })
+    };
+    mockLedgerService = {
+      recordCapture: jest.fn().mockResolvedValue()
+    };
+    mockRiskService = {
+      evaluate: jest.fn().mockResolvedValue({ score: 0, decision: 'allow', reasons: [] })
+    };
+    mockAcquirerService = {
+      capture: jest.fn().mockResolvedValue({ status: 'captured' }),
+      void: jest.fn().mockResolvedValue({ status: 'voided' }),
+      reverseCapture: jest.fn().mockResolvedValue({ status: 'processed' })
+    };
+    mockSubscriptionQueue = {
+      add: jest.fn()
+    };
+    service = new PaymentService(
+      mockRepository, mockOrderRepository, mockQueue, mockWebhookQueue, mockCustomerRepository,
+      mockPaymentLinkRepository, mockInvoiceRepository, mockPricingService, mockLedgerService, mockRiskService,
+      mockAcquirerService, mockSubscriptionQueue
+    );
+  });
+
+  describe('createPayment', () => {
+    const mockOrder = {
+      id: 'order_123',
+      merchant_id: 'merch_123',
+      amount: 50000,
+      status: 'created'
+    };
+
+    it('should charge the order amount and record the attempt', async () => {
+      mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce(mockOrder);
+      mockRepository.createPayment.mockImplementationOnce(async (data) => ({ id: data.id, amount: data.amount, status: data.status }));
+      mockRepository.transitionStatus.mockImplementationOnce(async (id, from, to) => ({ id, amount: 50000, status: to }));
+
+      const result = await service.createPayment('merch_123', { orderId: 'order_123', method: 'upi' });
+
+      expect(mockRepository.createPayment).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: 'order_123',
+        merchantId: 'merch_123',
+        amount: 50000,
+        status: 'created',
+        actor: 'merchant:merch_123'
+      }));
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith(result.id, 'created', 'pending', expect.objectContaining({
+        actor: 'merchant:merch_123'
+      }));
+      expect(result.status).toBe('pending');
+      expect(mockOrderRepository.recordAttempt).toHaveBeenCalledWith('order_123');
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'process-payment',
+        { paymentId: result.id },
+        { jobId: `process_${result.id}` }
+      );
+    });
+
+    it('should store the masked instrument on the payment', async () => {
+      mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce(mockOrder);
+      mockRepository.createPayment.mockImplementationOnce(async (data) => ({ id: data.id, status: data.status }));
+      mockRepository.transitionStatus.mockImplementationOnce(async (id, from, to) => ({ id, status: to }));
+
+      await service.createPayment('merch_123', {
+        orderId: 'order_123',
+        method: 'card',
+        instrument: { cardNetwork: 'visa', cardLast4: '1111' }
+      });
+
+      expect(mockRepository.createPayment).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'card',
+        cardNetwork: 'visa',
+        cardLast4: '1111',
+        vpa: undefined
+      }));
+    });
+
+    it('should reject an amount that does not match the order', async () => {
+      mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce(mockOrder);
+
+      await expect(
+        service.createPayment('merch_123', { orderId: 'order_123', amount: 100, method: 'upi' })
+      ).rejects.toMatchObject({ code: 'AMOUNT_MISMATCH' });
+      expect(mockRepository.createPayment).not.toHaveBeenCalled();
+    });
+
+    it('should reject payments for an order that is already paid', async () => {
+      mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce({ ...mockOrder, status: 'paid' });
+
+      await expect(
+        service.createPayment('merch_123', { orderId: 'order_123', method: 'upi' })
+      ).rejects.toMatchObject({ code: 'ORDER_ALREADY_PAID' });
+    });
+
+    it('should reject a second payment while the order has one in progress', async () => {
+      mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce(mockOrder);
+      mockRepository.createPayment.mockResolvedValueOnce(null);
+
+      await expect(
+        service.createPayment('merch_123', { orderId: 'order_123', method: 'upi', instrument: { vpa: 'user@okhdfc' } })
+      ).rejects.toMatchObject({ code: 'ORDER_PAYMENT_IN_PROGRESS', statusCode: 409 });
+      expect(mockOrderRepository.recordAttempt).not.toHaveBeenCalled();
+      expect(mockQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should reject payments for cancelled or expired orders', async () => {
+      mockOrderRepository.getOrderForMerchant
+        .mockResolvedValueOnce({ ...mockOrder, status: 'cancelled' })
+        .mockResolvedValueOnce({ ...mockOrder, expire_by: new Date(Date.now() - 1000) });
+
+      await expect(
+        service.createPayment('merch_123', { orderId: 'order_123', method: 'upi' })
+      ).rejects.toMatchObject({ code: 'ORDER_CANCELLED' });
+      await expect(
+        service.createPayment('merch_123', { orderId: 'order_123', method: 'upi' })
+      ).rejects.toMatchObject({ code: 'ORDER_EXPIRED' });
+      expect(mockRepository.createPayment).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown orders', async () => {
+      mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce(null);
+
+      await expect(
+        service.createPayment('merch_123', { orderId: 'order_missing', method: 'upi' })
+      ).rejects.toMatchObject({ code: 'ORDER_NOT_FOUND' });
+    });
+
+    describe('with a saved token', () => {
+      const savedCard = {
+        id: 'token_123',
+        customer_id: 'cust_123',
+        merchant_id: 'merch_123',
+        method: 'card',
+        card_network: 'mastercard',
+        card_last4: '4444',
+        card_expiry_month: 12,
+        card_expiry_year: 2099
+      };
+
+      it('should charge the token with its method and customer', async () => {
+        mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce(mockOrder);
+        mockCustomerRepository.getTokenForMerchant.mockResolvedValueOnce(savedCard);
+        mockRepository.createPayment.mockImplementationOnce(async (data) => ({ id: data.id, status: data.status }));
+        mockRepository.transitionStatus.mockImplementationOnce(async (id, from, to) => ({ id, status: to }));
+
+        await service.createPayment('merch_123', { orderId: 'order_123', tokenId: 'token_123' });
+
+        expect(mockCustomerRepository.getTokenForMerchant).toHaveBeenCalledWith('token_123', 'merch_123');
+        expect(mockRepository.createPayment).toHaveBeenCalledWith(expect.objectContaining({
+          method: 'card',
+          cardNetwork: 'mastercard',
+          cardLast4: '4444',
+          customerId: 'cust_123',
+          tokenId: 'token_123'
+        }));
+      });
+
+      it('should reject a token of another customer', async () => {
+        mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce({ ...mockOrder, customer_id: 'cust_other' });
+        mockCustomerRepository.getTokenForMerchant.mockResolvedValueOnce(savedCard);
+
+        await expect(
+          service.createPayment('merch_123', { orderId: 'order_123', tokenId: 'token_123' })
+        ).rejects.toMatchObject({ code: 'TOKEN_CUSTOMER_MISMATCH' });
+        expect(mockRepository.createPayment).not.toHaveBeenCalled();
+      });
+
+      it('should reject an expired saved card', async () => {
+        mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce(mockOrder);
+        mockCustomerRepository.getTokenForMerchant.mockResolvedValueOnce({ ...savedCard, card_expiry_year: 2020 });
+
+        await expect(
+          service.createPayment('merch_123', { orderId: 'order_123', tokenId: 'token_123' })
+        ).rejects.toMatchObject({ code: 'CARD_EXPIRED' });
+      });
+
+      it('should not let the checkout charge tokens on orders without a customer', async () => {
+        mockOrderRepository.getHostedOrder.mockResolvedValueOnce(mockOrder);
+
+        await expect(
+          service.createCheckoutPayment('order_123', null, { tokenId: 'token_123' })
+        ).rejects.toMatchObject({ code: 'TOKEN_NOT_FOUND' });
+        expect(mockCustomerRepository.getTokenForMerchant).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('risk screening', () => {
+      beforeEach(() => {
+        mockOrderRepository.getOrderForMerchant.mockResolvedValueOnce({ ...mockOrder, currency: 'INR' });
+        mockRepository.createPayment.mockImplementationOnce(async (data) => ({
+          id: data.id, merchant_id: data.merchantId, status: data.status
+        }));
+        mockRepository.transitionStatus.mockImplementationOnce(async (id, from, to, { changes }) => ({
+          id, merchant_id: 'merch_123', status: to, ...changes
+        }));
+      });
+
+      it('should screen the payment and store the verdict', async () => {
+        await service.createPayment('merch_123', {
+          orderId: 'order_123',
+          method: 'card',
+          instrument: { cardNetwork: 'visa', cardLast4: '1111', cardFingerprint: 'f'.repeat(64) },
+          ip: '203.0.113.7'
+        });
+
+        expect(mockRiskService.evaluate).toHaveBeenCalledWith('merch_123', {
+          amount: 50000,
+          currency: 'INR',
+          method: 'card',
+          cardNetwork: 'visa',
+          cardFingerprint: 'f'.repeat(64),
+          vpa: undefined,
+          customerId: null,
+          ip: '203.0.113.7'
+        });
+        expect(mockRepository.createPayment).toHaveBeenCalledWith(expect.objectContaining({
+          cardFingerprint: 'f'.repeat(64),
+          ipAddress: '203.0.113.7',
+          risk: { score: 0, decision: 'allow', reasons: [] }
+        }));
+      });
+
+      it('should fail a blocked payment with RISK_BLOCKED without queueing it', async () => {
+        mockRiskService.evaluate.mockResolvedValueOnce({ score: 100, decision: 'block', reasons: ['BLOCKLISTED_IP'] });
+
+        const result = await service.createPayment('merch_123', { orderId: 'order_123', method: 'upi', ip: '203.0.113.7' });
+
+        expect(mockRepository.transitionStatus).toHaveBeenCalledWith(result.id, 'created', 'failed', expect.objectContaining({
+          actor: 'system:risk',
+          changes: expect.objectContaining({ error_code: 'RISK_BLOCKED' })
+        }));
+        expect(result).toMatchObject({ status: 'failed', error_code: 'RISK_BLOCKED' });
+        expect(mockRepository.createPayment).toHaveBeenCalledWith(expect.objectContaining({
+          risk: { score: 100, decision: 'block', reasons: ['BLOCKLISTED_IP'] }
+        }));
+        expect(mockQueue.add).not.toHaveBeenCalled();
+        expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({ event: 'payment.failed' }));
+      });
+
+      it('should hold a reviewed payment without queueing it', async () => {
+        mockRiskService.evaluate.mockResolvedValueOnce({ score: 50, decision: 'review', reasons: ['VELOCITY_CARD'] });
+
+        const result = await service.createPayment('merch_123', { orderId: 'order_123', method: 'upi' });
+
+        expect(result.status).toBe('review');
+        expect(mockQueue.add).not.toHaveBeenCalled();
+        expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({ event: 'payment.under_review' }));
+      });
+
+      it('should not screen subscription charges', async () => {
+        await service.createPayment('merch_123', { orderId: 'order_123', method: 'upi', subscriptionId: 'sub_123' });
+
+        expect(mockRiskService.evaluate).not.toHaveBeenCalled();
+        expect(mockRepository.createPayment).toHaveBeenCalledWith(expect.objectContaining({ risk: null }));
+        expect(mockQueue.add).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('approvePayment and rejectPayment', () => {
+    const reviewPayment = { id: 'pay_123', merchant_id: 'merch_123', status: 'review' };
+
+    it('should queue an approved payment', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(reviewPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...reviewPayment, status: 'pending' });
+
+      const result = await service.approvePayment('pay_123', 'merch_123');
+
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'review', 'pending', expect.objectContaining({
+        actor: 'merchant:merch_123'
+      }));
+      expect(result.status).toBe('pending');
+      expect(mockQueue.add).toHaveBeenCalledWith('process-payment', { paymentId: 'pay_123' }, { jobId: 'process_pay_123' });
+    });
+
+    it('should fail a rejected payment with RISK_REJECTED', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(reviewPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...reviewPayment, status: 'failed' });
+
+      await service.rejectPayment('pay_123', 'merch_123', 'Mismatched address');
+
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'review', 'failed', expect.objectContaining({
+        reason: 'Mismatched address',
+        changes: expect.objectContaining({ error_code: 'RISK_REJECTED' })
+      }));
+      expect(mockQueue.add).not.toHaveBeenCalled();
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({ event: 'payment.failed' }));
+    });
+
+    it('should only act on payments in review', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ ...reviewPayment, status: 'pending' });
+
+      await expect(
+        service.approvePayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'PAYMENT_NOT_IN_REVIEW', statusCode: 409 });
+      expect(mockRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('capturePayment', () => {
+    const authorizedPayment = {
+      id: 'pay_123',
+      order_id: 'order_123',
+      merchant_id: 'merch_123',
+      amount: 5000,
+      status: 'authorized',
+      authorization_expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    };
+
+    it('should capture the full amount by default and notify the merchant', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...authorizedPayment, status: 'captured', captured_amount: 5000 });
+
+      await service.capturePayment('pay_123', 'merch_123');
+
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'authorized', 'captured', expect.objectContaining({
+        actor: 'merchant:merch_123',
+        changes: expect.objectContaining({ captured: true, captured_amount: 5000 })
+      }));
+      expect(mockOrderRepository.markPaid).toHaveBeenCalledWith('order_123');
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({
+        event: 'payment.captured',
+        paymentId: 'pay_123'
+      }));
+    });
+
+    it('should post the capture to the ledger and not fail the capture if posting fails', async () => {
+      const capturedPayment = { ...authorizedPayment, status: 'captured', captured_amount: 5000, fee: 100, tax: 18 };
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce(capturedPayment);
+      mockLedgerService.recordCapture.mockRejectedValueOnce(new Error('connection reset'));
+
+      const result = await service.capturePayment('pay_123', 'merch_123');
+
+      expect(mockLedgerService.recordCapture).toHaveBeenCalledWith(capturedPayment);
+      expect(result).toBe(capturedPayment);
+      expect(mockOrderRepository.markPaid).toHaveBeenCalledWith('order_123');
+    });
+
+    it('should mark the order\'s payment link paid and notify the merchant', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...authorizedPayment, status: 'captured', captured_amount: 5000 });
+      mockPaymentLinkRepository.markPaidForOrder.mockResolvedValueOnce({ id: 'plink_123', status: 'paid' });
+
+      await service.capturePayment('pay_123', 'merch_123');
+
+      expect(mockPaymentLinkRepository.markPaidForOrder).toHaveBeenCalledWith('order_123', 'pay_123');
+      expect(mockWebhookQueue.add).toHaveBeenLastCalledWith('send-webhook', {
+        event: 'payment_link.paid',
+        paymentId: 'pay_123',
+        paymentLinkId: 'plink_123',
+        merchantId: 'merch_123'
+      });
+    });
+
+    it('should mark the order\'s invoice paid and notify the merchant', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...authorizedPayment, status: 'captured', captured_amount: 5000 });
+      mockInvoiceRepository.markPaidForOrder.mockResolvedValueOnce({ id: 'inv_123', status: 'paid' });
+
+      await service.capturePayment('pay_123', 'merch_123');
+
+      expect(mockInvoiceRepository.markPaidForOrder).toHaveBeenCalledWith('order_123', 'pay_123');
+      expect(mockWebhookQueue.add).toHaveBeenLastCalledWith('send-webhook', {
+        event: 'invoice.paid',
+        paymentId: 'pay_123',
+        invoiceId: 'inv_123',
+        merchantId: 'merch_123'
+      });
+    });
+
+    it('should support partial capture', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...authorizedPayment, status: 'captured', captured_amount: 3000 });
+
+      await service.capturePayment('pay_123', 'merch_123', 3000);
+
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'authorized', 'captured', expect.objectContaining({
+        changes: expect.objectContaining({ captured_amount: 3000 })
+      }));
+    });
+
+    it('should store the fee and tax charged on the captured amount', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...authorizedPayment, status: 'captured', captured_amount: 3000 });
+
+      await service.capturePayment('pay_123', 'merch_123', 3000);
+
+      expect(mockPricingService.priceCapture).toHaveBeenCalledWith(authorizedPayment, 3000);
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'authorized', 'captured', expect.objectContaining({
+        changes: expect.objectContaining({ fee: 100, tax: 18, pricing_plan_id: 'price_default_v1' })
+      }));
+    });
+
+    it('should leave the payment authorized and uncaptured when it cannot be priced', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockPricingService.priceCapture.mockRejectedValueOnce(new Error('No pricing plan applies to merchant merch_123'));
+
+      await expect(service.capturePayment('pay_123', 'merch_123')).rejects.toThrow('No pricing plan applies');
+
+      expect(mockAcquirerService.capture).not.toHaveBeenCalled();
+      expect(mockRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should report a conflict when the payment changed state concurrently', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce(null);
+
+      await expect(
+        service.capturePayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'PAYMENT_NOT_CAPTURABLE', statusCode: 409 });
+      expect(mockAcquirerService.reverseCapture).toHaveBeenCalledWith(authorizedPayment, authorizedPayment.amount);
+      expect(mockWebhookQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should reject capturing more than was authorized', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+
+      await expect(
+        service.capturePayment('pay_123', 'merch_123', 6000)
+      ).rejects.toMatchObject({ code: 'CAPTURE_AMOUNT_EXCEEDS_AUTHORIZED' });
+    });
+
+    it('should reject payments that are not authorized', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ ...authorizedPayment, status: 'captured' });
+
+      await expect(
+        service.capturePayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'PAYMENT_NOT_CAPTURABLE' });
+    });
+
+    it('should reject captures after the authorization window', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({
+        ...authorizedPayment,
+        authorization_expires_at: new Date(Date.now() - 1000)
+      });
+
+      await expect(
+        service.capturePayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'AUTHORIZATION_EXPIRED' });
+      expect(mockRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should capture with the acquirer before capturing the payment', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...authorizedPayment, status: 'captured', captured_amount: 3000 });
+
+      await service.capturePayment('pay_123', 'merch_123', 3000);
+
+      expect(mockAcquirerService.capture).toHaveBeenCalledWith(authorizedPayment, 3000);
+    });
+
+    it('should keep the payment authorized when the acquirer declines the capture', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockAcquirerService.capture.mockResolvedValueOnce({ status: 'declined', errorDescription: 'Authorization expired at issuer' });
+
+      await expect(
+        service.capturePayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'CAPTURE_DECLINED', statusCode: 402, message: 'Authorization expired at issuer' });
+      expect(mockRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should report an unreachable acquirer as retryable', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(authorizedPayment);
+      mockAcquirerService.capture.mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'));
+
+      await expect(
+        service.capturePayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'ACQUIRER_UNAVAILABLE', statusCode: 502 });
+      expect(mockRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelPayment', () => {
+    const pendingPayment = { id: 'pay_123', merchant_id: 'merch_123', status: 'pending' };
+
+    it('should remove a queued job and cancel the payment', async () => {
+      const job = { getState: jest.fn().mockResolvedValue('waiting'), remove: jest.fn() };
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(pendingPayment);
+      mockQueue.getJob.mockResolvedValueOnce(job);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...pendingPayment, status: 'cancelled' });
+
+      await service.cancelPayment('pay_123', 'merch_123', 'duplicate order');
+
+      expect(mockQueue.getJob).toHaveBeenCalledWith('process_pay_123');
+      expect(job.remove).toHaveBeenCalled();
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'pending', 'cancelled', expect.objectContaining({
+        reason: 'duplicate order',
+        changes: expect.objectContaining({ cancellation_reason: 'duplicate order' })
+      }));
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({
+        event: 'payment.cancelled'
+      }));
+      expect(mockSubscriptionQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should fail the charge of the subscription a cancelled payment bills', async () => {
+      const subscriptionPayment = { ...pendingPayment, subscription_id: 'sub_123' };
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(subscriptionPayment);
+      mockQueue.getJob.mockResolvedValueOnce(null);
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...subscriptionPayment, status: 'cancelled' });
+
+      await service.cancelPayment('pay_123', 'merch_123');
+
+      expect(mockSubscriptionQueue.add).toHaveBeenCalledWith('subscription-payment', {
+        subscriptionId: 'sub_123',
+        paymentId: 'pay_123',
+        status: 'cancelled'
+      }, { jobId: 'outcome_pay_123' });
+    });
+
+    it('should refuse to cancel a payment a worker is processing', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(pendingPayment);
+      mockQueue.getJob.mockResolvedValueOnce({ getState: jest.fn().mockResolvedValue('active'), remove: jest.fn() });
+
+      await expect(
+        service.cancelPayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'PAYMENT_PROCESSING', statusCode: 409 });
+      expect(mockRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should void an authorized payment without touching the queue', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ ...pendingPayment, status: 'authorized' });
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...pendingPayment, status: 'cancelled' });
+
+      await service.cancelPayment('pay_123', 'merch_123');
+
+      expect(mockQueue.getJob).not.toHaveBeenCalled();
+      expect(mockAcquirerService.void).toHaveBeenCalledWith(expect.objectContaining({ id: 'pay_123' }));
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'authorized', 'cancelled', expect.objectContaining({
+        reason: null
+      }));
+    });
+
+    it('should keep an authorized payment when the acquirer declines the void', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ ...pendingPayment, status: 'authorized' });
+      mockAcquirerService.void.mockResolvedValueOnce({ status: 'declined', errorDescription: null });
+
+      await expect(
+        service.cancelPayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'VOID_DECLINED', statusCode: 409 });
+      expect(mockRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should cancel a pending payment even if the acquirer it was sent to cannot void it', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ ...pendingPayment, acquirer: 'mock' });
+      mockQueue.getJob.mockResolvedValueOnce(null);
+      mockAcquirerService.void.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+      mockRepository.transitionStatus.mockResolvedValueOnce({ ...pendingPayment, status: 'cancelled' });
+
+      await service.cancelPayment('pay_123', 'merch_123');
+
+      expect(mockAcquirerService.void).toHaveBeenCalled();
+      expect(mockRepository.transitionStatus).toHaveBeenCalledWith('pay_123', 'pending', 'cancelled', expect.anything());
+    });
+
+    it('should reject cancelling a settled payment', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ ...pendingPayment, status: 'captured' });
+
+      await expect(
+        service.cancelPayment('pay_123', 'merch_123')
+      ).rejects.toMatchObject({ code: 'PAYMENT_NOT_CANCELLABLE' });
+    });
+  });
+
+  describe('getPayment', () => {
+    it('should return the payment with its refunds', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ id: 'pay_123', amount: 5000 });
+      mockRepository.getRefundsForPayments.mockResolvedValueOnce([{ id: 'rfnd_1', payment_id: 'pay_123' }]);
+
+      const result = await service.getPayment('pay_123', 'merch_123');
+
+      expect(result.refunds).toHaveLength(1);
+      expect(mockRepository.getRefundsForPayments).toHaveBeenCalledWith(['pay_123']);
+    });
+
+    it('should throw 404 when the payment belongs to another merchant', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(null);
+
+      await expect(service.getPayment('pay_123', 'merch_other')).rejects.toMatchObject({
+        code: 'PAYMENT_NOT_FOUND',
+        statusCode: 404
+      });
+    });
+  });
+
+  describe('getCheckoutPayment', () => {
+    it('should scope the payment to the publishable key\'s merchant', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ id: 'pay_123', status: 'pending' });
+
+      await service.getCheckoutPayment('pay_123', 'merch_123');
+
+      expect(mockRepository.getPaymentForMerchant).toHaveBeenCalledWith('pay_123', 'merch_123');
+      expect(mockRepository.getHostedPayment).not.toHaveBeenCalled();
+    });
+
+    it('should only find payment link and invoice payments without a key', async () => {
+      mockRepository.getHostedPayment.mockResolvedValueOnce(null);
+
+      await expect(service.getCheckoutPayment('pay_123', null)).rejects.toMatchObject({
+        code: 'PAYMENT_NOT_FOUND',
+        statusCode: 404
+      });
+      expect(mockRepository.getPaymentForMerchant).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPaymentTimeline', () => {
+    it('should return the history of a merchant\'s payment', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce({ id: 'pay_123', status: 'captured' });
+      mockRepository.getStatusHistory.mockResolvedValueOnce([{ to_status: 'created' }]);
+
+      const result = await service.getPaymentTimeline('pay_123', 'merch_123');
+
+      expect(mockRepository.getStatusHistory).toHaveBeenCalledWith('pay_123');
+      expect(result.history).toHaveLength(1);
+    });
+
+    it('should throw 404 for another merchant\'s payment', async () => {
+      mockRepository.getPaymentForMerchant.mockResolvedValueOnce(null);
+
+      await expect(service.getPaymentTimeline('pay_123', 'merch_other')).rejects.toMatchObject({
+        code: 'PAYMENT_NOT_FOUND',
+        statusCode: 404
+      });
+      expect(mockRepository.getStatusHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listPayments', () => {
+    it('should report the next cursor when more rows exist', async () => {
+      mockRepository.listPayments.mockResolvedValueOnce([{ id: 'pay_3' }, { id: 'pay_2' }, { id: 'pay_1' }]);
+      mockRepository.getRefundsForPayments.mockResolvedValueOnce([{ id: 'rfnd_1', payment_id: 'pay_2' }]);
+
+      const result = await service.listPayments('merch_123', {}, { limit: 2 });
+
+      expect(mockRepository.listPayments).toHaveBeenCalledWith('merch_123', {}, { limit: 3, cursor: undefined });
+      expect(result.hasMore).toBe(true);
+      expect(result.nextCursor).toBe('pay_2');
+      expect(result.payments.map(p => p.refunds.length)).toEqual([0, 1]);
+    });
+
+    it('should return no cursor on the last page', async () => {
+      mockRepository.listPayments.mockResolvedValueOnce([{ id: 'pay_1' }]);
+      mockRepository.getRefundsForPayments.mockResolvedValueOnce([]);
+
+      const result = await service.listPayments('merch_123', {}, { limit: 2 });
+
+      expect(result.hasMore).toBe(false);
+      expect(result.nextCursor).toBeNull();
+    });
+
+    it('should reject a cursor from another merchant', async () => {
+      mockRepository.paymentExistsForMerchant.mockResolvedValueOnce(false);
+
+      await expect(
+        service.listPayments('merch_123', {}, { limit: 10, cursor: 'pay_foreign' })
+      ).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+      expect(mockRepository.listPayments).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// ============================================================================
+// PaymentController Tests
+// ============================================================================
+
+describe('PaymentController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      createPayment: jest.fn(),
+      getPayment: jest.fn(),
+      getCheckoutPayment: jest.fn(),
+      getPaymentTimeline: jest.fn(),
+      listPayments: jest.fn()
+    };
+    controller = new PaymentController(mockService);
+
+    req = { params: {}, query: {}, headers: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  describe('createPayment', () => {
+    it('should pass only the masked card to the service and return it', async () => {
+      req.body = {
+        order_id: 'order_123',
+        method: 'card',
+        card: { number: '4111 1111 1111 1111', expiry_month: 12, expiry_year: 2099, cvv: '123', name: 'Asha Rao' }
+      };
+      mockService.createPayment.mockResolvedValueOnce({
+        id: 'pay_123',
+        order_id: 'order_123',
+        method: 'card',
+        status: 'pending',
+        card_network: 'visa',
+        card_last4: '1111',
+        vpa: null
+      });
+
+      await controller.createPayment(req, res);
+
+      expect(mockService.createPayment).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        method: 'card',
+        instrument: { cardNetwork: 'visa', cardLast4: '1111', cardFingerprint: expect.stringMatching(/^[0-9a-f]{64}$/) }
+      }));
+      expect(JSON.stringify(mockService.createPayment.mock.calls[0])).not.toMatch(/4111111111111111|"123"/);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        card: { network: 'visa', last4: '1111', fingerprint: null },
+        vpa: null
+      }));
+    });
+
+    it('should return field-level errors for an invalid card', async () => {
+      req.body = {
+        order_id: 'order_123',
+        method: 'card',
+        card: { number: '4111111111111112', expiry_month: 12, expiry_year: 2099 }
+      };
+
+      await controller.createPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({
+          code: 'INVALID_PAYMENT_INSTRUMENT',
+          fields: [
+            expect.objectContaining({ field: 'card.number', code: 'INVALID_CARD_NUMBER' }),
+            expect.objectContaining({ field: 'card.cvv', code: 'INVALID_CVV' })
+          ]
+        })
+      });
+      expect(mockService.createPayment).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown methods', async () => {
+      req.body = { order_id: 'order_123', method: 'cash' };
+
+      await controller.createPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({
+          code: 'INVALID_PAYMENT_INSTRUMENT',
+          fields: [expect.objectContaining({ field: 'method', code: 'INVALID_METHOD' })]
+        })
+      });
+    });
+
+    it('should accept a UPI VPA', async () => {
+      req.body = { order_id: 'order_123', method: 'upi', vpa: 'asha@okaxis' };
+      mockService.createPayment.mockResolvedValueOnce({ id: 'pay_123', method: 'upi', status: 'pending', vpa: 'asha@okaxis' });
+
+      await controller.createPayment(req, res);
+
+      expect(mockService.createPayment).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        instrument: { vpa: 'asha@okaxis' }
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should accept a netbanking bank and return it', async () => {
+      req.body = { order_id: 'order_123', method: 'netbanking', bank: 'SBIN' };
+      mockService.createPayment.mockResolvedValueOnce({ id: 'pay_123', method: 'netbanking', status: 'pending', bank: 'SBIN' });
+
+      await controller.createPayment(req, res);
+
+      expect(mockService.createPayment).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        method: 'netbanking',
+        instrument: { bank: 'SBIN' }
+      }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ bank: 'SBIN', wallet: null, card: null }));
+    });
+
+    it('should return a field error for a missing wallet', async () => {
+      req.body = { order_id: 'order_123', method: 'wallet' };
+
+      await controller.createPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({
+          code: 'INVALID_PAYMENT_INSTRUMENT',
+          fields: [expect.objectContaining({ field: 'wallet', code: 'MISSING_WALLET' })]
+        })
+      });
+    });
+  });
+
+  describe('listPayments', () => {
+    it('should translate query parameters into filters', async () => {
+      req.query = {
+        status: 'captured',
+        order_id: 'order_1',
+        created_at: { gte: '2026-01-01T00:00:00Z' },
+        amount: { lte: '5000' },
+        limit: '25'
+      };
+      mockService.listPayments.mockResolvedValueOnce({ payments: [], hasMore: false, nextCursor: null });
+
+      await controller.listPayments(req, res);
+
+      expect(mockService.listPayments).toHaveBeenCalledWith(
+        'merch_123',
+        {
+          status: 'captured',
+          orderId: 'order_1',
+          createdFrom: new Date('2026-01-01T00:00:00Z'),
+          amountMax: 5000
+        },
+        { limit: 25, cursor: undefined }
+      );
+      expect(res.json).toHaveBeenCalledWith({ data: [], has_more: false, next_cursor: null, limit: 25 });
+    });
+
+    it('should translate notes[key] parameters into a notes filter', async () => {
+      req.query = { notes: { customer_ref: 'C-1042' } };
+      mockService.listPayments.mockResolvedValueOnce({ payments: [], hasMore: false, nextCursor: null });
+
+      await controller.listPayments(req, res);
+
+      expect(mockService.listPayments).toHaveBeenCalledWith(
+        'merch_123',
+        { notes: { customer_ref: 'C-1042' } },
+        { limit: 10, cursor: undefined }
+      );
+    });
+
+    it('should return 400 for a bare notes parameter', async () => {
+      req.query = { notes: 'C-1042' };
+
+      await controller.listPayments(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockService.listPayments).not.toHaveBeenCalled();
+    });
+
+    it('should translate method breakdown parameters into filters', async () => {
+      req.query = { method: 'wallet', wallet: 'phonepe' };
+      mockService.listPayments.mockResolvedValueOnce({ payments: [], hasMore: false, nextCursor: null });
+
+      await controller.listPayments(req, res);
+
+      expect(mockService.listPayments).toHaveBeenCalledWith(
+        'merch_123',
+        { method: 'wallet', wallet: 'phonepe' },
+        { limit: 10, cursor: undefined }
+      );
+    });
+
+    it('should return 400 for an unknown method or bank', async () => {
+      for (const query of [{ method: 'cash' }, { bank: 'XXXX' }, { card_network: 'diners' }]) {
+        req.query = query;
+        await controller.listPayments(req, res);
+      }
+
+      expect(res.status.mock.calls).toEqual([[400], [400], [400]]);
+      expect(mockService.listPayments).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an unknown status', async () => {
+      req.query = { status: 'success' };
+
+      await controller.listPayments(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockService.listPayments).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid date filter', async () => {
+      req.query = { created_at: { gte: 'yesterday-ish' } };
+
+      await controller.listPayments(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockService.listPayments).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when limit is out of range', async () => {
+      req.query = { limit: '500' };
+
+      await controller.listPayments(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({ code: 'INVALID_LIMIT' })
+      });
+    });
+  });
+
+  describe('getPayment', () => {
+    it('should return 404 when the service cannot find the payment', async () => {
+      const error = new Error('Payment not found');
+      error.code = 'PAYMENT_NOT_FOUND';
+      error.statusCode = 404;
+      mockService.getPayment.mockRejectedValueOnce(error);
+      req.params.payment_id = 'pay_missing';
+
+      await controller.getPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getCheckoutPayment', () => {
+    it('should only show the payer the payment\'s status', async () => {
+      mockService.getCheckoutPayment.mockResolvedValueOnce({
+        id: 'pay_123', order_id: 'order_123', status: 'failed', amount: 5000, error_code: 'PAYMENT_FAILED',
+        error_description: 'Declined', risk_score: 80, notes: { internal: 'x' }
+      });
+      req.params.payment_id = 'pay_123';
+
+      await controller.getCheckoutPayment(req, res);
+
+      expect(mockService.getCheckoutPayment).toHaveBeenCalledWith('pay_123', 'merch_123');
+      expect(res.json).toHaveBeenCalledWith({
+        id: 'pay_123',
+        order_id: 'order_123',
+        status: 'failed',
+        error_code: 'PAYMENT_FAILED',
+        error_description: 'Declined'
+      });
+    });
+  });
+
+  describe('getPaymentTimeline', () => {
+    it('should return the transitions with the current status', async () => {
+      const at = new Date('2026-01-01T00:00:00Z');
+      mockService.getPaymentTimeline.mockResolvedValueOnce({
+        payment: { id: 'pay_123', status: 'pending' },
+        history: [
+          { id: 1, payment_id: 'pay_123', from_status: null, to_status: 'created', actor: 'checkout', reason: null, created_at: at },
+          { id: 2, payment_id: 'pay_123', from_status: 'created', to_status: 'pending', actor: 'checkout', reason: null, created_at: at }
+        ]
+      });
+      req.params.payment_id = 'pay_123';
+
+      await controller.getPaymentTimeline(req, res);
+
+      expect(mockService.getPaymentTimeline).toHaveBeenCalledWith('pay_123', 'merch_123');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        payment_id: 'pay_123',
+        status: 'pending',
+        timeline: [
+          { from_status: null, to_status: 'created', actor: 'checkout', reason: null, created_at: at },
+          { from_status: 'created', to_status: 'pending', actor: 'checkout', reason: null, created_at: at }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Unit Tests for shareable payment links
+ */
+
+const PaymentLinkController = require('../controllers/PaymentLinkController');
+const PaymentLinkService = require('../services/PaymentLinkService');
+
+// ============================================================================
+// PaymentLinkService Tests
+// ============================================================================
+
+describe('PaymentLinkService', () => {
+  let service;
+  let mockRepository;
+  let mockOrderService;
+  let mockOrderRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      createLink: jest.fn(),
+      getLinkForMerchant: jest.fn(),
+      getLinkById: jest.fn(),
+      listLinks: jest.fn(),
+      expireDueLinks: jest.fn(),
+      cancelLink: jest.fn()
+    };
+    mockOrderService = {
+      createOrder: jest.fn()
+    };
+    mockOrderRepository = {
+      cancelOrder: jest.fn()
+    };
+    service = new PaymentLinkService(mockRepository, mockOrderService, mockOrderRepository);
+  });
+
+  describe('createLink', () => {
+    it('should create the link\'s order with the same amount and expiry', async () => {
+      const expireBy = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      mockOrderService.createOrder.mockResolvedValueOnce({ id: 'order_123' });
+      mockRepository.createLink.mockImplementationOnce(async (data) => data);
+
+      const link = await service.createLink('merch_123', {
+        amount: 150000,
+        currency: 'INR',
+        description: 'Invoice #1042',
+        expireBy
+      });
+
+      expect(link.id).toMatch(/^plink_/);
+      expect(mockOrderService.createOrder).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        amount: 150000,
+        currency: 'INR',
+        receipt: link.id,
+        expireBy
+      }));
+      expect(mockRepository.createLink).toHaveBeenCalledWith(expect.objectContaining({
+        merchantId: 'merch_123',
+        orderId: 'order_123',
+        description: 'Invoice #1042'
+      }));
+    });
+  });
+
+  describe('getLink', () => {
+    it('should expire due links before reading', async () => {
+      mockRepository.getLinkForMerchant.mockResolvedValueOnce({ id: 'plink_123', status: 'expired' });
+
+      const link = await service.getLink('plink_123', 'merch_123');
+
+      expect(mockRepository.expireDueLinks).toHaveBeenCalledWith('merch_123');
+      expect(link.status).toBe('expired');
+    });
+
+    it('should throw 404 for another merchant\'s link', async () => {
+      mockRepository.getLinkForMerchant.mockResolvedValueOnce(null);
+
+      await expect(service.getLink('plink_123', 'merch_other'))
+        .rejects.toMatchObject({ code: 'PAYMENT_LINK_NOT_FOUND', statusCode: 404 });
+    });
+  });
+
+  describe('cancelLink', () => {
+    it('should cancel an open link and its order', async () => {
+      mockRepository.getLinkForMerchant.mockResolvedValueOnce({ id: 'plink_123', status: 'created', order_id: 'order_123' });
+      mockRepository.cancelLink.mockResolvedValueOnce({ id: 'plink_123', status: 'cancelled', order_id: 'order_123' });
+
+      const link = await service.cancelLink('plink_123', 'merch_123');
+
+      expect(link.status).toBe('cancelled');
+      expect(mockOrderRepository.cancelOrder).toHaveBeenCalledWith('order_123');
+    });
+
+    it('should reject cancelling a paid link', async () => {
+      mockRepository.getLinkForMerchant.mockResolvedValueOnce({ id: 'plink_123', status: 'paid', order_id: 'order_123' });
+
+      await expect(service.cancelLink('plink_123', 'merch_123'))
+        .rejects.toMatchObject({ code: 'PAYMENT_LINK_NOT_CANCELLABLE' });
+      expect(mockRepository.cancelLink).not.toHaveBeenCalled();
+      expect(mockOrderRepository.cancelOrder).not.toHaveBeenCalled();
+    });
+
+    it('should report a conflict when the link changed state concurrently', async () => {
+      mockRepository.getLinkForMerchant.mockResolvedValueOnce({ id: 'plink_123', status: 'created', order_id: 'order_123' });
+      mockRepository.cancelLink.mockResolvedValueOnce(null);
+
+      await expect(service.cancelLink('plink_123', 'merch_123'))
+        .rejects.toMatchObject({ code: 'PAYMENT_LINK_NOT_CANCELLABLE', statusCode: 409 });
+    });
+  });
+
+  describe('getCheckoutLink', () => {
+    it('should report a link past its expiry as expired', async () => {
+      mockRepository.getLinkById.mockResolvedValueOnce({
+        id: 'plink_123',
+        merchant_id: 'merch_123',
+        status: 'created',
+        expire_by: new Date(Date.now() - 1000)
+      });
+
+      const link = await service.getCheckoutLink('plink_123');
+
+      expect(link.status).toBe('expired');
+      expect(mockRepository.expireDueLinks).toHaveBeenCalledWith('merch_123');
+    });
+  });
+});
+
+// ============================================================================
+// PaymentLinkController Tests
+// ============================================================================
+
+describe('PaymentLinkController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      createLink: jest.fn(),
+      getLink: jest.fn(),
+      listLinks: jest.fn(),
+      cancelLink: jest.fn(),
+      getCheckoutLink: jest.fn()
+    };
+    controller = new PaymentLinkController(mockService);
+
+    req = { params: {}, query: {}, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  describe('createLink', () => {
+    it('should create a link and return its hosted URL', async () => {
+      req.body = {
+        amount: 150000,
+        description: 'Invoice #1042',
+        customer: { name: 'Asha Rao', email: 'asha@example.com' },
+        notify: { email: true },
+        reminder_enable: true
+      };
+      mockService.createLink.mockResolvedValueOnce({
+        id: 'plink_123',
+        order_id: 'order_123',
+        amount: 150000,
+        currency: 'INR',
+        status: 'created',
+        customer_email: 'asha@example.com',
+        notify_email: true,
+        notify_sms: false,
+        reminder_enable: true
+      });
+
+      await controller.createLink(req, res);
+
+      expect(mockService.createLink).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        amount: 150000,
+        currency: 'INR',
+        reminderEnable: true,
+        expireBy: undefined
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'plink_123',
+        short_url: expect.stringMatching(/\?payment_link=plink_123$/),
+        status: 'created',
+        notify: { email: true, sms: false }
+      }));
+    });
+
+    it('should return 400 for an expiry in the past', async () => {
+      req.body = { amount: 1000, expire_by: '2020-01-01T00:00:00Z' };
+
+      await controller.createLink(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({ code: 'INVALID_EXPIRE_BY' })
+      });
+      expect(mockService.createLink).not.toHaveBeenCalled();
+    });
+
+    it('should require an email address for email notifications', async () => {
+      req.body = { amount: 1000, customer: { contact: '+919876543210' }, notify: { email: true } };
+
+      await controller.createLink(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({ code: 'INVALID_NOTIFY' })
+      });
+    });
+  });
+
+  describe('listLinks', () => {
+    it('should return 400 for an unknown status', async () => {
+      req.query = { status: 'captured' };
+
+      await controller.listLinks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockService.listLinks).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Unit Tests for merchant pricing plans and the fees charged at capture
+ */
+
+const PricingController = require('../controllers/PricingController');
+const PricingService = require('../services/PricingService');
+const PricingRepository = require('../repository/PricingRepository');
+const { validatePricingRules, computeFee } = require('../utils/pricing');
+
+const defaultPlan = {
+  id: 'price_default_v1',
+  merchant_id: null,
+  version: 1,
+  currency: 'INR',
+  rules: [{ percent: 2 }],
+  tax_percent: 18
+};
+
+// ============================================================================
+// Pricing rule Tests
+// ============================================================================
+
+describe('pricing rules', () => {
+  const plan = {
+    currency: 'INR',
+    taxPercent: 18,
+    rules: [
+      { method: 'card', card_network: 'amex', percent: 3.5 },
+      { method: 'card', percent: 2, fixed_fee: 300 },
+      { method: 'upi', percent: 0 },
+      { percent: 1.99 }
+    ]
+  };
+
+  it('should apply the most specific matching rule', () => {
+    expect(computeFee(plan, { method: 'card', cardNetwork: 'amex', currency: 'INR', amount: 100000 }))
+      .toEqual({ fee: 3500, tax: 630 });
+    expect(computeFee(plan, { method: 'card', cardNetwork: 'visa', currency: 'INR', amount: 100000 }))
+      .toEqual({ fee: 2300, tax: 414 });
+    expect(computeFee(plan, { method: 'upi', currency: 'INR', amount: 100000 }))
+      .toEqual({ fee: 0, tax: 0 });
+    expect(computeFee(plan, { method: 'wallet', currency: 'INR', amount: 100000 }))
+      .toEqual({ fee: 1990, tax: 358 });
+  });
+
+  it('should only charge fixed fees on payments in the plan currency', () => {
+    expect(computeFee(plan, { method: 'card', cardNetwork: 'visa', currency: 'USD', amount: 10000 }))
+      .toEqual({ fee: 200, tax: 36 });
+  });
+
+  it('should never charge more than the captured amount', () => {
+    expect(computeFee(plan, { method: 'card', cardNetwork: 'visa', currency: 'INR', amount: 100 }))
+      .toEqual({ fee: 100, tax: 18 });
+  });
+
+  it('should require a catch-all rule', () => {
+    expect(validatePricingRules([{ method: 'card', percent: 2 }])).toMatch(/catch-all/);
+    expect(validatePricingRules(plan.rules)).toBeNull();
+  });
+
+  it('should reject malformed rules', () => {
+    expect(validatePricingRules([])).toMatch(/rules must be an array/);
+    expect(validatePricingRules([{ percent: 101 }])).toMatch(/percent/);
+    expect(validatePricingRules([{ percent: 2, fixed_fee: 1.5 }])).toMatch(/fixed_fee/);
+    expect(validatePricingRules([{ method: 'upi', card_network: 'visa', percent: 2 }, { percent: 2 }]))
+      .toMatch(/requires method "card"/);
+    expect(validatePricingRules([{ percent: 2 }, { percent: 3 }])).toMatch(/duplicates/);
+  });
+});
+
+// ============================================================================
+// PricingRepository Tests
+// ============================================================================
+
+describe('PricingRepository', () => {
+  it('should prefer the merchant\'s own plan over the gateway default', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rows: [{ ...defaultPlan, tax_percent: '18.00' }] }) };
+    const repository = new PricingRepository(db);
+
+    const plan = await repository.getCurrentPlan('merch_123');
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/ORDER BY merchant_id IS NULL, version DESC/);
+    expect(params).toEqual(['merch_123']);
+    expect(plan.tax_percent).toBe(18);
+  });
+
+  it('should return null when a concurrent change took the next version', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+    const repository = new PricingRepository(db);
+
+    const plan = await repository.createPlanVersion({
+      id: 'price_abc', merchantId: 'merch_123', currency: 'INR', rules: [{ percent: 2 }], taxPercent: 18
+    });
+
+    expect(db.query.mock.calls[0][0]).toMatch(/COALESCE\(MAX\(version\), 0\) \+ 1/);
+    expect(plan).toBeNull();
+  });
+});
+
+// ============================================================================
+// PricingService Tests
+// ============================================================================
+
+describe('PricingService', () => {
+  let service;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      getCurrentPlan: jest.fn(),
+      createPlanVersion: jest.fn(),
+      listPlanVersions: jest.fn()
+    };
+    service = new PricingService(mockRepository);
+  });
+
+  it('should price a capture with the merchant\'s current plan', async () => {
+    mockRepository.getCurrentPlan.mockResolvedValueOnce({
+      ...defaultPlan,
+      id: 'price_abc',
+      merchant_id: 'merch_123',
+      version: 2,
+      rules: [{ method: 'card', card_network: 'rupay', percent: 0 }, { percent: 2, fixed_fee: 200 }]
+    });
+
+    const pricing = await service.priceCapture(
+      { merchant_id: 'merch_123', method: 'card', card_network: 'visa', currency: 'INR' }, 50000
+    );
+
+    expect(mockRepository.getCurrentPlan).toHaveBeenCalledWith('merch_123');
+    expect(pricing).toEqual({ fee: 1200, tax: 216, pricing_plan_id: 'price_abc' });
+  });
+
+  it('should fail a capture when no plan applies', async () => {
+    mockRepository.getCurrentPlan.mockResolvedValueOnce(null);
+
+    await expect(service.priceCapture({ merchant_id: 'merch_123', method: 'upi', currency: 'INR' }, 100))
+      .rejects.toThrow('No pricing plan applies');
+  });
+
+  it('should create a new plan version for a pricing change', async () => {
+    mockRepository.createPlanVersion.mockImplementationOnce(async (data) => ({ ...defaultPlan, id: data.id, version: 3 }));
+
+    const plan = await service.updatePricing('merch_123', { currency: 'INR', rules: [{ percent: 1.5 }], taxPercent: 18 });
+
+    expect(mockRepository.createPlanVersion).toHaveBeenCalledWith({
+      id: expect.stringMatching(/^price_/),
+      merchantId: 'merch_123',
+      currency: 'INR',
+      rules: [{ percent: 1.5 }],
+      taxPercent: 18
+    });
+    expect(plan.version).toBe(3);
+  });
+
+  it('should report a concurrent pricing change', async () => {
+    mockRepository.createPlanVersion.mockResolvedValueOnce(null);
+
+    await expect(service.updatePricing('merch_123', { currency: 'INR', rules: [{ percent: 2 }], taxPercent: 18 }))
+      .rejects.toMatchObject({ code: 'PRICING_CONFLICT', statusCode: 409 });
+  });
+});
+
+// ============================================================================
+// PricingController Tests
+// ============================================================================
+
+describe('PricingController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      getPricing: jest.fn(),
+      listPricingVersions: jest.fn(),
+      updatePricing: jest.fn()
+    };
+    controller = new PricingController(mockService);
+
+    req = { params: {}, query: {}, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  it('should show the merchant the plan in force', async () => {
+    mockService.getPricing.mockResolvedValueOnce(defaultPlan);
+
+    await controller.getPricing(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'price_default_v1', version: 1, default: true, rules: [{ percent: 2 }], tax_percent: 18
+    }));
+  });
+
+  it('should create a pricing version with the default tax rate', async () => {
+    req.params.merchant_id = 'merch_123';
+    req.body = { currency: 'inr', rules: [{ method: 'upi', percent: 0, extra: true }, { percent: 2 }] };
+    mockService.updatePricing.mockResolvedValueOnce({ ...defaultPlan, id: 'price_abc', merchant_id: 'merch_123', version: 2 });
+
+    await controller.updatePricing(req, res);
+
+    expect(mockService.updatePricing).toHaveBeenCalledWith('merch_123', {
+      currency: 'INR',
+      rules: [{ method: 'upi', percent: 0 }, { percent: 2 }],
+      taxPercent: 18
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ id: 'price_abc', version: 2, default: false }));
+  });
+
+  it('should reject invalid rules', async () => {
+    req.params.merchant_id = 'merch_123';
+    req.body = { rules: [{ method: 'card', percent: 2 }] };
+
+    await controller.updatePricing(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_RULES' }) });
+    expect(mockService.updatePricing).not.toHaveBeenCalled();
+  });
+
+  it('should reject an invalid tax rate', async () => {
+    req.params.merchant_id = 'merch_123';
+    req.body = { rules: [{ percent: 2 }], tax_percent: -1 };
+
+    await controller.updatePricing(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_TAX_PERCENT' }) });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit Tests for API key authentication and rate limiting
+ */
+
+const MerchantController = require('../controllers/MerchantController');
+const MerchantService = require('../services/MerchantService');
+const RateLimitService = require('../services/RateLimitService');
+const { rateLimitDefaults, rateLimitWindowSeconds, apiKeyCacheTtlSeconds } = require('../config/payments');
+const { hashApiKey } = require('../utils/apiKeys');
+
+const keyRow = {
+  id: 'key_123',
+  merchant_id: 'merch_123',
+  mode: 'live',
+  scopes: ['*'],
+  expires_at: null,
+  rate_limit_read: null,
+  rate_limit_write: 50
+};
+
+/**
+ * Redis stand-in whose MULTI replies with the given INCR count
+ */
+function mockRedis(count) {
+  const pipeline = {
+    incr: jest.fn().mockReturnThis(),
+    expire: jest.fn().mockReturnThis(),
+    exec: jest.fn().mockResolvedValue([[null, count], [null, 1]])
+  };
+  return { multi: jest.fn(() => pipeline), pipeline };
+}
+
+// ============================================================================
+// MerchantService Tests
+// ============================================================================
+
+describe('MerchantService', () => {
+  let service;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      useApiKey: jest.fn().mockResolvedValue(keyRow),
+      updateRateLimits: jest.fn()
+    };
+    service = new MerchantService(mockRepository);
+  });
+
+  describe('authenticate', () => {
+    it('should look the key up by its hash and resolve the merchant, key, scopes and limits', async () => {
+      const auth = await service.authenticate('key_live_abc');
+
+      expect(mockRepository.useApiKey).toHaveBeenCalledWith(hashApiKey('key_live_abc'));
+      expect(auth).toEqual({
+        merchantId: 'merch_123',
+        accountId: 'merch_123',
+        keyId: 'key_123',
+        mode: 'live',
+        scopes: ['*'],
+        rateLimits: { read: rateLimitDefaults.read, write: 50 }
+      });
+    });
+
+    it('should answer repeat lookups from the cache until it expires', async () => {
+      const now = Date.now();
+
+      await service.authenticate('key_live_abc', now);
+      await service.authenticate('key_live_abc', now + 1000);
+      expect(mockRepository.useApiKey).toHaveBeenCalledTimes(1);
+
+      await service.authenticate('key_live_abc', now + apiKeyCacheTtlSeconds * 1000 + 1);
+      expect(mockRepository.useApiKey).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return null for an unknown key without caching it', async () => {
+      mockRepository.useApiKey.mockResolvedValue(null);
+
+      expect(await service.authenticate('nope')).toBeNull();
+      expect(await service.authenticate('nope')).toBeNull();
+      expect(mockRepository.useApiKey).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not cache a rotated key past its expiry', async () => {
+      const now = Date.now();
+      mockRepository.useApiKey.mockResolvedValue({ ...keyRow, expires_at: new Date(now + 1000) });
+
+      await service.authenticate('key_live_abc', now);
+      await service.authenticate('key_live_abc', now + 500);
+      expect(mockRepository.useApiKey).toHaveBeenCalledTimes(1);
+
+      await service.authenticate('key_live_abc', now + 1000);
+      expect(mockRepository.useApiKey).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('updateRateLimits', () => {
+    it('should save the limits and drop the merchant\'s cached keys', async () => {
+      await service.authenticate('key_live_abc');
+      mockRepository.updateRateLimits.mockResolvedValueOnce({ id: 'merch_123', rate_limit_read: 1000, rate_limit_write: null });
+
+      const result = await service.updateRateLimits('merch_123', { read: 1000, write: null });
+
+      expect(mockRepository.updateRateLimits).toHaveBeenCalledWith('merch_123', { read: 1000, write: null });
+      expect(result).toEqual({ merchantId: 'merch_123', rateLimits: { read: 1000, write: rateLimitDefaults.write } });
+
+      await service.authenticate('key_live_abc');
+      expect(mockRepository.useApiKey).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw MERCHANT_NOT_FOUND for an unknown merchant', async () => {
+      mockRepository.updateRateLimits.mockResolvedValueOnce(null);
+
+      await expect(service.updateRateLimits('missing', { read: null, write: null }))
+        .rejects.toMatchObject({ code: 'MERCHANT_NOT_FOUND', statusCode: 404 });
+    });
+  });
+});
+
+// ============================================================================
+// RateLimitService Tests
+// ============================================================================
+
+describe('RateLimitService', () => {
+  // 10 seconds into a window
+  const now = (Math.floor(Date.now() / 1000 / rateLimitWindowSeconds) * rateLimitWindowSeconds + 10) * 1000;
+  const window = Math.floor(now / 1000 / rateLimitWindowSeconds);
+
+  it('should count the request in the key\'s window for its endpoint class', async () => {
+    const redis = mockRedis(1);
+    const service = new RateLimitService(redis);
+
+    const result = await service.consume('abcd', 'write', 120, now);
+
+    const key = `ratelimit:abcd:write:${window}`;
+    expect(redis.pipeline.incr).toHaveBeenCalledWith(key);
+    expect(redis.pipeline.expire).toHaveBeenCalledWith(key, rateLimitWindowSeconds);
+    expect(result).toEqual({
+      allowed: true,
+      limit: 120,
+      remaining: 119,
+      resetAt: (window + 1) * rateLimitWindowSeconds,
+      retryAfterSeconds: rateLimitWindowSeconds - 10
+    });
+  });
+
+  it('should allow the last request of the limit', async () => {
+    const service = new RateLimitService(mockRedis(120));
+
+    const result = await service.consume('abcd', 'write', 120, now);
+
+    expect(result.allowed).toBe(true);
+    expect(result.remaining).toBe(0);
+  });
+
+  it('should refuse requests over the limit', async () => {
+    const service = new RateLimitService(mockRedis(121));
+
+    const result = await service.consume('abcd', 'write', 120, now);
+
+    expect(result.allowed).toBe(false);
+    expect(result.remaining).toBe(0);
+  });
+
+  it('should let requests through uncounted when Redis fails', async () => {
+    const redis = mockRedis(1);
+    redis.pipeline.exec.mockRejectedValueOnce(new Error('connection refused'));
+    const service = new RateLimitService(redis);
+
+    expect(await service.consume('abcd', 'read', 600, now)).toBeNull();
+  });
+});
+
+// ============================================================================
+// MerchantController Tests
+// ============================================================================
+
+describe('MerchantController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = { updateRateLimits: jest.fn() };
+    controller = new MerchantController(mockService);
+
+    req = { params: { merchant_id: 'merch_123' }, query: {}, body: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  it('should set limits, treating omitted ones as the default', async () => {
+    req.body = { read_limit: 1000 };
+    mockService.updateRateLimits.mockResolvedValueOnce({ merchantId: 'merch_123', rateLimits: { read: 1000, write: 120 } });
+
+    await controller.updateRateLimits(req, res);
+
+    expect(mockService.updateRateLimits).toHaveBeenCalledWith('merch_123', { read: 1000, write: null });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      merchant_id: 'merch_123',
+      read_limit: 1000,
+      write_limit: 120,
+      window_seconds: rateLimitWindowSeconds
+    });
+  });
+
+  it.each([0, -5, 1.5, '100'])('should reject a limit of %p', async (limit) => {
+    req.body = { write_limit: limit };
+
+    await controller.updateRateLimits(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_RATE_LIMIT');
+    expect(mockService.updateRateLimits).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for an unknown merchant', async () => {
+    const error = new Error('Merchant not found');
+    error.code = 'MERCHANT_NOT_FOUND';
+    error.statusCode = 404;
+    mockService.updateRateLimits.mockRejectedValueOnce(error);
+
+    await controller.updateRateLimits(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Unit Tests for acquirer statement import and reconciliation
+ */
+
+const ReconciliationController = require('../controllers/ReconciliationController');
+const ReconciliationService = require('../services/ReconciliationService');
+const {
+  parseStatementCsv,
+  validateStatementRows,
+  reconcileStatement
+} = require('../utils/reconciliation');
+
+const capturedAt = new Date('2026-11-01T10:00:00Z');
+
+// ============================================================================
+// Statement parsing and matching Tests
+// ============================================================================
+
+describe('statement parsing', () => {
+  it('should read CSV rows by header name, with quoted fields and CRLF line endings', () => {
+    const csv = '\uFEFFDate,Reference,Amount,Currency,Type,Note\r\n' +
+      '2026-11-01,pay_1,50000,INR,payment,"Settled, batch ""A"""\r\n' +
+      '\r\n' +
+      '2026-11-01,rfnd_1,1000,inr,refund,\r\n';
+
+    expect(parseStatementCsv(csv)).toEqual({
+      rows: [
+        { reference: 'pay_1', type: 'payment', amount: 50000, currency: 'INR', date: '2026-11-01' },
+        { reference: 'rfnd_1', type: 'refund', amount: 1000, currency: 'inr', date: '2026-11-01' }
+      ]
+    });
+  });
+
+  it('should report missing columns and unterminated quotes', () => {
+    expect(parseStatementCsv('reference,amount\npay_1,100').error).toMatch(/missing: type, currency, date/);
+    expect(parseStatementCsv('reference,type,amount,currency,date\n"pay_1,payment').error).toMatch(/unterminated/);
+  });
+
+  it('should validate statement rows', () => {
+    const row = { reference: 'pay_1', type: 'payment', amount: 100, currency: 'INR', date: '2026-11-01' };
+
+    expect(validateStatementRows([row])).toBeNull();
+    expect(validateStatementRows([])).toMatch(/1 to 10000 rows/);
+    expect(validateStatementRows([{ ...row, reference: '' }])).toMatch(/reference must be 1 to 64 letters/);
+    expect(validateStatementRows([{ ...row, reference: '<img src=x onerror=alert(1)>' }])).toMatch(/reference must be/);
+    expect(validateStatementRows([{ ...row, type: 'chargeback' }])).toMatch(/type must be one of/);
+    expect(validateStatementRows([{ ...row, amount: '1.5' }])).toMatch(/amount must be a positive integer/);
+    expect(validateStatementRows([{ ...row, currency: 'XYZ' }])).toMatch(/currency/);
+    expect(validateStatementRows([{ ...row, date: '01/11/2026' }])).toMatch(/date must be an ISO 8601 date/);
+    expect(validateStatementRows([row, { ...row }])).toMatch(/more than once/);
+  });
+
+  it('should classify statement rows and unlisted records', () => {
+    const rows = [
+      { reference: 'pay_1', type: 'payment', amount: 50000, currency: 'INR', date: capturedAt },
+      { reference: 'pay_2', type: 'payment', amount: 20000, currency: 'INR', date: capturedAt },
+      { reference: 'pay_3', type: 'payment', amount: 30000, currency: 'INR', date: capturedAt }
+    ];
+    const records = [
+      { entity_type: 'payment', entity_id: 'pay_1', amount: 50000, currency: 'INR', occurred_at: capturedAt },
+      { entity_type: 'payment', entity_id: 'pay_2', amount: 19000, currency: 'INR', occurred_at: capturedAt }
+    ];
+    const unreferenced = [
+      { entity_type: 'refund', entity_id: 'rfnd_9', amount: 500, currency: 'INR', occurred_at: capturedAt }
+    ];
+
+    const items = reconcileStatement(rows, records, unreferenced);
+
+    expect(items.map(item => [item.result, item.reference, item.entity_id, item.statement_amount, item.gateway_amount])).toEqual([
+      ['matched', 'pay_1', 'pay_1', 50000, 50000],
+      ['amount_mismatch', 'pay_2', 'pay_2', 20000, 19000],
+      ['missing_on_gateway', 'pay_3', null, 30000, null],
+      ['missing_on_acquirer', null, 'rfnd_9', null, 500]
+    ]);
+  });
+});
+
+// ============================================================================
+// ReconciliationService Tests
+// ============================================================================
+
+describe('ReconciliationService', () => {
+  let service;
+  let mockRepository;
+
+  beforeEach(() => {
+    mockRepository = {
+      getGatewayRecords: jest.fn().mockResolvedValue([]),
+      listUnreferencedRecords: jest.fn().mockResolvedValue([]),
+      createReconciliation: jest.fn().mockImplementation(async (data) => ({ id: data.id })),
+      getReconciliationForMerchant: jest.fn(),
+      listReconciliations: jest.fn(),
+      listItems: jest.fn()
+    };
+    service = new ReconciliationService(mockRepository);
+  });
+
+  describe('importStatement', () => {
+    const rows = [
+      { reference: 'pay_1', type: 'payment', amount: 50000, currency: 'INR', date: new Date('2026-11-01T10:00:00Z') },
+      { reference: 'rfnd_1', type: 'refund', amount: 1000, currency: 'INR', date: new Date('2026-11-02T23:00:00Z') }
+    ];
+
+    it('should reconcile the days the statement covers and store the report', async () => {
+      mockRepository.getGatewayRecords.mockResolvedValueOnce([
+        { entity_type: 'payment', entity_id: 'pay_1', amount: 50000, currency: 'INR', occurred_at: capturedAt }
+      ]);
+      mockRepository.listUnreferencedRecords.mockResolvedValueOnce([
+        { entity_type: 'payment', entity_id: 'pay_7', amount: 800, currency: 'INR', occurred_at: capturedAt }
+      ]);
+
+      await service.importStatement('merch_123', { source: 'csv', rows });
+
+      const references = { paymentIds: ['pay_1'], refundIds: ['rfnd_1'] };
+      const periodStart = new Date('2026-11-01T00:00:00Z');
+      const periodEnd = new Date('2026-11-03T00:00:00Z');
+      expect(mockRepository.getGatewayRecords).toHaveBeenCalledWith('merch_123', references);
+      expect(mockRepository.listUnreferencedRecords).toHaveBeenCalledWith('merch_123', periodStart, periodEnd, references);
+      expect(mockRepository.createReconciliation).toHaveBeenCalledWith(expect.objectContaining({
+        id: expect.stringMatching(/^recon_/),
+        merchantId: 'merch_123',
+        source: 'csv',
+        periodStart,
+        periodEnd,
+        rowCount: 2,
+        counts: { matched: 1, missing_on_gateway: 1, missing_on_acquirer: 1, amount_mismatch: 0 },
+        items: expect.arrayContaining([expect.objectContaining({ result: 'missing_on_acquirer', entity_id: 'pay_7' })])
+      }));
+    });
+
+    it('should reject a period longer than a month', async () => {
+      await expect(service.importStatement('merch_123', {
+        source: 'json',
+        rows,
+        periodStart: new Date('2026-09-01'),
+        periodEnd: new Date('2026-11-01')
+      })).rejects.toMatchObject({ code: 'PERIOD_TOO_LONG', statusCode: 400 });
+      expect(mockRepository.createReconciliation).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should only list items of the merchant\'s own reconciliation', async () => {
+    mockRepository.getReconciliationForMerchant.mockResolvedValueOnce(null);
+
+    await expect(service.listItems('recon_other', 'merch_123', {}, { limit: 10 }))
+      .rejects.toMatchObject({ code: 'RECONCILIATION_NOT_FOUND', statusCode: 404 });
+    expect(mockRepository.listItems).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================================
+// ReconciliationController Tests
+// ============================================================================
+
+describe('ReconciliationController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  const report = {
+    id: 'recon_123',
+    source: 'csv',
+    row_count: 1,
+    matched_count: 1,
+    missing_on_gateway_count: 0,
+    missing_on_acquirer_count: 2,
+    amount_mismatch_count: 0
+  };
+
+  beforeEach(() => {
+    mockService = {
+      importStatement: jest.fn(),
+      listReconciliations: jest.fn(),
+      getReconciliation: jest.fn(),
+      listItems: jest.fn()
+    };
+    controller = new ReconciliationController(mockService);
+
+    req = { params: {}, query: {}, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  it('should import a CSV statement', async () => {
+    req.body = 'reference,type,amount,currency,date\npay_1,payment,50000,inr,2026-11-01T10:00:00Z\n';
+    req.query = { period_start: '2026-11-01', period_end: '2026-11-02' };
+    mockService.importStatement.mockResolvedValueOnce(report);
+
+    await controller.importStatement(req, res);
+
+    expect(mockService.importStatement).toHaveBeenCalledWith('merch_123', {
+      source: 'csv',
+      rows: [{ reference: 'pay_1', type: 'payment', amount: 50000, currency: 'INR', date: new Date('2026-11-01T10:00:00Z') }],
+      periodStart: new Date('2026-11-01'),
+      periodEnd: new Date('2026-11-02')
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'recon_123', row_count: 1, matched: 1, missing_on_acquirer: 2
+    }));
+  });
+
+  it('should import a JSON statement', async () => {
+    req.body = { rows: [{ reference: 'rfnd_1', type: 'refund', amount: 100, currency: 'INR', date: '2026-11-01' }] };
+    mockService.importStatement.mockResolvedValueOnce(report);
+
+    await controller.importStatement(req, res);
+
+    expect(mockService.importStatement).toHaveBeenCalledWith('merch_123', expect.objectContaining({ source: 'json' }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('should reject an invalid statement', async () => {
+    req.body = 'reference,type,amount,currency,date\npay_1,payment,12.50,INR,2026-11-01\n';
+
+    await controller.importStatement(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: { code: 'INVALID_STATEMENT', description: 'rows[0].amount must be a positive integer in minor units' }
+    });
+    expect(mockService.importStatement).not.toHaveBeenCalled();
+  });
+
+  it('should reject a body that is not a statement', async () => {
+    req.body = { statement: [] };
+
+    await controller.importStatement(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_STATEMENT' }) });
+  });
+
+  it('should list a report\'s items filtered by result', async () => {
+    req.params.reconciliation_id = 'recon_123';
+    req.query = { result: 'amount_mismatch', cursor: '4' };
+    mockService.listItems.mockResolvedValueOnce({
+      items: [{ id: '5', result: 'amount_mismatch', entity_type: 'payment', reference: 'pay_2', entity_id: 'pay_2', statement_amount: 20000, gateway_amount: 19000 }],
+      hasMore: false,
+      nextCursor: null
+    });
+
+    await controller.listItems(req, res);
+
+    expect(mockService.listItems).toHaveBeenCalledWith('recon_123', 'merch_123', { result: 'amount_mismatch' }, { limit: 10, cursor: 4 });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      data: [expect.objectContaining({ id: '5', result: 'amount_mismatch', type: 'payment', statement_amount: 20000, gateway_amount: 19000 })]
+    }));
+  });
+
+  it('should reject an unknown result filter', async () => {
+    req.params.reconciliation_id = 'recon_123';
+    req.query = { result: 'unmatched' };
+
+    await controller.listItems(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_FILTER' }) });
+  });
+});
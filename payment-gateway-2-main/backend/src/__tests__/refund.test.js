@@ -8,6 +8,7 @@
 const RefundController = require('../controllers/RefundController');
 const RefundService = require('../services/RefundService');
 const RefundRepository = require('../repository/RefundRepository');
+const { webhookRetryJob } = require('../utils/webhooks');
 
 // ============================================================================
 // RefundRepository Tests
@@ -26,15 +27,15 @@ describe('RefundRepository', () => {
 
   describe('getPaymentById', () => {
     it('should return payment when it exists', async () => {
-      const mockPayment = { id: 'pay_123', amount: 5000, status: 'success' };
+      const mockPayment = { id: 'pay_123', amount: 5000, status: 'captured' };
       mockDb.query.mockResolvedValueOnce({ rows: [mockPayment] });
 
-      const result = await repository.getPaymentById('pay_123');
+      const result = await repository.getPaymentById('pay_123', 'merch_123');
 
       expect(result).toEqual(mockPayment);
       expect(mockDb.query).toHaveBeenCalledWith(
-        'SELECT * FROM payments WHERE id = $1',
-        ['pay_123']
+        'SELECT * FROM payments WHERE id = $1 AND merchant_id = $2',
+        ['pay_123', 'merch_123']
       );
     });
 
@@ -80,9 +81,13 @@ describe('RefundRepository', () => {
       const mockRefund = { id: 'rfnd_123', status: 'pending', amount: 1000 };
       mockDb.query.mockResolvedValueOnce({ rows: [mockRefund] });
 
-      const result = await repository.findRefundByIdempotencyKey('key_123');
+      const result = await repository.findRefundByIdempotencyKey('key_123', 'merch_123');
 
       expect(result).toEqual(mockRefund);
+      expect(mockDb.query).toHaveBeenCalledWith(
+        expect.stringContaining('idempotency_key = $1 AND merchant_id = $2'),
+        ['key_123', 'merch_123']
+      );
     });
 
     it('should return null when idempotency key not found', async () => {
@@ -163,8 +168,9 @@ describe('RefundService', () => {
     const mockPayment = {
       id: 'pay_123',
       amount: 5000,
+      currency: 'INR',
       merchant_id: 'merch_123',
-      status: 'success'
+      status: 'captured'
     };
 
     const mockCreatedRefund = {
@@ -178,12 +184,23 @@ describe('RefundService', () => {
       const existingRefund = { id: 'rfnd_existing', amount: 1000, status: 'pending' };
       mockRepository.findRefundByIdempotencyKey.mockResolvedValueOnce(existingRefund);
 
-      const result = await service.processRefund('pay_123', 1000, 'reason', 'key_123');
+      const result = await service.processRefund('pay_123', 'merch_123', 1000, 'reason', 'key_123');
 
       expect(result).toEqual(existingRefund);
+      expect(mockRepository.findRefundByIdempotencyKey).toHaveBeenCalledWith('key_123', 'merch_123');
       expect(mockRepository.createRefund).not.toHaveBeenCalled();
     });
 
+    it('should only refund the merchant\'s own payments', async () => {
+      mockRepository.getPaymentById.mockResolvedValueOnce(null);
+
+      await expect(
+        service.processRefund('pay_other', 'merch_123', 1000, 'reason')
+      ).rejects.toMatchObject({ code: 'PAYMENT_NOT_FOUND', statusCode: 404 });
+
+      expect(mockRepository.getPaymentById).toHaveBeenCalledWith('pay_other', 'merch_123');
+    });
+
     it('should process refund successfully for valid payment', async () => {
       mockRepository.findRefundByIdempotencyKey.mockResolvedValueOnce(null);
       mockRepository.getPaymentById.mockResolvedValueOnce(mockPayment);
@@ -191,11 +208,18 @@ describe('RefundService', () => {
       mockRepository.createRefund.mockResolvedValueOnce(mockCreatedRefund);
       mockQueue.add.mockResolvedValueOnce({});
 
-      const result = await service.processRefund('pay_123', 1000, 'reason', 'key_123');
+      const result = await service.processRefund('pay_123', 'merch_123', 1000, 'reason', 'key_123');
 
       expect(result).toEqual(mockCreatedRefund);
-      expect(mockRepository.createRefund).toHaveBeenCalled();
-      expect(mockQueue.add).toHaveBeenCalledWith('process-refund', { refundId: 'rfnd_123' });
+      expect(mockRepository.createRefund).toHaveBeenCalledWith(expect.objectContaining({
+        id: expect.stringMatching(/^rfnd_/),
+        paymentId: 'pay_123',
+        merchantId: 'merch_123',
+        amount: 1000,
+        idempotencyKey: 'key_123'
+      }));
+      const { id: refundId } = mockRepository.createRefund.mock.calls[0][0];
+      expect(mockQueue.add).toHaveBeenCalledWith('process-refund', { refundId });
     });
 
     it('should throw error if payment not found', async () => {
@@ -203,13 +227,13 @@ describe('RefundService', () => {
       mockRepository.getPaymentById.mockResolvedValueOnce(null);
 
       await expect(
-        service.processRefund('pay_nonexistent', 1000, 'reason')
+        service.processRefund('pay_nonexistent', 'merch_123', 1000, 'reason')
       ).rejects.toThrow('Payment not found');
 
       expect(mockRepository.createRefund).not.toHaveBeenCalled();
     });
 
-    it('should throw error if payment is not in success status', async () => {
+    it('should throw error if payment is not in a refundable status', async () => {
       mockRepository.findRefundByIdempotencyKey.mockResolvedValueOnce(null);
       mockRepository.getPaymentById.mockResolvedValueOnce({
         ...mockPayment,
@@ -217,32 +241,69 @@ describe('RefundService', () => {
       });
 
       await expect(
-        service.processRefund('pay_123', 1000, 'reason')
+        service.processRefund('pay_123', 'merch_123', 1000, 'reason')
       ).rejects.toThrow('Payment not in refundable state');
     });
 
+    it('should allow further refunds of a partially refunded payment', async () => {
+      mockRepository.findRefundByIdempotencyKey.mockResolvedValueOnce(null);
+      mockRepository.getPaymentById.mockResolvedValueOnce({ ...mockPayment, status: 'partially_refunded' });
+      mockRepository.getTotalRefundedAmount.mockResolvedValueOnce(1000);
+      mockRepository.createRefund.mockResolvedValueOnce(mockCreatedRefund);
+
+      const result = await service.processRefund('pay_123', 'merch_123', 1000, 'reason');
+
+      expect(result).toEqual(mockCreatedRefund);
+    });
+
+    it('should throw error if refund currency differs from payment currency', async () => {
+      mockRepository.findRefundByIdempotencyKey.mockResolvedValueOnce(null);
+      mockRepository.getPaymentById.mockResolvedValueOnce(mockPayment);
+
+      await expect(
+        service.processRefund('pay_123', 'merch_123', 1000, 'reason', null, 'USD')
+      ).rejects.toThrow('Refund currency USD does not match payment currency INR');
+
+      expect(mockRepository.createRefund).not.toHaveBeenCalled();
+    });
+
+    it('should create refunds in the payment currency', async () => {
+      mockRepository.findRefundByIdempotencyKey.mockResolvedValueOnce(null);
+      mockRepository.getPaymentById.mockResolvedValueOnce(mockPayment);
+      mockRepository.getTotalRefundedAmount.mockResolvedValueOnce(0);
+      mockRepository.createRefund.mockResolvedValueOnce({ ...mockCreatedRefund, currency: 'INR' });
+      mockQueue.add.mockResolvedValueOnce({});
+
+      await service.processRefund('pay_123', 'merch_123', 1000, 'reason');
+
+      expect(mockRepository.createRefund).toHaveBeenCalledWith(expect.objectContaining({
+        currency: 'INR'
+      }));
+    });
+
     it('should throw error if refund exceeds available amount', async () => {
       mockRepository.findRefundByIdempotencyKey.mockResolvedValueOnce(null);
       mockRepository.getPaymentById.mockResolvedValueOnce(mockPayment);
       mockRepository.getTotalRefundedAmount.mockResolvedValueOnce(4000);
 
       await expect(
-        service.processRefund('pay_123', 2000, 'reason')
+        service.processRefund('pay_123', 'merch_123', 2000, 'reason')
       ).rejects.toThrow('Refund amount exceeds available amount');
     });
 
     it('should throw error if refund amount is zero or negative', async () => {
-      mockRepository.findRefundByIdempotencyKey.mockResolvedValueOnce(null);
-      mockRepository.getPaymentById.mockResolvedValueOnce(mockPayment);
-      mockRepository.getTotalRefundedAmount.mockResolvedValueOnce(0);
+      mockRepository.getPaymentById.mockResolvedValue(mockPayment);
+      mockRepository.getTotalRefundedAmount.mockResolvedValue(0);
 
       await expect(
-        service.processRefund('pay_123', -100, 'reason')
+        service.processRefund('pay_123', 'merch_123', -100, 'reason')
       ).rejects.toThrow('Refund amount must be greater than 0');
 
       await expect(
-        service.processRefund('pay_123', 0, 'reason')
+        service.processRefund('pay_123', 'merch_123', 0, 'reason')
       ).rejects.toThrow('Refund amount must be greater than 0');
+
+      expect(mockRepository.createRefund).not.toHaveBeenCalled();
     });
 
     it('should support full refund', async () => {
@@ -255,7 +316,7 @@ describe('RefundService', () => {
       });
       mockQueue.add.mockResolvedValueOnce({});
 
-      const result = await service.processRefund('pay_123', 5000, 'reason');
+      const result = await service.processRefund('pay_123', 'merch_123', 5000, 'reason');
 
       expect(result.amount).toBe(5000);
       expect(mockRepository.createRefund).toHaveBeenCalled();
@@ -271,7 +332,7 @@ describe('RefundService', () => {
       });
       mockQueue.add.mockResolvedValueOnce({});
 
-      const result = await service.processRefund('pay_123', 3000, 'reason');
+      const result = await service.processRefund('pay_123', 'merch_123', 3000, 'reason');
 
       expect(result.amount).toBe(3000);
       expect(mockRepository.createRefund).toHaveBeenCalled();
@@ -298,6 +359,7 @@ describe('RefundController', () => {
 
     req = {
       params: { payment_id: 'pay_123' },
+      merchantId: 'merch_123',
       body: {
         amount: 1000,
         reason: 'Customer requested',
@@ -418,10 +480,89 @@ describe('RefundController', () => {
 
       expect(mockService.processRefund).toHaveBeenCalledWith(
         'pay_123',
+        'merch_123',
+        1000,
+        'Customer requested',
+        'key_123',
+        undefined,
+        {}
+      );
+    });
+
+    it('should pass an upper-cased refund currency to service', async () => {
+      req.body.currency = 'usd';
+      mockService.processRefund.mockResolvedValueOnce({
+        id: 'rfnd_123',
+        payment_id: 'pay_123',
+        amount: 1000,
+        currency: 'USD',
+        status: 'pending'
+      });
+
+      await controller.createRefund(req, res);
+
+      expect(mockService.processRefund).toHaveBeenCalledWith(
+        'pay_123',
+        'merch_123',
+        1000,
+        'Customer requested',
+        'key_123',
+        'USD',
+        {}
+      );
+    });
+
+    it('should return 400 for an unsupported currency', async () => {
+      req.body.currency = 'XYZ';
+
+      await controller.createRefund(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({
+          code: 'INVALID_CURRENCY'
+        })
+      });
+    });
+
+    it('should pass notes to service and echo them back', async () => {
+      req.body.notes = { customer_ref: 'C-1042' };
+      mockService.processRefund.mockResolvedValueOnce({
+        id: 'rfnd_123',
+        payment_id: 'pay_123',
+        amount: 1000,
+        status: 'pending',
+        notes: { customer_ref: 'C-1042' }
+      });
+
+      await controller.createRefund(req, res);
+
+      expect(mockService.processRefund).toHaveBeenCalledWith(
+        'pay_123',
+        'merch_123',
         1000,
         'Customer requested',
-        'key_123'
+        'key_123',
+        undefined,
+        { customer_ref: 'C-1042' }
       );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        notes: { customer_ref: 'C-1042' }
+      }));
+    });
+
+    it('should return 400 for notes with non-string values', async () => {
+      req.body.notes = { customer_ref: 1042 };
+
+      await controller.createRefund(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: expect.objectContaining({
+          code: 'INVALID_NOTES'
+        })
+      });
+      expect(mockService.processRefund).not.toHaveBeenCalled();
     });
   });
 });
@@ -441,3 +582,33 @@ describe('RefundController', () => {
  * Run tests:
  * npm test
  */
+
+// ============================================================================
+// Webhook Retry Tests
+// ============================================================================
+
+describe('webhookRetryJob', () => {
+  const log = (data) => ({
+    id: 7,
+    merchant_id: 'merch_123',
+    event: 'refund.processed',
+    payload: { event: 'refund.processed', livemode: true, timestamp: 1767225600, data }
+  });
+
+  it('should redeliver a refund webhook with its refund', () => {
+    const job = webhookRetryJob(log({ refund: { id: 'rfnd_123', payment_id: 'pay_123', amount: 5000 } }));
+
+    expect(job).toMatchObject({ event: 'refund.processed', refundId: 'rfnd_123', merchantId: 'merch_123', attempt: 1 });
+    expect(job.paymentId).toBeNull();
+  });
+
+  it('should read payloads stored as text and name every entity they carry', () => {
+    const job = webhookRetryJob({
+      merchant_id: 'merch_123',
+      event: 'invoice.paid',
+      payload: JSON.stringify({ data: { invoice: { id: 'inv_123' }, payment: { id: 'pay_123' } } })
+    });
+
+    expect(job).toMatchObject({ event: 'invoice.paid', invoiceId: 'inv_123', paymentId: 'pay_123', refundId: null });
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Unit Tests for the risk engine
+ */
+
+const RiskController = require('../controllers/RiskController');
+const RiskService = require('../services/RiskService');
+const { validateRiskRules, validateRiskThresholds, validateBlocklistEntry, findMatchingRule } = require('../utils/risk');
+
+const cardFingerprint = 'a'.repeat(64);
+
+const cardPayment = {
+  amount: 50000,
+  currency: 'INR',
+  method: 'card',
+  cardNetwork: 'visa',
+  cardFingerprint,
+  customerId: 'cust_123',
+  ip: '203.0.113.7'
+};
+
+/**
+ * Redis stand-in whose MULTI replies with the given INCR counts
+ * (one per counted value, in candidate order) and the EXPIRE results
+ */
+function mockRedis(counts) {
+  const pipeline = {
+    incr: jest.fn().mockReturnThis(),
+    expire: jest.fn().mockReturnThis(),
+    exec: jest.fn().mockResolvedValue(counts.flatMap(count => [[null, count], [null, 1]]))
+  };
+  return { multi: jest.fn(() => pipeline), pipeline };
+}
+
+// ============================================================================
+// RiskService Tests
+// ============================================================================
+
+describe('RiskService', () => {
+  let service;
+  let mockRepository;
+  let redis;
+
+  beforeEach(() => {
+    mockRepository = {
+      getSettings: jest.fn().mockResolvedValue(null),
+      getMerchantMode: jest.fn().mockResolvedValue('live'),
+      upsertSettings: jest.fn(),
+      findBlocklistMatches: jest.fn().mockResolvedValue([]),
+      createBlocklistEntry: jest.fn(),
+      getBlocklistEntry: jest.fn(),
+      listBlocklistEntries: jest.fn(),
+      deleteBlocklistEntry: jest.fn()
+    };
+    redis = mockRedis([1, 1, 1]);
+    service = new RiskService(mockRepository, redis);
+  });
+
+  describe('evaluate', () => {
+    it('should allow an ordinary payment with a zero score', async () => {
+      const result = await service.evaluate('merch_123', cardPayment);
+
+      expect(result).toEqual({ score: 0, decision: 'allow', reasons: [] });
+      expect(mockRepository.findBlocklistMatches).toHaveBeenCalledWith('merch_123', [
+        { type: 'ip', value: '203.0.113.7' },
+        { type: 'card', value: cardFingerprint },
+        { type: 'customer', value: 'cust_123' }
+      ]);
+    });
+
+    it('should count each value in the current velocity window', async () => {
+      const now = new Date('2026-10-19T10:30:00Z');
+
+      await service.evaluate('merch_123', cardPayment, now);
+
+      const window = Math.floor(now.getTime() / 1000 / 3600);
+      expect(redis.pipeline.incr).toHaveBeenCalledWith(`risk:velocity:ip:203.0.113.7:${window}`);
+      expect(redis.pipeline.incr).toHaveBeenCalledWith(`risk:velocity:card:${cardFingerprint}:${window}`);
+      expect(redis.pipeline.incr).toHaveBeenCalledWith(`risk:velocity:customer:cust_123:${window}`);
+      expect(redis.pipeline.expire).toHaveBeenCalledWith(`risk:velocity:ip:203.0.113.7:${window}`, 3600);
+    });
+
+    it('should not count sandbox payments against the velocity limits', async () => {
+      mockRepository.getMerchantMode.mockResolvedValueOnce('test');
+      service = new RiskService(mockRepository, mockRedis([21, 6, 1]));
+
+      const result = await service.evaluate('merch_test', cardPayment);
+
+      expect(mockRepository.getMerchantMode).toHaveBeenCalledWith('merch_test');
+      expect(result).toEqual({ score: 0, decision: 'allow', reasons: [] });
+    });
+
+    it('should block a blocklisted payment without counting it', async () => {
+      mockRepository.findBlocklistMatches.mockResolvedValueOnce([
+        { id: 'blk_1', type: 'card', value: cardFingerprint, merchant_id: null }
+      ]);
+
+      const result = await service.evaluate('merch_123', cardPayment);
+
+      expect(result).toEqual({ score: 100, decision: 'block', reasons: ['BLOCKLISTED_CARD'] });
+      expect(redis.multi).not.toHaveBeenCalled();
+    });
+
+    it('should hold a payment over one velocity limit for review', async () => {
+      service = new RiskService(mockRepository, mockRedis([1, 6, 1]));
+
+      const result = await service.evaluate('merch_123', cardPayment);
+
+      expect(result).toEqual({ score: 50, decision: 'review', reasons: ['VELOCITY_CARD'] });
+    });
+
+    it('should block a payment over two velocity limits', async () => {
+      service = new RiskService(mockRepository, mockRedis([21, 6, 1]));
+
+      const result = await service.evaluate('merch_123', cardPayment);
+
+      expect(result).toEqual({ score: 100, decision: 'block', reasons: ['VELOCITY_IP', 'VELOCITY_CARD'] });
+    });
+
+    it('should score amounts above the currency threshold', async () => {
+      const result = await service.evaluate('merch_123', { ...cardPayment, amount: 20000000 });
+
+      expect(result).toEqual({ score: 30, decision: 'allow', reasons: ['HIGH_AMOUNT'] });
+    });
+
+    it('should apply the merchant thresholds', async () => {
+      mockRepository.getSettings.mockResolvedValueOnce({ rules: [], review_threshold: 20, block_threshold: 30 });
+
+      const result = await service.evaluate('merch_123', { ...cardPayment, amount: 20000000 });
+
+      expect(result.decision).toBe('block');
+    });
+
+    it('should let the first matching merchant rule decide', async () => {
+      mockRepository.getSettings.mockResolvedValueOnce({
+        rules: [
+          { name: 'trusted_customer', conditions: [{ field: 'customer_id', operator: 'eq', value: 'cust_123' }], action: 'allow' },
+          { name: 'all_cards', conditions: [{ field: 'method', operator: 'eq', value: 'card' }], action: 'block' }
+        ],
+        review_threshold: 50,
+        block_threshold: 90
+      });
+      service = new RiskService(mockRepository, mockRedis([1, 6, 1]));
+
+      const result = await service.evaluate('merch_123', cardPayment);
+
+      expect(result).toEqual({ score: 50, decision: 'allow', reasons: ['VELOCITY_CARD', 'RULE:trusted_customer'] });
+    });
+
+    it('should score without velocity when Redis fails', async () => {
+      redis.pipeline.exec.mockRejectedValueOnce(new Error('Connection is closed.'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await service.evaluate('merch_123', cardPayment);
+
+      expect(result).toEqual({ score: 0, decision: 'allow', reasons: [] });
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Velocity check skipped'));
+      errorSpy.mockRestore();
+    });
+
+    it('should match VPAs case-insensitively', async () => {
+      await service.evaluate('merch_123', { amount: 100, currency: 'INR', method: 'upi', vpa: 'Asha@OkAxis' });
+
+      expect(mockRepository.findBlocklistMatches).toHaveBeenCalledWith('merch_123', [{ type: 'vpa', value: 'asha@okaxis' }]);
+    });
+  });
+
+  describe('blocklist', () => {
+    it('should add an entry with a generated ID', async () => {
+      mockRepository.createBlocklistEntry.mockImplementationOnce(async (data) => data);
+
+      const entry = await service.addBlocklistEntry(null, { type: 'vpa', value: ' Fraud@Upi ', reason: 'Chargebacks' });
+
+      expect(entry).toMatchObject({ merchantId: null, type: 'vpa', value: 'fraud@upi', reason: 'Chargebacks' });
+      expect(entry.id).toMatch(/^blk_/);
+    });
+
+    it('should reject a value that is already blocked', async () => {
+      mockRepository.createBlocklistEntry.mockResolvedValueOnce(null);
+
+      await expect(
+        service.addBlocklistEntry('merch_123', { type: 'ip', value: '203.0.113.7' })
+      ).rejects.toMatchObject({ code: 'BLOCKLIST_ENTRY_EXISTS', statusCode: 409 });
+    });
+
+    it('should not remove another owner\'s entry', async () => {
+      mockRepository.deleteBlocklistEntry.mockResolvedValueOnce(null);
+
+      await expect(
+        service.removeBlocklistEntry('blk_global', 'merch_123')
+      ).rejects.toMatchObject({ code: 'BLOCKLIST_ENTRY_NOT_FOUND', statusCode: 404 });
+      expect(mockRepository.deleteBlocklistEntry).toHaveBeenCalledWith('blk_global', 'merch_123');
+    });
+  });
+
+  it('should fall back to the default settings', async () => {
+    await expect(service.getSettings('merch_123')).resolves.toEqual({
+      rules: [], review_threshold: 50, block_threshold: 90, updated_at: null
+    });
+  });
+});
+
+// ============================================================================
+// Risk rule validation Tests
+// ============================================================================
+
+describe('Risk rules', () => {
+  const rule = {
+    name: 'large_amex',
+    conditions: [
+      { field: 'card_network', operator: 'eq', value: 'amex' },
+      { field: 'amount', operator: 'gte', value: 5000000 }
+    ],
+    action: 'review'
+  };
+
+  it('should accept valid rules', () => {
+    expect(validateRiskRules([])).toBeNull();
+    expect(validateRiskRules([rule, { ...rule, name: 'other', action: 'block' }])).toBeNull();
+  });
+
+  it('should describe the first invalid rule', () => {
+    expect(validateRiskRules({})).toMatch(/array/);
+    expect(validateRiskRules([rule, rule])).toBe('rules[1].name duplicates an earlier rule');
+    expect(validateRiskRules([{ ...rule, action: 'hold' }])).toMatch(/^rules\[0\]\.action/);
+    expect(validateRiskRules([{ ...rule, conditions: [] }])).toMatch(/^rules\[0\]\.conditions must be/);
+    expect(validateRiskRules([{ ...rule, conditions: [{ field: 'vpa', operator: 'gt', value: 'a' }] }]))
+      .toMatch(/^rules\[0\]\.conditions\[0\]\.operator gt only applies/);
+    expect(validateRiskRules([{ ...rule, conditions: [{ field: 'method', operator: 'eq', value: 'cash' }] }]))
+      .toMatch(/^rules\[0\]\.conditions\[0\]\.value must be one of/);
+    expect(validateRiskRules([{ ...rule, conditions: [{ field: 'amount', operator: 'in', value: [] }] }]))
+      .toMatch(/non-empty array/);
+  });
+
+  it('should find the first rule whose conditions all hold', () => {
+    const rules = [rule, { name: 'no_vpa', conditions: [{ field: 'vpa', operator: 'neq', value: 'x@upi' }], action: 'allow' }];
+
+    expect(findMatchingRule(rules, { card_network: 'amex', amount: 5000000 })).toBe(rule);
+    expect(findMatchingRule(rules, { card_network: 'amex', amount: 100 }).name).toBe('no_vpa');
+    expect(findMatchingRule([rule], { card_network: 'visa', amount: 5000000 })).toBeNull();
+  });
+
+  it('should validate thresholds and blocklist entries', () => {
+    expect(validateRiskThresholds(50, 90)).toBeNull();
+    expect(validateRiskThresholds(0, 90)).toMatch(/^review_threshold/);
+    expect(validateRiskThresholds(95, 90)).toMatch(/cannot be higher/);
+
+    expect(validateBlocklistEntry('ip', '203.0.113.7')).toBeNull();
+    expect(validateBlocklistEntry('card', cardFingerprint)).toBeNull();
+    expect(validateBlocklistEntry('card', '4111111111111111')).toMatch(/fingerprint/);
+    expect(validateBlocklistEntry('email', 'a@b.c')).toMatch(/^type/);
+  });
+});
+
+// ============================================================================
+// RiskController Tests
+// ============================================================================
+
+describe('RiskController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      getSettings: jest.fn(),
+      updateSettings: jest.fn(),
+      listBlocklistEntries: jest.fn(),
+      addBlocklistEntry: jest.fn(),
+      removeBlocklistEntry: jest.fn()
+    };
+    controller = new RiskController(mockService);
+
+    req = { params: {}, query: {}, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  it('should save rules with the default thresholds', async () => {
+    req.body = { rules: [] };
+    mockService.updateSettings.mockResolvedValueOnce({ rules: [], review_threshold: 50, block_threshold: 90, updated_at: 'now' });
+
+    await controller.updateSettings(req, res);
+
+    expect(mockService.updateSettings).toHaveBeenCalledWith('merch_123', { rules: [], reviewThreshold: 50, blockThreshold: 90 });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('should reject invalid thresholds', async () => {
+    req.body = { rules: [], review_threshold: 80, block_threshold: 60 };
+
+    await controller.updateSettings(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_THRESHOLD' }) });
+    expect(mockService.updateSettings).not.toHaveBeenCalled();
+  });
+
+  it('should add to the merchant blocklist, or the global one on the admin API', async () => {
+    const entry = { id: 'blk_1', type: 'ip', value: '203.0.113.7', reason: null, merchant_id: null, created_at: 'now' };
+    mockService.addBlocklistEntry.mockResolvedValue(entry);
+    req.body = { type: 'ip', value: '203.0.113.7' };
+
+    await controller.addBlocklistEntry(req, res);
+    await controller.addBlocklistEntry({ ...req, merchantId: undefined }, res);
+
+    expect(mockService.addBlocklistEntry).toHaveBeenNthCalledWith(1, 'merch_123', expect.objectContaining({ type: 'ip' }));
+    expect(mockService.addBlocklistEntry).toHaveBeenNthCalledWith(2, null, expect.objectContaining({ type: 'ip' }));
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ id: 'blk_1', global: true }));
+  });
+
+  it('should reject an unknown blocklist type filter', async () => {
+    req.query = { type: 'email' };
+
+    await controller.listBlocklist(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_FILTER' }) });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for payment outcomes in test and live mode
+ */
+
+const { paymentOutcome, liveOutcome, TEST_AMOUNTS } = require('../utils/sandbox');
+const { fingerprintCard } = require('../utils/paymentMethods');
+const { methodSimulations } = require('../config/payments');
+
+const cardPayment = (number, amount = 50000) => ({
+  amount,
+  method: 'card',
+  card_fingerprint: fingerprintCard(number)
+});
+
+// ============================================================================
+// Test Mode Tests
+// ============================================================================
+
+describe('paymentOutcome in test mode', () => {
+  it('should approve the success test cards and unknown cards', () => {
+    expect(paymentOutcome(cardPayment('4111111111111111'), 'test')).toMatchObject({ success: true, errorCode: null });
+    expect(paymentOutcome(cardPayment('5555555555554444'), 'test').success).toBe(true);
+    expect(paymentOutcome(cardPayment('4242424242424242'), 'test').success).toBe(true);
+  });
+
+  it.each([
+    ['4000000000000002', 'CARD_DECLINED'],
+    ['4000000000009995', 'INSUFFICIENT_FUNDS'],
+    ['4000000000000069', 'EXPIRED_CARD'],
+    ['4000000000000127', 'INCORRECT_CVV'],
+    ['4000000000000119', 'PROCESSING_ERROR']
+  ])('should decline card %s with %s', (number, errorCode) => {
+    const outcome = paymentOutcome(cardPayment(number), 'test');
+
+    expect(outcome).toMatchObject({ success: false, errorCode, latencyMs: 1000 });
+    expect(outcome.errorDescription).toEqual(expect.any(String));
+  });
+
+  it('should decide UPI payments by VPA', () => {
+    expect(paymentOutcome({ amount: 50000, method: 'upi', vpa: 'success@test' }, 'test').success).toBe(true);
+    expect(paymentOutcome({ amount: 50000, method: 'upi', vpa: 'Failure@Test' }, 'test'))
+      .toMatchObject({ success: false, errorCode: 'PAYMENT_DECLINED' });
+    expect(paymentOutcome({ amount: 50000, method: 'upi', vpa: 'user@bank' }, 'test').success).toBe(true);
+  });
+
+  it('should let magic amounts override the card or VPA', () => {
+    expect(paymentOutcome(cardPayment('4111111111111111', 40051), 'test'))
+      .toMatchObject({ success: false, errorCode: 'INSUFFICIENT_FUNDS' });
+    expect(paymentOutcome({ amount: 40068, method: 'upi', vpa: 'success@test' }, 'test'))
+      .toMatchObject({ success: false, errorCode: 'ISSUER_TIMEOUT', latencyMs: 20000 });
+    expect(paymentOutcome({ amount: 40010, method: 'netbanking' }, 'test'))
+      .toMatchObject({ success: true, latencyMs: 10000 });
+  });
+
+  it('should give the same outcome every time', () => {
+    for (const amount of Object.keys(TEST_AMOUNTS)) {
+      const payment = { amount: Number(amount), method: 'wallet' };
+      expect(paymentOutcome(payment, 'test')).toEqual(paymentOutcome(payment, 'test'));
+    }
+  });
+});
+
+// ============================================================================
+// Live Mode Tests
+// ============================================================================
+
+describe('liveOutcome', () => {
+  it('should simulate the method\'s success rate and latency', () => {
+    const { card } = methodSimulations;
+
+    expect(liveOutcome({ amount: 40051, method: 'card' }, () => 0))
+      .toEqual({ success: true, errorCode: null, errorDescription: null, latencyMs: card.minLatencyMs });
+    const declined = liveOutcome({ amount: 50000, method: 'card' }, () => 0.999);
+    expect(declined).toMatchObject({ success: false, errorCode: null });
+    expect(declined.latencyMs).toBeLessThanOrEqual(card.maxLatencyMs);
+  });
+});
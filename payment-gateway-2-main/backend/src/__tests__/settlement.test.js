@@ -0,0 +1,326 @@
+/**
+ * Unit Tests for settlement batches and merchant payouts
+ */
+
+const SettlementController = require('../controllers/SettlementController');
+const SettlementService = require('../services/SettlementService');
+const SettlementRepository = require('../repository/SettlementRepository');
+const MockBankAdapter = require('../adapters/MockBankAdapter');
+
+const createdSettlement = {
+  id: 'setl_123',
+  merchant_id: 'merch_123',
+  currency: 'INR',
+  gross_amount: 100000,
+  refund_amount: 10000,
+  fee_amount: 2000,
+  tax_amount: 360,
+  amount: 87640,
+  payment_count: 2,
+  refund_count: 1,
+  status: 'created'
+};
+
+// ============================================================================
+// SettlementService Tests
+// ============================================================================
+
+describe('SettlementService', () => {
+  let service;
+  let mockRepository;
+  let mockBankAdapter;
+  let mockSettlementQueue;
+  let mockWebhookQueue;
+  let mockLedgerService;
+
+  beforeEach(() => {
+    mockRepository = {
+      listSettleableAccounts: jest.fn(),
+      createSettlement: jest.fn(),
+      getSettlementForMerchant: jest.fn(),
+      getSettlementById: jest.fn(),
+      listSettlements: jest.fn(),
+      listTransactions: jest.fn(),
+      updateSettlement: jest.fn(),
+      failSettlement: jest.fn()
+    };
+    mockBankAdapter = {
+      payout: jest.fn()
+    };
+    mockSettlementQueue = {
+      add: jest.fn()
+    };
+    mockWebhookQueue = {
+      add: jest.fn()
+    };
+    mockLedgerService = {
+      recordPayout: jest.fn().mockResolvedValue()
+    };
+    service = new SettlementService(mockRepository, mockBankAdapter, mockSettlementQueue, mockWebhookQueue, mockLedgerService);
+  });
+
+  describe('createDailySettlements', () => {
+    it('should settle each merchant and currency up to midnight UTC and queue the payouts', async () => {
+      mockRepository.listSettleableAccounts.mockResolvedValueOnce([
+        { merchant_id: 'merch_123', currency: 'INR' },
+        { merchant_id: 'merch_123', currency: 'USD' }
+      ]);
+      mockRepository.createSettlement
+        .mockImplementationOnce(async (data) => ({ ...createdSettlement, id: data.id }))
+        .mockResolvedValueOnce(null);
+
+      const settlements = await service.createDailySettlements(new Date('2026-11-02T02:00:00Z'));
+
+      const periodEnd = new Date('2026-11-02T00:00:00Z');
+      expect(mockRepository.listSettleableAccounts).toHaveBeenCalledWith(periodEnd);
+      expect(mockRepository.createSettlement).toHaveBeenCalledWith(expect.objectContaining({
+        id: expect.stringMatching(/^setl_/),
+        merchantId: 'merch_123',
+        currency: 'INR',
+        periodEnd
+      }));
+      expect(settlements).toHaveLength(1);
+      expect(mockSettlementQueue.add).toHaveBeenCalledTimes(1);
+      expect(mockSettlementQueue.add).toHaveBeenCalledWith(
+        'process-settlement',
+        { settlementId: settlements[0].id },
+        expect.objectContaining({ jobId: `payout_${settlements[0].id}`, attempts: 3 })
+      );
+    });
+  });
+
+  describe('processSettlement', () => {
+    it('should pay out a created settlement and send settlement.processed', async () => {
+      mockRepository.getSettlementById.mockResolvedValueOnce(createdSettlement);
+      mockRepository.updateSettlement
+        .mockResolvedValueOnce({ ...createdSettlement, status: 'processing' })
+        .mockResolvedValueOnce({ ...createdSettlement, status: 'settled', utr: 'MOCKUTR1' });
+      mockBankAdapter.payout.mockResolvedValueOnce({ status: 'processed', utr: 'MOCKUTR1' });
+
+      const settlement = await service.processSettlement('setl_123');
+
+      expect(mockRepository.updateSettlement).toHaveBeenNthCalledWith(1, 'setl_123', 'created', expect.objectContaining({ status: 'processing' }));
+      expect(mockBankAdapter.payout).toHaveBeenCalledWith({
+        reference: 'setl_123', merchantId: 'merch_123', amount: 87640, currency: 'INR'
+      });
+      expect(mockRepository.updateSettlement).toHaveBeenNthCalledWith(2, 'setl_123', 'processing', expect.objectContaining({
+        status: 'settled', utr: 'MOCKUTR1'
+      }));
+      expect(settlement.status).toBe('settled');
+      expect(mockLedgerService.recordPayout).toHaveBeenCalledWith(expect.objectContaining({ id: 'setl_123', status: 'settled' }));
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', {
+        event: 'settlement.processed',
+        settlementId: 'setl_123',
+        merchantId: 'merch_123'
+      });
+    });
+
+    it('should fail a settlement the bank rejects', async () => {
+      mockRepository.getSettlementById.mockResolvedValueOnce({ ...createdSettlement, status: 'processing' });
+      mockRepository.failSettlement.mockResolvedValueOnce({ ...createdSettlement, status: 'failed' });
+      mockBankAdapter.payout.mockResolvedValueOnce({ status: 'rejected', reason: 'Beneficiary account closed' });
+
+      await service.processSettlement('setl_123');
+
+      expect(mockRepository.failSettlement).toHaveBeenCalledWith('setl_123', {
+        reason: 'Beneficiary account closed', failedAt: expect.any(Date)
+      });
+      expect(mockRepository.updateSettlement).not.toHaveBeenCalled();
+      expect(mockWebhookQueue.add).toHaveBeenCalledWith('send-webhook', expect.objectContaining({ event: 'settlement.failed' }));
+      expect(mockLedgerService.recordPayout).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow bank errors until the final attempt', async () => {
+      mockRepository.getSettlementById.mockResolvedValue({ ...createdSettlement, status: 'processing' });
+      mockBankAdapter.payout.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(service.processSettlement('setl_123', { finalAttempt: false })).rejects.toThrow('ECONNREFUSED');
+      expect(mockRepository.failSettlement).not.toHaveBeenCalled();
+
+      mockRepository.failSettlement.mockResolvedValueOnce({ ...createdSettlement, status: 'failed' });
+      await service.processSettlement('setl_123', { finalAttempt: true });
+      expect(mockRepository.failSettlement).toHaveBeenCalledWith('setl_123', expect.objectContaining({
+        reason: 'Payout could not be submitted: connect ECONNREFUSED'
+      }));
+    });
+
+    it('should leave a settled settlement alone', async () => {
+      mockRepository.getSettlementById.mockResolvedValueOnce({ ...createdSettlement, status: 'settled' });
+
+      const settlement = await service.processSettlement('setl_123');
+
+      expect(settlement.status).toBe('settled');
+      expect(mockBankAdapter.payout).not.toHaveBeenCalled();
+      expect(mockWebhookQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listTransactions', () => {
+    it('should only list transactions of the merchant\'s own settlement', async () => {
+      mockRepository.getSettlementForMerchant.mockResolvedValueOnce(null);
+
+      await expect(service.listTransactions('setl_other', 'merch_123', { limit: 10 }))
+        .rejects.toMatchObject({ code: 'SETTLEMENT_NOT_FOUND', statusCode: 404 });
+      expect(mockRepository.listTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should page transactions by ID', async () => {
+      mockRepository.getSettlementForMerchant.mockResolvedValueOnce(createdSettlement);
+      mockRepository.listTransactions.mockResolvedValueOnce([{ id: '7' }, { id: '8' }, { id: '9' }]);
+
+      const result = await service.listTransactions('setl_123', 'merch_123', { limit: 2, cursor: 6 });
+
+      expect(mockRepository.listTransactions).toHaveBeenCalledWith('setl_123', { limit: 3, cursor: 6 });
+      expect(result).toEqual({ transactions: [{ id: '7' }, { id: '8' }], hasMore: true, nextCursor: '8' });
+    });
+  });
+});
+
+// ============================================================================
+// MockBankAdapter Tests
+// ============================================================================
+
+// ============================================================================
+// SettlementRepository Tests
+// ============================================================================
+
+describe('SettlementRepository', () => {
+  let repository;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    repository = new SettlementRepository(mockDb);
+  });
+
+  it('should release a failed settlement\'s transactions along with failing it', async () => {
+    const failedAt = new Date('2026-11-02T03:00:00Z');
+    mockDb.query.mockResolvedValueOnce({ rows: [{ ...createdSettlement, status: 'failed' }] });
+
+    const settlement = await repository.failSettlement('setl_123', { reason: 'Beneficiary account closed', failedAt });
+
+    const [sql, params] = mockDb.query.mock.calls[0];
+    expect(sql).toContain("WHERE id = $1 AND status = 'processing'");
+    expect(sql).toContain('UPDATE settlement_transactions st SET released_at = NOW()');
+    expect(params).toEqual(['setl_123', 'Beneficiary account closed', failedAt]);
+    expect(settlement.status).toBe('failed');
+  });
+
+  it('should settle the payments and refunds of failed settlements in the next run', async () => {
+    const periodEnd = new Date('2026-11-03T00:00:00Z');
+
+    await repository.listSettleableAccounts(periodEnd);
+    await repository.createSettlement({ id: 'setl_456', merchantId: 'merch_123', currency: 'INR', periodEnd });
+
+    const accountsSql = mockDb.query.mock.calls[0][0];
+    const settlementSql = mockDb.query.mock.calls[1][0];
+    expect(accountsSql).toContain("st.entity_id = p.id AND st.released_at IS NULL");
+    for (const entity of ['p', 'r', 'd']) {
+      expect(settlementSql).toContain(`st.entity_id = ${entity}.id AND st.released_at IS NULL`);
+    }
+    expect(settlementSql.match(/st\.released_at IS NULL/g)).toHaveLength(4);
+    expect(settlementSql).toContain("ON CONFLICT (merchant_id, currency, period_end) WHERE status <> 'failed' DO NOTHING");
+  });
+});
+
+describe('MockBankAdapter', () => {
+  const instant = { successRate: 50, minLatencyMs: 0, maxLatencyMs: 0 };
+
+  it('should process or reject payouts by the simulated success rate', async () => {
+    const processed = await new MockBankAdapter({ simulation: instant, random: () => 0.1 })
+      .payout({ reference: 'setl_1', merchantId: 'merch_123', amount: 100, currency: 'INR' });
+    const rejected = await new MockBankAdapter({ simulation: instant, random: () => 0.9 })
+      .payout({ reference: 'setl_1', merchantId: 'merch_123', amount: 100, currency: 'INR' });
+
+    expect(processed).toEqual({ status: 'processed', utr: expect.stringMatching(/^MOCK[0-9A-F]{18}$/) });
+    expect(rejected).toEqual({ status: 'rejected', reason: expect.any(String) });
+  });
+
+  it('should not pay the same reference twice', async () => {
+    const bank = new MockBankAdapter({ simulation: instant, random: () => 0.1 });
+
+    const first = await bank.payout({ reference: 'setl_1', merchantId: 'merch_123', amount: 100, currency: 'INR' });
+    const second = await bank.payout({ reference: 'setl_1', merchantId: 'merch_123', amount: 100, currency: 'INR' });
+
+    expect(second).toBe(first);
+  });
+});
+
+// ============================================================================
+// SettlementController Tests
+// ============================================================================
+
+describe('SettlementController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      listSettlements: jest.fn(),
+      getSettlement: jest.fn(),
+      listTransactions: jest.fn()
+    };
+    controller = new SettlementController(mockService);
+
+    req = { params: {}, query: {}, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  it('should list settlements with a status filter', async () => {
+    req.query = { status: 'settled', limit: '5' };
+    mockService.listSettlements.mockResolvedValueOnce({
+      settlements: [{ ...createdSettlement, status: 'settled' }], hasMore: false, nextCursor: null
+    });
+
+    await controller.listSettlements(req, res);
+
+    expect(mockService.listSettlements).toHaveBeenCalledWith('merch_123', { status: 'settled' }, { limit: 5, cursor: undefined });
+    expect(res.json).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ id: 'setl_123', amount: 87640, fee_amount: 2000, tax_amount: 360, status: 'settled' })],
+      has_more: false,
+      next_cursor: null,
+      limit: 5
+    });
+  });
+
+  it('should reject an unknown status filter', async () => {
+    req.query = { status: 'paid' };
+
+    await controller.listSettlements(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_FILTER' }) });
+  });
+
+  it('should list a settlement\'s transactions', async () => {
+    req.params.settlement_id = 'setl_123';
+    req.query = { cursor: '6' };
+    mockService.listTransactions.mockResolvedValueOnce({
+      transactions: [{ id: '7', entity_type: 'refund', entity_id: 'rfnd_1', payment_id: 'pay_1', amount: 10000, fee: 0, net: -10000 }],
+      hasMore: false,
+      nextCursor: null
+    });
+
+    await controller.listTransactions(req, res);
+
+    expect(mockService.listTransactions).toHaveBeenCalledWith('setl_123', 'merch_123', { limit: 10, cursor: 6 });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      data: [expect.objectContaining({ id: '7', type: 'refund', entity_id: 'rfnd_1', net: -10000 })]
+    }));
+  });
+
+  it('should reject a malformed transactions cursor', async () => {
+    req.params.settlement_id = 'setl_123';
+    req.query = { cursor: 'abc' };
+
+    await controller.listTransactions(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockService.listTransactions).not.toHaveBeenCalled();
+  });
+});
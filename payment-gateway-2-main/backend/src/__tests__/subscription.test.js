@@ -0,0 +1,507 @@
+/**
+ * Unit Tests for plans, subscriptions and recurring billing
+ */
+
+const SubscriptionController = require('../controllers/SubscriptionController');
+const SubscriptionService = require('../services/SubscriptionService');
+const SubscriptionRepository = require('../repository/SubscriptionRepository');
+
+const HOUR = 60 * 60 * 1000;
+
+// ============================================================================
+// SubscriptionService Tests
+// ============================================================================
+
+describe('SubscriptionService', () => {
+  let service;
+  let mockRepository;
+  let mockCustomerRepository;
+  let mockOrderService;
+  let mockPaymentService;
+  let mockSubscriptionQueue;
+  let mockWebhookQueue;
+  let mockJob;
+
+  const plan = {
+    id: 'plan_123',
+    merchant_id: 'merch_123',
+    amount: 49900,
+    currency: 'INR',
+    period: 'monthly',
+    interval_count: 1,
+    trial_period_days: 0
+  };
+
+  const subscription = (overrides = {}) => ({
+    id: 'sub_123',
+    merchant_id: 'merch_123',
+    plan_id: 'plan_123',
+    customer_id: 'cust_123',
+    token_id: 'token_123',
+    status: 'active',
+    total_count: null,
+    paid_count: 0,
+    failed_attempts: 0,
+    trial_end: null,
+    next_charge_at: new Date('2026-01-31T10:00:00Z'),
+    next_retry_at: null,
+    charge_started_at: new Date(),
+    last_payment_id: null,
+    cancel_at_cycle_end: false,
+    notes: {},
+    ...overrides
+  });
+
+  const webhookEvents = () => mockWebhookQueue.add.mock.calls.map(([, data]) => data.event);
+
+  beforeEach(() => {
+    mockRepository = {
+      createPlan: jest.fn(),
+      getPlanForMerchant: jest.fn().mockResolvedValue(plan),
+      listPlans: jest.fn(),
+      createSubscription: jest.fn(async (data) => subscription({
+        id: data.id,
+        status: data.status,
+        trial_end: data.trialEnd,
+        next_charge_at: data.nextChargeAt,
+        charge_started_at: null
+      })),
+      getSubscriptionForMerchant: jest.fn(),
+      getSubscriptionById: jest.fn(),
+      listSubscriptions: jest.fn(),
+      updateSubscription: jest.fn(),
+      claimDueCharge: jest.fn(),
+      listDueSubscriptions: jest.fn()
+    };
+    mockCustomerRepository = {
+      getCustomerForMerchant: jest.fn().mockResolvedValue({ id: 'cust_123' }),
+      getTokenForMerchant: jest.fn().mockResolvedValue({ id: 'token_123', customer_id: 'cust_123', method: 'upi' })
+    };
+    mockOrderService = {
+      createOrder: jest.fn().mockResolvedValue({ id: 'order_123' })
+    };
+    mockPaymentService = {
+      createPayment: jest.fn().mockResolvedValue({ id: 'pay_123', status: 'pending' })
+    };
+    mockJob = {
+      getState: jest.fn().mockResolvedValue('delayed'),
+      remove: jest.fn()
+    };
+    mockSubscriptionQueue = {
+      add: jest.fn(),
+      getJob: jest.fn().mockResolvedValue(mockJob)
+    };
+    mockWebhookQueue = {
+      add: jest.fn()
+    };
+
+    service = new SubscriptionService(
+      mockRepository,
+      mockCustomerRepository,
+      mockOrderService,
+      mockPaymentService,
+      mockSubscriptionQueue,
+      mockWebhookQueue
+    );
+  });
+
+  describe('createSubscription', () => {
+    it('should start a trial and schedule the first charge for its end', async () => {
+      const before = Date.now();
+
+      const created = await service.createSubscription('merch_123', {
+        planId: 'plan_123',
+        customerId: 'cust_123',
+        tokenId: 'token_123',
+        trialPeriodDays: 7
+      });
+
+      expect(created.status).toBe('trialing');
+      const trialEnd = mockRepository.createSubscription.mock.calls[0][0].trialEnd;
+      expect(trialEnd.getTime()).toBeGreaterThanOrEqual(before + 7 * 24 * HOUR);
+
+      const [name, data, opts] = mockSubscriptionQueue.add.mock.calls[0];
+      expect(name).toBe('charge-subscription');
+      expect(data).toEqual({ subscriptionId: created.id });
+      expect(opts.jobId).toBe(`charge_${created.id}_${trialEnd.getTime()}`);
+      expect(opts.delay).toBeGreaterThan(7 * 24 * HOUR - 1000);
+    });
+
+    it('should charge right away without a trial', async () => {
+      const created = await service.createSubscription('merch_123', {
+        planId: 'plan_123',
+        customerId: 'cust_123',
+        tokenId: 'token_123'
+      });
+
+      expect(created.status).toBe('active');
+      expect(mockSubscriptionQueue.add.mock.calls[0][2].delay).toBe(0);
+    });
+
+    it('should reject another customer\'s token', async () => {
+      mockCustomerRepository.getTokenForMerchant.mockResolvedValueOnce({ id: 'token_123', customer_id: 'cust_other', method: 'upi' });
+
+      await expect(service.createSubscription('merch_123', {
+        planId: 'plan_123',
+        customerId: 'cust_123',
+        tokenId: 'token_123'
+      })).rejects.toMatchObject({ code: 'TOKEN_CUSTOMER_MISMATCH' });
+      expect(mockRepository.createSubscription).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chargeSubscription', () => {
+    it('should skip a subscription that is not due or already being charged', async () => {
+      mockRepository.claimDueCharge.mockResolvedValueOnce(null);
+
+      const payment = await service.chargeSubscription('sub_123');
+
+      expect(payment).toBeNull();
+      expect(mockOrderService.createOrder).not.toHaveBeenCalled();
+    });
+
+    it('should charge the saved token through an order for the plan amount', async () => {
+      mockRepository.claimDueCharge.mockResolvedValueOnce(subscription());
+
+      const payment = await service.chargeSubscription('sub_123');
+
+      // A claim whose outcome never arrived may be taken again after an hour
+      expect(mockRepository.claimDueCharge).toHaveBeenCalledWith('sub_123', 60);
+
+      expect(payment.id).toBe('pay_123');
+      expect(mockOrderService.createOrder).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        amount: 49900,
+        currency: 'INR',
+        receipt: 'sub_123',
+        customerId: 'cust_123'
+      }));
+      expect(mockPaymentService.createPayment).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        orderId: 'order_123',
+        customerId: 'cust_123',
+        tokenId: 'token_123',
+        subscriptionId: 'sub_123'
+      }));
+      expect(mockRepository.updateSubscription).toHaveBeenCalledWith('sub_123', expect.any(Array), { last_payment_id: 'pay_123' });
+    });
+
+    it('should cancel instead of charging at the end of the cycle', async () => {
+      mockRepository.claimDueCharge.mockResolvedValueOnce(subscription({ cancel_at_cycle_end: true }));
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const payment = await service.chargeSubscription('sub_123');
+
+      expect(payment).toBeNull();
+      expect(mockOrderService.createOrder).not.toHaveBeenCalled();
+      expect(mockRepository.updateSubscription.mock.calls[0][2]).toMatchObject({ status: 'cancelled', charge_started_at: null });
+      expect(webhookEvents()).toEqual(['subscription.cancelled']);
+    });
+
+    it('should dun the subscription when its token can no longer be charged', async () => {
+      const claimed = subscription();
+      mockRepository.claimDueCharge.mockResolvedValueOnce(claimed);
+      mockRepository.getSubscriptionById.mockResolvedValueOnce(claimed);
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+      const tokenError = new Error('Token not found');
+      tokenError.code = 'TOKEN_NOT_FOUND';
+      mockPaymentService.createPayment.mockRejectedValueOnce(tokenError);
+
+      const payment = await service.chargeSubscription('sub_123');
+
+      expect(payment).toBeNull();
+      expect(mockRepository.updateSubscription.mock.calls[0][2]).toMatchObject({ status: 'past_due', failed_attempts: 1 });
+      expect(webhookEvents()).toEqual(['subscription.past_due']);
+    });
+  });
+
+  describe('handlePaymentOutcome', () => {
+    it('should advance a paid cycle from its due date and schedule the next one', async () => {
+      mockRepository.getSubscriptionById.mockResolvedValueOnce(subscription({ last_payment_id: 'pay_123' }));
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const updated = await service.handlePaymentOutcome('sub_123', 'pay_123', 'captured');
+
+      // Jan 31 + 1 month ends on the last day of February
+      expect(updated).toMatchObject({
+        status: 'active',
+        paid_count: 1,
+        current_start: new Date('2026-01-31T10:00:00Z'),
+        current_end: new Date('2026-02-28T10:00:00Z'),
+        next_charge_at: new Date('2026-02-28T10:00:00Z'),
+        charge_started_at: null
+      });
+      expect(webhookEvents()).toEqual(['subscription.activated', 'subscription.charged']);
+      expect(mockSubscriptionQueue.add.mock.calls[0][2].jobId)
+        .toBe(`charge_sub_123_${new Date('2026-02-28T10:00:00Z').getTime()}`);
+    });
+
+    it('should complete the subscription after its last cycle', async () => {
+      mockRepository.getSubscriptionById.mockResolvedValueOnce(subscription({ total_count: 3, paid_count: 2 }));
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const updated = await service.handlePaymentOutcome('sub_123', 'pay_123', 'captured');
+
+      expect(updated).toMatchObject({ status: 'completed', paid_count: 3, next_charge_at: null });
+      expect(webhookEvents()).toEqual(['subscription.charged', 'subscription.completed']);
+      expect(mockSubscriptionQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should schedule a dunning retry after a failed charge', async () => {
+      const before = Date.now();
+      mockRepository.getSubscriptionById.mockResolvedValueOnce(subscription());
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const updated = await service.handlePaymentOutcome('sub_123', 'pay_123', 'failed');
+
+      expect(updated.status).toBe('past_due');
+      expect(updated.failed_attempts).toBe(1);
+      expect(updated.next_retry_at.getTime()).toBeGreaterThanOrEqual(before + 24 * HOUR);
+      expect(webhookEvents()).toEqual(['subscription.past_due']);
+      expect(mockSubscriptionQueue.add.mock.calls[0][2].jobId).toBe(`charge_sub_123_${updated.next_retry_at.getTime()}`);
+    });
+
+    it.each(['cancelled', 'expired'])('should dun the subscription when its payment is %s', async (status) => {
+      mockRepository.getSubscriptionById.mockResolvedValueOnce(subscription());
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const updated = await service.handlePaymentOutcome('sub_123', 'pay_123', status);
+
+      expect(updated).toMatchObject({ status: 'past_due', failed_attempts: 1, charge_started_at: null });
+      expect(webhookEvents()).toEqual(['subscription.past_due']);
+    });
+
+    it('should halt the subscription once every retry has failed', async () => {
+      mockRepository.getSubscriptionById.mockResolvedValueOnce(subscription({ status: 'past_due', failed_attempts: 3 }));
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const updated = await service.handlePaymentOutcome('sub_123', 'pay_123', 'failed');
+
+      expect(updated).toMatchObject({ status: 'halted', failed_attempts: 4, next_retry_at: null });
+      expect(webhookEvents()).toEqual(['subscription.halted']);
+      expect(mockSubscriptionQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should retry when the subscription changed state concurrently', async () => {
+      mockRepository.getSubscriptionById
+        .mockResolvedValueOnce(subscription())
+        .mockResolvedValueOnce(subscription({ status: 'paused' }));
+      mockRepository.updateSubscription
+        .mockResolvedValueOnce(null)
+        .mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const updated = await service.handlePaymentOutcome('sub_123', 'pay_123', 'captured');
+
+      expect(mockRepository.updateSubscription.mock.calls[1][1]).toEqual(['paused']);
+      expect(updated).toMatchObject({ status: 'paused', paid_count: 1 });
+      expect(mockSubscriptionQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should ignore outcomes when no charge is in flight', async () => {
+      mockRepository.getSubscriptionById.mockResolvedValueOnce(subscription({ charge_started_at: null }));
+
+      const updated = await service.handlePaymentOutcome('sub_123', 'pay_123', 'captured');
+
+      expect(updated).toBeNull();
+      expect(mockRepository.updateSubscription).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pause, resume and cancel', () => {
+    it('should pause and remove the scheduled charge', async () => {
+      mockRepository.getSubscriptionForMerchant.mockResolvedValueOnce(subscription({ charge_started_at: null }));
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const paused = await service.pauseSubscription('sub_123', 'merch_123');
+
+      expect(paused.status).toBe('paused');
+      expect(mockSubscriptionQueue.getJob).toHaveBeenCalledWith(`charge_sub_123_${new Date('2026-01-31T10:00:00Z').getTime()}`);
+      expect(mockJob.remove).toHaveBeenCalled();
+      expect(webhookEvents()).toEqual(['subscription.paused']);
+    });
+
+    it('should resume a halted subscription and charge its overdue cycle now', async () => {
+      mockRepository.getSubscriptionForMerchant.mockResolvedValueOnce(subscription({
+        status: 'halted',
+        failed_attempts: 4,
+        paid_count: 2,
+        charge_started_at: null
+      }));
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const resumed = await service.resumeSubscription('sub_123', 'merch_123');
+
+      expect(resumed).toMatchObject({ status: 'active', failed_attempts: 0 });
+      expect(mockSubscriptionQueue.add.mock.calls[0][2].delay).toBe(0);
+      expect(webhookEvents()).toEqual(['subscription.resumed']);
+    });
+
+    it('should reject resuming an active subscription', async () => {
+      mockRepository.getSubscriptionForMerchant.mockResolvedValueOnce(subscription());
+
+      await expect(service.resumeSubscription('sub_123', 'merch_123'))
+        .rejects.toMatchObject({ code: 'SUBSCRIPTION_NOT_RESUMABLE' });
+    });
+
+    it('should only cancel a past-due subscription immediately', async () => {
+      mockRepository.getSubscriptionForMerchant.mockResolvedValueOnce(subscription({ status: 'past_due' }));
+
+      await expect(service.cancelSubscription('sub_123', 'merch_123', true))
+        .rejects.toMatchObject({ code: 'SUBSCRIPTION_NOT_CANCELLABLE' });
+      expect(mockRepository.updateSubscription).not.toHaveBeenCalled();
+    });
+
+    it('should keep a subscription cancelled at cycle end scheduled', async () => {
+      mockRepository.getSubscriptionForMerchant.mockResolvedValueOnce(subscription());
+      mockRepository.updateSubscription.mockImplementationOnce(async (id, from, changes) => subscription(changes));
+
+      const updated = await service.cancelSubscription('sub_123', 'merch_123', true);
+
+      expect(updated.cancel_at_cycle_end).toBe(true);
+      expect(mockJob.remove).not.toHaveBeenCalled();
+      expect(mockWebhookQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enqueueDueCharges', () => {
+    it('should schedule every due subscription', async () => {
+      mockRepository.listDueSubscriptions.mockResolvedValueOnce([
+        subscription({ id: 'sub_1', charge_started_at: null }),
+        subscription({ id: 'sub_2', charge_started_at: null })
+      ]);
+
+      const count = await service.enqueueDueCharges();
+
+      expect(count).toBe(2);
+      expect(mockRepository.listDueSubscriptions).toHaveBeenCalledWith(100, 60);
+      expect(mockSubscriptionQueue.add.mock.calls.map(([, data]) => data.subscriptionId)).toEqual(['sub_1', 'sub_2']);
+    });
+  });
+});
+
+// ============================================================================
+// SubscriptionRepository Tests
+// ============================================================================
+
+describe('SubscriptionRepository', () => {
+  let repository;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    repository = new SubscriptionRepository(mockDb);
+  });
+
+  it('should take over a timed out claim once no payment of the subscription is in flight', async () => {
+    await repository.claimDueCharge('sub_123', 60);
+    await repository.listDueSubscriptions(100, 60);
+
+    for (const [sql, params] of mockDb.query.mock.calls) {
+      expect(sql).toContain('charge_started_at IS NULL');
+      expect(sql).toContain('charge_started_at < NOW() - make_interval(mins => $3)');
+      expect(sql).toContain("p.status IN ('created', 'review', 'pending', 'authorized')");
+      expect(params[2]).toBe(60);
+    }
+  });
+});
+
+// ============================================================================
+// SubscriptionController Tests
+// ============================================================================
+
+describe('SubscriptionController', () => {
+  let controller;
+  let mockService;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    mockService = {
+      createPlan: jest.fn(),
+      getPlan: jest.fn(),
+      listPlans: jest.fn(),
+      createSubscription: jest.fn(),
+      getSubscription: jest.fn(),
+      listSubscriptions: jest.fn(),
+      pauseSubscription: jest.fn(),
+      resumeSubscription: jest.fn(),
+      cancelSubscription: jest.fn()
+    };
+    controller = new SubscriptionController(mockService);
+
+    req = { params: {}, query: {}, body: {}, merchantId: 'merch_123' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+  });
+
+  describe('createPlan', () => {
+    it('should create a plan with default interval and trial', async () => {
+      req.body = { name: 'Pro monthly', amount: 49900, period: 'monthly' };
+      mockService.createPlan.mockResolvedValueOnce({ id: 'plan_123', name: 'Pro monthly', amount: 49900, currency: 'INR', period: 'monthly', interval_count: 1, trial_period_days: 0 });
+
+      await controller.createPlan(req, res);
+
+      expect(mockService.createPlan).toHaveBeenCalledWith('merch_123', expect.objectContaining({
+        currency: 'INR',
+        intervalCount: 1,
+        trialPeriodDays: 0
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ id: 'plan_123', period: 'monthly' }));
+    });
+
+    it('should return 400 for an unknown period', async () => {
+      req.body = { name: 'Pro', amount: 49900, period: 'fortnightly' };
+
+      await controller.createPlan(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'INVALID_PERIOD' }) });
+      expect(mockService.createPlan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createSubscription', () => {
+    it('should require a saved token', async () => {
+      req.body = { plan_id: 'plan_123', customer_id: 'cust_123' };
+
+      await controller.createSubscription(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'MISSING_TOKEN' }) });
+    });
+
+    it('should return the remaining cycle count', async () => {
+      req.body = { plan_id: 'plan_123', customer_id: 'cust_123', token: 'token_123', total_count: 12 };
+      mockService.createSubscription.mockResolvedValueOnce({ id: 'sub_123', status: 'active', total_count: 12, paid_count: 0 });
+
+      await controller.createSubscription(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ id: 'sub_123', remaining_count: 12 }));
+    });
+  });
+
+  describe('cancelSubscription', () => {
+    it('should return 400 for a non-boolean cancel_at_cycle_end', async () => {
+      req.params = { subscription_id: 'sub_123' };
+      req.body = { cancel_at_cycle_end: 'yes' };
+
+      await controller.cancelSubscription(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockService.cancelSubscription).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listSubscriptions', () => {
+    it('should return 400 for an unknown status', async () => {
+      req.query = { status: 'captured' };
+
+      await controller.listSubscriptions(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockService.listSubscriptions).not.toHaveBeenCalled();
+    });
+  });
+});
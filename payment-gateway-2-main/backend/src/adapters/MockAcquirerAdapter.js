@@ -0,0 +1,155 @@
+const axios = require('axios');
+const {
+  mockAcquirerUrl,
+  acquirerTimeoutMs,
+  acquirerCallbackSecret,
+  acquirerCallbackBaseUrl
+} = require('../config/payments');
+const { verifyAcquirerCallback } = require('../utils/acquirers');
+
+/**
+ * MockAcquirerAdapter - Client of the mock acquirer service (mock_acquirer.js)
+ * Responsible for:
+ * - Sending authorizations, captures, voids and refunds to the acquirer over
+ *   HTTP, keyed by the gateway's payment and refund IDs so resubmissions are
+ *   not processed twice
+ * - Querying a payment's status, e.g. after a timeout or a callback
+ * - Verifying the signature of the acquirer's callbacks
+ *
+ * Requests taking longer than acquirerTimeoutMs are abandoned and throw; the
+ * outcome is then unknown until the payment's status is queried.
+ * See services/AcquirerService.js for the adapter interface.
+ */
+class MockAcquirerAdapter {
+  constructor({
+    baseUrl = mockAcquirerUrl,
+    timeoutMs = acquirerTimeoutMs,
+    callbackUrl = `${acquirerCallbackBaseUrl}/api/v1/acquirer_callbacks/mock`,
+    callbackSecret = acquirerCallbackSecret,
+    http = axios
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.callbackUrl = callbackUrl;
+    this.callbackSecret = callbackSecret;
+    this.http = http;
+  }
+
+  /**
+   * Authorize a payment; the acquirer may answer 'pending' and send a callback
+   * once it has decided
+   * @param {Object} payment - Payment row
+   * @returns {Promise<Object>} - { status: 'authorized' | 'declined' | 'pending', reference, errorCode, errorDescription }
+   */
+  async authorize(payment) {
+    const response = await this.http.post(`${this.baseUrl}/v1/payments`, {
+      merchant_reference: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      method: payment.method,
+      card_network: payment.card_network || null,
+      card_last4: payment.card_last4 || null,
+      card_fingerprint: payment.card_fingerprint || null,
+      vpa: payment.vpa || null,
+      bank: payment.bank || null,
+      wallet: payment.wallet || null,
+      callback_url: this.callbackUrl
+    }, { timeout: this.timeoutMs });
+    return this._result(response.data);
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {Object} payment - Payment row
+   * @param {number} amount - Amount to capture
+   * @returns {Promise<Object>} - { status: 'captured' | 'declined', errorCode, errorDescription }
+   */
+  async capture(payment, amount) {
+    const response = await this.http.post(
+      `${this._paymentUrl(payment)}/capture`, { amount }, { timeout: this.timeoutMs }
+    );
+    return this._result(response.data);
+  }
+
+  /**
+   * Release an authorization
+   * @param {Object} payment - Payment row
+   * @returns {Promise<Object>} - { status: 'voided' | 'declined', errorCode, errorDescription }
+   */
+  async void(payment) {
+    const response = await this.http.post(`${this._paymentUrl(payment)}/void`, {}, { timeout: this.timeoutMs });
+    return this._result(response.data);
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {Object} payment - Payment row
+   * @param {Object} refund - Refund row
+   * @returns {Promise<Object>} - { status: 'processed' | 'declined', reference, errorCode, errorDescription }
+   */
+  async refund(payment, refund) {
+    const response = await this.http.post(`${this._paymentUrl(payment)}/refunds`, {
+      merchant_reference: refund.id,
+      amount: refund.amount
+    }, { timeout: this.timeoutMs });
+    return this._result(response.data);
+  }
+
+  /**
+   * Current outcome of a payment's authorization
+   * @param {Object} payment - Payment row
+   * @returns {Promise<Object>} - Same shape as authorize(), or { status: 'not_found' }
+   *   if the authorization never reached the acquirer
+   */
+  async status(payment) {
+    try {
+      const response = await this.http.get(this._paymentUrl(payment), { timeout: this.timeoutMs });
+      return this._result(response.data);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { status: 'not_found', reference: null, errorCode: null, errorDescription: null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check a callback's signature and find the payment it is about
+   * @param {Object} body - Callback body
+   * @param {string} signature - X-Acquirer-Signature header
+   * @returns {string|null} - Payment ID, or null if the signature is invalid
+   */
+  verifyCallback(body, signature) {
+    if (!verifyAcquirerCallback(body, signature, this.callbackSecret)) {
+      return null;
+    }
+    return body.merchant_reference || null;
+  }
+
+  /**
+   * URL of a payment at the acquirer
+   * @private
+   * @param {Object} payment - Payment row
+   * @returns {string}
+   */
+  _paymentUrl(payment) {
+    return `${this.baseUrl}/v1/payments/${encodeURIComponent(payment.id)}`;
+  }
+
+  /**
+   * Normalize an acquirer response
+   * @private
+   * @param {Object} data - Response body
+   * @returns {Object} - { status, reference, errorCode, errorDescription }
+   */
+  _result(data) {
+    return {
+      status: data.status,
+      reference: data.reference || null,
+      errorCode: data.error_code || null,
+      errorDescription: data.error_description || null
+    };
+  }
+}
+
+module.exports = MockAcquirerAdapter;
@@ -0,0 +1,56 @@
+const { v4: uuidv4 } = require('uuid');
+const { payoutSimulation } = require('../config/payments');
+
+const REJECTION_REASONS = [
+  'Beneficiary account closed',
+  'Beneficiary account frozen',
+  'Invalid beneficiary IFSC'
+];
+
+/**
+ * MockBankAdapter - Local stand-in for the bank that sends merchant payouts
+ * Responsible for:
+ * - Accepting a payout for a settlement after a simulated bank latency
+ * - Processing it (with a UTR) or rejecting it, per config/payments.js
+ * - Returning the same outcome when a payout reference is resubmitted
+ *
+ * Every bank adapter implements payout(); SettlementService depends only
+ * on that method, so a real bank integration can replace this one.
+ */
+class MockBankAdapter {
+  constructor({ simulation = payoutSimulation, random = Math.random } = {}) {
+    this.simulation = simulation;
+    this.random = random;
+    this.payouts = new Map();
+  }
+
+  /**
+   * Send a payout to a merchant's settlement account
+   * A bank rejection is an outcome; thrown errors mean the payout could not
+   * be submitted and may be retried with the same reference.
+   * @param {Object} payout - Payout instruction
+   * @param {string} payout.reference - Unique reference (the settlement ID); resubmissions are not paid twice
+   * @param {string} payout.merchantId - Merchant being paid
+   * @param {number} payout.amount - Amount in minor units
+   * @param {string} payout.currency - ISO 4217 currency code
+   * @returns {Promise<Object>} - { status: 'processed', utr } or { status: 'rejected', reason }
+   */
+  async payout({ reference }) {
+    if (this.payouts.has(reference)) {
+      return this.payouts.get(reference);
+    }
+
+    const { minLatencyMs, maxLatencyMs, successRate } = this.simulation;
+    const latency = Math.floor(this.random() * (maxLatencyMs - minLatencyMs + 1) + minLatencyMs);
+    await new Promise(resolve => setTimeout(resolve, latency));
+
+    const result = this.random() * 100 < successRate
+      ? { status: 'processed', utr: 'MOCK' + uuidv4().replace(/-/g, '').substring(0, 18).toUpperCase() }
+      : { status: 'rejected', reason: REJECTION_REASONS[Math.floor(this.random() * REJECTION_REASONS.length)] };
+
+    this.payouts.set(reference, result);
+    return result;
+  }
+}
+
+module.exports = MockBankAdapter;
@@ -0,0 +1,118 @@
+const { v4: uuidv4 } = require('uuid');
+const { paymentOutcome } = require('../utils/sandbox');
+
+// Refunds take 3-5 seconds
+const REFUND_MIN_LATENCY_MS = 3000;
+const REFUND_MAX_LATENCY_MS = 5000;
+
+// Most authorizations remembered for status queries; the oldest is forgotten first
+const MAX_REMEMBERED_AUTHORIZATIONS = 10000;
+
+/**
+ * SimulatedAcquirerAdapter - In-process stand-in for an acquirer
+ * Responsible for:
+ * - Authorizing payments after a simulated latency: live payments succeed at
+ *   their method's rate, test-mode payments deterministically (utils/sandbox.js)
+ * - Capturing, voiding and refunding them, which always succeeds
+ * - Answering status queries with the outcome it gave
+ *
+ * It decides every payment while the request waits, so it never answers
+ * 'pending' and sends no callbacks. Recent payments are remembered in memory
+ * only: one it has no record of (e.g. after a restart) is authorized again.
+ * See services/AcquirerService.js for the adapter interface.
+ */
+class SimulatedAcquirerAdapter {
+  constructor({ outcome = paymentOutcome, random = Math.random } = {}) {
+    this.outcome = outcome;
+    this.random = random;
+    this.authorizations = new Map();
+  }
+
+  /**
+   * Authorize a payment
+   * @param {Object} payment - Payment row with its merchant's mode as merchant_mode
+   * @returns {Promise<Object>} - { status: 'authorized' | 'declined', reference, errorCode, errorDescription }
+   */
+  async authorize(payment) {
+    if (this.authorizations.has(payment.id)) {
+      return this.authorizations.get(payment.id);
+    }
+
+    const outcome = this.outcome(payment, payment.merchant_mode);
+    await this._sleep(outcome.latencyMs);
+
+    const result = {
+      status: outcome.success ? 'authorized' : 'declined',
+      reference: this._generateReference(),
+      errorCode: outcome.errorCode,
+      errorDescription: outcome.errorDescription
+    };
+    if (this.authorizations.size >= MAX_REMEMBERED_AUTHORIZATIONS) {
+      // Maps iterate in insertion order, so the first entry is the oldest
+      this.authorizations.delete(this.authorizations.keys().next().value);
+    }
+    this.authorizations.set(payment.id, result);
+    return result;
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {Object} payment - Payment row
+   * @param {number} amount - Amount to capture
+   * @returns {Promise<Object>} - { status: 'captured' }
+   */
+  async capture() {
+    return { status: 'captured', errorCode: null, errorDescription: null };
+  }
+
+  /**
+   * Release an authorization
+   * @param {Object} payment - Payment row
+   * @returns {Promise<Object>} - { status: 'voided' }
+   */
+  async void(payment) {
+    this.authorizations.delete(payment.id);
+    return { status: 'voided', errorCode: null, errorDescription: null };
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {Object} payment - Payment row
+   * @param {Object} refund - Refund row
+   * @returns {Promise<Object>} - { status: 'processed', reference }
+   */
+  async refund() {
+    await this._sleep(Math.floor(this.random() * (REFUND_MAX_LATENCY_MS - REFUND_MIN_LATENCY_MS + 1) + REFUND_MIN_LATENCY_MS));
+    return { status: 'processed', reference: this._generateReference(), errorCode: null, errorDescription: null };
+  }
+
+  /**
+   * Current outcome of a payment's authorization
+   * @param {Object} payment - Payment row with its merchant's mode as merchant_mode
+   * @returns {Promise<Object>} - Same shape as authorize()
+   */
+  async status(payment) {
+    return this.authorize(payment);
+  }
+
+  /**
+   * Wait for a simulated latency
+   * @private
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Generate an acquirer reference
+   * @private
+   * @returns {string}
+   */
+  _generateReference() {
+    return 'sim_' + uuidv4().replace(/-/g, '').substring(0, 18);
+  }
+}
+
+module.exports = SimulatedAcquirerAdapter;
@@ -3,10 +3,11 @@ process.env.REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
 const db = require('./config/db');
 const { paymentQueue } = require('./config/queue');
 const { v4: uuidv4 } = require('uuid');
+const { hashApiKey } = require('./utils/apiKeys');
 
 (async () => {
   try {
-    const merchantRes = await db.query("SELECT id FROM merchants WHERE api_key = $1", ['test_key_abc123']);
+    const merchantRes = await db.query('SELECT merchant_id AS id FROM api_keys WHERE key_hash = $1', [hashApiKey('test_key_abc123')]);
     if (merchantRes.rows.length === 0) {
       console.error('Test merchant not found. Run seed first.');
       process.exit(1);
@@ -7,7 +7,7 @@ app.post('/api/v1/payments/:payment_id/refunds', async (req, res) => {
     const paymentRes = await db.query('SELECT * FROM payments WHERE id = $1', [payment_id]);
     const payment = paymentRes.rows[0];
 
-    if (!payment || payment.status !== 'success') {
+    if (!payment || !['captured', 'partially_refunded'].includes(payment.status)) {
         return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Payment not in refundable state' } });
     }
 
@@ -0,0 +1,148 @@
+require('dotenv').config();
+
+// How long a manual-capture payment stays 'authorized' before it is voided
+const authorizationWindowHours = parseInt(process.env.AUTHORIZATION_WINDOW_HOURS || '120');
+
+// Simulated outcome of each payment method: success rate (%) and processing latency (ms)
+const methodSimulations = {
+  card: { successRate: 95, minLatencyMs: 5000, maxLatencyMs: 10000 },
+  upi: { successRate: 90, minLatencyMs: 5000, maxLatencyMs: 10000 },
+  netbanking: { successRate: 85, minLatencyMs: 8000, maxLatencyMs: 15000 },
+  wallet: { successRate: 97, minLatencyMs: 2000, maxLatencyMs: 5000 }
+};
+
+// Where the hosted checkout is served; payment link URLs point here
+const checkoutBaseUrl = process.env.CHECKOUT_BASE_URL || 'http://localhost:3001';
+
+// Public URL of this API; invoice receipt download links point here
+const apiBaseUrl = process.env.API_BASE_URL || 'http://localhost:8000';
+
+// Browser origins of the gateway's own pages (hosted checkout and dashboard).
+// They may always call the API; any other origin must be one of a merchant's
+// allowed origins.
+const gatewayOrigins = (process.env.GATEWAY_ORIGINS || `${new URL(checkoutBaseUrl).origin},http://localhost:3000`)
+  .split(',')
+  .map(origin => origin.trim());
+
+// Dunning: hours after a failed subscription charge at which it is retried.
+// A subscription whose last retry also fails is halted.
+const subscriptionRetryDelaysHours = (process.env.SUBSCRIPTION_RETRY_DELAYS_HOURS || '24,72,120')
+  .split(',')
+  .map(hours => parseFloat(hours));
+
+// How often SubscriptionWorker looks for due subscriptions whose charge job was lost
+const subscriptionSweepIntervalMinutes = parseInt(process.env.SUBSCRIPTION_SWEEP_INTERVAL_MINUTES || '5');
+
+// Minutes after which a charge claim whose outcome was never recorded (e.g. the
+// worker crashed) may be taken again, once the subscription has no payment in flight
+const subscriptionChargeTimeoutMinutes = parseInt(process.env.SUBSCRIPTION_CHARGE_TIMEOUT_MINUTES || '60');
+
+// Settlement: each day (cron pattern, UTC) merchants are paid out for what was
+// captured and refunded before midnight UTC, less the fee and tax charged on
+// each payment at capture
+const settlementSchedule = process.env.SETTLEMENT_SCHEDULE || '0 2 * * *';
+
+// Ledger check: how often (cron pattern, UTC) LedgerWorker posts movements whose
+// journal was missed and verifies that the ledger balances. Movements younger
+// than the grace period are left to the code path posting them.
+const ledgerCheckSchedule = process.env.LEDGER_CHECK_SCHEDULE || '15 * * * *';
+const ledgerBackfillGraceMinutes = parseInt(process.env.LEDGER_BACKFILL_GRACE_MINUTES || '10');
+
+// Disputes: days a merchant has to submit evidence for a new dispute, and how
+// often (cron pattern, UTC) DisputeWorker marks open disputes past that
+// deadline as lost
+const disputeResponseDays = parseInt(process.env.DISPUTE_RESPONSE_DAYS || '7');
+const disputeExpirySchedule = process.env.DISPUTE_EXPIRY_SCHEDULE || '*/30 * * * *';
+
+// Risk engine (see services/RiskService.js): payments per fixed window allowed
+// for each IP, card, VPA and customer before velocity counts against them, and
+// per-currency amounts (minor units) above which a payment is scored as high
+// value. Merchants set their own review and block thresholds and rules.
+const riskVelocityWindowSeconds = parseInt(process.env.RISK_VELOCITY_WINDOW_SECONDS || '3600');
+const riskVelocityLimits = {
+  ip: parseInt(process.env.RISK_VELOCITY_LIMIT_IP || '20'),
+  card: parseInt(process.env.RISK_VELOCITY_LIMIT_CARD || '5'),
+  vpa: parseInt(process.env.RISK_VELOCITY_LIMIT_VPA || '5'),
+  customer: parseInt(process.env.RISK_VELOCITY_LIMIT_CUSTOMER || '10')
+};
+const riskHighAmounts = { INR: 20000000, USD: 250000, EUR: 250000, GBP: 200000 };
+
+// Secret keying card fingerprints, so the same card can be recognised across
+// payments (velocity, blocklists) without storing its number
+const cardFingerprintSecret = process.env.CARD_FINGERPRINT_SECRET || 'dev_card_fingerprint_secret';
+
+// API rate limits: requests each API key may make per fixed window, counted
+// separately for reads (GET) and writes. Merchants can be given their own
+// limits through the admin API. Authenticated API keys are cached in-process
+// for apiKeyCacheTtlSeconds, so a changed limit can take that long to apply.
+const rateLimitWindowSeconds = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60');
+const rateLimitDefaults = {
+  read: parseInt(process.env.RATE_LIMIT_READ || '600'),
+  write: parseInt(process.env.RATE_LIMIT_WRITE || '120')
+};
+const apiKeyCacheTtlSeconds = parseInt(process.env.API_KEY_CACHE_TTL_SECONDS || '60');
+
+// Idempotency keys: how long a POST's response is replayed for its key, how
+// long a key stays locked by a request that never finished (e.g. the process
+// died) before a retry may take it over, and how often (cron pattern, UTC)
+// IdempotencyWorker purges expired keys
+const idempotencyKeyTtlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+const idempotencyLockTimeoutSeconds = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS || '60');
+const idempotencyPurgeSchedule = process.env.IDEMPOTENCY_PURGE_SCHEDULE || '0 * * * *';
+
+// Simulated outcome of payouts sent through MockBankAdapter
+const payoutSimulation = { successRate: 98, minLatencyMs: 1000, maxLatencyMs: 3000 };
+
+// Acquirers (see services/AcquirerService.js): the acquirer processing each
+// payment method, or "default" for the rest, as JSON. Merchants can be given
+// their own routes through the admin API. Test-mode payments always use the
+// simulated acquirer, whose outcomes are deterministic.
+const acquirerRoutes = JSON.parse(process.env.ACQUIRER_ROUTES || '{"default":"simulated"}');
+
+// Mock acquirer service (mock_acquirer.js): where it runs, how long a request
+// to it may take, and the secret signing its callbacks. Acquirers send
+// callbacks to acquirerCallbackBaseUrl, this API as they reach it.
+const mockAcquirerUrl = process.env.MOCK_ACQUIRER_URL || 'http://localhost:4100';
+const acquirerTimeoutMs = parseInt(process.env.ACQUIRER_TIMEOUT_MS || '10000');
+const acquirerCallbackSecret = process.env.ACQUIRER_CALLBACK_SECRET || 'dev_acquirer_callback_secret';
+const acquirerCallbackBaseUrl = process.env.ACQUIRER_CALLBACK_BASE_URL || apiBaseUrl;
+
+// A payment whose outcome the acquirer has not given yet (it answers later, or
+// timed out) is checked with the acquirer this often, and fails once it has
+// been checked acquirerMaxStatusChecks times
+const acquirerStatusCheckIntervalSeconds = parseInt(process.env.ACQUIRER_STATUS_CHECK_INTERVAL_SECONDS || '30');
+const acquirerMaxStatusChecks = parseInt(process.env.ACQUIRER_MAX_STATUS_CHECKS || '10');
+
+module.exports = {
+  authorizationWindowHours,
+  methodSimulations,
+  checkoutBaseUrl,
+  apiBaseUrl,
+  gatewayOrigins,
+  subscriptionRetryDelaysHours,
+  subscriptionSweepIntervalMinutes,
+  subscriptionChargeTimeoutMinutes,
+  settlementSchedule,
+  ledgerCheckSchedule,
+  ledgerBackfillGraceMinutes,
+  disputeResponseDays,
+  disputeExpirySchedule,
+  riskVelocityWindowSeconds,
+  riskVelocityLimits,
+  riskHighAmounts,
+  cardFingerprintSecret,
+  rateLimitWindowSeconds,
+  rateLimitDefaults,
+  apiKeyCacheTtlSeconds,
+  idempotencyKeyTtlHours,
+  idempotencyLockTimeoutSeconds,
+  idempotencyPurgeSchedule,
+  payoutSimulation,
+  acquirerRoutes,
+  mockAcquirerUrl,
+  acquirerTimeoutMs,
+  acquirerCallbackSecret,
+  acquirerCallbackBaseUrl,
+  acquirerStatusCheckIntervalSeconds,
+  acquirerMaxStatusChecks
+};
@@ -7,5 +7,11 @@ const connection = new IORedis(process.env.REDIS_URL, { maxRetriesPerRequest: nu
 const paymentQueue = new Queue('payment-queue', { connection });
 const refundQueue = new Queue('refund-queue', { connection });
 const webhookQueue = new Queue('webhook-queue', { connection });
+const authorizationQueue = new Queue('authorization-queue', { connection });
+const subscriptionQueue = new Queue('subscription-queue', { connection });
+const settlementQueue = new Queue('settlement-queue', { connection });
+const ledgerQueue = new Queue('ledger-queue', { connection });
+const disputeQueue = new Queue('dispute-queue', { connection });
+const idempotencyQueue = new Queue('idempotency-queue', { connection });
 
-module.exports = { paymentQueue, refundQueue, webhookQueue, connection };
+module.exports = { paymentQueue, refundQueue, webhookQueue, authorizationQueue, subscriptionQueue, settlementQueue, ledgerQueue, disputeQueue, idempotencyQueue, connection };
@@ -0,0 +1,70 @@
+/**
+ * AcquirerController - HTTP Request Handler
+ * Responsible for:
+ * - Handling acquirers' callbacks about payments they decided after answering
+ *   'pending'
+ * - Delegating signature checks and the status check to AcquirerService
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class AcquirerController {
+  constructor(acquirerService) {
+    this.acquirerService = acquirerService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.handleCallback = this.handleCallback.bind(this);
+  }
+
+  /**
+   * Handle POST /api/v1/acquirer_callbacks/:acquirer
+   * An acquirer reports that it decided a payment; the payment's status is
+   * then checked with the acquirer. Signed with the secret shared with the
+   * acquirer in the X-Acquirer-Signature header.
+   *
+   * Request body (mock acquirer):
+   * {
+   *   "merchant_reference": "pay_abc123",   // the gateway's payment ID
+   *   "reference": "acq_9f8e7d",
+   *   "status": "authorized"
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async handleCallback(req, res) {
+    try {
+      const paymentId = await this.acquirerService.handleCallback(
+        req.params.acquirer, req.body, req.headers['x-acquirer-signature']
+      );
+      return res.status(200).json({ received: true, payment_id: paymentId });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[AcquirerController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+}
+
+module.exports = AcquirerController;
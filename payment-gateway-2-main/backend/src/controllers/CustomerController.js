@@ -0,0 +1,270 @@
+const { validateNotes } = require('../utils/notes');
+const { validateCard, validateVpa } = require('../utils/paymentMethods');
+
+/**
+ * CustomerController - HTTP Request Handler
+ * Responsible for:
+ * - Handling customer and saved payment method requests
+ * - Input validation
+ * - Delegating business logic to CustomerService
+ * - Formatting customer and token responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class CustomerController {
+  constructor(customerService) {
+    this.customerService = customerService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.createCustomer = this.createCustomer.bind(this);
+    this.getCustomer = this.getCustomer.bind(this);
+    this.createToken = this.createToken.bind(this);
+    this.listTokens = this.listTokens.bind(this);
+    this.deleteToken = this.deleteToken.bind(this);
+  }
+
+  /**
+   * Handle POST /api/v1/customers
+   *
+   * Request Body:
+   * { "name": "Asha Rao", "email": "asha@example.com", "contact": "+919876543210", "notes": { "crm_id": "42" } }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createCustomer(req, res) {
+    try {
+      const { name, email, contact, notes } = req.body;
+
+      this._validateCustomerInput(name, email, contact, notes);
+
+      const customer = await this.customerService.createCustomer(req.merchantId, { name, email, contact, notes });
+      return res.status(201).json(this._formatCustomer(customer));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/customers/:customer_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getCustomer(req, res) {
+    try {
+      const customer = await this.customerService.getCustomer(req.params.customer_id, req.merchantId);
+      return res.status(200).json(this._formatCustomer(customer));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/customers/:customer_id/tokens
+   * Save a card or UPI VPA for a customer
+   *
+   * Request Body:
+   * { "method": "card", "card": { "number": "4111 1111 1111 1111", "expiry_month": 12, "expiry_year": 2030 } }
+   * { "method": "upi", "vpa": "asha@okaxis" }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createToken(req, res) {
+    try {
+      const params = this._parseTokenInput(req.body);
+
+      const token = await this.customerService.createToken(req.params.customer_id, req.merchantId, params);
+      return res.status(201).json(this._formatToken(token));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/customers/:customer_id/tokens
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listTokens(req, res) {
+    try {
+      const tokens = await this.customerService.listTokens(req.params.customer_id, req.merchantId);
+      return res.status(200).json({ data: tokens.map(token => this._formatToken(token)) });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle DELETE /api/v1/customers/:customer_id/tokens/:token_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async deleteToken(req, res) {
+    try {
+      const token = await this.customerService.deleteToken(req.params.customer_id, req.params.token_id, req.merchantId);
+      return res.status(200).json({ id: token.id, deleted: true });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Validate customer creation parameters
+   * @private
+   * @throws {Error} - If validation fails
+   */
+  _validateCustomerInput(name, email, contact, notes) {
+    if (name !== undefined && (typeof name !== 'string' || name.length === 0 || name.length > 255)) {
+      throw this._createValidationError('INVALID_NAME', 'Name must be a string of 1 to 255 characters');
+    }
+
+    if (email !== undefined && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 255)) {
+      throw this._createValidationError('INVALID_EMAIL', 'Email must be a valid email address');
+    }
+
+    if (contact !== undefined && (typeof contact !== 'string' || !/^\+?\d{8,15}$/.test(contact))) {
+      throw this._createValidationError('INVALID_CONTACT', 'Contact must be a phone number of 8 to 15 digits');
+    }
+
+    const notesError = notes === undefined ? null : validateNotes(notes);
+    if (notesError) {
+      throw this._createValidationError('INVALID_NOTES', notesError);
+    }
+  }
+
+  /**
+   * Validate and normalize token creation parameters
+   * @private
+   * @param {Object} body - Request body
+   * @returns {Object} - Parameters understood by CustomerService.createToken
+   * @throws {Error} - If validation fails
+   */
+  _parseTokenInput(body) {
+    const { method, card, vpa } = body;
+
+    if (method === 'upi') {
+      const errors = validateVpa(vpa);
+      if (errors.length > 0) {
+        throw this._createFieldError(errors);
+      }
+      return { method, vpa };
+    }
+
+    if (method !== 'card') {
+      throw this._createValidationError('INVALID_METHOD', 'method must be "card" or "upi"');
+    }
+
+    // Saved cards are charged later without a CVV, so none is collected here
+    const { errors, details } = validateCard(card, { requireCvv: false });
+    if (errors.length > 0) {
+      throw this._createFieldError(errors);
+    }
+
+    return {
+      method,
+      card: {
+        network: details.network,
+        last4: details.last4,
+        fingerprint: details.fingerprint,
+        expiryMonth: details.expiryMonth,
+        expiryYear: details.expiryYear
+      }
+    };
+  }
+
+  /**
+   * Shape a customer row for API responses
+   * @private
+   * @param {Object} customer - Customer row
+   * @returns {Object}
+   */
+  _formatCustomer(customer) {
+    return {
+      id: customer.id,
+      name: customer.name,
+      email: customer.email,
+      contact: customer.contact,
+      notes: customer.notes,
+      created_at: customer.created_at
+    };
+  }
+
+  /**
+   * Shape a token row for API responses
+   * @private
+   * @param {Object} token - Token row
+   * @returns {Object}
+   */
+  _formatToken(token) {
+    return {
+      id: token.id,
+      customer_id: token.customer_id,
+      method: token.method,
+      card: token.method === 'card' ? {
+        network: token.card_network,
+        last4: token.card_last4,
+        expiry_month: token.card_expiry_month,
+        expiry_year: token.card_expiry_year
+      } : null,
+      vpa: token.vpa,
+      created_at: token.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[CustomerController] Error: ${code} - ${description}`);
+
+    const body = { error: { code, description } };
+    if (error.fields) {
+      body.error.fields = error.fields;
+    }
+    return res.status(statusCode).json(body);
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Create a validation error from field-level errors
+   * The first field's code stays the top-level code.
+   * @private
+   * @param {Array<Object>} fields - { field, code, description } per invalid field
+   * @returns {Error} - Validation error
+   */
+  _createFieldError(fields) {
+    const error = this._createValidationError(fields[0].code, fields.map(f => f.description).join('; '));
+    error.fields = fields;
+    return error;
+  }
+}
+
+module.exports = CustomerController;
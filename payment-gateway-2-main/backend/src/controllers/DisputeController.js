@@ -0,0 +1,255 @@
+const { DISPUTE_STATUSES } = require('../services/DisputeService');
+const { DISPUTE_REASONS, validateEvidence } = require('../utils/disputes');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Outcomes the operator can resolve a dispute with
+const RESOLUTIONS = ['won', 'lost'];
+
+/**
+ * DisputeController - HTTP Request Handler
+ * Responsible for:
+ * - Handling dispute read and list requests and evidence submission by merchants
+ * - Handling disputes opened and resolved by the gateway operator (admin API)
+ * - Input validation
+ * - Delegating business logic to DisputeService
+ * - Formatting dispute responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class DisputeController {
+  constructor(disputeService) {
+    this.disputeService = disputeService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.listDisputes = this.listDisputes.bind(this);
+    this.getDispute = this.getDispute.bind(this);
+    this.submitEvidence = this.submitEvidence.bind(this);
+    this.createDispute = this.createDispute.bind(this);
+    this.resolveDispute = this.resolveDispute.bind(this);
+  }
+
+  /**
+   * Handle GET /api/v1/disputes
+   * List the authenticated merchant's disputes
+   *
+   * Query parameters:
+   * - status: open, under_review, won or lost
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listDisputes(req, res) {
+    try {
+      const { status, cursor } = req.query;
+
+      if (status !== undefined && !DISPUTE_STATUSES.includes(status)) {
+        throw this._createValidationError('INVALID_FILTER', `status must be one of: ${DISPUTE_STATUSES.join(', ')}`);
+      }
+
+      const limit = this._parseLimit(req.query.limit);
+
+      if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length === 0)) {
+        throw this._createValidationError('INVALID_CURSOR', 'cursor must be a non-empty string');
+      }
+
+      const result = await this.disputeService.listDisputes(req.merchantId, { status }, { limit, cursor });
+
+      return res.status(200).json({
+        data: result.disputes.map(dispute => this._formatDispute(dispute)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/disputes/:dispute_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getDispute(req, res) {
+    try {
+      const dispute = await this.disputeService.getDispute(req.params.dispute_id, req.merchantId);
+      return res.status(200).json(this._formatDispute(dispute));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/disputes/:dispute_id/evidence
+   * Contest an open dispute before its respond_by deadline; the dispute goes
+   * under review and evidence cannot be changed afterwards
+   *
+   * Request body:
+   * {
+   *   "evidence": {
+   *     "product_description": "Annual plan, delivered by email",
+   *     "customer_communication": "https://merchant.example/disputes/123/emails.pdf"
+   *   }
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async submitEvidence(req, res) {
+    try {
+      const { evidence } = req.body;
+
+      const evidenceError = validateEvidence(evidence);
+      if (evidenceError) {
+        throw this._createValidationError('INVALID_EVIDENCE', evidenceError);
+      }
+
+      const dispute = await this.disputeService.submitEvidence(req.params.dispute_id, req.merchantId, evidence);
+      return res.status(200).json(this._formatDispute(dispute));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/admin/payments/:payment_id/disputes
+   * Open a dispute against a captured payment, as the acquirer would notify one
+   *
+   * Request body:
+   * {
+   *   "amount": 50000,          // optional, defaults to what is left after refunds
+   *   "reason": "fraudulent"    // optional, defaults to "general"
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createDispute(req, res) {
+    try {
+      const { amount, reason = 'general' } = req.body;
+
+      if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+        throw this._createValidationError('INVALID_AMOUNT', 'Amount must be a positive integer in minor units');
+      }
+      if (!DISPUTE_REASONS.includes(reason)) {
+        throw this._createValidationError('INVALID_REASON', `reason must be one of: ${DISPUTE_REASONS.join(', ')}`);
+      }
+
+      const dispute = await this.disputeService.createDispute(req.params.payment_id, { amount, reason });
+      return res.status(201).json(this._formatDispute(dispute));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/admin/disputes/:dispute_id/resolve
+   * Record the outcome of an open or under-review dispute
+   *
+   * Request body:
+   * {
+   *   "status": "won"   // or "lost"
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async resolveDispute(req, res) {
+    try {
+      const { status } = req.body;
+
+      if (!RESOLUTIONS.includes(status)) {
+        throw this._createValidationError('INVALID_STATUS', `status must be one of: ${RESOLUTIONS.join(', ')}`);
+      }
+
+      const dispute = await this.disputeService.resolveDispute(req.params.dispute_id, status);
+      return res.status(200).json(this._formatDispute(dispute));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseLimit(value) {
+    if (value === undefined) return DEFAULT_PAGE_SIZE;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw this._createValidationError('INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+  }
+
+  /**
+   * Shape a dispute row for API responses
+   * @private
+   * @param {Object} dispute - Dispute row
+   * @returns {Object}
+   */
+  _formatDispute(dispute) {
+    return {
+      id: dispute.id,
+      payment_id: dispute.payment_id,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reason: dispute.reason,
+      status: dispute.status,
+      evidence: dispute.evidence || null,
+      evidence_submitted_at: dispute.evidence_submitted_at || null,
+      respond_by: dispute.respond_by,
+      resolved_at: dispute.resolved_at || null,
+      created_at: dispute.created_at,
+      updated_at: dispute.updated_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[DisputeController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = DisputeController;
@@ -0,0 +1,376 @@
+const { DEFAULT_CURRENCY, isSupportedCurrency, getMinorUnitExponent } = require('../utils/currency');
+const { validateNotes } = require('../utils/notes');
+const { validateLineItems, validateDiscount } = require('../utils/invoices');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoiceDocuments');
+const { checkoutBaseUrl, apiBaseUrl } = require('../config/payments');
+
+const INVOICE_STATUSES = ['issued', 'paid', 'cancelled'];
+const RECEIPT_FORMATS = ['html', 'pdf'];
+const MAX_INVOICE_NUMBER_LENGTH = 40;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * InvoiceController - HTTP Request Handler
+ * Responsible for:
+ * - Handling invoice creation, read, list and cancel requests
+ * - Serving invoices to the hosted invoice page
+ * - Rendering downloadable HTML and PDF receipts
+ * - Input validation
+ * - Delegating business logic to InvoiceService
+ * - Formatting invoice responses with their hosted and receipt URLs
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class InvoiceController {
+  constructor(invoiceService) {
+    this.invoiceService = invoiceService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.createInvoice = this.createInvoice.bind(this);
+    this.getInvoice = this.getInvoice.bind(this);
+    this.listInvoices = this.listInvoices.bind(this);
+    this.cancelInvoice = this.cancelInvoice.bind(this);
+    this.getCheckoutInvoice = this.getCheckoutInvoice.bind(this);
+    this.getInvoiceReceipt = this.getInvoiceReceipt.bind(this);
+  }
+
+  /**
+   * Handle POST /api/v1/invoices
+   *
+   * Request Body:
+   * { "currency": "INR", "invoice_number": "INV-1042", "customer_id": "cust_...",
+   *   "line_items": [{ "name": "Consulting", "quantity": 10, "unit_amount": 150000, "tax_rate": 18 }],
+   *   "discount_percent": 5, "due_date": "2026-12-31", "description": "November retainer",
+   *   "customer": { "name": "Asha Rao", "email": "asha@example.com" }, "notes": { "project": "atlas" } }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createInvoice(req, res) {
+    try {
+      const {
+        line_items: lineItems, discount_amount: discountAmount, discount_percent: discountPercent,
+        customer_id: customerId, customer, invoice_number: invoiceNumber, description, notes
+      } = req.body;
+      const requestedCurrency = req.body.currency === undefined ? DEFAULT_CURRENCY : req.body.currency;
+      const currency = typeof requestedCurrency === 'string' ? requestedCurrency.toUpperCase() : requestedCurrency;
+
+      if (!isSupportedCurrency(currency)) {
+        throw this._createValidationError('INVALID_CURRENCY', 'Currency must be a supported ISO 4217 code');
+      }
+      if (lineItems === undefined) {
+        throw this._createValidationError('MISSING_LINE_ITEMS', 'line_items is required');
+      }
+      const lineItemsError = validateLineItems(lineItems);
+      if (lineItemsError) {
+        throw this._createValidationError('INVALID_LINE_ITEMS', lineItemsError);
+      }
+      const discountError = validateDiscount({ discountAmount, discountPercent });
+      if (discountError) {
+        throw this._createValidationError('INVALID_DISCOUNT', discountError);
+      }
+      if (customerId !== undefined && (typeof customerId !== 'string' || customerId.length === 0)) {
+        throw this._createValidationError('INVALID_CUSTOMER_ID', 'customer_id must be a non-empty string');
+      }
+      this._validateCustomer(customer);
+      if (invoiceNumber !== undefined &&
+          (typeof invoiceNumber !== 'string' || invoiceNumber.length === 0 || invoiceNumber.length > MAX_INVOICE_NUMBER_LENGTH)) {
+        throw this._createValidationError(
+          'INVALID_INVOICE_NUMBER',
+          `invoice_number must be a string of 1 to ${MAX_INVOICE_NUMBER_LENGTH} characters`
+        );
+      }
+      if (description !== undefined && (typeof description !== 'string' || description.length > 2048)) {
+        throw this._createValidationError('INVALID_DESCRIPTION', 'Description must be a string of at most 2048 characters');
+      }
+      const notesError = notes === undefined ? null : validateNotes(notes);
+      if (notesError) {
+        throw this._createValidationError('INVALID_NOTES', notesError);
+      }
+      const dueDate = this._parseDueDate(req.body.due_date);
+
+      const invoice = await this.invoiceService.createInvoice(req.merchantId, {
+        lineItems, currency, discountAmount, discountPercent, customerId, customer,
+        invoiceNumber, description, dueDate, notes
+      });
+      return res.status(201).json(this._formatInvoice(invoice));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/invoices/:invoice_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getInvoice(req, res) {
+    try {
+      const invoice = await this.invoiceService.getInvoice(req.params.invoice_id, req.merchantId);
+      return res.status(200).json(this._formatInvoice(invoice));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/invoices
+   * List the authenticated merchant's invoices
+   *
+   * Query parameters:
+   * - status: issued, paid or cancelled
+   * - customer_id: invoices issued to one customer
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listInvoices(req, res) {
+    try {
+      const { status, customer_id: customerId, cursor } = req.query;
+
+      if (status !== undefined && !INVOICE_STATUSES.includes(status)) {
+        throw this._createValidationError('INVALID_FILTER', `status must be one of: ${INVOICE_STATUSES.join(', ')}`);
+      }
+      if (customerId !== undefined && (typeof customerId !== 'string' || customerId.length === 0)) {
+        throw this._createValidationError('INVALID_FILTER', 'customer_id must be a non-empty string');
+      }
+
+      let limit = DEFAULT_PAGE_SIZE;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+          throw this._createValidationError('INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+      }
+
+      if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length === 0)) {
+        throw this._createValidationError('INVALID_CURSOR', 'cursor must be a non-empty string');
+      }
+
+      const result = await this.invoiceService.listInvoices(req.merchantId, { status, customerId }, { limit, cursor });
+
+      return res.status(200).json({
+        data: result.invoices.map(invoice => this._formatInvoice(invoice)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/invoices/:invoice_id/cancel
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async cancelInvoice(req, res) {
+    try {
+      const invoice = await this.invoiceService.cancelInvoice(req.params.invoice_id, req.merchantId);
+      return res.status(200).json(this._formatInvoice(invoice));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/checkout/invoices/:invoice_id
+   * Public endpoint for the hosted invoice page; exposes the itemized bill
+   * and the order to pay it through, but not merchant notes
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getCheckoutInvoice(req, res) {
+    try {
+      const invoice = await this.invoiceService.getCheckoutInvoice(req.params.invoice_id);
+      return res.status(200).json({
+        id: invoice.id,
+        order_id: invoice.order_id,
+        invoice_number: invoice.invoice_number,
+        merchant_name: invoice.merchant_name,
+        customer_name: invoice.customer_name,
+        description: invoice.description,
+        currency: invoice.currency,
+        currency_exponent: getMinorUnitExponent(invoice.currency),
+        line_items: invoice.line_items,
+        subtotal: invoice.subtotal,
+        discount_amount: invoice.discount_amount,
+        tax_amount: invoice.tax_amount,
+        amount: invoice.amount,
+        due_date: invoice.due_date,
+        status: invoice.status,
+        paid_at: invoice.paid_at,
+        receipt_url: this._receiptUrl(invoice)
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/checkout/invoices/:invoice_id/receipt
+   * Public download of the invoice, or its receipt once paid
+   *
+   * Query parameters:
+   * - format: html (default, shown inline) or pdf (downloaded)
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getInvoiceReceipt(req, res) {
+    try {
+      const format = req.query.format === undefined ? 'html' : req.query.format;
+      if (!RECEIPT_FORMATS.includes(format)) {
+        throw this._createValidationError('INVALID_FORMAT', `format must be one of: ${RECEIPT_FORMATS.join(', ')}`);
+      }
+
+      const invoice = await this.invoiceService.getCheckoutInvoice(req.params.invoice_id);
+
+      if (format === 'pdf') {
+        const filename = `${invoice.invoice_number || invoice.id}`.replace(/[^A-Za-z0-9._-]/g, '_');
+        res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        return res.status(200).type('application/pdf').send(renderInvoicePdf(invoice));
+      }
+
+      return res.status(200).type('html').send(renderInvoiceHtml(invoice, { pdfUrl: `${this._receiptUrl(invoice)}?format=pdf` }));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Validate the optional billing details printed on the invoice
+   * @private
+   * @param {*} customer - { name, email }
+   * @throws {Error} - INVALID_CUSTOMER
+   */
+  _validateCustomer(customer) {
+    if (customer === undefined) return;
+
+    if (customer === null || typeof customer !== 'object' || Array.isArray(customer)) {
+      throw this._createValidationError('INVALID_CUSTOMER', 'customer must be an object with name and/or email');
+    }
+
+    const { name, email } = customer;
+    if (name !== undefined && (typeof name !== 'string' || name.length === 0 || name.length > 255)) {
+      throw this._createValidationError('INVALID_CUSTOMER', 'customer.name must be a string of 1 to 255 characters');
+    }
+    if (email !== undefined && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 255)) {
+      throw this._createValidationError('INVALID_CUSTOMER', 'customer.email must be a valid email address');
+    }
+  }
+
+  /**
+   * Parse the optional due date
+   * A date without a time is due at the start of that day (UTC).
+   * @private
+   * @param {*} value - ISO 8601 date or timestamp
+   * @returns {Date|undefined}
+   * @throws {Error} - INVALID_DUE_DATE
+   */
+  _parseDueDate(value) {
+    if (value === undefined) return undefined;
+
+    const dueDate = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(dueDate.getTime())) {
+      throw this._createValidationError('INVALID_DUE_DATE', 'due_date must be an ISO 8601 date or timestamp');
+    }
+    if (dueDate.toISOString().slice(0, 10) < new Date().toISOString().slice(0, 10)) {
+      throw this._createValidationError('INVALID_DUE_DATE', 'due_date cannot be in the past');
+    }
+    return dueDate;
+  }
+
+  /**
+   * @private
+   * @param {Object} invoice - Invoice row
+   * @returns {string} - Public receipt URL
+   */
+  _receiptUrl(invoice) {
+    return `${apiBaseUrl}/api/v1/checkout/invoices/${encodeURIComponent(invoice.id)}/receipt`;
+  }
+
+  /**
+   * Shape an invoice row for API responses
+   * @private
+   * @param {Object} invoice - Invoice row
+   * @returns {Object}
+   */
+  _formatInvoice(invoice) {
+    return {
+      id: invoice.id,
+      short_url: `${checkoutBaseUrl}/?invoice=${encodeURIComponent(invoice.id)}`,
+      receipt_url: this._receiptUrl(invoice),
+      order_id: invoice.order_id,
+      invoice_number: invoice.invoice_number,
+      customer_id: invoice.customer_id,
+      customer: {
+        name: invoice.customer_name,
+        email: invoice.customer_email
+      },
+      description: invoice.description,
+      currency: invoice.currency,
+      line_items: invoice.line_items,
+      subtotal: invoice.subtotal,
+      discount_amount: invoice.discount_amount,
+      tax_amount: invoice.tax_amount,
+      amount: invoice.amount,
+      due_date: invoice.due_date,
+      status: invoice.status,
+      notes: invoice.notes,
+      payment_id: invoice.payment_id,
+      paid_at: invoice.paid_at,
+      cancelled_at: invoice.cancelled_at,
+      created_at: invoice.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[InvoiceController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = InvoiceController;
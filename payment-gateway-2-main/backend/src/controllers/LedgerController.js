@@ -0,0 +1,60 @@
+/**
+ * LedgerController - HTTP Request Handler
+ * Responsible for:
+ * - Serving the merchant's balance, derived from the double-entry ledger
+ * - Delegating business logic to LedgerService
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class LedgerController {
+  constructor(ledgerService) {
+    this.ledgerService = ledgerService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.getBalance = this.getBalance.bind(this);
+  }
+
+  /**
+   * Handle GET /api/v1/balance
+   * What the gateway owes the authenticated merchant, per currency: captures
+   * less fees, tax, refunds, chargebacks and payouts
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getBalance(req, res) {
+    try {
+      const balances = await this.ledgerService.getBalance(req.merchantId);
+      return res.status(200).json({
+        data: balances.map(({ currency, balance }) => ({ currency, balance }))
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[LedgerController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+}
+
+module.exports = LedgerController;
@@ -0,0 +1,409 @@
+const { rateLimitWindowSeconds, acquirerRoutes } = require('../config/payments');
+const { validateAcquirerRoutes } = require('../utils/acquirers');
+const {
+  API_KEY_TYPES,
+  API_KEY_MODES,
+  FULL_ACCESS_SCOPE,
+  DEFAULT_ROTATION_OVERLAP_HOURS,
+  MAX_ROTATION_OVERLAP_HOURS,
+  validateApiKeyName,
+  validateScopes,
+  validateAllowedOrigins
+} = require('../utils/apiKeys');
+
+// Highest per-window limit the admin API accepts
+const MAX_RATE_LIMIT = 1000000;
+
+/**
+ * MerchantController - HTTP Request Handler
+ * Responsible for:
+ * - Handling merchants' API keys: issuing, listing, rotating and revoking them
+ * - Handling the browser origins allowed to use a merchant's publishable keys,
+ *   and the checkout's frame policy built from them
+ * - Handling operator changes to merchant accounts (admin API): issuing a
+ *   merchant's API keys, setting its rate limits and routing its payments
+ *   to acquirers
+ * - Input validation
+ * - Delegating business logic to MerchantService
+ * - Formatting API keys for responses; a key's secret is only ever shown in
+ *   the response that creates it
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class MerchantController {
+  constructor(merchantService) {
+    this.merchantService = merchantService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.listApiKeys = this.listApiKeys.bind(this);
+    this.createApiKey = this.createApiKey.bind(this);
+    this.rotateApiKey = this.rotateApiKey.bind(this);
+    this.revokeApiKey = this.revokeApiKey.bind(this);
+    this.getAllowedOrigins = this.getAllowedOrigins.bind(this);
+    this.updateAllowedOrigins = this.updateAllowedOrigins.bind(this);
+    this.getCheckoutFramePolicy = this.getCheckoutFramePolicy.bind(this);
+    this.updateRateLimits = this.updateRateLimits.bind(this);
+    this.updateAcquirerRoutes = this.updateAcquirerRoutes.bind(this);
+  }
+
+  /**
+   * Handle GET /api/v1/api_keys
+   * The merchant's API keys, newest first, without their secrets
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listApiKeys(req, res) {
+    try {
+      const keys = await this.merchantService.listApiKeys(req.merchantId);
+      return res.status(200).json({ data: keys.map(key => this._formatApiKey(key)) });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/api_keys and POST /api/v1/admin/merchants/:merchant_id/api_keys
+   * Issue a new API key; the response is the only time its secret is shown
+   *
+   * Request body:
+   * {
+   *   "name": "Refunds service",
+   *   "type": "secret",                              // optional: "secret" (default) or "publishable"
+   *   "mode": "test",                                // optional: "live" (default) or "test"
+   *   "scopes": ["refunds:write", "payments:read"]   // optional, defaults to ["*"] (full access)
+   * }
+   *
+   * Publishable keys take no scopes: they only work with the checkout API.
+   * A key can only issue keys whose scopes it has itself.
+   * Test keys act as the merchant's sandbox account, whose data is separate
+   * from live data and whose payments have deterministic outcomes.
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createApiKey(req, res) {
+    try {
+      const { name, type = 'secret', mode = 'live' } = req.body;
+
+      const nameError = validateApiKeyName(name);
+      if (nameError) {
+        throw this._createValidationError('INVALID_NAME', nameError);
+      }
+      if (!API_KEY_TYPES.includes(type)) {
+        throw this._createValidationError('INVALID_TYPE', `type must be one of: ${API_KEY_TYPES.join(', ')}`);
+      }
+      if (!API_KEY_MODES.includes(mode)) {
+        throw this._createValidationError('INVALID_MODE', `mode must be one of: ${API_KEY_MODES.join(', ')}`);
+      }
+
+      let scopes = [];
+      if (type === 'publishable') {
+        if (req.body.scopes !== undefined) {
+          throw this._createValidationError('INVALID_SCOPES', 'Publishable keys take no scopes');
+        }
+      } else {
+        scopes = req.body.scopes === undefined ? [FULL_ACCESS_SCOPE] : req.body.scopes;
+        const scopesError = validateScopes(scopes);
+        if (scopesError) {
+          throw this._createValidationError('INVALID_SCOPES', scopesError);
+        }
+      }
+
+      const key = await this.merchantService.createApiKey(
+        this._keyOwner(req), { type, mode, name: name.trim(), scopes }, this._callerScopes(req)
+      );
+      return res.status(201).json({ ...this._formatApiKey(key), key: key.key });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/api_keys/:key_id/rotate
+   * Replace a key with a new one of the same type, mode, name and scopes. The old key
+   * keeps working until the overlap ends, so it can be swapped out without downtime.
+   * A key can only rotate keys whose scopes it has itself.
+   *
+   * Request body:
+   * {
+   *   "overlap_hours": 24   // optional, 0-168, defaults to 24
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const { overlap_hours: overlapHours = DEFAULT_ROTATION_OVERLAP_HOURS } = req.body;
+
+      if (!Number.isInteger(overlapHours) || overlapHours < 0 || overlapHours > MAX_ROTATION_OVERLAP_HOURS) {
+        throw this._createValidationError(
+          'INVALID_OVERLAP', `overlap_hours must be an integer between 0 and ${MAX_ROTATION_OVERLAP_HOURS}`
+        );
+      }
+
+      const key = await this.merchantService.rotateApiKey(
+        req.params.key_id, req.merchantId, overlapHours, this._callerScopes(req)
+      );
+      return res.status(201).json({
+        ...this._formatApiKey(key),
+        key: key.key,
+        rotated_key: { id: req.params.key_id, expires_at: key.rotated_key_expires_at }
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/api_keys/:key_id/revoke
+   * Revoke a key; requests made with it fail from then on. A key can only
+   * revoke keys whose scopes it has itself.
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const key = await this.merchantService.revokeApiKey(req.params.key_id, req.merchantId, this._callerScopes(req));
+      return res.status(200).json(this._formatApiKey(key));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/allowed_origins
+   * The browser origins allowed to use the merchant's publishable keys
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getAllowedOrigins(req, res) {
+    try {
+      const origins = await this.merchantService.getAllowedOrigins(req.merchantId);
+      return res.status(200).json({ origins });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/allowed_origins
+   * Replace the browser origins allowed to use the merchant's publishable keys
+   *
+   * Request body:
+   * {
+   *   "origins": ["https://shop.example.com", "http://localhost:8080"]
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async updateAllowedOrigins(req, res) {
+    try {
+      const { origins } = req.body;
+
+      const originsError = validateAllowedOrigins(origins);
+      if (originsError) {
+        throw this._createValidationError('INVALID_ORIGINS', originsError);
+      }
+
+      const allowed = await this.merchantService.updateAllowedOrigins(req.merchantId, origins);
+      return res.status(200).json({ origins: allowed });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/checkout/frame_policy?key=pk_...
+   * The Content-Security-Policy the checkout page is served with (the checkout's
+   * web server asks for it on every page load): only the key's merchant's allowed
+   * origins may frame it, and pages opened without a valid publishable key
+   * (hosted payment link and invoice pages) may not be framed at all
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getCheckoutFramePolicy(req, res) {
+    try {
+      const origins = await this.merchantService.getCheckoutFrameAncestors(req.query.key);
+      res.set('Content-Security-Policy', `frame-ancestors ${origins.length > 0 ? origins.join(' ') : "'none'"}`);
+      return res.status(204).end();
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/admin/merchants/:merchant_id/rate_limits
+   * Set the requests per window each of the merchant's API keys may make
+   *
+   * Request body:
+   * {
+   *   "read_limit": 1200,   // GET requests; omitted or null for the gateway default
+   *   "write_limit": null   // every other request; omitted or null for the gateway default
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async updateRateLimits(req, res) {
+    try {
+      const { read_limit: read = null, write_limit: write = null } = req.body;
+
+      for (const [field, value] of [['read_limit', read], ['write_limit', write]]) {
+        if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_RATE_LIMIT)) {
+          throw this._createValidationError(
+            'INVALID_RATE_LIMIT', `${field} must be null or an integer between 1 and ${MAX_RATE_LIMIT}`
+          );
+        }
+      }
+
+      const result = await this.merchantService.updateRateLimits(req.params.merchant_id, { read, write });
+
+      return res.status(200).json({
+        merchant_id: result.merchantId,
+        read_limit: result.rateLimits.read,
+        write_limit: result.rateLimits.write,
+        window_seconds: rateLimitWindowSeconds
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/admin/merchants/:merchant_id/acquirer_routes
+   * Set the acquirers the merchant's live payments are sent to, by payment
+   * method; methods without a route use the gateway's routes. Test-mode
+   * payments always use the simulated acquirer.
+   *
+   * Request body:
+   * {
+   *   "routes": { "card": "mock", "default": "simulated" }   // {} for the gateway's routes
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async updateAcquirerRoutes(req, res) {
+    try {
+      const { routes } = req.body;
+
+      const routesError = validateAcquirerRoutes(routes);
+      if (routesError) {
+        throw this._createValidationError('INVALID_ROUTES', routesError);
+      }
+
+      const result = await this.merchantService.updateAcquirerRoutes(req.params.merchant_id, routes);
+
+      return res.status(200).json({
+        merchant_id: result.merchantId,
+        routes: result.acquirerRoutes,
+        default_routes: acquirerRoutes
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Whose keys a request manages: the authenticated merchant's, or the one
+   * named in the path on the admin API, which has no merchant
+   * @private
+   * @param {Express.Request} req - Express request object
+   * @returns {string} - Merchant ID
+   */
+  _keyOwner(req) {
+    return req.merchantId || req.params.merchant_id;
+  }
+
+  /**
+   * Scopes of the API key making a request, which limit the keys it may
+   * manage; null on the admin API, which is not limited
+   * @private
+   * @param {Express.Request} req - Express request object
+   * @returns {Array<string>|null}
+   */
+  _callerScopes(req) {
+    return req.apiKeyScopes || null;
+  }
+
+  /**
+   * Shape an API key for API responses; the hash is never returned
+   * @private
+   * @param {Object} key - Key row
+   * @param {Date} [now] - Current time
+   * @returns {Object}
+   */
+  _formatApiKey(key, now = new Date()) {
+    let status = 'active';
+    if (key.revoked_at) {
+      status = 'revoked';
+    } else if (key.expires_at && new Date(key.expires_at) <= now) {
+      status = 'expired';
+    }
+
+    return {
+      id: key.id,
+      type: key.type,
+      mode: key.mode,
+      name: key.name,
+      last4: key.key_last4,
+      scopes: key.scopes,
+      status,
+      expires_at: key.expires_at || null,
+      replaced_by: key.replaced_by || null,
+      revoked_at: key.revoked_at || null,
+      last_used_at: key.last_used_at || null,
+      created_at: key.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[MerchantController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = MerchantController;
@@ -0,0 +1,204 @@
+const { DEFAULT_CURRENCY, isSupportedCurrency, getMinorUnitExponent, validateMinorUnitAmount } = require('../utils/currency');
+const { validateNotes } = require('../utils/notes');
+const { NETBANKING_BANKS, WALLETS } = require('../utils/paymentMethods');
+
+/**
+ * OrderController - HTTP Request Handler
+ * Responsible for:
+ * - Handling order requests from merchants and the hosted checkout
+ * - Input validation
+ * - Delegating business logic to OrderService
+ * - Formatting order responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class OrderController {
+  constructor(orderService) {
+    this.orderService = orderService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.createOrder = this.createOrder.bind(this);
+    this.getOrder = this.getOrder.bind(this);
+    this.getCheckoutOrder = this.getCheckoutOrder.bind(this);
+  }
+
+  /**
+   * Handle POST /api/v1/orders
+   *
+   * Request Body:
+   * { "amount": 50000, "currency": "INR", "receipt": "rcpt_1", "notes": { "sku": "A1" }, "customer_id": "cust_abc" }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createOrder(req, res) {
+    try {
+      const { amount, receipt, notes, customer_id: customerId, currency: requestedCurrency = DEFAULT_CURRENCY } = req.body;
+      const currency = typeof requestedCurrency === 'string' ? requestedCurrency.toUpperCase() : requestedCurrency;
+
+      this._validateOrderInput(amount, currency, receipt, notes, customerId);
+
+      const order = await this.orderService.createOrder(req.merchantId, {
+        amount,
+        currency,
+        receipt,
+        notes,
+        customerId
+      });
+
+      return res.status(201).json(this._formatOrder(order));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/orders/:order_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getOrder(req, res) {
+    try {
+      const order = await this.orderService.getOrder(req.params.order_id, req.merchantId);
+      return res.status(200).json(this._formatOrder(order));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/checkout/orders/:order_id
+   * Endpoint for the hosted checkout, authenticated with a publishable key
+   * (or none for payment link and invoice orders); only exposes what the
+   * payer needs to see, including masked saved methods of the order's customer
+   * and the banks and wallets it can offer
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getCheckoutOrder(req, res) {
+    try {
+      const order = await this.orderService.getCheckoutOrder(req.params.order_id, req.merchantId || null);
+      return res.status(200).json({
+        id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        currency_exponent: getMinorUnitExponent(order.currency),
+        status: order.status,
+        expire_by: order.expire_by,
+        saved_methods: order.savedTokens.map(token => ({
+          token: token.id,
+          method: token.method,
+          card: token.method === 'card' ? {
+            network: token.card_network,
+            last4: token.card_last4,
+            expiry_month: token.card_expiry_month,
+            expiry_year: token.card_expiry_year
+          } : null,
+          vpa: token.vpa
+        })),
+        payment_methods: {
+          netbanking: Object.entries(NETBANKING_BANKS).map(([code, name]) => ({ code, name })),
+          wallet: Object.entries(WALLETS).map(([code, name]) => ({ code, name }))
+        }
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Validate order creation parameters
+   * @private
+   * @throws {Error} - If validation fails
+   */
+  _validateOrderInput(amount, currency, receipt, notes, customerId) {
+    if (amount === undefined || amount === null) {
+      throw this._createValidationError('MISSING_AMOUNT', 'Order amount is required');
+    }
+
+    if (!isSupportedCurrency(currency)) {
+      throw this._createValidationError('INVALID_CURRENCY', 'Currency must be a supported ISO 4217 code');
+    }
+
+    const amountError = validateMinorUnitAmount(amount, currency);
+    if (amountError) {
+      throw this._createValidationError('INVALID_AMOUNT', amountError);
+    }
+
+    if (receipt !== undefined && (typeof receipt !== 'string' || receipt.length > 40)) {
+      throw this._createValidationError('INVALID_RECEIPT', 'Receipt must be a string of at most 40 characters');
+    }
+
+    const notesError = notes === undefined ? null : validateNotes(notes);
+    if (notesError) {
+      throw this._createValidationError('INVALID_NOTES', notesError);
+    }
+
+    if (customerId !== undefined && (typeof customerId !== 'string' || customerId.length === 0)) {
+      throw this._createValidationError('INVALID_CUSTOMER_ID', 'customer_id must be a non-empty string');
+    }
+  }
+
+  /**
+   * Shape an order row for API responses
+   * @private
+   * @param {Object} order - Order row
+   * @returns {Object}
+   */
+  _formatOrder(order) {
+    return {
+      id: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      receipt: order.receipt,
+      notes: order.notes,
+      customer_id: order.customer_id,
+      status: order.status,
+      attempts: order.attempts,
+      expire_by: order.expire_by,
+      created_at: order.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[OrderController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = OrderController;
@@ -0,0 +1,714 @@
+const { isIP } = require('net');
+const { isSupportedCurrency } = require('../utils/currency');
+const { validateNotes } = require('../utils/notes');
+const {
+  PAYMENT_METHODS, CARD_NETWORKS, NETBANKING_BANKS, WALLETS,
+  validateCard, validateVpa, validateBank, validateWallet
+} = require('../utils/paymentMethods');
+const { PAYMENT_STATUSES } = require('../services/PaymentStateMachine');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * PaymentController - HTTP Request Handler
+ * Responsible for:
+ * - Handling payment creation and read requests
+ * - Validating card, UPI, netbanking and wallet instruments with field-level errors
+ * - Idempotent replay of payment creation
+ * - Capturing authorized payments
+ * - Cancelling unsettled payments
+ * - Approving or rejecting payments held for risk review
+ * - Exposing payment status timelines
+ * - Parsing and validating list filters
+ * - Delegating business logic to PaymentService
+ * - Formatting payment responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class PaymentController {
+  constructor(paymentService) {
+    this.paymentService = paymentService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.createPayment = this.createPayment.bind(this);
+    this.createCheckoutPayment = this.createCheckoutPayment.bind(this);
+    this.getCheckoutPayment = this.getCheckoutPayment.bind(this);
+    this.capturePayment = this.capturePayment.bind(this);
+    this.cancelPayment = this.cancelPayment.bind(this);
+    this.approvePayment = this.approvePayment.bind(this);
+    this.rejectPayment = this.rejectPayment.bind(this);
+    this.getPayment = this.getPayment.bind(this);
+    this.getPaymentTimeline = this.getPaymentTimeline.bind(this);
+    this.listPayments = this.listPayments.bind(this);
+  }
+
+  /**
+   * Handle POST /api/v1/payments
+   * Create a payment against one of the merchant's orders
+   *
+   * Request Body:
+   * { "order_id": "order_abc", "amount": 50000, "currency": "INR", "method": "upi", "vpa": "asha@okaxis",
+   *   "capture_method": "manual", "notes": { "customer_ref": "C-1042" }, "customer_ip": "203.0.113.7" }
+   * { "order_id": "order_abc", "method": "card",
+   *   "card": { "number": "4111 1111 1111 1111", "expiry_month": 12, "expiry_year": 2030, "cvv": "123", "name": "Asha Rao" } }
+   * { "order_id": "order_abc", "method": "netbanking", "bank": "HDFC" }
+   * { "order_id": "order_abc", "method": "wallet", "wallet": "paytm" }
+   * { "order_id": "order_abc", "customer_id": "cust_abc", "token": "token_abc" }
+   *
+   * `amount` and `currency` are optional; when given they must equal the order's.
+   * `token` charges one of the customer's saved payment methods instead of an instrument.
+   * `capture_method` defaults to "automatic"; "manual" payments stop at
+   * `authorized` until captured via POST /api/v1/payments/:payment_id/capture.
+   * `customer_ip` is the payer's IP address, used by the risk engine's
+   * velocity checks and blocklists. Payments the risk engine blocks are
+   * returned `failed` with error_code RISK_BLOCKED; held ones are returned
+   * in `review`.
+   * Requests carrying an Idempotency-Key header replay the first response
+   * (handled for every POST by the idempotency middleware in server.js).
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createPayment(req, res) {
+    try {
+      const { order_id: orderId, amount, method, capture_method: captureMethod = 'automatic', notes = {} } = req.body;
+      const { customer_id: customerId, token: tokenId, customer_ip: ip } = req.body;
+      const currency = typeof req.body.currency === 'string' ? req.body.currency.toUpperCase() : req.body.currency;
+
+      this._validatePaymentInput(orderId, amount);
+      if (currency !== undefined && !isSupportedCurrency(currency)) {
+        throw this._createValidationError('INVALID_CURRENCY', 'Currency must be a supported ISO 4217 code');
+      }
+      if (!['automatic', 'manual'].includes(captureMethod)) {
+        throw this._createValidationError('INVALID_CAPTURE_METHOD', 'capture_method must be "automatic" or "manual"');
+      }
+      const notesError = validateNotes(notes);
+      if (notesError) {
+        throw this._createValidationError('INVALID_NOTES', notesError);
+      }
+      this._validateCustomerAndToken(customerId, tokenId);
+      if (ip !== undefined && (typeof ip !== 'string' || isIP(ip) === 0)) {
+        throw this._createValidationError('INVALID_CUSTOMER_IP', 'customer_ip must be an IPv4 or IPv6 address');
+      }
+      const instrument = this._parseInstrument(req.body, tokenId);
+
+      const payment = await this.paymentService.createPayment(req.merchantId, {
+        orderId, amount, currency, method, instrument, captureMethod, notes, customerId, tokenId, ip
+      });
+      return res.status(201).json(this._formatCreatedPayment(payment));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/checkout/payments
+   * Create a payment from the hosted checkout; the amount always comes
+   * from the order and the payer's IP from the connection. Authenticated
+   * with a publishable key, or none for payment link and invoice orders.
+   *
+   * Request Body:
+   * { "order_id": "order_abc", "method": "upi", "vpa": "asha@okaxis" }
+   * { "order_id": "order_abc", "method": "card", "card": { "number": "...", "expiry_month": 12, "expiry_year": 2030, "cvv": "123" } }
+   * { "order_id": "order_abc", "method": "netbanking", "bank": "SBIN" }
+   * { "order_id": "order_abc", "token": "token_abc" }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createCheckoutPayment(req, res) {
+    try {
+      const { order_id: orderId, method, token: tokenId } = req.body;
+
+      this._validatePaymentInput(orderId, undefined);
+      this._validateCustomerAndToken(undefined, tokenId);
+      const instrument = this._parseInstrument(req.body, tokenId);
+
+      const payment = await this.paymentService.createCheckoutPayment(
+        orderId, req.merchantId || null, { method, instrument, tokenId, ip: req.ip }
+      );
+
+      // The payer is not told which risk signals fired
+      const { risk, ...responseData } = this._formatCreatedPayment(payment);
+      return res.status(201).json(responseData);
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/checkout/payments/:payment_id
+   * The status of a payment made through the hosted checkout, polled until
+   * it is final; only what the payer needs to see
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getCheckoutPayment(req, res) {
+    try {
+      const payment = await this.paymentService.getCheckoutPayment(req.params.payment_id, req.merchantId || null);
+      return res.status(200).json({
+        id: payment.id,
+        order_id: payment.order_id,
+        status: payment.status,
+        error_code: payment.error_code || null,
+        error_description: payment.error_description || null
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/payments/:payment_id/capture
+   * Capture an authorized payment
+   *
+   * Request Body (optional):
+   * { "amount": 30000 }
+   *
+   * Omitting `amount` captures the full authorized amount.
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async capturePayment(req, res) {
+    try {
+      const { amount } = req.body || {};
+
+      if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+        throw this._createValidationError('INVALID_AMOUNT', 'Capture amount must be a positive integer in minor units');
+      }
+
+      const payment = await this.paymentService.capturePayment(req.params.payment_id, req.merchantId, amount);
+      return res.status(200).json(this._formatPayment({ ...payment, refunds: [] }));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/payments/:payment_id/cancel
+   * Cancel a payment in review or pending, or void an authorized one
+   *
+   * Request Body (optional):
+   * { "reason": "Customer changed their mind" }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async cancelPayment(req, res) {
+    try {
+      const { reason } = req.body || {};
+
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+        throw this._createValidationError('INVALID_REASON', 'Cancellation reason must be a string of at most 255 characters');
+      }
+
+      const payment = await this.paymentService.cancelPayment(req.params.payment_id, req.merchantId, reason);
+      return res.status(200).json(this._formatPayment({ ...payment, refunds: [] }));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/payments/:payment_id/approve
+   * Release a payment held for risk review; it is then processed as usual
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async approvePayment(req, res) {
+    try {
+      const payment = await this.paymentService.approvePayment(req.params.payment_id, req.merchantId);
+      return res.status(200).json(this._formatPayment({ ...payment, refunds: [] }));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/payments/:payment_id/reject
+   * Fail a payment held for risk review
+   *
+   * Request Body (optional):
+   * { "reason": "Shipping address does not match the card" }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async rejectPayment(req, res) {
+    try {
+      const { reason } = req.body || {};
+
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+        throw this._createValidationError('INVALID_REASON', 'Rejection reason must be a string of at most 255 characters');
+      }
+
+      const payment = await this.paymentService.rejectPayment(req.params.payment_id, req.merchantId, reason);
+      return res.status(200).json(this._formatPayment({ ...payment, refunds: [] }));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/payments/:payment_id
+   * Retrieve one of the authenticated merchant's payments
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getPayment(req, res) {
+    try {
+      const payment = await this.paymentService.getPayment(req.params.payment_id, req.merchantId);
+      return res.status(200).json(this._formatPayment(payment));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/payments/:payment_id/timeline
+   * Every status transition of a payment, oldest first
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getPaymentTimeline(req, res) {
+    try {
+      const { payment, history } = await this.paymentService.getPaymentTimeline(req.params.payment_id, req.merchantId);
+      return res.status(200).json({
+        payment_id: payment.id,
+        status: payment.status,
+        timeline: history.map(entry => ({
+          from_status: entry.from_status,
+          to_status: entry.to_status,
+          actor: entry.actor,
+          reason: entry.reason,
+          created_at: entry.created_at
+        }))
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/payments
+   * List the authenticated merchant's payments
+   *
+   * Query parameters:
+   * - status, method, order_id, subscription_id: exact match
+   * - card_network, bank, wallet: exact match on the instrument, for per-method breakdowns
+   * - notes[<key>]: exact match on a note value
+   * - created_at[gte], created_at[lte]: ISO 8601 timestamps
+   * - amount[gte], amount[lte]: integer amounts
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listPayments(req, res) {
+    try {
+      const filters = this._parseListFilters(req.query);
+      const page = this._parsePagination(req.query);
+
+      const result = await this.paymentService.listPayments(req.merchantId, filters, page);
+
+      return res.status(200).json({
+        data: result.payments.map(p => this._formatPayment(p)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit: page.limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Validate payment creation parameters
+   * @private
+   * @param {string} orderId - Order ID
+   * @param {number} [amount] - Optional expected amount
+   * @throws {Error} - If validation fails
+   */
+  _validatePaymentInput(orderId, amount) {
+    if (!orderId || typeof orderId !== 'string') {
+      throw this._createValidationError('MISSING_ORDER_ID', 'order_id is required');
+    }
+
+    if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+      throw this._createValidationError('INVALID_AMOUNT', 'Payment amount must be a positive integer in minor units');
+    }
+  }
+
+  /**
+   * Validate the optional customer and saved token references
+   * @private
+   * @param {*} customerId - customer_id from the request
+   * @param {*} tokenId - token from the request
+   * @throws {Error} - If either is not a non-empty string
+   */
+  _validateCustomerAndToken(customerId, tokenId) {
+    if (customerId !== undefined && (typeof customerId !== 'string' || customerId.length === 0)) {
+      throw this._createValidationError('INVALID_CUSTOMER_ID', 'customer_id must be a non-empty string');
+    }
+
+    if (tokenId !== undefined && (typeof tokenId !== 'string' || tokenId.length === 0)) {
+      throw this._createValidationError('INVALID_TOKEN', 'token must be a non-empty string');
+    }
+  }
+
+  /**
+   * Validate the instrument of a new payment
+   * Every invalid field is reported at once so forms can mark them all.
+   * Only the card's network, last4 and fingerprint, or the VPA, leave this
+   * method; the card number and CVV are not passed on.
+   * @private
+   * @param {Object} body - Request body with `method` and `card`, `vpa`, `bank` or `wallet`
+   * @param {string} [tokenId] - Saved token, which brings its own instrument
+   * @returns {Object|null} - { cardNetwork, cardLast4, cardFingerprint }, { vpa }, { bank } or { wallet }; null when paying with a token
+   * @throws {Error} - INVALID_PAYMENT_INSTRUMENT with `fields`
+   */
+  _parseInstrument(body, tokenId) {
+    const { method, card, vpa, bank, wallet } = body;
+
+    if (tokenId !== undefined) {
+      if ([card, vpa, bank, wallet].some(value => value !== undefined)) {
+        throw this._createInstrumentError([
+          { field: 'token', code: 'TOKEN_WITH_INSTRUMENT', description: 'token cannot be combined with card, vpa, bank or wallet' }
+        ]);
+      }
+      return null;
+    }
+
+    if (method === 'card') {
+      const { errors, details } = validateCard(card);
+      if (errors.length > 0) {
+        throw this._createInstrumentError(errors);
+      }
+      return { cardNetwork: details.network, cardLast4: details.last4, cardFingerprint: details.fingerprint };
+    }
+
+    if (method === 'upi') {
+      const errors = validateVpa(vpa);
+      if (errors.length > 0) {
+        throw this._createInstrumentError(errors);
+      }
+      return { vpa };
+    }
+
+    if (method === 'netbanking') {
+      const errors = validateBank(bank);
+      if (errors.length > 0) {
+        throw this._createInstrumentError(errors);
+      }
+      return { bank };
+    }
+
+    if (method === 'wallet') {
+      const errors = validateWallet(wallet);
+      if (errors.length > 0) {
+        throw this._createInstrumentError(errors);
+      }
+      return { wallet };
+    }
+
+    throw this._createInstrumentError([
+      { field: 'method', code: 'INVALID_METHOD', description: `method must be one of: ${PAYMENT_METHODS.join(', ')}` }
+    ]);
+  }
+
+  /**
+   * Parse list filters from the query string
+   * @private
+   * @param {Object} query - Parsed query string
+   * @returns {Object} - Filters understood by PaymentRepository.listPayments
+   * @throws {Error} - If a filter value is malformed
+   */
+  _parseListFilters(query) {
+    const filters = {};
+
+    const exactMatches = [
+      ['status', 'status'], ['method', 'method'], ['order_id', 'orderId'],
+      ['card_network', 'cardNetwork'], ['bank', 'bank'], ['wallet', 'wallet'],
+      ['subscription_id', 'subscriptionId']
+    ];
+    for (const [param, key] of exactMatches) {
+      if (query[param] === undefined) continue;
+      if (typeof query[param] !== 'string' || query[param].length === 0) {
+        throw this._createValidationError('INVALID_FILTER', `${param} must be a non-empty string`);
+      }
+      filters[key] = query[param];
+    }
+
+    if (filters.status && !PAYMENT_STATUSES.includes(filters.status)) {
+      throw this._createValidationError('INVALID_FILTER', `status must be one of: ${PAYMENT_STATUSES.join(', ')}`);
+    }
+    if (filters.method && !PAYMENT_METHODS.includes(filters.method)) {
+      throw this._createValidationError('INVALID_FILTER', `method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+    if (filters.cardNetwork && !CARD_NETWORKS.includes(filters.cardNetwork)) {
+      throw this._createValidationError('INVALID_FILTER', `card_network must be one of: ${CARD_NETWORKS.join(', ')}`);
+    }
+    if (filters.bank && !Object.prototype.hasOwnProperty.call(NETBANKING_BANKS, filters.bank)) {
+      throw this._createValidationError('INVALID_FILTER', `bank must be one of: ${Object.keys(NETBANKING_BANKS).join(', ')}`);
+    }
+    if (filters.wallet && !Object.prototype.hasOwnProperty.call(WALLETS, filters.wallet)) {
+      throw this._createValidationError('INVALID_FILTER', `wallet must be one of: ${Object.keys(WALLETS).join(', ')}`);
+    }
+
+    if (query.notes !== undefined) {
+      filters.notes = this._parseNotesFilter(query.notes);
+    }
+
+    const createdAt = this._parseRange(query.created_at, 'created_at');
+    if (createdAt.gte !== undefined) filters.createdFrom = this._parseDate(createdAt.gte, 'created_at[gte]');
+    if (createdAt.lte !== undefined) filters.createdTo = this._parseDate(createdAt.lte, 'created_at[lte]');
+
+    const amount = this._parseRange(query.amount, 'amount');
+    if (amount.gte !== undefined) filters.amountMin = this._parseAmount(amount.gte, 'amount[gte]');
+    if (amount.lte !== undefined) filters.amountMax = this._parseAmount(amount.lte, 'amount[lte]');
+
+    return filters;
+  }
+
+  /**
+   * Parse `limit` and `cursor` from the query string
+   * @private
+   * @param {Object} query - Parsed query string
+   * @returns {{limit: number, cursor: (string|undefined)}}
+   */
+  _parsePagination(query) {
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+      limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw this._createValidationError('INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+      }
+    }
+
+    if (query.cursor !== undefined && (typeof query.cursor !== 'string' || query.cursor.length === 0)) {
+      throw this._createValidationError('INVALID_CURSOR', 'cursor must be a non-empty string');
+    }
+
+    return { limit, cursor: query.cursor };
+  }
+
+  /**
+   * Validate a `field[gte]=..&field[lte]=..` range parameter
+   * @private
+   */
+  _parseRange(value, name) {
+    if (value === undefined) return {};
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw this._createValidationError('INVALID_FILTER', `${name} must be given as ${name}[gte] and/or ${name}[lte]`);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _parseDate(value, name) {
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      throw this._createValidationError('INVALID_FILTER', `${name} must be an ISO 8601 timestamp`);
+    }
+    return date;
+  }
+
+  /**
+   * Parse `notes[key]=value` query parameters
+   * @private
+   * @param {*} value - Parsed `notes` query parameter
+   * @returns {Object} - Notes the payment must contain
+   */
+  _parseNotesFilter(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+      throw this._createValidationError('INVALID_FILTER', 'notes must be given as notes[<key>]=<value>');
+    }
+
+    const notesError = validateNotes(value);
+    if (notesError) {
+      throw this._createValidationError('INVALID_FILTER', notesError);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _parseAmount(value, name) {
+    const amount = Number(value);
+    if (typeof value !== 'string' || !Number.isInteger(amount) || amount < 0) {
+      throw this._createValidationError('INVALID_FILTER', `${name} must be a non-negative integer`);
+    }
+    return amount;
+  }
+
+  /**
+   * Shape a freshly created payment for the create response
+   * @private
+   * @param {Object} payment - Payment row
+   * @returns {Object}
+   */
+  _formatCreatedPayment(payment) {
+    return {
+      id: payment.id,
+      order_id: payment.order_id,
+      amount: payment.amount,
+      currency: payment.currency,
+      capture_method: payment.capture_method,
+      status: payment.status,
+      method: payment.method,
+      ...this._formatInstrument(payment),
+      customer_id: payment.customer_id,
+      token_id: payment.token_id,
+      subscription_id: payment.subscription_id,
+      ...this._formatRisk(payment),
+      notes: payment.notes
+    };
+  }
+
+  /**
+   * Shape a payment row for API responses
+   * @private
+   * @param {Object} payment - Payment row with `refunds`
+   * @returns {Object}
+   */
+  _formatPayment(payment) {
+    return {
+      id: payment.id,
+      order_id: payment.order_id,
+      amount: payment.amount,
+      currency: payment.currency,
+      method: payment.method,
+      ...this._formatInstrument(payment),
+      status: payment.status,
+      customer_id: payment.customer_id,
+      token_id: payment.token_id,
+      subscription_id: payment.subscription_id,
+      captured: payment.captured,
+      capture_method: payment.capture_method,
+      captured_amount: payment.captured_amount,
+      authorized_at: payment.authorized_at,
+      authorization_expires_at: payment.authorization_expires_at,
+      captured_at: payment.captured_at,
+      fee: payment.fee,
+      tax: payment.tax,
+      cancelled_at: payment.cancelled_at,
+      cancellation_reason: payment.cancellation_reason,
+      ...this._formatRisk(payment),
+      notes: payment.notes,
+      created_at: payment.created_at,
+      updated_at: payment.updated_at,
+      refunds: payment.refunds.map(refund => ({
+        id: refund.id,
+        amount: refund.amount,
+        currency: refund.currency,
+        reason: refund.reason,
+        status: refund.status,
+        notes: refund.notes,
+        created_at: refund.created_at,
+        processed_at: refund.processed_at
+      }))
+    };
+  }
+
+  /**
+   * Masked instrument fields of a payment
+   * @private
+   * @param {Object} payment - Payment row
+   * @returns {Object} - { card, vpa, bank, wallet }
+   */
+  _formatInstrument(payment) {
+    return {
+      card: payment.card_network
+        ? { network: payment.card_network, last4: payment.card_last4, fingerprint: payment.card_fingerprint || null }
+        : null,
+      vpa: payment.vpa || null,
+      bank: payment.bank || null,
+      wallet: payment.wallet || null
+    };
+  }
+
+  /**
+   * Risk verdict and failure reason of a payment
+   * @private
+   * @param {Object} payment - Payment row
+   * @returns {Object} - { risk, error_code, error_description }
+   */
+  _formatRisk(payment) {
+    return {
+      risk: payment.risk_decision
+        ? { score: payment.risk_score, decision: payment.risk_decision, reasons: payment.risk_reasons || [] }
+        : null,
+      error_code: payment.error_code || null,
+      error_description: payment.error_description || null
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[PaymentController] Error: ${code} - ${description}`);
+
+    const body = { error: { code, description } };
+    if (error.fields) {
+      body.error.fields = error.fields;
+    }
+    return res.status(statusCode).json(body);
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Create a validation error carrying field-level details
+   * @private
+   * @param {Array<Object>} fields - { field, code, description } per invalid field
+   * @returns {Error} - Validation error
+   */
+  _createInstrumentError(fields) {
+    const error = this._createValidationError('INVALID_PAYMENT_INSTRUMENT', fields.map(f => f.description).join('; '));
+    error.fields = fields;
+    return error;
+  }
+}
+
+module.exports = PaymentController;
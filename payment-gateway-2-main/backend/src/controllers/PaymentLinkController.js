@@ -0,0 +1,350 @@
+const { DEFAULT_CURRENCY, isSupportedCurrency, getMinorUnitExponent, validateMinorUnitAmount } = require('../utils/currency');
+const { validateNotes } = require('../utils/notes');
+const { checkoutBaseUrl } = require('../config/payments');
+
+const PAYMENT_LINK_STATUSES = ['created', 'paid', 'expired', 'cancelled'];
+const MIN_EXPIRY_MINUTES = 15;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * PaymentLinkController - HTTP Request Handler
+ * Responsible for:
+ * - Handling payment link creation, read, list and cancel requests
+ * - Serving open links to the hosted checkout
+ * - Input validation
+ * - Delegating business logic to PaymentLinkService
+ * - Formatting payment link responses with their hosted URL
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class PaymentLinkController {
+  constructor(paymentLinkService) {
+    this.paymentLinkService = paymentLinkService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.createLink = this.createLink.bind(this);
+    this.getLink = this.getLink.bind(this);
+    this.listLinks = this.listLinks.bind(this);
+    this.cancelLink = this.cancelLink.bind(this);
+    this.getCheckoutLink = this.getCheckoutLink.bind(this);
+  }
+
+  /**
+   * Handle POST /api/v1/payment_links
+   *
+   * Request Body:
+   * { "amount": 150000, "currency": "INR", "description": "Invoice #1042",
+   *   "expire_by": "2026-12-31T23:59:59Z",
+   *   "customer": { "name": "Asha Rao", "email": "asha@example.com", "contact": "+919876543210" },
+   *   "notify": { "email": true, "sms": false }, "reminder_enable": true, "notes": { "ticket": "SUP-77" } }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createLink(req, res) {
+    try {
+      const { amount, description, customer, notify, reminder_enable: reminderEnable, notes } = req.body;
+      const requestedCurrency = req.body.currency === undefined ? DEFAULT_CURRENCY : req.body.currency;
+      const currency = typeof requestedCurrency === 'string' ? requestedCurrency.toUpperCase() : requestedCurrency;
+
+      this._validateAmount(amount, currency);
+      this._validateDescription(description);
+      this._validateCustomer(customer);
+      this._validateNotify(notify, customer);
+      if (reminderEnable !== undefined && typeof reminderEnable !== 'boolean') {
+        throw this._createValidationError('INVALID_REMINDER_ENABLE', 'reminder_enable must be a boolean');
+      }
+      const notesError = notes === undefined ? null : validateNotes(notes);
+      if (notesError) {
+        throw this._createValidationError('INVALID_NOTES', notesError);
+      }
+      const expireBy = this._parseExpireBy(req.body.expire_by);
+
+      const link = await this.paymentLinkService.createLink(req.merchantId, {
+        amount, currency, description, customer, notify, reminderEnable, notes, expireBy
+      });
+      return res.status(201).json(this._formatLink(link));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/payment_links/:payment_link_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getLink(req, res) {
+    try {
+      const link = await this.paymentLinkService.getLink(req.params.payment_link_id, req.merchantId);
+      return res.status(200).json(this._formatLink(link));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/payment_links
+   * List the authenticated merchant's payment links
+   *
+   * Query parameters:
+   * - status: created, paid, expired or cancelled
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listLinks(req, res) {
+    try {
+      const { status, cursor } = req.query;
+
+      if (status !== undefined && !PAYMENT_LINK_STATUSES.includes(status)) {
+        throw this._createValidationError('INVALID_FILTER', `status must be one of: ${PAYMENT_LINK_STATUSES.join(', ')}`);
+      }
+
+      let limit = DEFAULT_PAGE_SIZE;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+          throw this._createValidationError('INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+      }
+
+      if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length === 0)) {
+        throw this._createValidationError('INVALID_CURSOR', 'cursor must be a non-empty string');
+      }
+
+      const result = await this.paymentLinkService.listLinks(req.merchantId, { status }, { limit, cursor });
+
+      return res.status(200).json({
+        data: result.links.map(link => this._formatLink(link)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/payment_links/:payment_link_id/cancel
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async cancelLink(req, res) {
+    try {
+      const link = await this.paymentLinkService.cancelLink(req.params.payment_link_id, req.merchantId);
+      return res.status(200).json(this._formatLink(link));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/checkout/payment_links/:payment_link_id
+   * Public endpoint for the hosted checkout; only exposes what the
+   * payer needs to see before paying the link's order
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getCheckoutLink(req, res) {
+    try {
+      const link = await this.paymentLinkService.getCheckoutLink(req.params.payment_link_id);
+      return res.status(200).json({
+        id: link.id,
+        order_id: link.order_id,
+        amount: link.amount,
+        currency: link.currency,
+        currency_exponent: getMinorUnitExponent(link.currency),
+        description: link.description,
+        customer_name: link.customer_name,
+        status: link.status,
+        expire_by: link.expire_by
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateAmount(amount, currency) {
+    if (amount === undefined || amount === null) {
+      throw this._createValidationError('MISSING_AMOUNT', 'Payment link amount is required');
+    }
+
+    if (!isSupportedCurrency(currency)) {
+      throw this._createValidationError('INVALID_CURRENCY', 'Currency must be a supported ISO 4217 code');
+    }
+
+    const amountError = validateMinorUnitAmount(amount, currency);
+    if (amountError) {
+      throw this._createValidationError('INVALID_AMOUNT', amountError);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateDescription(description) {
+    if (description !== undefined && (typeof description !== 'string' || description.length > 2048)) {
+      throw this._createValidationError('INVALID_DESCRIPTION', 'Description must be a string of at most 2048 characters');
+    }
+  }
+
+  /**
+   * Validate the optional customer contact details
+   * @private
+   * @param {*} customer - { name, email, contact }
+   * @throws {Error} - INVALID_CUSTOMER
+   */
+  _validateCustomer(customer) {
+    if (customer === undefined) return;
+
+    if (customer === null || typeof customer !== 'object' || Array.isArray(customer)) {
+      throw this._createValidationError('INVALID_CUSTOMER', 'customer must be an object with name, email and/or contact');
+    }
+
+    const { name, email, contact } = customer;
+    if (name !== undefined && (typeof name !== 'string' || name.length === 0 || name.length > 255)) {
+      throw this._createValidationError('INVALID_CUSTOMER', 'customer.name must be a string of 1 to 255 characters');
+    }
+    if (email !== undefined && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 255)) {
+      throw this._createValidationError('INVALID_CUSTOMER', 'customer.email must be a valid email address');
+    }
+    if (contact !== undefined && (typeof contact !== 'string' || !/^\+?\d{8,15}$/.test(contact))) {
+      throw this._createValidationError('INVALID_CUSTOMER', 'customer.contact must be a phone number of 8 to 15 digits');
+    }
+  }
+
+  /**
+   * Validate notification settings against the contact details they need
+   * @private
+   * @param {*} notify - { email, sms }
+   * @param {Object} [customer] - Validated customer details
+   * @throws {Error} - INVALID_NOTIFY
+   */
+  _validateNotify(notify, customer = {}) {
+    if (notify === undefined) return;
+
+    if (notify === null || typeof notify !== 'object' || Array.isArray(notify)) {
+      throw this._createValidationError('INVALID_NOTIFY', 'notify must be an object with email and/or sms booleans');
+    }
+
+    for (const channel of ['email', 'sms']) {
+      if (notify[channel] !== undefined && typeof notify[channel] !== 'boolean') {
+        throw this._createValidationError('INVALID_NOTIFY', `notify.${channel} must be a boolean`);
+      }
+    }
+
+    if (notify.email && !customer.email) {
+      throw this._createValidationError('INVALID_NOTIFY', 'notify.email requires customer.email');
+    }
+    if (notify.sms && !customer.contact) {
+      throw this._createValidationError('INVALID_NOTIFY', 'notify.sms requires customer.contact');
+    }
+  }
+
+  /**
+   * Parse the optional expiry
+   * @private
+   * @param {*} value - ISO 8601 timestamp
+   * @returns {Date|undefined}
+   * @throws {Error} - INVALID_EXPIRE_BY
+   */
+  _parseExpireBy(value) {
+    if (value === undefined) return undefined;
+
+    const expireBy = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(expireBy.getTime())) {
+      throw this._createValidationError('INVALID_EXPIRE_BY', 'expire_by must be an ISO 8601 timestamp');
+    }
+    if (expireBy.getTime() < Date.now() + MIN_EXPIRY_MINUTES * 60 * 1000) {
+      throw this._createValidationError('INVALID_EXPIRE_BY', `expire_by must be at least ${MIN_EXPIRY_MINUTES} minutes in the future`);
+    }
+    return expireBy;
+  }
+
+  /**
+   * Shape a payment link row for API responses
+   * @private
+   * @param {Object} link - Payment link row
+   * @returns {Object}
+   */
+  _formatLink(link) {
+    return {
+      id: link.id,
+      short_url: `${checkoutBaseUrl}/?payment_link=${encodeURIComponent(link.id)}`,
+      order_id: link.order_id,
+      amount: link.amount,
+      currency: link.currency,
+      description: link.description,
+      status: link.status,
+      customer: {
+        name: link.customer_name,
+        email: link.customer_email,
+        contact: link.customer_contact
+      },
+      notify: {
+        email: link.notify_email,
+        sms: link.notify_sms
+      },
+      reminder_enable: link.reminder_enable,
+      notes: link.notes,
+      expire_by: link.expire_by,
+      payment_id: link.payment_id,
+      paid_at: link.paid_at,
+      expired_at: link.expired_at,
+      cancelled_at: link.cancelled_at,
+      created_at: link.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[PaymentLinkController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = PaymentLinkController;
@@ -0,0 +1,182 @@
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('../utils/currency');
+const { validatePricingRules } = require('../utils/pricing');
+const { toBasisPoints } = require('../utils/percent');
+
+// GST charged on gateway fees unless a plan says otherwise
+const DEFAULT_TAX_PERCENT = 18;
+
+/**
+ * PricingController - HTTP Request Handler
+ * Responsible for:
+ * - Showing merchants the pricing plan they are charged and its history
+ * - Handling pricing changes made by the gateway operator (admin API)
+ * - Input validation
+ * - Delegating business logic to PricingService
+ * - Formatting pricing plan responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class PricingController {
+  constructor(pricingService) {
+    this.pricingService = pricingService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.getPricing = this.getPricing.bind(this);
+    this.listPricingVersions = this.listPricingVersions.bind(this);
+    this.updatePricing = this.updatePricing.bind(this);
+  }
+
+  /**
+   * Handle GET /api/v1/pricing
+   * The pricing plan applied to the authenticated merchant's captures
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getPricing(req, res) {
+    try {
+      const plan = await this.pricingService.getPricing(req.merchantId);
+      return res.status(200).json(this._formatPlan(plan));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/pricing/versions
+   * Every version of the authenticated merchant's own pricing plan, newest first
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listPricingVersions(req, res) {
+    try {
+      const plans = await this.pricingService.listPricingVersions(req.merchantId);
+      return res.status(200).json({ data: plans.map(plan => this._formatPlan(plan)) });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/admin/merchants/:merchant_id/pricing
+   * Replace a merchant's pricing with a new plan version
+   *
+   * Request body:
+   * {
+   *   "currency": "INR",   // optional, currency of fixed fees
+   *   "rules": [
+   *     { "method": "card", "card_network": "amex", "percent": 3 },
+   *     { "method": "upi", "percent": 0 },
+   *     { "percent": 2, "fixed_fee": 300 }
+   *   ],
+   *   "tax_percent": 18    // optional, GST on fees
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async updatePricing(req, res) {
+    try {
+      const { rules } = req.body;
+
+      const requestedCurrency = req.body.currency === undefined ? DEFAULT_CURRENCY : req.body.currency;
+      const currency = typeof requestedCurrency === 'string' ? requestedCurrency.toUpperCase() : requestedCurrency;
+      if (!isSupportedCurrency(currency)) {
+        throw this._createValidationError('INVALID_CURRENCY', 'Currency must be a supported ISO 4217 code');
+      }
+
+      const rulesError = validatePricingRules(rules);
+      if (rulesError) {
+        throw this._createValidationError('INVALID_RULES', rulesError);
+      }
+
+      const taxPercent = req.body.tax_percent === undefined ? DEFAULT_TAX_PERCENT : req.body.tax_percent;
+      if (toBasisPoints(taxPercent) === null) {
+        throw this._createValidationError(
+          'INVALID_TAX_PERCENT', 'tax_percent must be a percentage between 0 and 100 with at most two decimals'
+        );
+      }
+
+      const plan = await this.pricingService.updatePricing(req.params.merchant_id, {
+        currency,
+        rules: rules.map(rule => this._normalizeRule(rule)),
+        taxPercent
+      });
+      return res.status(201).json(this._formatPlan(plan));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Keep only the known fields of a validated rule
+   * @private
+   */
+  _normalizeRule(rule) {
+    const normalized = {};
+    if (rule.method !== undefined) normalized.method = rule.method;
+    if (rule.card_network !== undefined) normalized.card_network = rule.card_network;
+    normalized.percent = rule.percent;
+    if (rule.fixed_fee !== undefined) normalized.fixed_fee = rule.fixed_fee;
+    return normalized;
+  }
+
+  /**
+   * Shape a pricing plan row for API responses
+   * @private
+   * @param {Object} plan - Pricing plan row
+   * @returns {Object}
+   */
+  _formatPlan(plan) {
+    return {
+      id: plan.id,
+      version: plan.version,
+      default: plan.merchant_id === null,
+      currency: plan.currency,
+      rules: plan.rules,
+      tax_percent: plan.tax_percent,
+      created_at: plan.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[PricingController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = PricingController;
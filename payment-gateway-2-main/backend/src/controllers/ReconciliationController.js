@@ -0,0 +1,299 @@
+const {
+  RECONCILIATION_RESULTS,
+  isIsoDate,
+  parseStatementCsv,
+  validateStatementRows
+} = require('../utils/reconciliation');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * ReconciliationController - HTTP Request Handler
+ * Responsible for:
+ * - Importing acquirer statements (CSV or JSON) for reconciliation
+ * - Handling reconciliation report read and list requests
+ * - Input validation
+ * - Delegating business logic to ReconciliationService
+ * - Formatting reconciliation and reconciliation item responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class ReconciliationController {
+  constructor(reconciliationService) {
+    this.reconciliationService = reconciliationService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.importStatement = this.importStatement.bind(this);
+    this.listReconciliations = this.listReconciliations.bind(this);
+    this.getReconciliation = this.getReconciliation.bind(this);
+    this.listItems = this.listItems.bind(this);
+  }
+
+  /**
+   * Handle POST /api/v1/reconciliations
+   * Reconcile an acquirer statement, sent either as `Content-Type: text/csv`
+   * with the header `reference,type,amount,currency,date`, or as JSON:
+   * {
+   *   "rows": [
+   *     { "reference": "pay_...", "type": "payment", "amount": 50000, "currency": "INR", "date": "2026-11-01" }
+   *   ]
+   * }
+   *
+   * Query parameters:
+   * - period_start, period_end: ISO 8601 dates of the period the statement
+   *   covers (end exclusive); default to the days of its earliest and latest rows
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async importStatement(req, res) {
+    try {
+      let source;
+      let rows;
+      if (typeof req.body === 'string') {
+        source = 'csv';
+        const parsed = parseStatementCsv(req.body);
+        if (parsed.error) {
+          throw this._createValidationError('INVALID_STATEMENT', parsed.error);
+        }
+        rows = parsed.rows;
+      } else if (req.body && Array.isArray(req.body.rows)) {
+        source = 'json';
+        rows = req.body.rows;
+      } else {
+        throw this._createValidationError(
+          'INVALID_STATEMENT', 'Send the statement as text/csv or as JSON with a "rows" array'
+        );
+      }
+
+      const rowsError = validateStatementRows(rows);
+      if (rowsError) {
+        throw this._createValidationError('INVALID_STATEMENT', rowsError);
+      }
+
+      const periodStart = this._parseDate(req.query.period_start, 'period_start');
+      const periodEnd = this._parseDate(req.query.period_end, 'period_end');
+
+      const reconciliation = await this.reconciliationService.importStatement(req.merchantId, {
+        source,
+        rows: rows.map(row => ({
+          reference: row.reference,
+          type: row.type,
+          amount: row.amount,
+          currency: row.currency.toUpperCase(),
+          date: new Date(row.date)
+        })),
+        periodStart,
+        periodEnd
+      });
+      return res.status(201).json(this._formatReconciliation(reconciliation));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/reconciliations
+   * List the authenticated merchant's reconciliation reports
+   *
+   * Query parameters:
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listReconciliations(req, res) {
+    try {
+      const { cursor } = req.query;
+      const limit = this._parseLimit(req.query.limit);
+
+      if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length === 0)) {
+        throw this._createValidationError('INVALID_CURSOR', 'cursor must be a non-empty string');
+      }
+
+      const result = await this.reconciliationService.listReconciliations(req.merchantId, { limit, cursor });
+
+      return res.status(200).json({
+        data: result.reconciliations.map(reconciliation => this._formatReconciliation(reconciliation)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/reconciliations/:reconciliation_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getReconciliation(req, res) {
+    try {
+      const reconciliation = await this.reconciliationService.getReconciliation(
+        req.params.reconciliation_id, req.merchantId
+      );
+      return res.status(200).json(this._formatReconciliation(reconciliation));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/reconciliations/:reconciliation_id/items
+   * List a report's entries: each statement row in order, then the records
+   * the statement is missing
+   *
+   * Query parameters:
+   * - result: matched, missing_on_gateway, missing_on_acquirer or amount_mismatch
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listItems(req, res) {
+    try {
+      const { result: resultFilter } = req.query;
+      if (resultFilter !== undefined && !RECONCILIATION_RESULTS.includes(resultFilter)) {
+        throw this._createValidationError('INVALID_FILTER', `result must be one of: ${RECONCILIATION_RESULTS.join(', ')}`);
+      }
+
+      const limit = this._parseLimit(req.query.limit);
+
+      let cursor;
+      if (req.query.cursor !== undefined) {
+        cursor = Number(req.query.cursor);
+        if (!Number.isSafeInteger(cursor) || cursor < 1) {
+          throw this._createValidationError('INVALID_CURSOR', 'cursor must be the next_cursor of a previous page');
+        }
+      }
+
+      const result = await this.reconciliationService.listItems(
+        req.params.reconciliation_id, req.merchantId, { result: resultFilter }, { limit, cursor }
+      );
+
+      return res.status(200).json({
+        data: result.items.map(item => this._formatItem(item)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseLimit(value) {
+    if (value === undefined) return DEFAULT_PAGE_SIZE;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw this._createValidationError('INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+  }
+
+  /**
+   * @private
+   */
+  _parseDate(value, field) {
+    if (value === undefined) return undefined;
+
+    if (!isIsoDate(value)) {
+      throw this._createValidationError('INVALID_PERIOD', `${field} must be an ISO 8601 date`);
+    }
+    return new Date(value);
+  }
+
+  /**
+   * Shape a reconciliation row for API responses
+   * @private
+   * @param {Object} reconciliation - Reconciliation row
+   * @returns {Object}
+   */
+  _formatReconciliation(reconciliation) {
+    return {
+      id: reconciliation.id,
+      source: reconciliation.source,
+      period_start: reconciliation.period_start,
+      period_end: reconciliation.period_end,
+      row_count: reconciliation.row_count,
+      matched: reconciliation.matched_count,
+      missing_on_gateway: reconciliation.missing_on_gateway_count,
+      missing_on_acquirer: reconciliation.missing_on_acquirer_count,
+      amount_mismatch: reconciliation.amount_mismatch_count,
+      created_at: reconciliation.created_at
+    };
+  }
+
+  /**
+   * Shape a reconciliation item row for API responses
+   * @private
+   * @param {Object} item - Reconciliation item row
+   * @returns {Object}
+   */
+  _formatItem(item) {
+    return {
+      id: String(item.id),
+      result: item.result,
+      type: item.entity_type,
+      reference: item.reference,
+      entity_id: item.entity_id,
+      currency: item.currency,
+      statement_amount: item.statement_amount,
+      gateway_amount: item.gateway_amount,
+      statement_date: item.statement_date,
+      gateway_date: item.gateway_date
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[ReconciliationController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = ReconciliationController;
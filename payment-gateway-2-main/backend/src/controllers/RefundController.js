@@ -1,3 +1,6 @@
+const { isSupportedCurrency } = require('../utils/currency');
+const { validateNotes } = require('../utils/notes');
+
 /**
  * RefundController - HTTP Request Handler
  * Responsible for:
@@ -28,17 +31,21 @@ class RefundController {
   async createRefund(req, res) {
     try {
       const { payment_id: paymentId } = req.params;
-      const { amount: requestedAmount, reason, idempotencyKey } = req.body;
+      const { amount: requestedAmount, reason, idempotencyKey, notes = {} } = req.body;
+      const currency = typeof req.body.currency === 'string' ? req.body.currency.toUpperCase() : req.body.currency;
 
       // Validate required parameters
-      this._validateRefundInput(paymentId, requestedAmount, reason);
+      this._validateRefundInput(paymentId, requestedAmount, reason, currency, notes);
 
       // Process refund through service
       const refund = await this.refundService.processRefund(
         paymentId,
+        req.merchantId,
         requestedAmount,
         reason,
-        idempotencyKey
+        idempotencyKey,
+        currency,
+        notes
       );
 
       // Return success response
@@ -46,7 +53,9 @@ class RefundController {
         id: refund.id,
         payment_id: refund.payment_id,
         amount: refund.amount,
+        currency: refund.currency,
         status: refund.status,
+        notes: refund.notes,
         created_at: refund.created_at
       });
 
@@ -61,9 +70,11 @@ class RefundController {
    * @param {string} paymentId - Payment ID
    * @param {number} requestedAmount - Refund amount
    * @param {string} reason - Refund reason
+   * @param {string} [currency] - Optional refund currency
+   * @param {Object} notes - Merchant key-value notes
    * @throws {Error} - If validation fails
    */
-  _validateRefundInput(paymentId, requestedAmount, reason) {
+  _validateRefundInput(paymentId, requestedAmount, reason, currency, notes) {
     if (!paymentId || typeof paymentId !== 'string') {
       throw this._createValidationError('INVALID_PAYMENT_ID', 'Invalid payment ID format');
     }
@@ -79,6 +90,15 @@ class RefundController {
     if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
       throw this._createValidationError('MISSING_REASON', 'Refund reason is required');
     }
+
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      throw this._createValidationError('INVALID_CURRENCY', 'Currency must be a supported ISO 4217 code');
+    }
+
+    const notesError = validateNotes(notes);
+    if (notesError) {
+      throw this._createValidationError('INVALID_NOTES', notesError);
+    }
   }
 
   /**
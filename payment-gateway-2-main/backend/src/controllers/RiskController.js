@@ -0,0 +1,276 @@
+const { DEFAULT_RISK_SETTINGS } = require('../services/RiskService');
+const { BLOCKLIST_TYPES, validateRiskRules, validateRiskThresholds, validateBlocklistEntry } = require('../utils/risk');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * RiskController - HTTP Request Handler
+ * Responsible for:
+ * - Handling merchants' risk settings (rules and score thresholds)
+ * - Handling merchants' blocklists, and the global blocklist kept by the
+ *   gateway operator (admin API)
+ * - Input validation
+ * - Delegating business logic to RiskService
+ * - Formatting risk settings and blocklist responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class RiskController {
+  constructor(riskService) {
+    this.riskService = riskService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.getSettings = this.getSettings.bind(this);
+    this.updateSettings = this.updateSettings.bind(this);
+    this.listBlocklist = this.listBlocklist.bind(this);
+    this.addBlocklistEntry = this.addBlocklistEntry.bind(this);
+    this.removeBlocklistEntry = this.removeBlocklistEntry.bind(this);
+  }
+
+  /**
+   * Handle GET /api/v1/risk/settings
+   * The rules and thresholds the risk engine applies to the merchant's payments
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await this.riskService.getSettings(req.merchantId);
+      return res.status(200).json(this._formatSettings(settings));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle PUT /api/v1/risk/settings
+   * Replace the merchant's risk rules and thresholds
+   *
+   * Request body:
+   * {
+   *   "rules": [
+   *     { "name": "trusted_upi", "conditions": [{ "field": "vpa", "operator": "in", "value": ["asha@okaxis"] }], "action": "allow" },
+   *     { "name": "large_amex", "conditions": [
+   *         { "field": "card_network", "operator": "eq", "value": "amex" },
+   *         { "field": "amount", "operator": "gte", "value": 5000000 }
+   *       ], "action": "review" }
+   *   ],
+   *   "review_threshold": 50,   // optional, defaults to 50
+   *   "block_threshold": 90     // optional, defaults to 90
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async updateSettings(req, res) {
+    try {
+      const {
+        rules,
+        review_threshold: reviewThreshold = DEFAULT_RISK_SETTINGS.review_threshold,
+        block_threshold: blockThreshold = DEFAULT_RISK_SETTINGS.block_threshold
+      } = req.body;
+
+      const rulesError = validateRiskRules(rules);
+      if (rulesError) {
+        throw this._createValidationError('INVALID_RULES', rulesError);
+      }
+      const thresholdsError = validateRiskThresholds(reviewThreshold, blockThreshold);
+      if (thresholdsError) {
+        throw this._createValidationError('INVALID_THRESHOLD', thresholdsError);
+      }
+
+      const settings = await this.riskService.updateSettings(req.merchantId, { rules, reviewThreshold, blockThreshold });
+      return res.status(200).json(this._formatSettings(settings));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/risk/blocklist and GET /api/v1/admin/risk/blocklist
+   * List the merchant's blocklist, or the global one on the admin API
+   *
+   * Query parameters:
+   * - type: ip, card, vpa or customer
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listBlocklist(req, res) {
+    try {
+      const { type, cursor } = req.query;
+
+      if (type !== undefined && !BLOCKLIST_TYPES.includes(type)) {
+        throw this._createValidationError('INVALID_FILTER', `type must be one of: ${BLOCKLIST_TYPES.join(', ')}`);
+      }
+
+      const limit = this._parseLimit(req.query.limit);
+
+      if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length === 0)) {
+        throw this._createValidationError('INVALID_CURSOR', 'cursor must be a non-empty string');
+      }
+
+      const result = await this.riskService.listBlocklistEntries(this._blocklistOwner(req), { type }, { limit, cursor });
+
+      return res.status(200).json({
+        data: result.entries.map(entry => this._formatEntry(entry)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/risk/blocklist and POST /api/v1/admin/risk/blocklist
+   * Block an IP, card, VPA or customer for the merchant, or for every
+   * merchant on the admin API
+   *
+   * Request body:
+   * {
+   *   "type": "card",   // ip, card (a payment's card.fingerprint), vpa or customer (a customer ID)
+   *   "value": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08",
+   *   "reason": "Reported stolen"   // optional
+   * }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async addBlocklistEntry(req, res) {
+    try {
+      const { type, value, reason } = req.body;
+
+      const entryError = validateBlocklistEntry(type, value);
+      if (entryError) {
+        throw this._createValidationError('INVALID_BLOCKLIST_ENTRY', entryError);
+      }
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+        throw this._createValidationError('INVALID_REASON', 'reason must be a string of at most 255 characters');
+      }
+
+      const entry = await this.riskService.addBlocklistEntry(this._blocklistOwner(req), { type, value, reason });
+      return res.status(201).json(this._formatEntry(entry));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle DELETE /api/v1/risk/blocklist/:entry_id and DELETE /api/v1/admin/risk/blocklist/:entry_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async removeBlocklistEntry(req, res) {
+    try {
+      const entry = await this.riskService.removeBlocklistEntry(req.params.entry_id, this._blocklistOwner(req));
+      return res.status(200).json({ id: entry.id, deleted: true });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Whose blocklist a request manages: the authenticated merchant's, or the
+   * global one on the admin API, which has no merchant
+   * @private
+   * @param {Express.Request} req - Express request object
+   * @returns {string|null} - Merchant ID, or null for the global blocklist
+   */
+  _blocklistOwner(req) {
+    return req.merchantId || null;
+  }
+
+  /**
+   * @private
+   */
+  _parseLimit(value) {
+    if (value === undefined) return DEFAULT_PAGE_SIZE;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw this._createValidationError('INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+  }
+
+  /**
+   * Shape risk settings for API responses
+   * @private
+   * @param {Object} settings - Settings row
+   * @returns {Object}
+   */
+  _formatSettings(settings) {
+    return {
+      rules: settings.rules,
+      review_threshold: settings.review_threshold,
+      block_threshold: settings.block_threshold,
+      updated_at: settings.updated_at || null
+    };
+  }
+
+  /**
+   * Shape a blocklist entry for API responses
+   * @private
+   * @param {Object} entry - Blocklist row
+   * @returns {Object}
+   */
+  _formatEntry(entry) {
+    return {
+      id: entry.id,
+      type: entry.type,
+      value: entry.value,
+      reason: entry.reason,
+      global: entry.merchant_id === null,
+      created_at: entry.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[RiskController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = RiskController;
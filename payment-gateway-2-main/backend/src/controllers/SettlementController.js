@@ -0,0 +1,222 @@
+const { SETTLEMENT_STATUSES } = require('../services/SettlementService');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * SettlementController - HTTP Request Handler
+ * Responsible for:
+ * - Handling settlement read and list requests
+ * - Listing the payments, refunds and dispute holds each settlement paid out
+ * - Input validation
+ * - Delegating business logic to SettlementService
+ * - Formatting settlement and settlement transaction responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class SettlementController {
+  constructor(settlementService) {
+    this.settlementService = settlementService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.listSettlements = this.listSettlements.bind(this);
+    this.getSettlement = this.getSettlement.bind(this);
+    this.listTransactions = this.listTransactions.bind(this);
+  }
+
+  /**
+   * Handle GET /api/v1/settlements
+   * List the authenticated merchant's settlements
+   *
+   * Query parameters:
+   * - status: created, processing, settled or failed
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listSettlements(req, res) {
+    try {
+      const { status, cursor } = req.query;
+
+      if (status !== undefined && !SETTLEMENT_STATUSES.includes(status)) {
+        throw this._createValidationError('INVALID_FILTER', `status must be one of: ${SETTLEMENT_STATUSES.join(', ')}`);
+      }
+
+      const limit = this._parseLimit(req.query.limit);
+
+      if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length === 0)) {
+        throw this._createValidationError('INVALID_CURSOR', 'cursor must be a non-empty string');
+      }
+
+      const result = await this.settlementService.listSettlements(req.merchantId, { status }, { limit, cursor });
+
+      return res.status(200).json({
+        data: result.settlements.map(settlement => this._formatSettlement(settlement)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/settlements/:settlement_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getSettlement(req, res) {
+    try {
+      const settlement = await this.settlementService.getSettlement(req.params.settlement_id, req.merchantId);
+      return res.status(200).json(this._formatSettlement(settlement));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/settlements/:settlement_id/transactions
+   * List the payments (credits, less fees and tax), refunds (debits), dispute holds (debits)
+   * and releases of won disputes (credits) a settlement paid out
+   *
+   * Query parameters:
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listTransactions(req, res) {
+    try {
+      const limit = this._parseLimit(req.query.limit);
+
+      let cursor;
+      if (req.query.cursor !== undefined) {
+        cursor = Number(req.query.cursor);
+        if (!Number.isSafeInteger(cursor) || cursor < 1) {
+          throw this._createValidationError('INVALID_CURSOR', 'cursor must be the next_cursor of a previous page');
+        }
+      }
+
+      const result = await this.settlementService.listTransactions(
+        req.params.settlement_id, req.merchantId, { limit, cursor }
+      );
+
+      return res.status(200).json({
+        data: result.transactions.map(transaction => this._formatTransaction(transaction)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseLimit(value) {
+    if (value === undefined) return DEFAULT_PAGE_SIZE;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw this._createValidationError('INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+  }
+
+  /**
+   * Shape a settlement row for API responses
+   * @private
+   * @param {Object} settlement - Settlement row
+   * @returns {Object}
+   */
+  _formatSettlement(settlement) {
+    return {
+      id: settlement.id,
+      amount: settlement.amount,
+      currency: settlement.currency,
+      gross_amount: settlement.gross_amount,
+      refund_amount: settlement.refund_amount,
+      fee_amount: settlement.fee_amount,
+      tax_amount: settlement.tax_amount,
+      dispute_amount: settlement.dispute_amount,
+      payment_count: settlement.payment_count,
+      refund_count: settlement.refund_count,
+      status: settlement.status,
+      utr: settlement.utr,
+      failure_reason: settlement.failure_reason,
+      period_end: settlement.period_end,
+      initiated_at: settlement.initiated_at,
+      settled_at: settlement.settled_at,
+      failed_at: settlement.failed_at,
+      created_at: settlement.created_at
+    };
+  }
+
+  /**
+   * Shape a settlement transaction row for API responses
+   * @private
+   * @param {Object} transaction - Settlement transaction row
+   * @returns {Object}
+   */
+  _formatTransaction(transaction) {
+    return {
+      id: String(transaction.id),
+      type: transaction.entity_type,
+      entity_id: transaction.entity_id,
+      payment_id: transaction.payment_id,
+      amount: transaction.amount,
+      fee: transaction.fee,
+      tax: transaction.tax,
+      net: transaction.net,
+      created_at: transaction.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[SettlementController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = SettlementController;
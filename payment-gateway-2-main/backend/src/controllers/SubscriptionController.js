@@ -0,0 +1,436 @@
+const { DEFAULT_CURRENCY, isSupportedCurrency, validateMinorUnitAmount } = require('../utils/currency');
+const { validateNotes } = require('../utils/notes');
+const { SUBSCRIPTION_STATUSES, PLAN_PERIODS } = require('../services/SubscriptionService');
+
+const MAX_INTERVAL_COUNT = 365;
+const MAX_TRIAL_PERIOD_DAYS = 365;
+const MAX_TOTAL_COUNT = 1000;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * SubscriptionController - HTTP Request Handler
+ * Responsible for:
+ * - Handling plan creation, read and list requests
+ * - Handling subscription creation, read, list, pause, resume and cancel requests
+ * - Input validation
+ * - Delegating business logic to SubscriptionService
+ * - Formatting plan and subscription responses
+ *
+ * Follows the Controller Pattern to separate HTTP concerns
+ * from business logic
+ */
+class SubscriptionController {
+  constructor(subscriptionService) {
+    this.subscriptionService = subscriptionService;
+
+    // Bind methods to preserve 'this' context when used as middleware
+    this.createPlan = this.createPlan.bind(this);
+    this.getPlan = this.getPlan.bind(this);
+    this.listPlans = this.listPlans.bind(this);
+    this.createSubscription = this.createSubscription.bind(this);
+    this.getSubscription = this.getSubscription.bind(this);
+    this.listSubscriptions = this.listSubscriptions.bind(this);
+    this.pauseSubscription = this.pauseSubscription.bind(this);
+    this.resumeSubscription = this.resumeSubscription.bind(this);
+    this.cancelSubscription = this.cancelSubscription.bind(this);
+  }
+
+  /**
+   * Handle POST /api/v1/plans
+   *
+   * Request Body:
+   * { "name": "Pro monthly", "amount": 49900, "currency": "INR", "period": "monthly", "interval_count": 1,
+   *   "trial_period_days": 14, "description": "Pro plan, billed monthly", "notes": { "tier": "pro" } }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createPlan(req, res) {
+    try {
+      const {
+        name, description, amount, period, interval_count: intervalCount = 1,
+        trial_period_days: trialPeriodDays = 0, notes
+      } = req.body;
+      const requestedCurrency = req.body.currency === undefined ? DEFAULT_CURRENCY : req.body.currency;
+      const currency = typeof requestedCurrency === 'string' ? requestedCurrency.toUpperCase() : requestedCurrency;
+
+      if (typeof name !== 'string' || name.length === 0 || name.length > 255) {
+        throw this._createValidationError('INVALID_NAME', 'name is required and must be at most 255 characters');
+      }
+      if (description !== undefined && (typeof description !== 'string' || description.length > 2048)) {
+        throw this._createValidationError('INVALID_DESCRIPTION', 'Description must be a string of at most 2048 characters');
+      }
+      this._validateAmount(amount, currency);
+      if (!PLAN_PERIODS.includes(period)) {
+        throw this._createValidationError('INVALID_PERIOD', `period must be one of: ${PLAN_PERIODS.join(', ')}`);
+      }
+      if (!Number.isInteger(intervalCount) || intervalCount < 1 || intervalCount > MAX_INTERVAL_COUNT) {
+        throw this._createValidationError('INVALID_INTERVAL_COUNT', `interval_count must be an integer between 1 and ${MAX_INTERVAL_COUNT}`);
+      }
+      this._validateTrialPeriodDays(trialPeriodDays);
+      this._validateNotes(notes);
+
+      const plan = await this.subscriptionService.createPlan(req.merchantId, {
+        name, description, amount, currency, period, intervalCount, trialPeriodDays, notes
+      });
+      return res.status(201).json(this._formatPlan(plan));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/plans/:plan_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getPlan(req, res) {
+    try {
+      const plan = await this.subscriptionService.getPlan(req.params.plan_id, req.merchantId);
+      return res.status(200).json(this._formatPlan(plan));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/plans
+   * List the authenticated merchant's plans
+   *
+   * Query parameters:
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listPlans(req, res) {
+    try {
+      const page = this._parsePagination(req.query);
+      const result = await this.subscriptionService.listPlans(req.merchantId, page);
+
+      return res.status(200).json({
+        data: result.plans.map(plan => this._formatPlan(plan)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit: page.limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/subscriptions
+   * Subscribe a customer's saved payment method to a plan
+   *
+   * Request Body:
+   * { "plan_id": "plan_abc", "customer_id": "cust_abc", "token": "token_abc",
+   *   "total_count": 12, "trial_period_days": 7, "notes": { "seat_count": "5" } }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createSubscription(req, res) {
+    try {
+      const {
+        plan_id: planId, customer_id: customerId, token: tokenId,
+        total_count: totalCount, trial_period_days: trialPeriodDays, notes
+      } = req.body;
+
+      for (const [field, value] of [['plan_id', planId], ['customer_id', customerId], ['token', tokenId]]) {
+        if (typeof value !== 'string' || value.length === 0) {
+          throw this._createValidationError(`MISSING_${field.toUpperCase()}`, `${field} is required`);
+        }
+      }
+      if (totalCount !== undefined && (!Number.isInteger(totalCount) || totalCount < 1 || totalCount > MAX_TOTAL_COUNT)) {
+        throw this._createValidationError('INVALID_TOTAL_COUNT', `total_count must be an integer between 1 and ${MAX_TOTAL_COUNT}`);
+      }
+      if (trialPeriodDays !== undefined) {
+        this._validateTrialPeriodDays(trialPeriodDays);
+      }
+      this._validateNotes(notes);
+
+      const subscription = await this.subscriptionService.createSubscription(req.merchantId, {
+        planId, customerId, tokenId, totalCount, trialPeriodDays, notes
+      });
+      return res.status(201).json(this._formatSubscription(subscription));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/subscriptions/:subscription_id
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getSubscription(req, res) {
+    try {
+      const subscription = await this.subscriptionService.getSubscription(req.params.subscription_id, req.merchantId);
+      return res.status(200).json(this._formatSubscription(subscription));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle GET /api/v1/subscriptions
+   * List the authenticated merchant's subscriptions
+   *
+   * Query parameters:
+   * - status, plan_id, customer_id: exact match
+   * - limit: page size (default 10, max 100)
+   * - cursor: `next_cursor` from the previous page
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listSubscriptions(req, res) {
+    try {
+      const filters = {};
+      for (const [param, key] of [['status', 'status'], ['plan_id', 'planId'], ['customer_id', 'customerId']]) {
+        if (req.query[param] === undefined) continue;
+        if (typeof req.query[param] !== 'string' || req.query[param].length === 0) {
+          throw this._createValidationError('INVALID_FILTER', `${param} must be a non-empty string`);
+        }
+        filters[key] = req.query[param];
+      }
+      if (filters.status && !SUBSCRIPTION_STATUSES.includes(filters.status)) {
+        throw this._createValidationError('INVALID_FILTER', `status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`);
+      }
+
+      const page = this._parsePagination(req.query);
+      const result = await this.subscriptionService.listSubscriptions(req.merchantId, filters, page);
+
+      return res.status(200).json({
+        data: result.subscriptions.map(subscription => this._formatSubscription(subscription)),
+        has_more: result.hasMore,
+        next_cursor: result.nextCursor,
+        limit: page.limit
+      });
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/subscriptions/:subscription_id/pause
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async pauseSubscription(req, res) {
+    try {
+      const subscription = await this.subscriptionService.pauseSubscription(req.params.subscription_id, req.merchantId);
+      return res.status(200).json(this._formatSubscription(subscription));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/subscriptions/:subscription_id/resume
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async resumeSubscription(req, res) {
+    try {
+      const subscription = await this.subscriptionService.resumeSubscription(req.params.subscription_id, req.merchantId);
+      return res.status(200).json(this._formatSubscription(subscription));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * Handle POST /api/v1/subscriptions/:subscription_id/cancel
+   *
+   * Request Body (optional):
+   * { "cancel_at_cycle_end": true }
+   *
+   * @param {Express.Request} req - Express request object
+   * @param {Express.Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async cancelSubscription(req, res) {
+    try {
+      const { cancel_at_cycle_end: atCycleEnd = false } = req.body || {};
+      if (typeof atCycleEnd !== 'boolean') {
+        throw this._createValidationError('INVALID_CANCEL_AT_CYCLE_END', 'cancel_at_cycle_end must be a boolean');
+      }
+
+      const subscription = await this.subscriptionService.cancelSubscription(
+        req.params.subscription_id,
+        req.merchantId,
+        atCycleEnd
+      );
+      return res.status(200).json(this._formatSubscription(subscription));
+    } catch (error) {
+      return this._handleError(error, res);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateAmount(amount, currency) {
+    if (amount === undefined || amount === null) {
+      throw this._createValidationError('MISSING_AMOUNT', 'Plan amount is required');
+    }
+
+    if (!isSupportedCurrency(currency)) {
+      throw this._createValidationError('INVALID_CURRENCY', 'Currency must be a supported ISO 4217 code');
+    }
+
+    const amountError = validateMinorUnitAmount(amount, currency);
+    if (amountError) {
+      throw this._createValidationError('INVALID_AMOUNT', amountError);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateTrialPeriodDays(trialPeriodDays) {
+    if (!Number.isInteger(trialPeriodDays) || trialPeriodDays < 0 || trialPeriodDays > MAX_TRIAL_PERIOD_DAYS) {
+      throw this._createValidationError(
+        'INVALID_TRIAL_PERIOD_DAYS',
+        `trial_period_days must be an integer between 0 and ${MAX_TRIAL_PERIOD_DAYS}`
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateNotes(notes) {
+    const notesError = notes === undefined ? null : validateNotes(notes);
+    if (notesError) {
+      throw this._createValidationError('INVALID_NOTES', notesError);
+    }
+  }
+
+  /**
+   * Parse limit and cursor from the query string
+   * @private
+   * @param {Object} query - Parsed query string
+   * @returns {Object} - { limit, cursor }
+   */
+  _parsePagination(query) {
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+      limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw this._createValidationError('INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+      }
+    }
+
+    if (query.cursor !== undefined && (typeof query.cursor !== 'string' || query.cursor.length === 0)) {
+      throw this._createValidationError('INVALID_CURSOR', 'cursor must be a non-empty string');
+    }
+
+    return { limit, cursor: query.cursor };
+  }
+
+  /**
+   * Shape a plan row for API responses
+   * @private
+   * @param {Object} plan - Plan row
+   * @returns {Object}
+   */
+  _formatPlan(plan) {
+    return {
+      id: plan.id,
+      name: plan.name,
+      description: plan.description,
+      amount: plan.amount,
+      currency: plan.currency,
+      period: plan.period,
+      interval_count: plan.interval_count,
+      trial_period_days: plan.trial_period_days,
+      notes: plan.notes,
+      created_at: plan.created_at
+    };
+  }
+
+  /**
+   * Shape a subscription row for API responses
+   * @private
+   * @param {Object} subscription - Subscription row
+   * @returns {Object}
+   */
+  _formatSubscription(subscription) {
+    return {
+      id: subscription.id,
+      plan_id: subscription.plan_id,
+      customer_id: subscription.customer_id,
+      token_id: subscription.token_id,
+      status: subscription.status,
+      total_count: subscription.total_count,
+      paid_count: subscription.paid_count,
+      remaining_count: subscription.total_count === null || subscription.total_count === undefined
+        ? null
+        : subscription.total_count - subscription.paid_count,
+      failed_attempts: subscription.failed_attempts,
+      trial_end: subscription.trial_end,
+      current_start: subscription.current_start,
+      current_end: subscription.current_end,
+      next_charge_at: subscription.next_charge_at,
+      next_retry_at: subscription.next_retry_at,
+      last_payment_id: subscription.last_payment_id,
+      cancel_at_cycle_end: subscription.cancel_at_cycle_end,
+      notes: subscription.notes,
+      paused_at: subscription.paused_at,
+      cancelled_at: subscription.cancelled_at,
+      ended_at: subscription.ended_at,
+      created_at: subscription.created_at
+    };
+  }
+
+  /**
+   * Handle errors and format error responses
+   * @private
+   * @param {Error} error - Error object
+   * @param {Express.Response} res - Express response object
+   * @returns {Express.Response} - Response object with error details
+   */
+  _handleError(error, res) {
+    const statusCode = error.statusCode || 500;
+    const code = error.code || 'INTERNAL_SERVER_ERROR';
+    const description = error.message || 'An unexpected error occurred';
+
+    console.error(`[SubscriptionController] Error: ${code} - ${description}`);
+
+    return res.status(statusCode).json({
+      error: {
+        code,
+        description
+      }
+    });
+  }
+
+  /**
+   * Create a validation error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @returns {Error} - Validation error
+   */
+  _createValidationError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = SubscriptionController;
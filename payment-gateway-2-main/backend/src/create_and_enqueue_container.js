@@ -3,14 +3,19 @@ process.env.REDIS_URL = process.env.REDIS_URL || 'redis://redis:6379';
 const db = require('./config/db');
 const { paymentQueue } = require('./config/queue');
 const { v4: uuidv4 } = require('uuid');
+const { hashApiKey } = require('./utils/apiKeys');
 
 (async () => {
   try {
-    const merchantRes = await db.query("SELECT id FROM merchants WHERE api_key = $1", ['test_key_abc123']);
+    const merchantRes = await db.query('SELECT merchant_id AS id FROM api_keys WHERE key_hash = $1', [hashApiKey('test_key_abc123')]);
     let merchantId;
     if (merchantRes.rows.length === 0) {
       merchantId = uuidv4();
-      await db.query('INSERT INTO merchants (id, name, api_key) VALUES ($1,$2,$3)', [merchantId, 'Test Merchant', 'test_key_abc123']);
+      await db.query('INSERT INTO merchants (id, name) VALUES ($1,$2)', [merchantId, 'Test Merchant']);
+      await db.query(
+        'INSERT INTO api_keys (id, merchant_id, name, key_hash, key_last4) VALUES ($1, $2, $3, $4, $5)',
+        ['key_' + uuidv4().replace(/-/g, '').substring(0, 14), merchantId, 'Default', hashApiKey('test_key_abc123'), 'test_key_abc123'.slice(-4)]
+      );
       console.log('Created merchant', merchantId);
     } else {
       merchantId = merchantRes.rows[0].id;
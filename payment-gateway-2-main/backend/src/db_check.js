@@ -1,8 +1,9 @@
 const db = require('./config/db');
+const { hashApiKey } = require('./utils/apiKeys');
 
 (async () => {
   try {
-    const res = await db.query('SELECT id FROM merchants WHERE api_key = $1', ['test_key_abc123']);
+    const res = await db.query('SELECT merchant_id AS id FROM api_keys WHERE key_hash = $1', [hashApiKey('test_key_abc123')]);
     console.log('Rows:', res.rows.length);
     console.log(res.rows);
     process.exit(0);
@@ -2,17 +2,23 @@ const axios = require('axios');
 
 (async () => {
   try {
+    const headers = {
+      'x-api-key': 'test_key_abc123',
+      'Content-Type': 'application/json'
+    };
+
+    // Payments must reference an order created through the API
+    const order = await axios.post('http://localhost:8000/api/v1/orders', {
+      amount: 1000,
+      currency: 'INR'
+    }, { headers, timeout: 5000 });
+
     const res = await axios.post('http://localhost:8000/api/v1/payments', {
-      order_id: 'ORDER_TEST_1',
+      order_id: order.data.id,
       amount: 1000,
-      method: 'upi'
-    }, {
-      headers: {
-        'x-api-key': 'test_key_abc123',
-        'Content-Type': 'application/json'
-      },
-      timeout: 5000
-    });
+      method: 'upi',
+      vpa: 'customer@upi'
+    }, { headers, timeout: 5000 });
 
     console.log('Status:', res.status);
     console.log('Body:', res.data);
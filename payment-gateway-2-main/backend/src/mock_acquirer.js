@@ -0,0 +1,294 @@
+const express = require('express');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { signAcquirerCallback } = require('./utils/acquirers');
+require('dotenv').config();
+
+// Mock acquirer for local development (see MockAcquirerAdapter). Payments are
+// kept in memory, keyed by the gateway's payment ID (merchant_reference), so
+// resubmissions return the original outcome. Everything succeeds unless a
+// script says otherwise.
+
+const app = express();
+app.use(express.json());
+
+const CALLBACK_SECRET = process.env.ACQUIRER_CALLBACK_SECRET || 'dev_acquirer_callback_secret';
+const LATENCY_MS = parseInt(process.env.MOCK_ACQUIRER_LATENCY_MS || '200');
+// How long a 'pending' authorization takes to be decided, unless scripted
+const DEFAULT_CALLBACK_DELAY_MS = 5000;
+
+const OPERATIONS = ['authorize', 'capture', 'void', 'refund', 'status'];
+const MATCH_FIELDS = ['merchant_reference', 'amount', 'method', 'vpa', 'card_last4', 'bank', 'wallet'];
+
+const payments = new Map();
+let scripts = [];
+
+// --- Scripts: { operation, match, status, error_code, error_description, delay_ms,
+//     http_status, callback_delay_ms, final_status, times } ---
+// The first script whose operation and match fit a request decides its answer:
+// delay_ms longer than the gateway's timeout simulates a timeout, http_status an
+// outage, and status 'pending' an authorization decided later (as final_status,
+// after callback_delay_ms, unless voided meanwhile) and reported with a signed
+// callback. A script with `times` is removed once used that many times.
+
+app.post('/v1/scripts', (req, res) => {
+  const { operation = 'authorize', match = {}, times = null } = req.body;
+  if (!OPERATIONS.includes(operation)) {
+    return res.status(400).json({ error: `operation must be one of: ${OPERATIONS.join(', ')}` });
+  }
+  if (typeof match !== 'object' || Array.isArray(match) || Object.keys(match).some(field => !MATCH_FIELDS.includes(field))) {
+    return res.status(400).json({ error: `match fields must be some of: ${MATCH_FIELDS.join(', ')}` });
+  }
+  if (times !== null && (!Number.isInteger(times) || times < 1)) {
+    return res.status(400).json({ error: 'times must be a positive integer' });
+  }
+
+  const script = { ...req.body, id: 'script_' + uuidv4().slice(0, 8), operation, match, times };
+  scripts.push(script);
+  res.status(201).json(script);
+});
+
+app.get('/v1/scripts', (req, res) => res.json({ data: scripts }));
+
+app.delete('/v1/scripts', (req, res) => {
+  scripts = [];
+  res.status(204).end();
+});
+
+app.delete('/v1/scripts/:id', (req, res) => {
+  scripts = scripts.filter(script => script.id !== req.params.id);
+  res.status(204).end();
+});
+
+// --- Payments ---
+
+app.post('/v1/payments', async (req, res) => {
+  const existing = payments.get(req.body.merchant_reference);
+  if (existing) {
+    return respond(res, null, view(existing));
+  }
+
+  const script = useScript('authorize', req.body);
+  const payment = {
+    reference: 'acq_' + uuidv4().replace(/-/g, '').slice(0, 18),
+    merchant_reference: req.body.merchant_reference,
+    amount: req.body.amount,
+    currency: req.body.currency,
+    method: req.body.method,
+    vpa: req.body.vpa,
+    card_last4: req.body.card_last4,
+    bank: req.body.bank,
+    wallet: req.body.wallet,
+    status: 'authorized',
+    captured_amount: 0,
+    error_code: null,
+    error_description: null,
+    refunds: new Map()
+  };
+
+  if (script && script.status) {
+    decide(payment, script.status, script);
+  }
+  if (payment.status === 'pending') {
+    setTimeout(() => {
+      // A payment voided while pending stays voided, and there is nothing to report
+      if (payment.status !== 'pending') {
+        return;
+      }
+      decide(payment, script.final_status || 'authorized', script);
+      sendCallback(req.body.callback_url, payment);
+    }, script.callback_delay_ms || DEFAULT_CALLBACK_DELAY_MS);
+  }
+
+  // Recorded before answering, so an answer the gateway gave up on can still be queried
+  payments.set(payment.merchant_reference, payment);
+  respond(res, script, view(payment));
+});
+
+app.get('/v1/payments/:ref', (req, res) => {
+  const payment = payments.get(req.params.ref);
+  if (!payment) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  respond(res, useScript('status', payment), view(payment));
+});
+
+app.post('/v1/payments/:ref/capture', (req, res) => {
+  const payment = payments.get(req.params.ref);
+  if (!payment) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+
+  const script = useScript('capture', payment);
+  if (payment.status === 'authorized') {
+    const amount = req.body.amount === undefined ? payment.amount : req.body.amount;
+    if (script && script.status === 'declined') {
+      return respond(res, script, declined(payment, script));
+    }
+    if (!Number.isInteger(amount) || amount < 1 || amount > payment.amount) {
+      return respond(res, script, declined(payment, { error_code: 'INVALID_AMOUNT' }));
+    }
+    payment.status = 'captured';
+    payment.captured_amount = amount;
+  } else if (payment.status !== 'captured') {
+    return respond(res, script, declined(payment, { error_code: 'INVALID_STATE' }));
+  }
+  respond(res, script, view(payment));
+});
+
+app.post('/v1/payments/:ref/void', (req, res) => {
+  const payment = payments.get(req.params.ref);
+  if (!payment) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+
+  const script = useScript('void', payment);
+  if (payment.status === 'authorized' || payment.status === 'pending') {
+    if (script && script.status === 'declined') {
+      return respond(res, script, declined(payment, script));
+    }
+    payment.status = 'voided';
+  } else if (payment.status !== 'voided' && payment.status !== 'declined') {
+    return respond(res, script, declined(payment, { error_code: 'INVALID_STATE' }));
+  }
+  respond(res, script, { ...view(payment), status: 'voided' });
+});
+
+app.post('/v1/payments/:ref/refunds', (req, res) => {
+  const payment = payments.get(req.params.ref);
+  if (!payment) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+
+  const existing = payment.refunds.get(req.body.merchant_reference);
+  if (existing) {
+    return respond(res, null, existing);
+  }
+
+  const script = useScript('refund', payment);
+  const refunded = [...payment.refunds.values()]
+    .filter(refund => refund.status === 'processed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  const refund = {
+    reference: 'acq_rfnd_' + uuidv4().replace(/-/g, '').slice(0, 13),
+    merchant_reference: req.body.merchant_reference,
+    amount: req.body.amount,
+    status: 'processed',
+    error_code: null,
+    error_description: null
+  };
+
+  if (payment.status !== 'captured' || !Number.isInteger(refund.amount) || refunded + refund.amount > payment.captured_amount) {
+    Object.assign(refund, { status: 'declined', error_code: 'INVALID_AMOUNT', error_description: 'Refund exceeds the captured amount' });
+  } else if (script && script.status === 'declined') {
+    Object.assign(refund, {
+      status: 'declined',
+      error_code: script.error_code || 'REFUND_DECLINED',
+      error_description: script.error_description || 'Refund declined by acquirer'
+    });
+  }
+
+  payment.refunds.set(refund.merchant_reference, refund);
+  respond(res, script, refund);
+});
+
+/**
+ * Take the first script for an operation that matches a payment, counting the use
+ * @param {string} operation - Operation being performed
+ * @param {Object} payment - Payment (or authorization request) it is performed on
+ * @returns {Object|null} - Script, or null to answer normally
+ */
+function useScript(operation, payment) {
+  const script = scripts.find(candidate => candidate.operation === operation
+    && Object.entries(candidate.match).every(([field, value]) => payment[field] === value));
+  if (!script) {
+    return null;
+  }
+
+  if (script.times !== null) {
+    script.times -= 1;
+    if (script.times === 0) {
+      scripts = scripts.filter(candidate => candidate !== script);
+    }
+  }
+  return script;
+}
+
+/**
+ * Set an authorization's outcome
+ * @param {Object} payment - Payment
+ * @param {string} status - 'authorized', 'declined' or 'pending'
+ * @param {Object} script - Script providing the decline's error
+ */
+function decide(payment, status, script) {
+  payment.status = status;
+  if (status === 'declined') {
+    payment.error_code = script.error_code || 'PAYMENT_DECLINED';
+    payment.error_description = script.error_description || 'Payment declined by acquirer';
+  }
+}
+
+/**
+ * A declined operation on a payment, which leaves the payment unchanged
+ * @param {Object} payment - Payment
+ * @param {Object} error - { error_code, error_description }
+ * @returns {Object} - Response body
+ */
+function declined(payment, error) {
+  return {
+    ...view(payment),
+    status: 'declined',
+    error_code: error.error_code || 'OPERATION_DECLINED',
+    error_description: error.error_description || `Operation not allowed on a ${payment.status} payment`
+  };
+}
+
+/**
+ * Response body of a payment
+ * @param {Object} payment - Payment
+ * @returns {Object}
+ */
+function view(payment) {
+  const { refunds, ...fields } = payment;
+  return fields;
+}
+
+/**
+ * Answer after the scripted (or default) latency, or with a scripted HTTP error
+ * @param {Express.Response} res - Express response object
+ * @param {Object|null} script - Script used for the request
+ * @param {Object} body - Response body
+ */
+function respond(res, script, body) {
+  const delay = script && script.delay_ms !== undefined ? script.delay_ms : LATENCY_MS;
+  setTimeout(() => {
+    if (script && script.http_status) {
+      return res.status(script.http_status).json({ error: 'scripted_failure' });
+    }
+    res.json(body);
+  }, delay);
+}
+
+/**
+ * Report a decided authorization to the gateway
+ * @param {string} url - Callback URL sent with the authorization
+ * @param {Object} payment - Payment
+ */
+async function sendCallback(url, payment) {
+  if (!url) {
+    return;
+  }
+  const body = { merchant_reference: payment.merchant_reference, reference: payment.reference, status: payment.status };
+  try {
+    await axios.post(url, body, {
+      headers: { 'X-Acquirer-Signature': signAcquirerCallback(body, CALLBACK_SECRET) },
+      timeout: 5000
+    });
+    console.log(`Callback sent for ${payment.merchant_reference}: ${payment.status}`);
+  } catch (err) {
+    console.error(`Callback failed for ${payment.merchant_reference}: ${err.message}`);
+  }
+}
+
+const PORT = process.env.MOCK_ACQUIRER_PORT || 4100;
+app.listen(PORT, () => console.log(`Mock acquirer listening on port ${PORT}`));
@@ -1,25 +1,41 @@
-// Re-enqueue payments that are marked as 'failed'
+// Retry payment jobs that errored before their payment reached an outcome.
+// A 'failed' payment is final: re-running the worker for it (or for a
+// captured one) would be rejected by the payment state machine, so only
+// jobs whose payment is still 'pending' are retried.
 process.env.REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
 const db = require('./config/db');
 const { paymentQueue } = require('./config/queue');
 
 (async () => {
   try {
-    const res = await db.query("SELECT id FROM payments WHERE status = 'failed' ORDER BY updated_at ASC LIMIT 100");
-    if (res.rows.length === 0) {
-      console.log('No failed payments found to re-enqueue.');
+    const jobs = await paymentQueue.getFailed(0, 99);
+    if (jobs.length === 0) {
+      console.log('No failed payment jobs found to retry.');
       process.exit(0);
     }
 
-    for (const { id } of res.rows) {
-      await paymentQueue.add('process-payment', { paymentId: id });
-      console.log('Re-enqueued failed payment', id);
+    const paymentIds = jobs.map(job => job.data.paymentId);
+    const res = await db.query(
+      "SELECT id FROM payments WHERE id = ANY($1) AND status = 'pending'",
+      [paymentIds]
+    );
+    const pending = new Set(res.rows.map(row => row.id));
+
+    let retried = 0;
+    for (const job of jobs) {
+      if (!pending.has(job.data.paymentId)) {
+        console.log('Skipping job', job.id, '- payment', job.data.paymentId, 'already has an outcome');
+        continue;
+      }
+      await job.retry();
+      retried++;
+      console.log('Retried job', job.id, 'for payment', job.data.paymentId);
     }
 
-    console.log('Re-enqueued', res.rows.length, 'failed payments.');
+    console.log('Retried', retried, 'of', jobs.length, 'failed payment jobs.');
     process.exit(0);
   } catch (err) {
-    console.error('Error re-enqueueing failed payments:', err && err.stack ? err.stack : err);
+    console.error('Error retrying failed payment jobs:', err && err.stack ? err.stack : err);
     process.exit(1);
   }
 })();
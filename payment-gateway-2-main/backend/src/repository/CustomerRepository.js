@@ -0,0 +1,161 @@
+/**
+ * CustomerRepository - Data Access Layer
+ * Responsible for:
+ * - Customer creation and merchant-scoped lookups
+ * - Saved payment method tokens (the vault) attached to customers
+ *
+ * Tokens hold only what is needed to show and charge a saved method:
+ * card network, last4 and expiry, or the UPI VPA. Card numbers are never
+ * written here.
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class CustomerRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a new customer
+   * @param {Object} customerData - Customer data
+   * @param {string} customerData.id - Customer ID
+   * @param {string} customerData.merchantId - Merchant ID
+   * @param {string} [customerData.name] - Customer name
+   * @param {string} [customerData.email] - Customer email
+   * @param {string} [customerData.contact] - Customer phone number
+   * @param {Object} [customerData.notes] - Merchant key-value notes
+   * @returns {Promise<Object>} - Created customer row
+   */
+  async createCustomer(customerData) {
+    try {
+      const { id, merchantId, name, email, contact, notes } = customerData;
+
+      const result = await this.db.query(
+        `INSERT INTO customers (id, merchant_id, name, email, contact, notes, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+         RETURNING *`,
+        [id, merchantId, name || null, email || null, contact || null, JSON.stringify(notes || {})]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create customer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a customer by ID, scoped to the owning merchant
+   * @param {string} customerId - The customer ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Customer row or null if not found
+   */
+  async getCustomerForMerchant(customerId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM customers WHERE id = $1 AND merchant_id = $2',
+        [customerId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch customer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a tokenized payment method for a customer
+   * @param {Object} tokenData - Token data
+   * @param {string} tokenData.id - Token ID
+   * @param {string} tokenData.customerId - Customer ID
+   * @param {string} tokenData.merchantId - Merchant ID
+   * @param {string} tokenData.method - 'card' or 'upi'
+   * @param {string} [tokenData.cardNetwork] - Card network
+   * @param {string} [tokenData.cardLast4] - Last four digits of the card
+   * @param {string} [tokenData.cardFingerprint] - Keyed fingerprint of the card number
+   * @param {number} [tokenData.cardExpiryMonth] - Card expiry month
+   * @param {number} [tokenData.cardExpiryYear] - Card expiry year
+   * @param {string} [tokenData.vpa] - UPI VPA
+   * @returns {Promise<Object>} - Created token row
+   */
+  async createToken(tokenData) {
+    try {
+      const {
+        id, customerId, merchantId, method,
+        cardNetwork, cardLast4, cardFingerprint, cardExpiryMonth, cardExpiryYear, vpa
+      } = tokenData;
+
+      const result = await this.db.query(
+        `INSERT INTO payment_tokens
+           (id, customer_id, merchant_id, method, card_network, card_last4, card_fingerprint,
+            card_expiry_month, card_expiry_year, vpa, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+         RETURNING *`,
+        [
+          id, customerId, merchantId, method,
+          cardNetwork || null, cardLast4 || null, cardFingerprint || null,
+          cardExpiryMonth || null, cardExpiryYear || null, vpa || null
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create token: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a customer's active tokens, newest first
+   * @param {string} customerId - The customer ID
+   * @returns {Promise<Array<Object>>} - Token rows
+   */
+  async listTokens(customerId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM payment_tokens WHERE customer_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC',
+        [customerId]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an active token, scoped to the owning merchant
+   * @param {string} tokenId - The token ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Token row or null if not found or deleted
+   */
+  async getTokenForMerchant(tokenId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM payment_tokens WHERE id = $1 AND merchant_id = $2 AND deleted_at IS NULL',
+        [tokenId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a customer's token
+   * Tokens are soft-deleted so past payments keep pointing at them.
+   * @param {string} tokenId - The token ID
+   * @param {string} customerId - The customer ID
+   * @returns {Promise<Object|null>} - Deleted token row, or null if it was not active
+   */
+  async deleteToken(tokenId, customerId) {
+    try {
+      const result = await this.db.query(
+        'UPDATE payment_tokens SET deleted_at = NOW() WHERE id = $1 AND customer_id = $2 AND deleted_at IS NULL RETURNING *',
+        [tokenId, customerId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to delete token: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CustomerRepository;
@@ -0,0 +1,222 @@
+/**
+ * DisputeRepository - Data Access Layer
+ * Responsible for:
+ * - Looking up a payment with what has been refunded of it, to open a dispute against
+ * - Creating disputes (at most one per payment)
+ * - Merchant-scoped lookups and cursor-paginated listing
+ * - Conditional status updates (evidence submission, resolution)
+ * - Finding open disputes past their response deadline
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+// Columns a resolution may set alongside the status
+const UPDATABLE_COLUMNS = ['status', 'resolved_at'];
+
+class DisputeRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Get a payment and the total of its pending and processed refunds
+   * @param {string} paymentId - The payment ID
+   * @returns {Promise<Object|null>} - Payment row with refunded_amount, or null if not found
+   */
+  async getPaymentWithRefunds(paymentId) {
+    try {
+      const result = await this.db.query(
+        `SELECT p.*,
+                COALESCE((
+                  SELECT SUM(r.amount) FROM refunds r
+                  WHERE r.payment_id = p.id AND r.status IN ('processed', 'pending')
+                ), 0)::INTEGER AS refunded_amount
+         FROM payments p
+         WHERE p.id = $1`,
+        [paymentId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a dispute
+   * @param {Object} disputeData - Dispute data
+   * @param {string} disputeData.id - Dispute ID
+   * @param {string} disputeData.merchantId - Merchant of the disputed payment
+   * @param {string} disputeData.paymentId - Disputed payment ID
+   * @param {number} disputeData.amount - Disputed amount in minor units
+   * @param {string} disputeData.currency - ISO 4217 currency code
+   * @param {string} disputeData.reason - One of DISPUTE_REASONS
+   * @param {Date} disputeData.respondBy - Deadline for the merchant's evidence
+   * @returns {Promise<Object|null>} - Created dispute row, or null if the payment is already disputed
+   */
+  async createDispute({ id, merchantId, paymentId, amount, currency, reason, respondBy }) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO disputes
+           (id, merchant_id, payment_id, amount, currency, reason, status, respond_by, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, 'open', $7, NOW(), NOW())
+         ON CONFLICT (payment_id) DO NOTHING
+         RETURNING *`,
+        [id, merchantId, paymentId, amount, currency, reason, respondBy]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to create dispute: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a dispute by ID (for operator actions and the dispute worker)
+   * @param {string} disputeId - The dispute ID
+   * @returns {Promise<Object|null>} - Dispute row or null if not found
+   */
+  async getDisputeById(disputeId) {
+    try {
+      const result = await this.db.query('SELECT * FROM disputes WHERE id = $1', [disputeId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch dispute: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a dispute by ID, scoped to the owning merchant
+   * @param {string} disputeId - The dispute ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Dispute row or null if not found
+   */
+  async getDisputeForMerchant(disputeId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM disputes WHERE id = $1 AND merchant_id = $2',
+        [disputeId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch dispute: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's disputes, newest first
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} filters - Filters
+   * @param {string} [filters.status] - Exact status match
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {string} [page.cursor] - ID of the last dispute of the previous page
+   * @returns {Promise<Array<Object>>} - Dispute rows
+   */
+  async listDisputes(merchantId, filters, { limit, cursor }) {
+    const params = [merchantId];
+    const conditions = ['merchant_id = $1'];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (cursor) {
+      params.push(cursor);
+      conditions.push(
+        `(created_at, id) < (SELECT created_at, id FROM disputes WHERE id = $${params.length} AND merchant_id = $1)`
+      );
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM disputes
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list disputes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the merchant's evidence and move an open dispute under review,
+   * provided its response deadline has not passed
+   * @param {string} disputeId - The dispute ID
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} evidence - Validated evidence
+   * @returns {Promise<Object|null>} - Updated row, or null if the dispute is not open or is overdue
+   */
+  async submitEvidence(disputeId, merchantId, evidence) {
+    try {
+      const result = await this.db.query(
+        `UPDATE disputes
+         SET status = 'under_review', evidence = $3, evidence_submitted_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND merchant_id = $2 AND status = 'open' AND respond_by > NOW()
+         RETURNING *`,
+        [disputeId, merchantId, JSON.stringify(evidence)]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to submit dispute evidence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a dispute if it is still in one of the expected statuses
+   * @param {string} disputeId - The dispute ID
+   * @param {Array<string>} fromStatuses - Statuses the dispute may be in
+   * @param {Object} changes - Columns to set, from UPDATABLE_COLUMNS
+   * @returns {Promise<Object|null>} - Updated row, or null if its status changed
+   */
+  async updateDispute(disputeId, fromStatuses, changes) {
+    const params = [disputeId, fromStatuses];
+    const assignments = Object.entries(changes).map(([column, value]) => {
+      if (!UPDATABLE_COLUMNS.includes(column)) {
+        throw new Error(`Failed to update dispute: column ${column} cannot be updated`);
+      }
+      params.push(value);
+      return `${column} = $${params.length}`;
+    });
+
+    try {
+      const result = await this.db.query(
+        `UPDATE disputes
+         SET ${assignments.join(', ')}, updated_at = NOW()
+         WHERE id = $1 AND status = ANY($2::text[])
+         RETURNING *`,
+        params
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to update dispute: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open disputes whose response deadline has passed
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum rows to return
+   * @returns {Promise<Array<Object>>} - Dispute rows, earliest deadline first
+   */
+  async listOverdueDisputes(now, limit) {
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM disputes
+         WHERE status = 'open' AND respond_by <= $1
+         ORDER BY respond_by
+         LIMIT $2`,
+        [now, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list overdue disputes: ${error.message}`);
+    }
+  }
+}
+
+module.exports = DisputeRepository;
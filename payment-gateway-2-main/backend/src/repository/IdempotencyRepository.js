@@ -0,0 +1,125 @@
+/**
+ * IdempotencyRepository - Data Access Layer
+ * Responsible for:
+ * - Locking an idempotency key for the request that first uses it
+ * - Storing the response to replay for the key, or releasing it
+ * - Purging expired keys
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class IdempotencyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Lock a key for a request, unless another request holds or has used it
+   * A key can be taken over once it has expired, or when the request holding
+   * it stopped without releasing it (lock older than lockTimeoutSeconds) and
+   * the new request is the same one.
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} merchantId - The merchant ID
+   * @param {string} fingerprint - Request fingerprint
+   * @param {Object} options - Lock options
+   * @param {number} options.ttlHours - How long the key is kept
+   * @param {number} options.lockTimeoutSeconds - When an unfinished lock may be taken over
+   * @returns {Promise<boolean>} - Whether the key was locked for this request
+   */
+  async acquire(key, merchantId, fingerprint, { ttlHours, lockTimeoutSeconds }) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO idempotency_keys (key, merchant_id, request_fingerprint, status, locked_at, created_at, expires_at)
+         VALUES ($1, $2, $3, 'in_progress', NOW(), NOW(), NOW() + make_interval(hours => $4))
+         ON CONFLICT (key, merchant_id) DO UPDATE
+         SET request_fingerprint = EXCLUDED.request_fingerprint,
+             status = 'in_progress',
+             status_code = NULL,
+             response_body = NULL,
+             locked_at = NOW(),
+             created_at = NOW(),
+             expires_at = EXCLUDED.expires_at
+         WHERE idempotency_keys.expires_at <= NOW()
+            OR (idempotency_keys.status = 'in_progress'
+                AND idempotency_keys.request_fingerprint = EXCLUDED.request_fingerprint
+                AND idempotency_keys.locked_at <= NOW() - make_interval(secs => $5))
+         RETURNING key`,
+        [key, merchantId, fingerprint, ttlHours, lockTimeoutSeconds]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to lock idempotency key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a key's state
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Key row or null if not found
+   */
+  async find(key, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM idempotency_keys WHERE key = $1 AND merchant_id = $2',
+        [key, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch idempotency key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the response of the request holding a key
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} merchantId - The merchant ID
+   * @param {number} statusCode - HTTP status code sent
+   * @param {*} responseBody - JSON body sent
+   * @returns {Promise<void>}
+   */
+  async complete(key, merchantId, statusCode, responseBody) {
+    try {
+      await this.db.query(
+        `UPDATE idempotency_keys
+         SET status = 'completed', status_code = $3, response_body = $4, locked_at = NULL
+         WHERE key = $1 AND merchant_id = $2`,
+        [key, merchantId, statusCode, JSON.stringify(responseBody)]
+      );
+    } catch (error) {
+      throw new Error(`Failed to save idempotency key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unlock a key without storing a response, so it can be retried
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<void>}
+   */
+  async release(key, merchantId) {
+    try {
+      await this.db.query(
+        "DELETE FROM idempotency_keys WHERE key = $1 AND merchant_id = $2 AND status = 'in_progress'",
+        [key, merchantId]
+      );
+    } catch (error) {
+      throw new Error(`Failed to release idempotency key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete expired keys
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  async purgeExpired() {
+    try {
+      const result = await this.db.query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Failed to purge idempotency keys: ${error.message}`);
+    }
+  }
+}
+
+module.exports = IdempotencyRepository;
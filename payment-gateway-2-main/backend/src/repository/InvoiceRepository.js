@@ -0,0 +1,196 @@
+/**
+ * InvoiceRepository - Data Access Layer
+ * Responsible for:
+ * - Invoice creation and merchant-scoped lookups
+ * - Hosted-page lookups joined with the issuing merchant's name
+ * - Listing with status/customer filters and cursor pagination
+ * - Conditional status updates (paid, cancelled)
+ *
+ * Status updates only match invoices still 'issued', so cancelling and a
+ * captured payment cannot overwrite each other.
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class InvoiceRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a new invoice
+   * @param {Object} invoiceData - Invoice data
+   * @param {string} invoiceData.id - Invoice ID
+   * @param {string} invoiceData.merchantId - Merchant ID
+   * @param {string} invoiceData.orderId - Order the invoice is paid through
+   * @param {string} [invoiceData.customerId] - Customer the invoice is for
+   * @param {string} [invoiceData.invoiceNumber] - Merchant's own invoice number
+   * @param {Object} [invoiceData.customer] - { name, email } printed on the invoice
+   * @param {string} [invoiceData.description] - Shown to the payer
+   * @param {string} invoiceData.currency - ISO 4217 currency code
+   * @param {Array<Object>} invoiceData.lineItems - Computed line items
+   * @param {number} invoiceData.subtotal - Sum of line amounts in minor units
+   * @param {number} invoiceData.discountAmount - Discount in minor units
+   * @param {number} invoiceData.taxAmount - Tax in minor units
+   * @param {number} invoiceData.amount - Total due in minor units
+   * @param {Date} [invoiceData.dueDate] - When payment is due
+   * @param {Object} [invoiceData.notes] - Merchant key-value notes
+   * @returns {Promise<Object>} - Created invoice row
+   */
+  async createInvoice(invoiceData) {
+    try {
+      const {
+        id, merchantId, orderId, customerId, invoiceNumber, customer = {}, description, currency,
+        lineItems, subtotal, discountAmount, taxAmount, amount, dueDate, notes
+      } = invoiceData;
+
+      const result = await this.db.query(
+        `INSERT INTO invoices
+           (id, merchant_id, order_id, customer_id, invoice_number, customer_name, customer_email, description, currency,
+            line_items, subtotal, discount_amount, tax_amount, amount, due_date, notes, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 'issued', NOW(), NOW())
+         RETURNING *`,
+        [
+          id, merchantId, orderId, customerId || null, invoiceNumber || null,
+          customer.name || null, customer.email || null, description || null, currency,
+          JSON.stringify(lineItems), subtotal, discountAmount, taxAmount, amount,
+          dueDate || null, JSON.stringify(notes || {})
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create invoice: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an invoice by ID, scoped to the owning merchant
+   * @param {string} invoiceId - The invoice ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Invoice row or null if not found
+   */
+  async getInvoiceForMerchant(invoiceId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM invoices WHERE id = $1 AND merchant_id = $2',
+        [invoiceId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch invoice: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an invoice by ID for the hosted invoice page and its receipts
+   * @param {string} invoiceId - The invoice ID
+   * @returns {Promise<Object|null>} - Invoice row with merchant_name, or null if not found
+   */
+  async getInvoiceById(invoiceId) {
+    try {
+      const result = await this.db.query(
+        `SELECT i.*, m.name AS merchant_name
+         FROM invoices i
+         JOIN merchants m ON m.id = i.merchant_id
+         WHERE i.id = $1`,
+        [invoiceId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch invoice: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's invoices, newest first
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} filters - Filters
+   * @param {string} [filters.status] - Exact status match
+   * @param {string} [filters.customerId] - Exact customer match
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {string} [page.cursor] - ID of the last invoice of the previous page
+   * @returns {Promise<Array<Object>>} - Invoice rows
+   */
+  async listInvoices(merchantId, filters, { limit, cursor }) {
+    const params = [merchantId];
+    const conditions = ['merchant_id = $1'];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (filters.customerId) {
+      params.push(filters.customerId);
+      conditions.push(`customer_id = $${params.length}`);
+    }
+
+    if (cursor) {
+      params.push(cursor);
+      conditions.push(
+        `(created_at, id) < (SELECT created_at, id FROM invoices WHERE id = $${params.length} AND merchant_id = $1)`
+      );
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM invoices
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list invoices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel an invoice that has not been paid
+   * @param {string} invoiceId - The invoice ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Updated row, or null if the invoice is no longer 'issued'
+   */
+  async cancelInvoice(invoiceId, merchantId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE invoices
+         SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND merchant_id = $2 AND status = 'issued'
+         RETURNING *`,
+        [invoiceId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to cancel invoice: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark the invoice of an order paid once one of its payments is captured
+   * @param {string} orderId - The order ID
+   * @param {string} paymentId - The captured payment ID
+   * @returns {Promise<Object|null>} - Updated row, or null if the order has no open invoice
+   */
+  async markPaidForOrder(orderId, paymentId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE invoices
+         SET status = 'paid', payment_id = $2, paid_at = NOW(), updated_at = NOW()
+         WHERE order_id = $1 AND status = 'issued'
+         RETURNING *`,
+        [orderId, paymentId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to mark invoice paid: ${error.message}`);
+    }
+  }
+}
+
+module.exports = InvoiceRepository;
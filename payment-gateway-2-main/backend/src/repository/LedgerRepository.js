@@ -0,0 +1,229 @@
+/**
+ * LedgerRepository - Data Access Layer
+ * Responsible for:
+ * - Posting journals together with their entries in one statement
+ * - Merchant balances derived from ledger entries
+ * - Invariant queries: unbalanced journals and the trial balance
+ * - Finding captures, refunds, disputes and payouts that have not been posted yet
+ *
+ * The ledger is append-only (enforced by triggers in schema.sql) and each
+ * movement is posted at most once (ledger_journals is unique on type and
+ * reference), so posting is safe to repeat.
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class LedgerRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Post a journal and its entries
+   * @param {Object} journalData - Journal data
+   * @param {string} journalData.id - Journal ID
+   * @param {string} journalData.type - One of LedgerService.JOURNAL_TYPES
+   * @param {string} journalData.merchantId - Merchant whose money moved
+   * @param {string} journalData.currency - ISO 4217 currency code
+   * @param {string} journalData.referenceId - Payment, refund, dispute or settlement ID
+   * @param {string} [journalData.paymentId] - Payment the movement belongs to, if any
+   * @param {Array<Object>} journalData.entries - Balanced { account, merchant_id, debit, credit } entries
+   * @returns {Promise<Object|null>} - Posted journal row, or null if it was already posted
+   */
+  async postJournal({ id, type, merchantId, currency, referenceId, paymentId = null, entries }) {
+    try {
+      const result = await this.db.query(
+        `WITH journal AS (
+           INSERT INTO ledger_journals (id, type, merchant_id, currency, reference_id, payment_id, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, NOW())
+           ON CONFLICT (type, reference_id) DO NOTHING
+           RETURNING *
+         ), posted AS (
+           INSERT INTO ledger_entries (journal_id, account, merchant_id, currency, debit, credit, created_at)
+           SELECT j.id, e.account, e.merchant_id, j.currency, e.debit, e.credit, j.created_at
+           FROM journal j
+           CROSS JOIN jsonb_to_recordset($7::jsonb) AS e(account VARCHAR, merchant_id UUID, debit INTEGER, credit INTEGER)
+         )
+         SELECT * FROM journal`,
+        [id, type, merchantId, currency, referenceId, paymentId, JSON.stringify(entries)]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to post ledger journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Balance of a ledger account per currency (credits less debits)
+   * @param {string} account - Account name
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Array<Object>>} - Rows of { currency, balance }
+   */
+  async getAccountBalances(account, merchantId) {
+    try {
+      const result = await this.db.query(
+        `SELECT currency, SUM(credit) - SUM(debit) AS balance
+         FROM ledger_entries
+         WHERE merchant_id = $1 AND account = $2
+         GROUP BY currency
+         ORDER BY currency`,
+        [merchantId, account]
+      );
+      // SUM over INTEGER is a BIGINT, which pg returns as a string
+      return result.rows.map(row => ({ currency: row.currency, balance: Number(row.balance) }));
+    } catch (error) {
+      throw new Error(`Failed to fetch ledger balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Journals whose debits and credits differ, or that have no entries
+   * @param {number} limit - Maximum rows to return
+   * @returns {Promise<Array<Object>>} - Rows of { id, type, reference_id, debit, credit }
+   */
+  async listUnbalancedJournals(limit) {
+    try {
+      const result = await this.db.query(
+        `SELECT j.id, j.type, j.reference_id,
+                COALESCE(SUM(e.debit), 0) AS debit, COALESCE(SUM(e.credit), 0) AS credit
+         FROM ledger_journals j
+         LEFT JOIN ledger_entries e ON e.journal_id = j.id
+         GROUP BY j.id
+         HAVING COUNT(e.id) = 0 OR SUM(e.debit) <> SUM(e.credit)
+         ORDER BY j.created_at
+         LIMIT $1`,
+        [limit]
+      );
+      return result.rows.map(row => ({ ...row, debit: Number(row.debit), credit: Number(row.credit) }));
+    } catch (error) {
+      throw new Error(`Failed to list unbalanced journals: ${error.message}`);
+    }
+  }
+
+  /**
+   * Total debits and credits of the whole ledger per currency
+   * @returns {Promise<Array<Object>>} - Rows of { currency, debit, credit }
+   */
+  async getTrialBalance() {
+    try {
+      const result = await this.db.query(
+        `SELECT currency, SUM(debit) AS debit, SUM(credit) AS credit
+         FROM ledger_entries
+         GROUP BY currency
+         ORDER BY currency`
+      );
+      return result.rows.map(row => ({ currency: row.currency, debit: Number(row.debit), credit: Number(row.credit) }));
+    } catch (error) {
+      throw new Error(`Failed to compute trial balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Captured payments without a capture journal
+   * @param {Date} before - Only payments captured before this
+   * @param {number} limit - Maximum rows to return
+   * @returns {Promise<Array<Object>>} - Payment rows
+   */
+  async listUnpostedCaptures(before, limit) {
+    try {
+      const result = await this.db.query(
+        `SELECT p.* FROM payments p
+         WHERE p.captured_at < $1
+           AND NOT EXISTS (
+             SELECT 1 FROM ledger_journals j WHERE j.type = 'capture' AND j.reference_id = p.id
+           )
+         ORDER BY p.captured_at
+         LIMIT $2`,
+        [before, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list unposted captures: ${error.message}`);
+    }
+  }
+
+  /**
+   * Processed refunds without a refund journal
+   * @param {Date} before - Only refunds processed before this
+   * @param {number} limit - Maximum rows to return
+   * @returns {Promise<Array<Object>>} - Refund rows
+   */
+  async listUnpostedRefunds(before, limit) {
+    try {
+      const result = await this.db.query(
+        `SELECT r.* FROM refunds r
+         WHERE r.status = 'processed' AND r.processed_at < $1
+           AND NOT EXISTS (
+             SELECT 1 FROM ledger_journals j WHERE j.type = 'refund' AND j.reference_id = r.id
+           )
+         ORDER BY r.processed_at
+         LIMIT $2`,
+        [before, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list unposted refunds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Disputes without a journal of the given type: holds of every dispute,
+   * releases of resolved disputes and chargebacks of lost ones
+   * @param {string} type - dispute_hold, dispute_release or chargeback
+   * @param {Date} before - Only disputes opened (holds) or resolved before this
+   * @param {number} limit - Maximum rows to return
+   * @returns {Promise<Array<Object>>} - Dispute rows
+   */
+  async listUnpostedDisputes(type, before, limit) {
+    const condition = {
+      dispute_hold: 'd.created_at < $2',
+      dispute_release: 'd.resolved_at < $2',
+      chargeback: "d.status = 'lost' AND d.resolved_at < $2"
+    }[type];
+    if (!condition) {
+      throw new Error(`Failed to list unposted disputes: unknown journal type ${type}`);
+    }
+
+    try {
+      const result = await this.db.query(
+        `SELECT d.* FROM disputes d
+         WHERE ${condition}
+           AND NOT EXISTS (
+             SELECT 1 FROM ledger_journals j WHERE j.type = $1 AND j.reference_id = d.id
+           )
+         ORDER BY d.created_at
+         LIMIT $3`,
+        [type, before, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list unposted disputes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Settled settlements without a payout journal
+   * @param {Date} before - Only settlements settled before this
+   * @param {number} limit - Maximum rows to return
+   * @returns {Promise<Array<Object>>} - Settlement rows
+   */
+  async listUnpostedPayouts(before, limit) {
+    try {
+      const result = await this.db.query(
+        `SELECT s.* FROM settlements s
+         WHERE s.status = 'settled' AND s.settled_at < $1
+           AND NOT EXISTS (
+             SELECT 1 FROM ledger_journals j WHERE j.type = 'payout' AND j.reference_id = s.id
+           )
+         ORDER BY s.settled_at
+         LIMIT $2`,
+        [before, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list unposted payouts: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LedgerRepository;
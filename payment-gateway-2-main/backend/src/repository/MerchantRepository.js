@@ -0,0 +1,288 @@
+/**
+ * MerchantRepository - Data Access Layer
+ * Responsible for:
+ * - Looking up the active API key a request was made with, and its merchant
+ * - Creating, listing, rotating and revoking merchants' API keys
+ * - Creating merchants' sandbox accounts, which their test keys act as
+ * - Merchants' API rate limits and the browser origins allowed to use their
+ *   publishable keys
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class MerchantRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Find an active API key by its hash, with its merchant's rate limits,
+   * allowed origins and sandbox account, and record that it was used
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<Object|null>} - Key row with rate_limit_read, rate_limit_write,
+   *   allowed_origins and test_merchant_id (null until the merchant has a sandbox
+   *   account), or null if no active key has the hash
+   */
+  async useApiKey(keyHash) {
+    try {
+      const result = await this.db.query(
+        `UPDATE api_keys k
+         SET last_used_at = NOW()
+         FROM merchants m
+         LEFT JOIN merchants t ON t.live_merchant_id = m.id
+         WHERE m.id = k.merchant_id
+           AND k.key_hash = $1
+           AND k.revoked_at IS NULL
+           AND (k.expires_at IS NULL OR k.expires_at > NOW())
+         RETURNING k.*, m.rate_limit_read, m.rate_limit_write, m.allowed_origins, t.id AS test_merchant_id`,
+        [keyHash]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} keyData - Key data
+   * @param {string} keyData.id - Key ID
+   * @param {string} keyData.merchantId - Owning merchant
+   * @param {string} keyData.type - 'secret' or 'publishable'
+   * @param {string} keyData.mode - 'live' or 'test'
+   * @param {string} keyData.name - Name shown to the merchant
+   * @param {string} keyData.keyHash - SHA-256 hash of the secret
+   * @param {string} keyData.keyLast4 - Last four characters of the secret
+   * @param {Array<string>} keyData.scopes - Validated scopes
+   * @returns {Promise<Object|null>} - Created key, or null if no live merchant has the ID
+   */
+  async createApiKey({ id, merchantId, type, mode, name, keyHash, keyLast4, scopes }) {
+    try {
+      // Compared as text so a malformed merchant ID is simply not found
+      const result = await this.db.query(
+        `INSERT INTO api_keys (id, merchant_id, type, mode, name, key_hash, key_last4, scopes, created_at)
+         SELECT $1, id, $3, $4, $5, $6, $7, $8, NOW() FROM merchants WHERE id::text = $2 AND mode = 'live'
+         RETURNING *`,
+        [id, merchantId, type, mode, name, keyHash, keyLast4, JSON.stringify(scopes)]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a merchant's API key by ID
+   * @param {string} keyId - The key ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Key row or null if not found
+   */
+  async getApiKey(keyId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM api_keys WHERE id = $1 AND merchant_id = $2',
+        [keyId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's API keys, newest first
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Array<Object>>} - Key rows
+   */
+  async listApiKeys(merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM api_keys WHERE merchant_id = $1 ORDER BY created_at DESC, id DESC',
+        [merchantId]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace an active key with a new one of the same type, mode, name and scopes; the
+   * old key keeps working until the overlap ends
+   * @param {string} keyId - The key being rotated
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} replacement - The new key
+   * @param {string} replacement.id - New key ID
+   * @param {string} replacement.keyHash - SHA-256 hash of the new secret
+   * @param {string} replacement.keyLast4 - Last four characters of the new secret
+   * @param {number} overlapHours - Hours the old key keeps working
+   * @returns {Promise<Object|null>} - New key row with rotated_key_expires_at, or null
+   *   if the key is not active or was already rotated
+   */
+  async rotateApiKey(keyId, merchantId, { id, keyHash, keyLast4 }, overlapHours) {
+    try {
+      const result = await this.db.query(
+        `WITH old AS (
+           UPDATE api_keys
+           SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(hours => $6)),
+               replaced_by = $3
+           WHERE id = $1 AND merchant_id = $2
+             AND revoked_at IS NULL
+             AND replaced_by IS NULL
+             AND (expires_at IS NULL OR expires_at > NOW())
+           RETURNING *
+         ),
+         created AS (
+           INSERT INTO api_keys (id, merchant_id, type, mode, name, key_hash, key_last4, scopes, created_at)
+           SELECT $3, merchant_id, type, mode, name, $4, $5, scopes, NOW() FROM old
+           RETURNING *
+         )
+         SELECT created.*, old.expires_at AS rotated_key_expires_at FROM created, old`,
+        [keyId, merchantId, id, keyHash, keyLast4, overlapHours]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to rotate API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke an API key; revoking a revoked key keeps its original revocation time
+   * @param {string} keyId - The key ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Revoked key, or null if not found
+   */
+  async revokeApiKey(keyId, merchantId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+         WHERE id = $1 AND merchant_id = $2
+         RETURNING *`,
+        [keyId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to revoke API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a live merchant's sandbox account unless it already has one. It
+   * starts with the merchant's name and webhook settings.
+   * @param {string} merchantId - The live merchant's ID
+   * @returns {Promise<void>}
+   */
+  async ensureTestAccount(merchantId) {
+    try {
+      // Compared as text so a malformed merchant ID is simply not found
+      await this.db.query(
+        `INSERT INTO merchants (name, webhook_url, webhook_secret, mode, live_merchant_id, created_at)
+         SELECT name, webhook_url, webhook_secret, 'test', id, NOW() FROM merchants
+         WHERE id::text = $1 AND mode = 'live'
+         ON CONFLICT (live_merchant_id) DO NOTHING`,
+        [merchantId]
+      );
+    } catch (error) {
+      throw new Error(`Failed to create sandbox account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set a merchant's API rate limits
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} limits - Requests per window
+   * @param {number|null} limits.read - Read limit, or null for the gateway default
+   * @param {number|null} limits.write - Write limit, or null for the gateway default
+   * @returns {Promise<Object|null>} - { id, rate_limit_read, rate_limit_write }, or null if the merchant does not exist
+   */
+  async updateRateLimits(merchantId, { read, write }) {
+    try {
+      // Compared as text so a malformed ID is simply not found
+      const result = await this.db.query(
+        `UPDATE merchants
+         SET rate_limit_read = $2, rate_limit_write = $3
+         WHERE id::text = $1
+         RETURNING id, rate_limit_read, rate_limit_write`,
+        [merchantId, read, write]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to update rate limits: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the acquirers a merchant's payments are routed to
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} routes - Acquirer name by payment method (or "default")
+   * @returns {Promise<Object|null>} - { id, acquirer_routes }, or null if the merchant does not exist
+   */
+  async updateAcquirerRoutes(merchantId, routes) {
+    try {
+      // Compared as text so a malformed ID is simply not found
+      const result = await this.db.query(
+        `UPDATE merchants
+         SET acquirer_routes = $2
+         WHERE id::text = $1
+         RETURNING id, acquirer_routes`,
+        [merchantId, JSON.stringify(routes)]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to update acquirer routes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the origins allowed to use a merchant's publishable keys
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Array<string>>} - Allowed origins
+   */
+  async getAllowedOrigins(merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT allowed_origins FROM merchants WHERE id = $1',
+        [merchantId]
+      );
+      return result.rows[0] ? result.rows[0].allowed_origins : [];
+    } catch (error) {
+      throw new Error(`Failed to fetch allowed origins: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the origins allowed to use a merchant's publishable keys
+   * @param {string} merchantId - The merchant ID
+   * @param {Array<string>} origins - Validated origins
+   * @returns {Promise<Array<string>>} - Allowed origins now in effect
+   */
+  async updateAllowedOrigins(merchantId, origins) {
+    try {
+      const result = await this.db.query(
+        'UPDATE merchants SET allowed_origins = $2 WHERE id = $1 RETURNING allowed_origins',
+        [merchantId, JSON.stringify(origins)]
+      );
+      return result.rows[0] ? result.rows[0].allowed_origins : [];
+    } catch (error) {
+      throw new Error(`Failed to update allowed origins: ${error.message}`);
+    }
+  }
+
+  /**
+   * Every origin some merchant allows, for answering CORS preflights, which
+   * carry no API key
+   * @returns {Promise<Array<string>>} - Distinct origins
+   */
+  async listAllowedOrigins() {
+    try {
+      const result = await this.db.query(
+        'SELECT DISTINCT jsonb_array_elements_text(allowed_origins) AS origin FROM merchants'
+      );
+      return result.rows.map(row => row.origin);
+    } catch (error) {
+      throw new Error(`Failed to list allowed origins: ${error.message}`);
+    }
+  }
+}
+
+module.exports = MerchantRepository;
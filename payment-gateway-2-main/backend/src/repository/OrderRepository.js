@@ -0,0 +1,144 @@
+/**
+ * OrderRepository - Data Access Layer
+ * Responsible for:
+ * - Order creation and lookups
+ * - Tracking payment attempts against an order
+ * - Marking orders paid or cancelled
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class OrderRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a new order
+   * @param {Object} orderData - Order data
+   * @param {string} orderData.id - Order ID
+   * @param {string} orderData.merchantId - Merchant ID
+   * @param {number} orderData.amount - Amount in minor units
+   * @param {string} orderData.currency - Currency code
+   * @param {string} [orderData.receipt] - Merchant receipt reference
+   * @param {Object} [orderData.notes] - Merchant key-value notes
+   * @param {string} [orderData.customerId] - Customer the order is for
+   * @param {Date} [orderData.expireBy] - When the order stops accepting payments
+   * @returns {Promise<Object>} - Created order row
+   */
+  async createOrder(orderData) {
+    try {
+      const { id, merchantId, amount, currency, receipt, notes, customerId, expireBy } = orderData;
+
+      const result = await this.db.query(
+        `INSERT INTO orders (id, merchant_id, amount, currency, receipt, notes, customer_id, expire_by, status, attempts, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'created', 0, NOW(), NOW())
+         RETURNING *`,
+        [id, merchantId, amount, currency, receipt || null, JSON.stringify(notes || {}), customerId || null, expireBy || null]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an order by ID, scoped to the owning merchant
+   * @param {string} orderId - The order ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Order row or null if not found
+   */
+  async getOrderForMerchant(orderId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM orders WHERE id = $1 AND merchant_id = $2',
+        [orderId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the order of a payment link or invoice without merchant scoping
+   * Used by the hosted checkout, which reaches these orders through the
+   * link or invoice and has no API key
+   * @param {string} orderId - The order ID
+   * @returns {Promise<Object|null>} - Order row or null if not found
+   */
+  async getHostedOrder(orderId) {
+    try {
+      const result = await this.db.query(
+        `SELECT o.* FROM orders o
+         WHERE o.id = $1
+           AND (EXISTS (SELECT 1 FROM payment_links WHERE order_id = o.id)
+             OR EXISTS (SELECT 1 FROM invoices WHERE order_id = o.id))`,
+        [orderId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a payment attempt against an order
+   * Moves a fresh order to `attempted`; paid orders are left untouched
+   * @param {string} orderId - The order ID
+   * @returns {Promise<Object|null>} - Updated order row
+   */
+  async recordAttempt(orderId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE orders
+         SET attempts = attempts + 1,
+             status = CASE WHEN status = 'created' THEN 'attempted' ELSE status END,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [orderId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to record order attempt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark an order as paid
+   * @param {string} orderId - The order ID
+   * @returns {Promise<Object|null>} - Updated order row, or null if it was already paid
+   */
+  async markPaid(orderId) {
+    try {
+      const result = await this.db.query(
+        "UPDATE orders SET status = 'paid', updated_at = NOW() WHERE id = $1 AND status <> 'paid' RETURNING *",
+        [orderId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to mark order paid: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel an order so it accepts no further payments
+   * @param {string} orderId - The order ID
+   * @returns {Promise<Object|null>} - Updated order row, or null if it was already paid or cancelled
+   */
+  async cancelOrder(orderId) {
+    try {
+      const result = await this.db.query(
+        "UPDATE orders SET status = 'cancelled', updated_at = NOW() WHERE id = $1 AND status NOT IN ('paid', 'cancelled') RETURNING *",
+        [orderId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to cancel order: ${error.message}`);
+    }
+  }
+}
+
+module.exports = OrderRepository;
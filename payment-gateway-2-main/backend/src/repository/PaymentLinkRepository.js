@@ -0,0 +1,200 @@
+/**
+ * PaymentLinkRepository - Data Access Layer
+ * Responsible for:
+ * - Payment link creation and merchant-scoped lookups
+ * - Listing with status filter and cursor pagination
+ * - Conditional status updates (paid, expired, cancelled)
+ *
+ * Status updates only match links still in 'created' (or 'expired' for a
+ * late payment), so the API, the expiry check and the workers cannot
+ * overwrite each other.
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class PaymentLinkRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a new payment link
+   * @param {Object} linkData - Payment link data
+   * @param {string} linkData.id - Payment link ID
+   * @param {string} linkData.merchantId - Merchant ID
+   * @param {string} linkData.orderId - Order the link collects payment for
+   * @param {number} linkData.amount - Amount in minor units
+   * @param {string} linkData.currency - ISO 4217 currency code
+   * @param {string} [linkData.description] - Shown to the payer
+   * @param {Object} [linkData.customer] - { name, email, contact }
+   * @param {Object} [linkData.notify] - { email, sms }
+   * @param {boolean} [linkData.reminderEnable] - Whether reminders are sent until paid
+   * @param {Object} [linkData.notes] - Merchant key-value notes
+   * @param {Date} [linkData.expireBy] - When the link expires
+   * @returns {Promise<Object>} - Created payment link row
+   */
+  async createLink(linkData) {
+    try {
+      const {
+        id, merchantId, orderId, amount, currency, description,
+        customer = {}, notify = {}, reminderEnable, notes, expireBy
+      } = linkData;
+
+      const result = await this.db.query(
+        `INSERT INTO payment_links
+           (id, merchant_id, order_id, amount, currency, description, customer_name, customer_email, customer_contact,
+            notify_email, notify_sms, reminder_enable, notes, expire_by, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'created', NOW(), NOW())
+         RETURNING *`,
+        [
+          id, merchantId, orderId, amount, currency, description || null,
+          customer.name || null, customer.email || null, customer.contact || null,
+          Boolean(notify.email), Boolean(notify.sms), Boolean(reminderEnable),
+          JSON.stringify(notes || {}), expireBy || null
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create payment link: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a payment link by ID, scoped to the owning merchant
+   * @param {string} linkId - The payment link ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Payment link row or null if not found
+   */
+  async getLinkForMerchant(linkId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM payment_links WHERE id = $1 AND merchant_id = $2',
+        [linkId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch payment link: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a payment link by ID for the hosted checkout
+   * @param {string} linkId - The payment link ID
+   * @returns {Promise<Object|null>} - Payment link row or null if not found
+   */
+  async getLinkById(linkId) {
+    try {
+      const result = await this.db.query('SELECT * FROM payment_links WHERE id = $1', [linkId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch payment link: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's payment links, newest first
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} filters - Filters
+   * @param {string} [filters.status] - Exact status match
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {string} [page.cursor] - ID of the last link of the previous page
+   * @returns {Promise<Array<Object>>} - Payment link rows
+   */
+  async listLinks(merchantId, filters, { limit, cursor }) {
+    const params = [merchantId];
+    const conditions = ['merchant_id = $1'];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (cursor) {
+      params.push(cursor);
+      conditions.push(
+        `(created_at, id) < (SELECT created_at, id FROM payment_links WHERE id = $${params.length} AND merchant_id = $1)`
+      );
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM payment_links
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list payment links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a merchant's links whose expiry has passed as expired
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<number>} - Number of links expired
+   */
+  async expireDueLinks(merchantId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE payment_links
+         SET status = 'expired', expired_at = NOW(), updated_at = NOW()
+         WHERE merchant_id = $1 AND status = 'created' AND expire_by <= NOW()`,
+        [merchantId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Failed to expire payment links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a link that has not been paid
+   * @param {string} linkId - The payment link ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Updated row, or null if the link is no longer 'created'
+   */
+  async cancelLink(linkId, merchantId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE payment_links
+         SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND merchant_id = $2 AND status = 'created'
+         RETURNING *`,
+        [linkId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to cancel payment link: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark the link of an order paid once one of its payments is captured
+   * A payment started before the link expired still pays it.
+   * @param {string} orderId - The order ID
+   * @param {string} paymentId - The captured payment ID
+   * @returns {Promise<Object|null>} - Updated row, or null if the order has no open link
+   */
+  async markPaidForOrder(orderId, paymentId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE payment_links
+         SET status = 'paid', payment_id = $2, paid_at = NOW(), updated_at = NOW()
+         WHERE order_id = $1 AND status IN ('created', 'expired')
+         RETURNING *`,
+        [orderId, paymentId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to mark payment link paid: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PaymentLinkRepository;
@@ -0,0 +1,325 @@
+/**
+ * PaymentRepository - Data Access Layer
+ * Responsible for:
+ * - Payment creation
+ * - Guarded status transitions and their history
+ * - Recording the acquirer a payment is sent to
+ * - Merchant-scoped payment lookups
+ * - Filtered, cursor-paginated payment listing
+ * - Loading refunds attached to payments
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+// Columns a status transition may set alongside the status itself
+const TRANSITION_COLUMNS = [
+  'captured',
+  'captured_amount',
+  'authorized_at',
+  'authorization_expires_at',
+  'captured_at',
+  'fee',
+  'tax',
+  'pricing_plan_id',
+  'cancelled_at',
+  'cancellation_reason',
+  'error_code',
+  'error_description',
+  'acquirer_reference'
+];
+
+class PaymentRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a new payment record and open its status history
+   * @param {Object} paymentData - Payment data
+   * @param {string} paymentData.id - Payment ID
+   * @param {string} paymentData.orderId - Order ID
+   * @param {string} paymentData.merchantId - Merchant ID
+   * @param {number} paymentData.amount - Amount in minor units
+   * @param {string} paymentData.currency - ISO 4217 currency code
+   * @param {string} paymentData.method - Payment method
+   * @param {string} paymentData.status - Initial status
+   * @param {string} paymentData.captureMethod - 'automatic' or 'manual'
+   * @param {Object} [paymentData.notes] - Merchant key-value notes
+   * @param {string} [paymentData.customerId] - Customer being charged
+   * @param {string} [paymentData.tokenId] - Saved payment method being charged
+   * @param {string} [paymentData.cardNetwork] - Network of the card charged
+   * @param {string} [paymentData.cardLast4] - Last four digits of the card charged
+   * @param {string} [paymentData.vpa] - UPI VPA charged
+   * @param {string} [paymentData.bank] - Netbanking bank code
+   * @param {string} [paymentData.wallet] - Wallet code
+   * @param {string} [paymentData.subscriptionId] - Subscription the payment bills
+   * @param {string} [paymentData.cardFingerprint] - Keyed fingerprint of the card charged
+   * @param {string} [paymentData.ipAddress] - Payer's IP address
+   * @param {Object} [paymentData.risk] - Risk engine verdict: { score, decision, reasons }
+   * @param {string} paymentData.actor - Who created the payment
+   * @returns {Promise<Object|null>} - Created payment row, or null if the order
+   *   already has a payment in flight (created, pending, review or authorized)
+   */
+  async createPayment(paymentData) {
+    try {
+      const {
+        id, orderId, merchantId, amount, currency, method, status, captureMethod, notes, customerId, tokenId,
+        cardNetwork, cardLast4, vpa, bank, wallet, subscriptionId, cardFingerprint, ipAddress, risk, actor
+      } = paymentData;
+
+      const result = await this.db.query(
+        `WITH inserted AS (
+           INSERT INTO payments
+             (id, order_id, merchant_id, amount, currency, status, method, capture_method, notes, customer_id, token_id,
+              card_network, card_last4, vpa, bank, wallet, subscription_id, card_fingerprint, ip_address,
+              risk_score, risk_decision, risk_reasons)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+           ON CONFLICT (order_id) WHERE status IN ('created', 'pending', 'review', 'authorized') DO NOTHING
+           RETURNING *
+         ), history AS (
+           INSERT INTO payment_status_history (payment_id, from_status, to_status, actor)
+           SELECT id, NULL, status, $23 FROM inserted
+         )
+         SELECT * FROM inserted`,
+        [
+          id, orderId, merchantId, amount, currency, status, method, captureMethod, JSON.stringify(notes || {}),
+          customerId || null, tokenId || null, cardNetwork || null, cardLast4 || null, vpa || null,
+          bank || null, wallet || null, subscriptionId || null, cardFingerprint || null, ipAddress || null,
+          risk ? risk.score : null, risk ? risk.decision : null, risk ? JSON.stringify(risk.reasons) : null,
+          actor
+        ]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to create payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a status transition and record it in the status history
+   * The update only matches while the payment is still in `fromStatus`, so
+   * concurrent writers (API, workers, expiry job) cannot overwrite each other.
+   * Legality of the transition is checked by PaymentStateMachine.
+   * @param {string} paymentId - The payment ID
+   * @param {string} fromStatus - Status the payment must still be in
+   * @param {string} toStatus - New status
+   * @param {Object} options - Transition options
+   * @param {string} options.actor - Who triggered the change
+   * @param {string|null} [options.reason] - Reason kept in the history
+   * @param {Object} [options.changes] - Other columns to set, from TRANSITION_COLUMNS
+   * @returns {Promise<Object|null>} - Updated payment row, or null if its status changed
+   */
+  async transitionStatus(paymentId, fromStatus, toStatus, { actor, reason = null, changes = {} }) {
+    const params = [paymentId, fromStatus, toStatus, actor, reason];
+    const assignments = Object.entries(changes).map(([column, value]) => {
+      if (!TRANSITION_COLUMNS.includes(column)) {
+        throw new Error(`Column cannot be set on a status transition: ${column}`);
+      }
+      params.push(value);
+      return `, ${column} = $${params.length}`;
+    });
+
+    try {
+      const result = await this.db.query(
+        `WITH updated AS (
+           UPDATE payments
+           SET status = $3, updated_at = NOW()${assignments.join('')}
+           WHERE id = $1 AND status = $2
+           RETURNING *
+         ), history AS (
+           INSERT INTO payment_status_history (payment_id, from_status, to_status, actor, reason)
+           SELECT id, $2, $3, $4, $5 FROM updated
+         )
+         SELECT * FROM updated`,
+        params
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to update payment status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the status history of a payment, oldest first
+   * @param {string} paymentId - The payment ID
+   * @returns {Promise<Array<Object>>} - History rows
+   */
+  async getStatusHistory(paymentId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM payment_status_history WHERE payment_id = $1 ORDER BY created_at ASC, id ASC',
+        [paymentId]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch payment history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the acquirer a payment is sent to; a payment keeps its first acquirer
+   * @param {string} paymentId - The payment ID
+   * @param {string} acquirer - Acquirer name
+   * @returns {Promise<void>}
+   */
+  async assignAcquirer(paymentId, acquirer) {
+    try {
+      await this.db.query(
+        'UPDATE payments SET acquirer = $2, updated_at = NOW() WHERE id = $1 AND acquirer IS NULL',
+        [paymentId, acquirer]
+      );
+    } catch (error) {
+      throw new Error(`Failed to assign acquirer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a payment by ID, scoped to the owning merchant
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object|null>} - Payment object or null if not found
+   */
+  async getPaymentForMerchant(paymentId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM payments WHERE id = $1 AND merchant_id = $2',
+        [paymentId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a payment on the order of a payment link or invoice without merchant
+   * scoping, for the hosted checkout (see OrderRepository.getHostedOrder)
+   * @param {string} paymentId - The payment ID
+   * @returns {Promise<Object|null>} - Payment object or null if not found
+   */
+  async getHostedPayment(paymentId) {
+    try {
+      const result = await this.db.query(
+        `SELECT p.* FROM payments p
+         WHERE p.id = $1
+           AND (EXISTS (SELECT 1 FROM payment_links WHERE order_id = p.order_id)
+             OR EXISTS (SELECT 1 FROM invoices WHERE order_id = p.order_id))`,
+        [paymentId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * List payments for a merchant, newest first
+   * Pagination is keyset-based on (created_at, id): the cursor is the ID of
+   * the last payment of the previous page.
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status] - Exact status match
+   * @param {string} [filters.method] - Exact method match
+   * @param {string} [filters.orderId] - Exact order ID match
+   * @param {string} [filters.subscriptionId] - Exact subscription ID match
+   * @param {string} [filters.cardNetwork] - Exact card network match
+   * @param {string} [filters.bank] - Exact netbanking bank match
+   * @param {string} [filters.wallet] - Exact wallet match
+   * @param {Date} [filters.createdFrom] - Inclusive lower bound on created_at
+   * @param {Date} [filters.createdTo] - Inclusive upper bound on created_at
+   * @param {number} [filters.amountMin] - Inclusive lower bound on amount
+   * @param {number} [filters.amountMax] - Inclusive upper bound on amount
+   * @param {Object} [filters.notes] - Notes the payment must contain (containment match)
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum number of rows to return
+   * @param {string} [page.cursor] - ID of the last payment already seen
+   * @returns {Promise<Array<Object>>} - Payment rows
+   */
+  async listPayments(merchantId, filters, page) {
+    const conditions = ['merchant_id = $1'];
+    const params = [merchantId];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.status) addCondition('status = ?', filters.status);
+    if (filters.method) addCondition('method = ?', filters.method);
+    if (filters.orderId) addCondition('order_id = ?', filters.orderId);
+    if (filters.subscriptionId) addCondition('subscription_id = ?', filters.subscriptionId);
+    if (filters.cardNetwork) addCondition('card_network = ?', filters.cardNetwork);
+    if (filters.bank) addCondition('bank = ?', filters.bank);
+    if (filters.wallet) addCondition('wallet = ?', filters.wallet);
+    if (filters.createdFrom) addCondition('created_at >= ?', filters.createdFrom);
+    if (filters.createdTo) addCondition('created_at <= ?', filters.createdTo);
+    if (filters.amountMin !== undefined) addCondition('amount >= ?', filters.amountMin);
+    if (filters.amountMax !== undefined) addCondition('amount <= ?', filters.amountMax);
+    if (filters.notes) addCondition('notes @> ?::jsonb', JSON.stringify(filters.notes));
+
+    if (page.cursor) {
+      addCondition(
+        '(created_at, id) < (SELECT created_at, id FROM payments WHERE id = ? AND merchant_id = $1)',
+        page.cursor
+      );
+    }
+
+    params.push(page.limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM payments
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a payment exists for a merchant
+   * Used to validate pagination cursors
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<boolean>}
+   */
+  async paymentExistsForMerchant(paymentId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT 1 FROM payments WHERE id = $1 AND merchant_id = $2',
+        [paymentId, merchantId]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to check payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all refunds for a set of payments
+   * @param {Array<string>} paymentIds - Payment IDs
+   * @returns {Promise<Array<Object>>} - Refund rows ordered by creation time
+   */
+  async getRefundsForPayments(paymentIds) {
+    if (paymentIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM refunds WHERE payment_id = ANY($1) ORDER BY created_at ASC',
+        [paymentIds]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch refunds: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PaymentRepository;
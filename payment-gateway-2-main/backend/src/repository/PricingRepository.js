@@ -0,0 +1,95 @@
+/**
+ * PricingRepository - Data Access Layer
+ * Responsible for:
+ * - Finding the pricing plan currently in force for a merchant
+ * - Appending new pricing plan versions
+ * - Listing a merchant's pricing history
+ *
+ * Pricing plans are never updated or deleted: a change is a new version,
+ * and payments reference the version that priced them.
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class PricingRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Get the latest version of the merchant's pricing plan, falling back to
+   * the latest gateway default for merchants without one
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Pricing plan row or null if none exists
+   */
+  async getCurrentPlan(merchantId) {
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM pricing_plans
+         WHERE merchant_id = $1 OR merchant_id IS NULL
+         ORDER BY merchant_id IS NULL, version DESC
+         LIMIT 1`,
+        [merchantId]
+      );
+      return this._toPlan(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to fetch pricing plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Append the next version of a merchant's pricing plan
+   * @param {Object} planData - Pricing plan data
+   * @param {string} planData.id - Pricing plan ID
+   * @param {string} planData.merchantId - Merchant ID
+   * @param {string} planData.currency - Currency of fixed fees
+   * @param {Array<Object>} planData.rules - Validated pricing rules
+   * @param {number} planData.taxPercent - Tax charged on fees, in percent
+   * @returns {Promise<Object|null>} - Created pricing plan row, or null if another
+   *   version was created concurrently
+   */
+  async createPlanVersion({ id, merchantId, currency, rules, taxPercent }) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO pricing_plans (id, merchant_id, version, currency, rules, tax_percent, created_at)
+         SELECT $1, $2, COALESCE(MAX(version), 0) + 1, $3, $4, $5, NOW()
+         FROM pricing_plans
+         WHERE merchant_id = $2
+         ON CONFLICT ((COALESCE(merchant_id::text, 'default')), version) DO NOTHING
+         RETURNING *`,
+        [id, merchantId, currency, JSON.stringify(rules), taxPercent]
+      );
+      return this._toPlan(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to create pricing plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's pricing plan versions, newest first
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Array<Object>>} - Pricing plan rows
+   */
+  async listPlanVersions(merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM pricing_plans WHERE merchant_id = $1 ORDER BY version DESC',
+        [merchantId]
+      );
+      return result.rows.map(row => this._toPlan(row));
+    } catch (error) {
+      throw new Error(`Failed to list pricing plans: ${error.message}`);
+    }
+  }
+
+  /**
+   * pg returns NUMERIC columns as strings
+   * @private
+   */
+  _toPlan(row) {
+    if (!row) return null;
+    return { ...row, tax_percent: Number(row.tax_percent) };
+  }
+}
+
+module.exports = PricingRepository;
@@ -0,0 +1,224 @@
+/**
+ * ReconciliationRepository - Data Access Layer
+ * Responsible for:
+ * - Looking up the captured payments and processed refunds a statement references
+ * - Finding a period's captured payments and processed refunds a statement does not list
+ * - Storing a reconciliation report and its items in one statement
+ * - Merchant-scoped lookups and cursor-paginated listing of reports and items
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class ReconciliationRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * The merchant's captured payments and processed refunds among the given IDs
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} references - IDs listed by the statement
+   * @param {Array<string>} references.paymentIds - Payment IDs
+   * @param {Array<string>} references.refundIds - Refund IDs
+   * @returns {Promise<Array<Object>>} - Rows of { entity_type, entity_id, amount, currency, occurred_at }
+   */
+  async getGatewayRecords(merchantId, { paymentIds, refundIds }) {
+    try {
+      const result = await this.db.query(
+        `SELECT 'payment' AS entity_type, p.id AS entity_id, COALESCE(p.captured_amount, p.amount) AS amount,
+                p.currency, p.captured_at AS occurred_at
+         FROM payments p
+         WHERE p.merchant_id = $1 AND p.id = ANY($2::text[]) AND p.captured_at IS NOT NULL
+         UNION ALL
+         SELECT 'refund', r.id, r.amount, r.currency, r.processed_at
+         FROM refunds r
+         WHERE r.merchant_id = $1 AND r.id = ANY($3::text[]) AND r.status = 'processed'`,
+        [merchantId, paymentIds, refundIds]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to fetch gateway records: ${error.message}`);
+    }
+  }
+
+  /**
+   * The merchant's payments captured and refunds processed in a period, other than the given IDs
+   * @param {string} merchantId - The merchant ID
+   * @param {Date} periodStart - Start of the period (inclusive)
+   * @param {Date} periodEnd - End of the period (exclusive)
+   * @param {Object} references - IDs listed by the statement
+   * @param {Array<string>} references.paymentIds - Payment IDs
+   * @param {Array<string>} references.refundIds - Refund IDs
+   * @returns {Promise<Array<Object>>} - Rows of { entity_type, entity_id, amount, currency, occurred_at }
+   */
+  async listUnreferencedRecords(merchantId, periodStart, periodEnd, { paymentIds, refundIds }) {
+    try {
+      const result = await this.db.query(
+        `SELECT 'payment' AS entity_type, p.id AS entity_id, COALESCE(p.captured_amount, p.amount) AS amount,
+                p.currency, p.captured_at AS occurred_at
+         FROM payments p
+         WHERE p.merchant_id = $1 AND p.captured_at >= $2 AND p.captured_at < $3
+           AND NOT (p.id = ANY($4::text[]))
+         UNION ALL
+         SELECT 'refund', r.id, r.amount, r.currency, r.processed_at
+         FROM refunds r
+         WHERE r.merchant_id = $1 AND r.status = 'processed' AND r.processed_at >= $2 AND r.processed_at < $3
+           AND NOT (r.id = ANY($5::text[]))
+         ORDER BY occurred_at`,
+        [merchantId, periodStart, periodEnd, paymentIds, refundIds]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list unreferenced gateway records: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a reconciliation report and its items
+   * @param {Object} reconciliationData - Reconciliation data
+   * @param {string} reconciliationData.id - Reconciliation ID
+   * @param {string} reconciliationData.merchantId - Merchant ID
+   * @param {string} reconciliationData.source - 'csv' or 'json'
+   * @param {Date} reconciliationData.periodStart - Start of the reconciled period
+   * @param {Date} reconciliationData.periodEnd - End of the reconciled period
+   * @param {number} reconciliationData.rowCount - Rows in the statement
+   * @param {Object} reconciliationData.counts - Item count per result
+   * @param {Array<Object>} reconciliationData.items - Items from reconcileStatement
+   * @returns {Promise<Object>} - Created reconciliation row
+   */
+  async createReconciliation({ id, merchantId, source, periodStart, periodEnd, rowCount, counts, items }) {
+    try {
+      const result = await this.db.query(
+        `WITH reconciliation AS (
+           INSERT INTO reconciliations
+             (id, merchant_id, source, period_start, period_end, row_count, matched_count,
+              missing_on_gateway_count, missing_on_acquirer_count, amount_mismatch_count, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+           RETURNING *
+         ), recorded AS (
+           INSERT INTO reconciliation_items
+             (reconciliation_id, result, entity_type, reference, entity_id, currency,
+              statement_amount, gateway_amount, statement_date, gateway_date)
+           SELECT r.id, i.result, i.entity_type, i.reference, i.entity_id, i.currency,
+                  i.statement_amount, i.gateway_amount, i.statement_date, i.gateway_date
+           FROM reconciliation r
+           CROSS JOIN jsonb_to_recordset($11::jsonb) WITH ORDINALITY AS i(
+             result VARCHAR, entity_type VARCHAR, reference VARCHAR, entity_id VARCHAR, currency VARCHAR,
+             statement_amount INTEGER, gateway_amount INTEGER, statement_date TIMESTAMP, gateway_date TIMESTAMP
+           )
+           ORDER BY i.ordinality
+         )
+         SELECT * FROM reconciliation`,
+        [
+          id,
+          merchantId,
+          source,
+          periodStart,
+          periodEnd,
+          rowCount,
+          counts.matched,
+          counts.missing_on_gateway,
+          counts.missing_on_acquirer,
+          counts.amount_mismatch,
+          JSON.stringify(items)
+        ]
+      );
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create reconciliation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a reconciliation by ID, scoped to the owning merchant
+   * @param {string} reconciliationId - The reconciliation ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Reconciliation row or null if not found
+   */
+  async getReconciliationForMerchant(reconciliationId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM reconciliations WHERE id = $1 AND merchant_id = $2',
+        [reconciliationId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch reconciliation: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's reconciliations, newest first
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {string} [page.cursor] - ID of the last reconciliation of the previous page
+   * @returns {Promise<Array<Object>>} - Reconciliation rows
+   */
+  async listReconciliations(merchantId, { limit, cursor }) {
+    const params = [merchantId];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor);
+      cursorCondition = `AND (created_at, id) < (SELECT created_at, id FROM reconciliations WHERE id = $${params.length} AND merchant_id = $1)`;
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM reconciliations
+         WHERE merchant_id = $1 ${cursorCondition}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list reconciliations: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the items of a reconciliation in statement order, then unlisted records
+   * @param {string} reconciliationId - The reconciliation ID
+   * @param {Object} filters - Filters
+   * @param {string} [filters.result] - Exact result match
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {number} [page.cursor] - ID of the last item of the previous page
+   * @returns {Promise<Array<Object>>} - Reconciliation item rows
+   */
+  async listItems(reconciliationId, filters, { limit, cursor }) {
+    const params = [reconciliationId];
+    const conditions = ['reconciliation_id = $1'];
+
+    if (filters.result) {
+      params.push(filters.result);
+      conditions.push(`result = $${params.length}`);
+    }
+
+    if (cursor) {
+      params.push(cursor);
+      conditions.push(`id > $${params.length}`);
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM reconciliation_items
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY id ASC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list reconciliation items: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ReconciliationRepository;
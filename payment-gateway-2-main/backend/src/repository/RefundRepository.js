@@ -14,15 +14,16 @@ class RefundRepository {
   }
 
   /**
-   * Get a payment by ID
+   * Get a merchant's payment by ID
    * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The merchant ID
    * @returns {Promise<Object|null>} - Payment object or null if not found
    */
-  async getPaymentById(paymentId) {
+  async getPaymentById(paymentId, merchantId) {
     try {
       const result = await this.db.query(
-        'SELECT * FROM payments WHERE id = $1',
-        [paymentId]
+        'SELECT * FROM payments WHERE id = $1 AND merchant_id = $2',
+        [paymentId, merchantId]
       );
       return result.rows[0] || null;
     } catch (error) {
@@ -49,16 +50,17 @@ class RefundRepository {
   }
 
   /**
-   * Find a refund by idempotency key
+   * Find a merchant's refund by idempotency key
    * Returns the existing refund if the same request was already processed
    * @param {string} idempotencyKey - The idempotency key
+   * @param {string} merchantId - The merchant ID
    * @returns {Promise<Object|null>} - Refund object or null if not found
    */
-  async findRefundByIdempotencyKey(idempotencyKey) {
+  async findRefundByIdempotencyKey(idempotencyKey, merchantId) {
     try {
       const result = await this.db.query(
-        'SELECT id, payment_id, amount, status, created_at FROM refunds WHERE idempotency_key = $1 LIMIT 1',
-        [idempotencyKey]
+        'SELECT id, payment_id, amount, currency, status, notes, created_at FROM refunds WHERE idempotency_key = $1 AND merchant_id = $2',
+        [idempotencyKey, merchantId]
       );
       return result.rows[0] || null;
     } catch (error) {
@@ -73,20 +75,22 @@ class RefundRepository {
    * @param {string} refundData.paymentId - Payment ID
    * @param {string} refundData.merchantId - Merchant ID
    * @param {number} refundData.amount - Refund amount
+   * @param {string} refundData.currency - Refund currency (always the payment's)
    * @param {string} refundData.reason - Refund reason
    * @param {string} refundData.status - Refund status
    * @param {string} [refundData.idempotencyKey] - Idempotency key
+   * @param {Object} [refundData.notes] - Merchant key-value notes
    * @returns {Promise<Object>} - Created refund object
    */
   async createRefund(refundData) {
     try {
-      const { id, paymentId, merchantId, amount, reason, status, idempotencyKey } = refundData;
+      const { id, paymentId, merchantId, amount, currency, reason, status, idempotencyKey, notes } = refundData;
 
       const result = await this.db.query(
-        `INSERT INTO refunds (id, payment_id, merchant_id, amount, reason, status, idempotency_key, created_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-         RETURNING id, payment_id, amount, status, created_at`,
-        [id, paymentId, merchantId, amount, reason, status, idempotencyKey]
+        `INSERT INTO refunds (id, payment_id, merchant_id, amount, currency, reason, status, idempotency_key, notes, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+         RETURNING id, payment_id, amount, currency, status, notes, created_at`,
+        [id, paymentId, merchantId, amount, currency, reason, status, idempotencyKey, JSON.stringify(notes || {})]
       );
 
       return result.rows[0];
@@ -0,0 +1,200 @@
+/**
+ * RiskRepository - Data Access Layer
+ * Responsible for:
+ * - Merchants' risk settings (rules and score thresholds)
+ * - Merchant and global (operator) blocklist entries
+ * - Matching a payment's IP, card, VPA and customer against the blocklist
+ * - Telling sandbox (test mode) merchants from live ones
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+class RiskRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Get a merchant's risk settings
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Settings row, or null if the merchant uses the defaults
+   */
+  async getSettings(merchantId) {
+    try {
+      const result = await this.db.query('SELECT * FROM risk_settings WHERE merchant_id = $1', [merchantId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch risk settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a merchant's mode
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<string|null>} - 'live' or 'test', or null if the merchant does not exist
+   */
+  async getMerchantMode(merchantId) {
+    try {
+      const result = await this.db.query('SELECT mode FROM merchants WHERE id = $1', [merchantId]);
+      return result.rows[0] ? result.rows[0].mode : null;
+    } catch (error) {
+      throw new Error(`Failed to fetch merchant mode: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace a merchant's risk settings
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} settings - Validated settings
+   * @param {Array<Object>} settings.rules - Risk rules
+   * @param {number} settings.reviewThreshold - Score from which payments are held for review
+   * @param {number} settings.blockThreshold - Score from which payments are blocked
+   * @returns {Promise<Object>} - Settings row
+   */
+  async upsertSettings(merchantId, { rules, reviewThreshold, blockThreshold }) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO risk_settings (merchant_id, rules, review_threshold, block_threshold, updated_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (merchant_id) DO UPDATE
+         SET rules = EXCLUDED.rules,
+             review_threshold = EXCLUDED.review_threshold,
+             block_threshold = EXCLUDED.block_threshold,
+             updated_at = NOW()
+         RETURNING *`,
+        [merchantId, JSON.stringify(rules), reviewThreshold, blockThreshold]
+      );
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to save risk settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a blocklist entry
+   * @param {Object} entryData - Entry data
+   * @param {string} entryData.id - Entry ID
+   * @param {string|null} entryData.merchantId - Owning merchant, or null for a global entry
+   * @param {string} entryData.type - One of BLOCKLIST_TYPES
+   * @param {string} entryData.value - Blocked IP, card fingerprint, VPA or customer ID
+   * @param {string} [entryData.reason] - Why it was blocked
+   * @returns {Promise<Object|null>} - Created entry, or null if the value is already blocked
+   */
+  async createBlocklistEntry({ id, merchantId, type, value, reason }) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO risk_blocklist (id, merchant_id, type, value, reason, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [id, merchantId, type, value, reason || null]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to create blocklist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a blocklist entry by ID, scoped to its owner
+   * @param {string} entryId - The entry ID
+   * @param {string|null} merchantId - The merchant ID, or null for a global entry
+   * @returns {Promise<Object|null>} - Entry row or null if not found
+   */
+  async getBlocklistEntry(entryId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM risk_blocklist WHERE id = $1 AND merchant_id IS NOT DISTINCT FROM $2',
+        [entryId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch blocklist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's blocklist entries (or the global ones), newest first
+   * @param {string|null} merchantId - The merchant ID, or null for global entries
+   * @param {Object} filters - Filters
+   * @param {string} [filters.type] - Exact type match
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {string} [page.cursor] - ID of the last entry of the previous page
+   * @returns {Promise<Array<Object>>} - Entry rows
+   */
+  async listBlocklistEntries(merchantId, filters, { limit, cursor }) {
+    const params = [merchantId];
+    const conditions = ['merchant_id IS NOT DISTINCT FROM $1'];
+
+    if (filters.type) {
+      params.push(filters.type);
+      conditions.push(`type = $${params.length}`);
+    }
+
+    if (cursor) {
+      params.push(cursor);
+      conditions.push(
+        `(created_at, id) < (SELECT created_at, id FROM risk_blocklist
+                             WHERE id = $${params.length} AND merchant_id IS NOT DISTINCT FROM $1)`
+      );
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM risk_blocklist
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list blocklist entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a blocklist entry
+   * @param {string} entryId - The entry ID
+   * @param {string|null} merchantId - The merchant ID, or null for a global entry
+   * @returns {Promise<Object|null>} - Removed entry, or null if not found
+   */
+  async deleteBlocklistEntry(entryId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'DELETE FROM risk_blocklist WHERE id = $1 AND merchant_id IS NOT DISTINCT FROM $2 RETURNING *',
+        [entryId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to delete blocklist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the merchant's and global blocklist entries matching any of a payment's values
+   * @param {string} merchantId - The merchant ID
+   * @param {Array<Object>} candidates - { type, value } pairs describing the payment
+   * @returns {Promise<Array<Object>>} - Matching entry rows
+   */
+  async findBlocklistMatches(merchantId, candidates) {
+    if (candidates.length === 0) return [];
+
+    try {
+      const result = await this.db.query(
+        `SELECT b.* FROM risk_blocklist b
+         JOIN UNNEST($2::text[], $3::text[]) AS c(type, value) ON b.type = c.type AND b.value = c.value
+         WHERE b.merchant_id = $1 OR b.merchant_id IS NULL`,
+        [merchantId, candidates.map(c => c.type), candidates.map(c => c.value)]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to check blocklist: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RiskRepository;
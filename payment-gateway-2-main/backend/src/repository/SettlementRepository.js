@@ -0,0 +1,320 @@
+/**
+ * SettlementRepository - Data Access Layer
+ * Responsible for:
+ * - Finding live merchants with captured payments not yet settled
+ * - Building a settlement batch and its transactions in one statement
+ * - Merchant-scoped lookups and cursor-paginated listing
+ * - Conditional status updates (processing, settled, failed); failing a
+ *   settlement releases its transactions
+ *
+ * Each payment, refund and dispute hold or release can only be part of one settlement
+ * at a time (settlement_transactions is unique on the entity), and there is at most
+ * one settlement per merchant, currency and period. A failed settlement does
+ * not count: its entries are released to be settled again.
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+// Columns an update may set alongside the status
+const UPDATABLE_COLUMNS = [
+  'status',
+  'utr',
+  'failure_reason',
+  'initiated_at',
+  'settled_at',
+  'failed_at'
+];
+
+class SettlementRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Live merchants and currencies with captured payments awaiting settlement
+   * Sandbox (test mode) payments move no money, so they are never settled.
+   * @param {Date} periodEnd - Only payments captured before this are settled
+   * @returns {Promise<Array<Object>>} - Rows of { merchant_id, currency }
+   */
+  async listSettleableAccounts(periodEnd) {
+    try {
+      const result = await this.db.query(
+        `SELECT DISTINCT p.merchant_id, p.currency
+         FROM payments p
+         JOIN merchants m ON m.id = p.merchant_id AND m.mode = 'live'
+         WHERE p.captured_at < $1
+           AND NOT EXISTS (
+             SELECT 1 FROM settlement_transactions st
+             WHERE st.entity_type = 'payment' AND st.entity_id = p.id AND st.released_at IS NULL
+           )`,
+        [periodEnd]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list settleable merchants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a settlement for everything a merchant has not been settled for
+   * Captured payments are credited less the fee and tax recorded on them at
+   * capture, processed refunds debited. Disputed amounts are withheld once a
+   * dispute is opened and paid back if it is won.
+   * Nothing is created when the net amount is not positive: those refunds
+   * and holds are carried into the next settlement. Nothing is ever created
+   * for a sandbox (test mode) merchant.
+   * @param {Object} settlementData - Settlement data
+   * @param {string} settlementData.id - Settlement ID
+   * @param {string} settlementData.merchantId - Merchant ID
+   * @param {string} settlementData.currency - ISO 4217 currency code
+   * @param {Date} settlementData.periodEnd - Payments captured, refunds processed and disputes opened
+   *   or won before this are included
+   * @returns {Promise<Object|null>} - Created settlement row, or null if there was nothing to settle
+   */
+  async createSettlement({ id, merchantId, currency, periodEnd }) {
+    try {
+      const result = await this.db.query(
+        `WITH items AS (
+           SELECT 'payment' AS entity_type, p.id AS entity_id, p.id AS payment_id,
+                  COALESCE(p.captured_amount, p.amount) AS amount,
+                  COALESCE(p.fee, 0) AS fee, COALESCE(p.tax, 0) AS tax
+           FROM payments p
+           WHERE p.merchant_id = $2 AND p.currency = $3 AND p.captured_at < $4
+             AND NOT EXISTS (
+               SELECT 1 FROM settlement_transactions st
+               WHERE st.entity_type = 'payment' AND st.entity_id = p.id AND st.released_at IS NULL
+             )
+           UNION ALL
+           SELECT 'refund', r.id, r.payment_id, r.amount, 0, 0
+           FROM refunds r
+           WHERE r.merchant_id = $2 AND r.currency = $3 AND r.status = 'processed' AND r.processed_at < $4
+             AND NOT EXISTS (
+               SELECT 1 FROM settlement_transactions st
+               WHERE st.entity_type = 'refund' AND st.entity_id = r.id AND st.released_at IS NULL
+             )
+           UNION ALL
+           SELECT 'dispute_hold', d.id, d.payment_id, d.amount, 0, 0
+           FROM disputes d
+           WHERE d.merchant_id = $2 AND d.currency = $3 AND d.created_at < $4
+             AND NOT EXISTS (
+               SELECT 1 FROM settlement_transactions st
+               WHERE st.entity_type = 'dispute_hold' AND st.entity_id = d.id AND st.released_at IS NULL
+             )
+           UNION ALL
+           SELECT 'dispute_release', d.id, d.payment_id, d.amount, 0, 0
+           FROM disputes d
+           WHERE d.merchant_id = $2 AND d.currency = $3 AND d.status = 'won' AND d.resolved_at < $4
+             AND NOT EXISTS (
+               SELECT 1 FROM settlement_transactions st
+               WHERE st.entity_type = 'dispute_release' AND st.entity_id = d.id AND st.released_at IS NULL
+             )
+         ), entries AS (
+           SELECT *, CASE entity_type
+                       WHEN 'payment' THEN amount - fee - tax
+                       WHEN 'dispute_release' THEN amount
+                       ELSE -amount
+                     END AS net
+           FROM items
+         ), settlement AS (
+           INSERT INTO settlements
+             (id, merchant_id, currency, period_end, gross_amount, refund_amount, fee_amount, tax_amount,
+              dispute_amount, amount, payment_count, refund_count, status, created_at, updated_at)
+           SELECT $1, $2, $3, $4,
+                  COALESCE(SUM(amount) FILTER (WHERE entity_type = 'payment'), 0),
+                  COALESCE(SUM(amount) FILTER (WHERE entity_type = 'refund'), 0),
+                  COALESCE(SUM(fee), 0),
+                  COALESCE(SUM(tax), 0),
+                  COALESCE(SUM(amount) FILTER (WHERE entity_type = 'dispute_hold'), 0)
+                    - COALESCE(SUM(amount) FILTER (WHERE entity_type = 'dispute_release'), 0),
+                  SUM(net),
+                  COUNT(*) FILTER (WHERE entity_type = 'payment'),
+                  COUNT(*) FILTER (WHERE entity_type = 'refund'),
+                  'created', NOW(), NOW()
+           FROM entries
+           HAVING SUM(net) > 0 AND EXISTS (SELECT 1 FROM merchants WHERE id = $2 AND mode = 'live')
+           ON CONFLICT (merchant_id, currency, period_end) WHERE status <> 'failed' DO NOTHING
+           RETURNING *
+         ), recorded AS (
+           INSERT INTO settlement_transactions (settlement_id, entity_type, entity_id, payment_id, amount, fee, tax, net)
+           SELECT s.id, e.entity_type, e.entity_id, e.payment_id, e.amount, e.fee, e.tax, e.net
+           FROM entries e CROSS JOIN settlement s
+         )
+         SELECT * FROM settlement`,
+        [id, merchantId, currency, periodEnd]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to create settlement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a settlement by ID, scoped to the owning merchant
+   * @param {string} settlementId - The settlement ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Settlement row or null if not found
+   */
+  async getSettlementForMerchant(settlementId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM settlements WHERE id = $1 AND merchant_id = $2',
+        [settlementId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch settlement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a settlement by ID (for the settlement worker)
+   * @param {string} settlementId - The settlement ID
+   * @returns {Promise<Object|null>} - Settlement row or null if not found
+   */
+  async getSettlementById(settlementId) {
+    try {
+      const result = await this.db.query('SELECT * FROM settlements WHERE id = $1', [settlementId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch settlement: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's settlements, newest first
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} filters - Filters
+   * @param {string} [filters.status] - Exact status match
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {string} [page.cursor] - ID of the last settlement of the previous page
+   * @returns {Promise<Array<Object>>} - Settlement rows
+   */
+  async listSettlements(merchantId, filters, { limit, cursor }) {
+    const params = [merchantId];
+    const conditions = ['merchant_id = $1'];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (cursor) {
+      params.push(cursor);
+      conditions.push(
+        `(created_at, id) < (SELECT created_at, id FROM settlements WHERE id = $${params.length} AND merchant_id = $1)`
+      );
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM settlements
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list settlements: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the transactions of a settlement in the order they were recorded
+   * @param {string} settlementId - The settlement ID
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {number} [page.cursor] - ID of the last transaction of the previous page
+   * @returns {Promise<Array<Object>>} - Settlement transaction rows
+   */
+  async listTransactions(settlementId, { limit, cursor }) {
+    const params = [settlementId];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor);
+      cursorCondition = `AND id > $${params.length}`;
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM settlement_transactions
+         WHERE settlement_id = $1 ${cursorCondition}
+         ORDER BY id ASC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list settlement transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fail a settlement being paid out and release its transactions, so the
+   * next settlement run pays them out again
+   * @param {string} settlementId - The settlement ID
+   * @param {Object} failure - Failure details
+   * @param {string} failure.reason - Why the payout failed
+   * @param {Date} failure.failedAt - When it failed
+   * @returns {Promise<Object|null>} - Failed settlement row, or null if it was no longer processing
+   */
+  async failSettlement(settlementId, { reason, failedAt }) {
+    try {
+      const result = await this.db.query(
+        `WITH failed AS (
+           UPDATE settlements
+           SET status = 'failed', failure_reason = $2, failed_at = $3, updated_at = NOW()
+           WHERE id = $1 AND status = 'processing'
+           RETURNING *
+         ), released AS (
+           UPDATE settlement_transactions st SET released_at = NOW()
+           FROM failed WHERE st.settlement_id = failed.id
+         )
+         SELECT * FROM failed`,
+        [settlementId, reason, failedAt]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fail settlement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a settlement if it is still in the expected status
+   * @param {string} settlementId - The settlement ID
+   * @param {string} fromStatus - Status the settlement must still be in
+   * @param {Object} changes - Columns to set, from UPDATABLE_COLUMNS
+   * @returns {Promise<Object|null>} - Updated row, or null if its status changed
+   */
+  async updateSettlement(settlementId, fromStatus, changes) {
+    const params = [settlementId, fromStatus];
+    const assignments = Object.entries(changes).map(([column, value]) => {
+      if (!UPDATABLE_COLUMNS.includes(column)) {
+        throw new Error(`Failed to update settlement: column ${column} cannot be updated`);
+      }
+      params.push(value);
+      return `${column} = $${params.length}`;
+    });
+
+    try {
+      const result = await this.db.query(
+        `UPDATE settlements
+         SET ${assignments.join(', ')}, updated_at = NOW()
+         WHERE id = $1 AND status = $2
+         RETURNING *`,
+        params
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to update settlement: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SettlementRepository;
@@ -0,0 +1,342 @@
+/**
+ * SubscriptionRepository - Data Access Layer
+ * Responsible for:
+ * - Plan creation, merchant-scoped lookups and listing
+ * - Subscription creation, merchant-scoped lookups and listing
+ * - Guarded subscription updates (charge claims, billing cycles, pause/resume/cancel)
+ * - Finding subscriptions whose charge is due
+ *
+ * Updates only match while the subscription is still in one of the statuses
+ * the caller read, so the API and SubscriptionWorker cannot overwrite each
+ * other.
+ *
+ * Follows the Repository Pattern to abstract database operations
+ * and maintain a single point of database access
+ */
+// Columns an update may set alongside the status
+const UPDATABLE_COLUMNS = [
+  'status',
+  'paid_count',
+  'failed_attempts',
+  'current_start',
+  'current_end',
+  'next_charge_at',
+  'next_retry_at',
+  'charge_started_at',
+  'last_payment_id',
+  'cancel_at_cycle_end',
+  'paused_at',
+  'cancelled_at',
+  'ended_at'
+];
+
+// Statuses in which a subscription is charged when due
+const CHARGEABLE_STATUSES = ['trialing', 'active', 'past_due'];
+
+// A subscription is free to be charged when no charge is claimed, or when the
+// claim is older than the timeout ($3, in minutes) and none of its payments
+// is still in flight, so a lost outcome cannot stop billing for good
+const UNCLAIMED_CONDITION = `(
+  charge_started_at IS NULL
+  OR (charge_started_at < NOW() - make_interval(mins => $3)
+      AND NOT EXISTS (
+        SELECT 1 FROM payments p
+        WHERE p.subscription_id = subscriptions.id AND p.status IN ('created', 'review', 'pending', 'authorized')
+      ))
+)`;
+
+class SubscriptionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a new plan
+   * @param {Object} planData - Plan data
+   * @param {string} planData.id - Plan ID
+   * @param {string} planData.merchantId - Merchant ID
+   * @param {string} planData.name - Plan name
+   * @param {string} [planData.description] - Plan description
+   * @param {number} planData.amount - Amount charged per cycle, in minor units
+   * @param {string} planData.currency - ISO 4217 currency code
+   * @param {string} planData.period - 'daily', 'weekly', 'monthly' or 'yearly'
+   * @param {number} planData.intervalCount - Periods per billing cycle
+   * @param {number} planData.trialPeriodDays - Default trial length for new subscriptions
+   * @param {Object} [planData.notes] - Merchant key-value notes
+   * @returns {Promise<Object>} - Created plan row
+   */
+  async createPlan(planData) {
+    try {
+      const {
+        id, merchantId, name, description, amount, currency, period, intervalCount, trialPeriodDays, notes
+      } = planData;
+
+      const result = await this.db.query(
+        `INSERT INTO plans
+           (id, merchant_id, name, description, amount, currency, period, interval_count, trial_period_days, notes, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+         RETURNING *`,
+        [
+          id, merchantId, name, description || null, amount, currency, period, intervalCount,
+          trialPeriodDays, JSON.stringify(notes || {})
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a plan by ID, scoped to the owning merchant
+   * @param {string} planId - The plan ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Plan row or null if not found
+   */
+  async getPlanForMerchant(planId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM plans WHERE id = $1 AND merchant_id = $2',
+        [planId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's plans, newest first
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {string} [page.cursor] - ID of the last plan of the previous page
+   * @returns {Promise<Array<Object>>} - Plan rows
+   */
+  async listPlans(merchantId, { limit, cursor }) {
+    const params = [merchantId];
+    const conditions = ['merchant_id = $1'];
+
+    if (cursor) {
+      params.push(cursor);
+      conditions.push(
+        `(created_at, id) < (SELECT created_at, id FROM plans WHERE id = $${params.length} AND merchant_id = $1)`
+      );
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM plans
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list plans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new subscription
+   * @param {Object} subscriptionData - Subscription data
+   * @param {string} subscriptionData.id - Subscription ID
+   * @param {string} subscriptionData.merchantId - Merchant ID
+   * @param {string} subscriptionData.planId - Plan being billed
+   * @param {string} subscriptionData.customerId - Customer being billed
+   * @param {string} subscriptionData.tokenId - Saved payment method charged each cycle
+   * @param {string} subscriptionData.status - 'trialing' or 'active'
+   * @param {number} [subscriptionData.totalCount] - Number of cycles to bill; unlimited when omitted
+   * @param {Date} [subscriptionData.trialEnd] - End of the trial
+   * @param {Date} subscriptionData.nextChargeAt - When the first cycle is charged
+   * @param {Object} [subscriptionData.notes] - Merchant key-value notes
+   * @returns {Promise<Object>} - Created subscription row
+   */
+  async createSubscription(subscriptionData) {
+    try {
+      const {
+        id, merchantId, planId, customerId, tokenId, status, totalCount, trialEnd, nextChargeAt, notes
+      } = subscriptionData;
+
+      const result = await this.db.query(
+        `INSERT INTO subscriptions
+           (id, merchant_id, plan_id, customer_id, token_id, status, total_count, trial_end, next_charge_at, notes,
+            created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+         RETURNING *`,
+        [
+          id, merchantId, planId, customerId, tokenId, status, totalCount || null, trialEnd || null,
+          nextChargeAt, JSON.stringify(notes || {})
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a subscription by ID, scoped to the owning merchant
+   * @param {string} subscriptionId - The subscription ID
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object|null>} - Subscription row or null if not found
+   */
+  async getSubscriptionForMerchant(subscriptionId, merchantId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM subscriptions WHERE id = $1 AND merchant_id = $2',
+        [subscriptionId, merchantId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a subscription by ID for SubscriptionWorker
+   * @param {string} subscriptionId - The subscription ID
+   * @returns {Promise<Object|null>} - Subscription row or null if not found
+   */
+  async getSubscriptionById(subscriptionId) {
+    try {
+      const result = await this.db.query('SELECT * FROM subscriptions WHERE id = $1', [subscriptionId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to fetch subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a merchant's subscriptions, newest first
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} filters - Filters
+   * @param {string} [filters.status] - Exact status match
+   * @param {string} [filters.planId] - Exact plan ID match
+   * @param {string} [filters.customerId] - Exact customer ID match
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Maximum rows to return
+   * @param {string} [page.cursor] - ID of the last subscription of the previous page
+   * @returns {Promise<Array<Object>>} - Subscription rows
+   */
+  async listSubscriptions(merchantId, filters, { limit, cursor }) {
+    const params = [merchantId];
+    const conditions = ['merchant_id = $1'];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.status) addCondition('status = ?', filters.status);
+    if (filters.planId) addCondition('plan_id = ?', filters.planId);
+    if (filters.customerId) addCondition('customer_id = ?', filters.customerId);
+
+    if (cursor) {
+      addCondition(
+        '(created_at, id) < (SELECT created_at, id FROM subscriptions WHERE id = ? AND merchant_id = $1)',
+        cursor
+      );
+    }
+
+    params.push(limit);
+
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM subscriptions
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list subscriptions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a subscription if it is still in one of the expected statuses
+   * @param {string} subscriptionId - The subscription ID
+   * @param {Array<string>} fromStatuses - Statuses the subscription must still be in
+   * @param {Object} changes - Columns to set, from UPDATABLE_COLUMNS
+   * @returns {Promise<Object|null>} - Updated row, or null if its status changed
+   */
+  async updateSubscription(subscriptionId, fromStatuses, changes) {
+    const params = [subscriptionId, fromStatuses];
+    const assignments = Object.entries(changes).map(([column, value]) => {
+      if (!UPDATABLE_COLUMNS.includes(column)) {
+        throw new Error(`Failed to update subscription: column ${column} cannot be updated`);
+      }
+      params.push(value);
+      return `${column} = $${params.length}`;
+    });
+
+    try {
+      const result = await this.db.query(
+        `UPDATE subscriptions
+         SET ${assignments.join(', ')}, updated_at = NOW()
+         WHERE id = $1 AND status = ANY($2)
+         RETURNING *`,
+        params
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to update subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim a due subscription for charging
+   * Only one worker can hold the claim; it is released when the charge's
+   * outcome is recorded, or may be taken again once it times out.
+   * @param {string} subscriptionId - The subscription ID
+   * @param {number} timeoutMinutes - Age after which an unreleased claim may be taken again
+   * @returns {Promise<Object|null>} - Claimed row, or null if not due, not chargeable or already being charged
+   */
+  async claimDueCharge(subscriptionId, timeoutMinutes) {
+    try {
+      const result = await this.db.query(
+        `UPDATE subscriptions
+         SET charge_started_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = ANY($2) AND ${UNCLAIMED_CONDITION}
+           AND COALESCE(next_retry_at, next_charge_at) <= NOW()
+         RETURNING *`,
+        [subscriptionId, CHARGEABLE_STATUSES, timeoutMinutes]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to claim subscription charge: ${error.message}`);
+    }
+  }
+
+  /**
+   * List chargeable subscriptions whose charge or dunning retry is due
+   * @param {number} limit - Maximum rows to return
+   * @param {number} timeoutMinutes - Age after which an unreleased claim may be taken again
+   * @returns {Promise<Array<Object>>} - Subscription rows, most overdue first
+   */
+  async listDueSubscriptions(limit, timeoutMinutes) {
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM subscriptions
+         WHERE status = ANY($1) AND ${UNCLAIMED_CONDITION}
+           AND COALESCE(next_retry_at, next_charge_at) <= NOW()
+         ORDER BY COALESCE(next_retry_at, next_charge_at)
+         LIMIT $2`,
+        [CHARGEABLE_STATUSES, limit, timeoutMinutes]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Failed to list due subscriptions: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SubscriptionRepository;
+module.exports.CHARGEABLE_STATUSES = CHARGEABLE_STATUSES;
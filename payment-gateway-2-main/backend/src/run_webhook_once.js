@@ -4,7 +4,7 @@ const db = require('./config/db');
 
 async function main() {
   try {
-    const p = await db.query("SELECT id, merchant_id FROM payments WHERE status='success' AND merchant_id IS NOT NULL ORDER BY created_at DESC LIMIT 1");
+    const p = await db.query("SELECT id, merchant_id FROM payments WHERE status='captured' AND merchant_id IS NOT NULL ORDER BY created_at DESC LIMIT 1");
     if (!p.rows.length) return console.log('No successful payment found');
     const payment = (await db.query('SELECT * FROM payments WHERE id = $1', [p.rows[0].id])).rows[0];
     const m = await db.query('SELECT * FROM merchants WHERE id = $1', [payment.merchant_id]);
@@ -1,18 +1,45 @@
 const db = require('./config/db');
 const { v4: uuidv4 } = require('uuid');
+const { hashApiKey } = require('./utils/apiKeys');
 
 (async () => {
   try {
     const apiKey = 'test_key_abc123';
+    const publishableKey = 'pk_test_abc123';
+    const testModeKey = 'sk_test_mode_abc123';
     // Ensure merchants table exists and insert if missing
-    const res = await db.query('SELECT id FROM merchants WHERE api_key = $1', [apiKey]);
+    const res = await db.query('SELECT merchant_id AS id FROM api_keys WHERE key_hash = $1', [hashApiKey(apiKey)]);
     if (res.rows.length > 0) {
       console.log('Merchant already exists:', res.rows[0].id);
       process.exit(0);
     }
 
     const id = uuidv4();
-    await db.query('INSERT INTO merchants (id, name, api_key) VALUES ($1, $2, $3)', [id, 'Test Merchant', apiKey]);
+    // The test site (frontend/test-site) opens the checkout with the publishable key
+    await db.query(
+      'INSERT INTO merchants (id, name, allowed_origins) VALUES ($1, $2, $3)',
+      [id, 'Test Merchant', JSON.stringify(['http://localhost:8080'])]
+    );
+    await db.query(
+      'INSERT INTO api_keys (id, merchant_id, name, key_hash, key_last4) VALUES ($1, $2, $3, $4, $5)',
+      ['key_' + uuidv4().replace(/-/g, '').substring(0, 14), id, 'Default', hashApiKey(apiKey), apiKey.slice(-4)]
+    );
+    await db.query(
+      `INSERT INTO api_keys (id, merchant_id, type, name, key_hash, key_last4, scopes)
+       VALUES ($1, $2, 'publishable', $3, $4, $5, '[]')`,
+      ['key_' + uuidv4().replace(/-/g, '').substring(0, 14), id, 'Test site', hashApiKey(publishableKey), publishableKey.slice(-4)]
+    );
+    // Payments made with the test-mode key go to the merchant's sandbox account
+    // and have deterministic outcomes (see utils/sandbox.js)
+    await db.query(
+      'INSERT INTO merchants (name, mode, live_merchant_id) VALUES ($1, \'test\', $2)',
+      ['Test Merchant', id]
+    );
+    await db.query(
+      `INSERT INTO api_keys (id, merchant_id, mode, name, key_hash, key_last4)
+       VALUES ($1, $2, 'test', $3, $4, $5)`,
+      ['key_' + uuidv4().replace(/-/g, '').substring(0, 14), id, 'Test mode', hashApiKey(testModeKey), testModeKey.slice(-4)]
+    );
     console.log('Inserted test merchant with id:', id);
     process.exit(0);
   } catch (err) {
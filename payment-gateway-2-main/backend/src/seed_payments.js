@@ -7,16 +7,21 @@ process.env.DB_NAME = process.env.DB_NAME || 'payment_gateway';
 
 const db = require('./config/db');
 const { v4: uuidv4 } = require('uuid');
+const { hashApiKey } = require('./utils/apiKeys');
 
 (async () => {
   try {
     // Ensure test merchant exists (same as seed_merchant)
     const apiKey = 'test_key_abc123';
-    let m = (await db.query('SELECT id FROM merchants WHERE api_key = $1', [apiKey])).rows[0];
+    let m = (await db.query('SELECT merchant_id AS id FROM api_keys WHERE key_hash = $1', [hashApiKey(apiKey)])).rows[0];
     let merchantId;
     if (!m) {
       merchantId = uuidv4();
-      await db.query('INSERT INTO merchants (id, name, api_key) VALUES ($1, $2, $3)', [merchantId, 'Test Merchant', apiKey]);
+      await db.query('INSERT INTO merchants (id, name) VALUES ($1, $2)', [merchantId, 'Test Merchant']);
+      await db.query(
+        'INSERT INTO api_keys (id, merchant_id, name, key_hash, key_last4) VALUES ($1, $2, $3, $4, $5)',
+        ['key_' + uuidv4().replace(/-/g, '').substring(0, 14), merchantId, 'Default', hashApiKey(apiKey), apiKey.slice(-4)]
+      );
       console.log('Created test merchant', merchantId);
     } else {
       merchantId = m.id;
@@ -30,8 +35,8 @@ const { v4: uuidv4 } = require('uuid');
       const amount = 1000 + i * 100;
       const method = i % 2 === 0 ? 'card' : 'upi';
       await db.query(
-        'INSERT INTO payments (id, order_id, merchant_id, amount, status, method, created_at, updated_at) VALUES ($1,$2,$3,$4,$5,$6,NOW(),NOW())',
-        [paymentId, orderId, merchantId, amount, 'success', method]
+        'INSERT INTO payments (id, order_id, merchant_id, amount, status, method, captured, captured_amount, captured_at, created_at, updated_at) VALUES ($1,$2,$3,$4,$5,$6,true,$4,NOW(),NOW(),NOW())',
+        [paymentId, orderId, merchantId, amount, 'captured', method]
       );
       console.log('Inserted payment', paymentId);
     }
@@ -1,17 +1,133 @@
 const express = require('express');
-const { paymentQueue, refundQueue, webhookQueue } = require('./config/queue');
+const { paymentQueue, refundQueue, webhookQueue, subscriptionQueue, settlementQueue, connection } = require('./config/queue');
 const db = require('./config/db');
-const { v4: uuidv4 } = require('uuid');
+const { gatewayOrigins } = require('./config/payments');
 const cors = require('cors');
+const crypto = require('crypto');
+const PaymentRepository = require('./repository/PaymentRepository');
+const PaymentService = require('./services/PaymentService');
+const PaymentController = require('./controllers/PaymentController');
+const OrderRepository = require('./repository/OrderRepository');
+const OrderService = require('./services/OrderService');
+const OrderController = require('./controllers/OrderController');
+const RefundRepository = require('./repository/RefundRepository');
+const RefundService = require('./services/RefundService');
+const RefundController = require('./controllers/RefundController');
+const CustomerRepository = require('./repository/CustomerRepository');
+const CustomerService = require('./services/CustomerService');
+const CustomerController = require('./controllers/CustomerController');
+const PaymentLinkRepository = require('./repository/PaymentLinkRepository');
+const PaymentLinkService = require('./services/PaymentLinkService');
+const PaymentLinkController = require('./controllers/PaymentLinkController');
+const SubscriptionRepository = require('./repository/SubscriptionRepository');
+const SubscriptionService = require('./services/SubscriptionService');
+const SubscriptionController = require('./controllers/SubscriptionController');
+const InvoiceRepository = require('./repository/InvoiceRepository');
+const InvoiceService = require('./services/InvoiceService');
+const InvoiceController = require('./controllers/InvoiceController');
+const SettlementRepository = require('./repository/SettlementRepository');
+const SettlementService = require('./services/SettlementService');
+const SettlementController = require('./controllers/SettlementController');
+const PricingRepository = require('./repository/PricingRepository');
+const PricingService = require('./services/PricingService');
+const PricingController = require('./controllers/PricingController');
+const LedgerRepository = require('./repository/LedgerRepository');
+const LedgerService = require('./services/LedgerService');
+const LedgerController = require('./controllers/LedgerController');
+const ReconciliationRepository = require('./repository/ReconciliationRepository');
+const ReconciliationService = require('./services/ReconciliationService');
+const ReconciliationController = require('./controllers/ReconciliationController');
+const DisputeRepository = require('./repository/DisputeRepository');
+const DisputeService = require('./services/DisputeService');
+const DisputeController = require('./controllers/DisputeController');
+const RiskRepository = require('./repository/RiskRepository');
+const RiskService = require('./services/RiskService');
+const RiskController = require('./controllers/RiskController');
+const MerchantRepository = require('./repository/MerchantRepository');
+const MerchantService = require('./services/MerchantService');
+const MerchantController = require('./controllers/MerchantController');
+const AcquirerService = require('./services/AcquirerService');
+const AcquirerController = require('./controllers/AcquirerController');
+const RateLimitService = require('./services/RateLimitService');
+const IdempotencyRepository = require('./repository/IdempotencyRepository');
+const IdempotencyService = require('./services/IdempotencyService');
+const { validateIdempotencyKey } = require('./utils/idempotency');
+const { requiredScope, hasScope } = require('./utils/apiKeys');
+const { webhookRetryJob } = require('./utils/webhooks');
+const MockBankAdapter = require('./adapters/MockBankAdapter');
 
 const app = express();
 
+const orderRepository = new OrderRepository(db);
+const customerRepository = new CustomerRepository(db);
+const paymentLinkRepository = new PaymentLinkRepository(db);
+const invoiceRepository = new InvoiceRepository(db);
+const pricingService = new PricingService(new PricingRepository(db));
+const ledgerService = new LedgerService(new LedgerRepository(db));
+const riskService = new RiskService(new RiskRepository(db), connection);
+const merchantService = new MerchantService(new MerchantRepository(db));
+const rateLimitService = new RateLimitService(connection);
+const idempotencyService = new IdempotencyService(new IdempotencyRepository(db));
+const orderService = new OrderService(orderRepository, customerRepository);
+const acquirerService = new AcquirerService(new PaymentRepository(db), paymentQueue);
+const paymentService = new PaymentService(
+    new PaymentRepository(db), orderRepository, paymentQueue, webhookQueue, customerRepository,
+    paymentLinkRepository, invoiceRepository, pricingService, ledgerService, riskService, acquirerService,
+    subscriptionQueue
+);
+const paymentController = new PaymentController(paymentService);
+const orderController = new OrderController(orderService);
+const paymentLinkController = new PaymentLinkController(
+    new PaymentLinkService(paymentLinkRepository, orderService, orderRepository)
+);
+const invoiceController = new InvoiceController(
+    new InvoiceService(invoiceRepository, orderService, orderRepository, customerRepository)
+);
+const customerController = new CustomerController(new CustomerService(customerRepository));
+const subscriptionController = new SubscriptionController(
+    new SubscriptionService(new SubscriptionRepository(db), customerRepository, orderService, paymentService, subscriptionQueue, webhookQueue)
+);
+const settlementController = new SettlementController(
+    new SettlementService(new SettlementRepository(db), new MockBankAdapter(), settlementQueue, webhookQueue, ledgerService)
+);
+const pricingController = new PricingController(pricingService);
+const ledgerController = new LedgerController(ledgerService);
+const reconciliationController = new ReconciliationController(
+    new ReconciliationService(new ReconciliationRepository(db))
+);
+const disputeController = new DisputeController(
+    new DisputeService(new DisputeRepository(db), webhookQueue, ledgerService)
+);
+const riskController = new RiskController(riskService);
+const merchantController = new MerchantController(merchantService);
+const acquirerController = new AcquirerController(acquirerService);
+const refundController = new RefundController(new RefundService(new RefundRepository(db), refundQueue));
+
 // Middleware
-app.use(cors()); 
+// CORS: browsers may call the API from the gateway's own pages and from any
+// origin a merchant allows. Preflights carry no API key, so they are answered
+// for every merchant's origins; authenticateCheckout then holds publishable
+// keys to their own merchant's.
+app.use(cors({
+    origin: async (origin, callback) => {
+        if (!origin || gatewayOrigins.includes(origin)) {
+            return callback(null, true);
+        }
+        try {
+            callback(null, await merchantService.isOriginAllowed(origin));
+        } catch (err) {
+            console.error('CORS Error:', err.message);
+            callback(null, false);
+        }
+    }
+}));
 app.use(express.json());
+// Statement CSVs are parsed here rather than on their route so that the
+// idempotency middleware fingerprints them like any JSON body
+app.use('/api/v1/reconciliations', express.text({ type: 'text/csv', limit: '5mb' }));
 
-// Authentication Middleware - Validates API Key
-const authMiddleware = async (req, res, next) => {
+// Authentication Middleware - Validates API Key (merchants are cached by MerchantService)
+const authenticate = async (req, res, next) => {
     const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
     
     if (!apiKey) {
@@ -19,17 +135,21 @@ const authMiddleware = async (req, res, next) => {
     }
 
     try {
-        // Log incoming API key (masked) for debugging
-        const masked = apiKey.length > 6 ? apiKey.slice(0,3) + '...' + apiKey.slice(-3) : apiKey;
-        console.log(`🔐 Auth attempt - apiKey=${masked} ip=${req.ip}`);
-        const merchantRes = await db.query('SELECT id FROM merchants WHERE api_key = $1', [apiKey]);
-        console.log('🔎 Merchant rows:', merchantRes.rows.length);
-        if (merchantRes.rows.length === 0) {
+        const auth = await merchantService.authenticate(apiKey);
+        if (!auth) {
+            console.log(`🔐 Rejected invalid API key - ip=${req.ip}`);
             return res.status(401).json({ error: 'Unauthorized', message: 'Invalid API key' });
         }
+        if (auth.type === 'publishable') {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Publishable keys only work with the checkout API; use a secret key' });
+        }
         
         // Attach merchant ID to request for use in route handlers
-        req.merchantId = merchantRes.rows[0].id;
+        req.merchantId = auth.merchantId;
+        req.apiKeyId = auth.keyId;
+        req.apiKeyMode = auth.mode;
+        req.apiKeyScopes = auth.scopes;
+        req.rateLimits = auth.rateLimits;
         next();
     } catch (err) {
         console.error('Auth Error:', err);
@@ -37,94 +157,194 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
-// Apply auth middleware to payment API routes
-app.use('/api/v1/payments', authMiddleware);
+// Scope Middleware - The API key must have a scope covering the requested
+// resource: read for GET and HEAD, write for everything else (see utils/apiKeys.js)
+const authorize = (req, res, next) => {
+    const { resource, access } = requiredScope(req.method, req.originalUrl.split('?')[0]);
+    if (!hasScope(req.apiKeyScopes, resource, access)) {
+        const needed = resource ? `${resource}:${access}` : '*';
+        return res.status(403).json({
+            error: { code: 'INSUFFICIENT_SCOPE', description: `This API key does not have the ${needed} scope` }
+        });
+    }
+    next();
+};
 
-// --- 1. POST /api/v1/payments ---
-app.post('/api/v1/payments', async (req, res) => {
-    const { order_id, amount, method } = req.body;
-    const idempotencyKey = req.headers['idempotency-key'];
+// Rate Limit Middleware - Counts the request against its API key's limit for
+// reads (GET, HEAD) or writes (everything else) and rejects it with 429 once
+// the limit for the current window is used up
+const rateLimit = async (req, res, next) => {
+    const endpointClass = req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+    const result = await rateLimitService.consume(req.apiKeyId, endpointClass, req.rateLimits[endpointClass]);
+    if (!result) {
+        return next();
+    }
 
-    try {
-        // A. Idempotency Check
-        if (idempotencyKey) {
-            const cached = await db.query('SELECT response_body FROM idempotency_keys WHERE key = $1 AND merchant_id = $2', [idempotencyKey, req.merchantId]);
-            if (cached.rows.length > 0) {
-                return res.status(200).json(cached.rows[0].response_body);
+    res.set({
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(result.resetAt)
+    });
+    if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({
+            error: {
+                code: 'RATE_LIMITED',
+                description: `Too many ${endpointClass} requests for this API key; retry after ${result.retryAfterSeconds} seconds`
             }
-        }
+        });
+    }
+    next();
+};
 
-        // B. Use authenticated merchant ID
-        const merchantId = req.merchantId;
+// Idempotency Middleware - A POST carrying an Idempotency-Key header runs once
+// per key: retries replay its status code and body, a retry while it is still
+// running gets 409 and reusing the key for a different request gets 422
+const idempotency = async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (req.method !== 'POST' || key === undefined) {
+        return next();
+    }
 
-        // C. Create Payment Record
-        const paymentId = 'pay_' + uuidv4().replace(/-/g, '').substring(0, 15);
-        await db.query(
-            'INSERT INTO payments (id, order_id, merchant_id, amount, status, method) VALUES ($1, $2, $3, $4, $5, $6)',
-            [paymentId, order_id, merchantId, amount, 'pending', method]
-        );
+    const keyError = validateIdempotencyKey(key);
+    if (keyError) {
+        return res.status(400).json({ error: { code: 'INVALID_IDEMPOTENCY_KEY', description: keyError } });
+    }
 
-        const responseData = { id: paymentId, order_id, amount, status: 'pending' };
+    try {
+        const outcome = await idempotencyService.begin(req.merchantId, key, {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            body: req.body
+        });
+        if (!outcome.acquired) {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(outcome.statusCode).json(outcome.body);
+        }
+    } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ error: { code: err.code, description: err.message } });
+        }
+        console.error('Idempotency Error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
 
-        // D. Save Idempotency Key
-        if (idempotencyKey) {
-            await db.query(
-                'INSERT INTO idempotency_keys (key, merchant_id, response_body, created_at, expires_at) VALUES ($1, $2, $3, NOW(), NOW() + INTERVAL \'24 hours\')', 
-                [idempotencyKey, merchantId, JSON.stringify(responseData)]
-            );
+    // Store the response before sending it, so a retry made after it arrives replays it
+    let stored = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        stored = true;
+        idempotencyService.complete(req.merchantId, key, res.statusCode, body)
+            .catch(err => console.error('Idempotency Error:', err.message))
+            .finally(() => sendJson(body));
+        return res;
+    };
+    // A request that ends without a JSON response leaves nothing to replay
+    res.on('close', () => {
+        if (!stored) {
+            idempotencyService.release(req.merchantId, key)
+                .catch(err => console.error('Idempotency Error:', err.message));
         }
+    });
+    next();
+};
 
-        // E. Enqueue for Async Processing
-        await paymentQueue.add('process-payment', { paymentId });
+const authMiddleware = [authenticate, authorize, rateLimit, idempotency];
 
-        res.status(201).json(responseData);
-    } catch (err) {
-        console.error("Payment Error:", err);
-        res.status(500).json({ error: 'Internal server error', details: err.message });
+// Live Mode Middleware - Account settings (API keys, allowed origins) belong to
+// the live merchant, so they can only be managed with a live key; test keys act
+// as the merchant's sandbox account
+const liveModeOnly = (req, res, next) => {
+    if (req.apiKeyMode !== 'live') {
+        return res.status(403).json({
+            error: { code: 'LIVE_MODE_REQUIRED', description: 'Use a live API key to manage account settings' }
+        });
     }
-});
+    next();
+};
 
-// --- 2. POST /api/v1/payments/:payment_id/refunds ---
-app.post('/api/v1/payments/:payment_id/refunds', async (req, res) => {
-    const { payment_id } = req.params;
-    const { amount: requestedAmount, reason } = req.body;
+// Checkout Middleware - The checkout authenticates with a publishable key,
+// which can load the merchant's orders, pay them and poll those payments.
+// Without a key only payment link and invoice orders can be reached, as the
+// hosted pages for them are opened from a link rather than the SDK.
+// Browsers must use the key from an origin its merchant allows: the request's
+// own, or for the embedded checkout (served from a gateway origin) the page
+// embedding it, which the checkout reports in X-Checkout-Origin and must send.
+// The checkout page itself may only be framed by those origins (see
+// merchantController.getCheckoutFramePolicy), so the embedding page cannot lie.
+const authenticateCheckout = async (req, res, next) => {
+    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+    if (!apiKey) {
+        return next();
+    }
 
     try {
-        const paymentRes = await db.query('SELECT * FROM payments WHERE id = $1', [payment_id]);
-        const payment = paymentRes.rows[0];
+        const auth = await merchantService.authenticate(apiKey);
+        if (!auth || auth.type !== 'publishable') {
+            return res.status(401).json({ error: 'Unauthorized', message: 'Invalid publishable key' });
+        }
 
-        if (!payment || payment.status !== 'success') {
-            return res.status(400).json({ 
-                error: { code: 'BAD_REQUEST_ERROR', description: 'Only successful payments can be refunded' } 
+        const fromGateway = gatewayOrigins.includes(req.headers.origin);
+        const origin = fromGateway ? req.headers['x-checkout-origin'] : req.headers.origin;
+        if (fromGateway && !origin) {
+            return res.status(403).json({
+                error: { code: 'CHECKOUT_ORIGIN_REQUIRED', description: 'X-Checkout-Origin is required for the embedded checkout' }
             });
         }
-
-        // Calculate total previously refunded
-        const refundsRes = await db.query(
-            'SELECT SUM(amount) as total FROM refunds WHERE payment_id = $1 AND status IN (\'processed\', \'pending\')',
-            [payment_id]
-        );
-        const totalRefunded = parseInt(refundsRes.rows[0].total || 0);
-
-        if (requestedAmount + totalRefunded > payment.amount) {
-            return res.status(400).json({ 
-                error: { code: 'BAD_REQUEST_ERROR', description: 'Refund amount exceeds available balance' } 
+        if (origin && !auth.allowedOrigins.includes(origin)) {
+            return res.status(403).json({
+                error: { code: 'ORIGIN_NOT_ALLOWED', description: 'This origin is not allowed for this merchant' }
             });
         }
 
-        const refundId = 'rfnd_' + uuidv4().replace(/-/g, '').substring(0, 15);
-        await db.query(
-            'INSERT INTO refunds (id, payment_id, merchant_id, amount, reason, status) VALUES ($1, $2, $3, $4, $5, $6)',
-            [refundId, payment_id, payment.merchant_id, requestedAmount, reason, 'pending']
-        );
-
-        await refundQueue.add('process-refund', { refundId });
-        res.status(201).json({ id: refundId, payment_id, amount: requestedAmount, status: 'pending' });
+        req.merchantId = auth.merchantId;
+        req.apiKeyId = auth.keyId;
+        req.rateLimits = auth.rateLimits;
+        rateLimit(req, res, next);
     } catch (err) {
-        console.error("Refund Error:", err);
-        res.status(500).json({ error: 'Refund processing failed' });
+        console.error('Auth Error:', err);
+        res.status(500).json({ error: 'Internal server error' });
     }
-});
+};
+
+// Admin Middleware - Operator-only routes (e.g. merchant pricing) require the
+// ADMIN_API_KEY in the x-admin-key header; they are disabled while it is unset
+const adminMiddleware = (req, res, next) => {
+    const adminKey = Buffer.from(process.env.ADMIN_API_KEY || '');
+    const provided = Buffer.from(String(req.headers['x-admin-key'] || ''));
+
+    if (adminKey.length === 0 || provided.length !== adminKey.length || !crypto.timingSafeEqual(provided, adminKey)) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Valid admin key required in x-admin-key header' });
+    }
+    next();
+};
+
+// Apply auth middleware to payment, order, customer, payment link, plan, subscription, invoice, settlement, pricing, balance, reconciliation, dispute, risk, API key and allowed origin routes
+app.use('/api/v1/payments', authMiddleware);
+app.use('/api/v1/orders', authMiddleware);
+app.use('/api/v1/customers', authMiddleware);
+app.use('/api/v1/payment_links', authMiddleware);
+app.use('/api/v1/plans', authMiddleware);
+app.use('/api/v1/subscriptions', authMiddleware);
+app.use('/api/v1/invoices', authMiddleware);
+app.use('/api/v1/settlements', authMiddleware);
+app.use('/api/v1/pricing', authMiddleware);
+app.use('/api/v1/balance', authMiddleware);
+app.use('/api/v1/reconciliations', authMiddleware);
+app.use('/api/v1/disputes', authMiddleware);
+app.use('/api/v1/risk', authMiddleware);
+// API key responses carry new secrets, which must not be stored for idempotent replay
+app.use('/api/v1/api_keys', authenticate, authorize, liveModeOnly, rateLimit);
+app.use('/api/v1/allowed_origins', authenticate, authorize, liveModeOnly, rateLimit, idempotency);
+app.use('/api/v1/checkout/orders', authenticateCheckout);
+app.use('/api/v1/checkout/payments', authenticateCheckout);
+app.use('/api/v1/admin', adminMiddleware);
+
+// --- 1. POST /api/v1/payments ---
+app.post('/api/v1/payments', paymentController.createPayment);
+
+// --- 2. POST /api/v1/payments/:payment_id/refunds ---
+app.post('/api/v1/payments/:payment_id/refunds', refundController.createRefund);
 
 // --- 3. GET /api/v1/test/jobs/status ---
 app.get('/api/v1/test/jobs/status', async (req, res) => {
@@ -148,6 +368,122 @@ app.get('/api/v1/test/jobs/status', async (req, res) => {
     }
 });
 
+// --- 4. GET /api/v1/payments ---
+app.get('/api/v1/payments', paymentController.listPayments);
+
+// --- 5. GET /api/v1/payments/:payment_id ---
+app.get('/api/v1/payments/:payment_id', paymentController.getPayment);
+
+// --- 6. POST /api/v1/payments/:payment_id/capture ---
+app.post('/api/v1/payments/:payment_id/capture', paymentController.capturePayment);
+
+// --- 7. POST /api/v1/payments/:payment_id/cancel ---
+app.post('/api/v1/payments/:payment_id/cancel', paymentController.cancelPayment);
+
+// --- 8. POST /api/v1/orders ---
+app.post('/api/v1/orders', orderController.createOrder);
+
+// --- 9. GET /api/v1/orders/:order_id ---
+app.get('/api/v1/orders/:order_id', orderController.getOrder);
+
+// --- 10. Hosted checkout (publishable key, or public for link and invoice orders) ---
+app.get('/api/v1/checkout/orders/:order_id', orderController.getCheckoutOrder);
+app.post('/api/v1/checkout/payments', paymentController.createCheckoutPayment);
+app.get('/api/v1/checkout/payments/:payment_id', paymentController.getCheckoutPayment);
+app.get('/api/v1/checkout/frame_policy', merchantController.getCheckoutFramePolicy);
+
+// --- 11. GET /api/v1/payments/:payment_id/timeline ---
+app.get('/api/v1/payments/:payment_id/timeline', paymentController.getPaymentTimeline);
+
+// --- 12. Customers and saved payment methods ---
+app.post('/api/v1/customers', customerController.createCustomer);
+app.get('/api/v1/customers/:customer_id', customerController.getCustomer);
+app.post('/api/v1/customers/:customer_id/tokens', customerController.createToken);
+app.get('/api/v1/customers/:customer_id/tokens', customerController.listTokens);
+app.delete('/api/v1/customers/:customer_id/tokens/:token_id', customerController.deleteToken);
+
+// --- 13. Payment links (hosted page at short_url, paid through the checkout) ---
+app.post('/api/v1/payment_links', paymentLinkController.createLink);
+app.get('/api/v1/payment_links', paymentLinkController.listLinks);
+app.get('/api/v1/payment_links/:payment_link_id', paymentLinkController.getLink);
+app.post('/api/v1/payment_links/:payment_link_id/cancel', paymentLinkController.cancelLink);
+app.get('/api/v1/checkout/payment_links/:payment_link_id', paymentLinkController.getCheckoutLink);
+
+// --- 14. Plans and subscriptions (cycles charged by SubscriptionWorker) ---
+app.post('/api/v1/plans', subscriptionController.createPlan);
+app.get('/api/v1/plans', subscriptionController.listPlans);
+app.get('/api/v1/plans/:plan_id', subscriptionController.getPlan);
+app.post('/api/v1/subscriptions', subscriptionController.createSubscription);
+app.get('/api/v1/subscriptions', subscriptionController.listSubscriptions);
+app.get('/api/v1/subscriptions/:subscription_id', subscriptionController.getSubscription);
+app.post('/api/v1/subscriptions/:subscription_id/pause', subscriptionController.pauseSubscription);
+app.post('/api/v1/subscriptions/:subscription_id/resume', subscriptionController.resumeSubscription);
+app.post('/api/v1/subscriptions/:subscription_id/cancel', subscriptionController.cancelSubscription);
+
+// --- 15. Invoices (hosted page at short_url, paid through the checkout) ---
+app.post('/api/v1/invoices', invoiceController.createInvoice);
+app.get('/api/v1/invoices', invoiceController.listInvoices);
+app.get('/api/v1/invoices/:invoice_id', invoiceController.getInvoice);
+app.post('/api/v1/invoices/:invoice_id/cancel', invoiceController.cancelInvoice);
+app.get('/api/v1/checkout/invoices/:invoice_id', invoiceController.getCheckoutInvoice);
+app.get('/api/v1/checkout/invoices/:invoice_id/receipt', invoiceController.getInvoiceReceipt);
+
+// --- 16. Settlements (daily payout batches built by SettlementWorker) ---
+app.get('/api/v1/settlements', settlementController.listSettlements);
+app.get('/api/v1/settlements/:settlement_id', settlementController.getSettlement);
+app.get('/api/v1/settlements/:settlement_id/transactions', settlementController.listTransactions);
+
+// --- 17. Pricing (fee and tax charged at capture; changed by the operator) ---
+app.get('/api/v1/pricing', pricingController.getPricing);
+app.get('/api/v1/pricing/versions', pricingController.listPricingVersions);
+app.post('/api/v1/admin/merchants/:merchant_id/pricing', pricingController.updatePricing);
+
+// --- 18. Balance (double-entry ledger, checked by LedgerWorker) ---
+app.get('/api/v1/balance', ledgerController.getBalance);
+
+// --- 19. Reconciliation of acquirer statements (CSV bodies up to 5 MB, or JSON) ---
+app.post('/api/v1/reconciliations', reconciliationController.importStatement);
+app.get('/api/v1/reconciliations', reconciliationController.listReconciliations);
+app.get('/api/v1/reconciliations/:reconciliation_id', reconciliationController.getReconciliation);
+app.get('/api/v1/reconciliations/:reconciliation_id/items', reconciliationController.listItems);
+
+// --- 20. Disputes (opened and resolved by the operator; lost past respond_by by DisputeWorker) ---
+app.get('/api/v1/disputes', disputeController.listDisputes);
+app.get('/api/v1/disputes/:dispute_id', disputeController.getDispute);
+app.post('/api/v1/disputes/:dispute_id/evidence', disputeController.submitEvidence);
+app.post('/api/v1/admin/payments/:payment_id/disputes', disputeController.createDispute);
+app.post('/api/v1/admin/disputes/:dispute_id/resolve', disputeController.resolveDispute);
+
+// --- 21. Risk (payments screened before they are queued; held ones approved or rejected here) ---
+app.post('/api/v1/payments/:payment_id/approve', paymentController.approvePayment);
+app.post('/api/v1/payments/:payment_id/reject', paymentController.rejectPayment);
+app.get('/api/v1/risk/settings', riskController.getSettings);
+app.put('/api/v1/risk/settings', riskController.updateSettings);
+app.get('/api/v1/risk/blocklist', riskController.listBlocklist);
+app.post('/api/v1/risk/blocklist', riskController.addBlocklistEntry);
+app.delete('/api/v1/risk/blocklist/:entry_id', riskController.removeBlocklistEntry);
+app.get('/api/v1/admin/risk/blocklist', riskController.listBlocklist);
+app.post('/api/v1/admin/risk/blocklist', riskController.addBlocklistEntry);
+app.delete('/api/v1/admin/risk/blocklist/:entry_id', riskController.removeBlocklistEntry);
+
+// --- 22. Merchant API rate limits (per API key and window; see config/payments.js) ---
+app.post('/api/v1/admin/merchants/:merchant_id/rate_limits', merchantController.updateRateLimits);
+
+// --- 23. API keys (stored hashed; secrets shown once, when created or rotated) ---
+app.get('/api/v1/api_keys', merchantController.listApiKeys);
+app.post('/api/v1/api_keys', merchantController.createApiKey);
+app.post('/api/v1/api_keys/:key_id/rotate', merchantController.rotateApiKey);
+app.post('/api/v1/api_keys/:key_id/revoke', merchantController.revokeApiKey);
+app.post('/api/v1/admin/merchants/:merchant_id/api_keys', merchantController.createApiKey);
+
+// --- 24. Browser origins allowed to use publishable keys ---
+app.get('/api/v1/allowed_origins', merchantController.getAllowedOrigins);
+app.post('/api/v1/allowed_origins', merchantController.updateAllowedOrigins);
+
+// --- 25. Acquirers (payments routed per method and merchant; callbacks are signed, not authenticated) ---
+app.post('/api/v1/acquirer_callbacks/:acquirer', acquirerController.handleCallback);
+app.post('/api/v1/admin/merchants/:merchant_id/acquirer_routes', merchantController.updateAcquirerRoutes);
+
 // Start Server
 const PORT = 8000;
 app.listen(PORT, () => {
@@ -177,11 +513,8 @@ app.post('/api/v1/webhooks/:webhook_id/retry', authMiddleware, async (req, res)
         // Reset attempts and set status pending
         await db.query('UPDATE webhook_logs SET status = $1, attempts = 0, next_retry_at = NOW(), response_code = NULL, response_body = NULL WHERE id = $2', ['pending', webhook_id]);
 
-        // Enqueue delivery job using payload when available
-        const payload = w.payload ? JSON.parse(w.payload) : null;
-        const paymentId = payload?.data?.payment?.id || null;
-
-        await webhookQueue.add('send-webhook', { event: w.event, paymentId, merchantId: w.merchant_id, attempt: 1 });
+        // Enqueue delivery job naming the entities of the logged payload
+        await webhookQueue.add('send-webhook', webhookRetryJob(w));
         res.json({ id: webhook_id, status: 'pending', message: 'Webhook retry scheduled' });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -0,0 +1,244 @@
+const {
+  acquirerRoutes,
+  acquirerStatusCheckIntervalSeconds,
+  acquirerMaxStatusChecks
+} = require('../config/payments');
+const { DEFAULT_ROUTE } = require('../utils/acquirers');
+const SimulatedAcquirerAdapter = require('../adapters/SimulatedAcquirerAdapter');
+const MockAcquirerAdapter = require('../adapters/MockAcquirerAdapter');
+
+// Acquirer of payments made before acquirers were recorded, and of test-mode payments
+const SIMULATED_ACQUIRER = 'simulated';
+
+// Statuses of payments whose capture the gateway has recorded
+const CAPTURED_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+
+/**
+ * AcquirerService - Routes payments to acquirers through their adapters
+ * Responsible for:
+ * - Choosing a payment's acquirer from its merchant's routes, then the
+ *   gateway's (acquirerRoutes); test-mode payments always use the simulated one
+ * - Authorizing payments, and checking back with the acquirer while an
+ *   outcome is pending or unknown (timeouts), failing them after
+ *   acquirerMaxStatusChecks checks
+ * - Capturing, voiding and refunding through the acquirer that authorized the payment
+ * - Giving back captures the acquirer made but the gateway could not record
+ * - Accepting acquirers' callbacks, which trigger a status check
+ *
+ * Every acquirer adapter implements:
+ * - authorize(payment) -> { status: 'authorized' | 'declined' | 'pending', reference, errorCode, errorDescription }
+ * - capture(payment, amount) -> { status: 'captured' | 'declined', ... }
+ * - void(payment) -> { status: 'voided' | 'declined', ... }
+ * - refund(payment, refund) -> { status: 'processed' | 'declined', reference, ... }
+ * - status(payment) -> same as authorize(), or { status: 'not_found' }
+ * - verifyCallback(body, signature) -> payment ID or null (acquirers that send callbacks)
+ * A decline is an outcome; a thrown error means the acquirer could not be
+ * reached or did not answer in time. Workers and services depend only on this
+ * service, so a real processor is added as another adapter here and in
+ * utils/acquirers.js (ACQUIRERS).
+ */
+class AcquirerService {
+  constructor(
+    paymentRepository,
+    paymentQueue,
+    adapters = { simulated: new SimulatedAcquirerAdapter(), mock: new MockAcquirerAdapter() },
+    routes = acquirerRoutes
+  ) {
+    this.paymentRepository = paymentRepository;
+    this.paymentQueue = paymentQueue;
+    this.adapters = adapters;
+    this.routes = routes;
+  }
+
+  /**
+   * The acquirer a payment is sent to
+   * @param {Object} payment - Payment row with its merchant's mode and routes
+   *   as merchant_mode and merchant_acquirer_routes
+   * @returns {string} - Acquirer name
+   */
+  route(payment) {
+    if (payment.merchant_mode === 'test') {
+      return SIMULATED_ACQUIRER;
+    }
+
+    const merchantRoutes = payment.merchant_acquirer_routes || {};
+    return merchantRoutes[payment.method]
+      || merchantRoutes[DEFAULT_ROUTE]
+      || this.routes[payment.method]
+      || this.routes[DEFAULT_ROUTE]
+      || SIMULATED_ACQUIRER;
+  }
+
+  /**
+   * Get a pending payment's authorization outcome: the first attempt sends it
+   * to its acquirer, later ones (status checks) ask the acquirer about it.
+   * While the outcome is pending or unknown another check is scheduled; after
+   * the last one the authorization is voided and the payment declined.
+   * @param {Object} payment - Pending payment row (as for route())
+   * @param {number} [check] - Status checks made so far
+   * @returns {Promise<Object>} - { status: 'authorized' | 'declined' | 'pending', acquirer,
+   *   reference, errorCode, errorDescription }
+   */
+  async authorize(payment, check = 0) {
+    let acquirer = payment.acquirer;
+    let result;
+    try {
+      if (!acquirer) {
+        acquirer = this.route(payment);
+        // Recorded first, so a lost answer is looked up with the same acquirer
+        await this.paymentRepository.assignAcquirer(payment.id, acquirer);
+        result = await this._adapter(acquirer).authorize(payment);
+      } else {
+        result = await this._adapter(acquirer).status(payment);
+        if (result.status === 'not_found') {
+          result = await this._adapter(acquirer).authorize(payment);
+        }
+      }
+    } catch (error) {
+      console.error(`[AcquirerService] ${acquirer} did not answer for payment ${payment.id}: ${error.message}`);
+      result = { status: 'pending', reference: null, errorCode: null, errorDescription: null };
+    }
+
+    if (result.status === 'authorized' || result.status === 'declined') {
+      return { ...result, acquirer };
+    }
+
+    if (check < acquirerMaxStatusChecks) {
+      await this.paymentQueue.add('check-payment', { paymentId: payment.id, check: check + 1 }, {
+        delay: acquirerStatusCheckIntervalSeconds * 1000,
+        jobId: `check_${payment.id}_${check + 1}`
+      });
+      return { ...result, status: 'pending', acquirer };
+    }
+
+    await this.void({ ...payment, acquirer })
+      .catch(error => console.error(`[AcquirerService] Void failed for payment ${payment.id}: ${error.message}`));
+    return {
+      status: 'declined',
+      acquirer,
+      reference: result.reference,
+      errorCode: 'ACQUIRER_TIMEOUT',
+      errorDescription: 'The acquirer did not confirm the payment in time'
+    };
+  }
+
+  /**
+   * Capture an authorized payment with its acquirer
+   * @param {Object} payment - Payment row
+   * @param {number} amount - Amount to capture
+   * @returns {Promise<Object>} - { status: 'captured' | 'declined', errorCode, errorDescription }
+   */
+  async capture(payment, amount) {
+    return this._adapter(this._acquirerOf(payment)).capture(payment, amount);
+  }
+
+  /**
+   * Release a payment's authorization with its acquirer
+   * @param {Object} payment - Payment row
+   * @returns {Promise<Object>} - { status: 'voided' | 'declined', errorCode, errorDescription }
+   */
+  async void(payment) {
+    return this._adapter(this._acquirerOf(payment)).void(payment);
+  }
+
+  /**
+   * Refund a captured payment with its acquirer
+   * @param {Object} payment - Payment row
+   * @param {Object} refund - Refund row
+   * @returns {Promise<Object>} - { status: 'processed' | 'declined', reference, errorCode, errorDescription }
+   */
+  async refund(payment, refund) {
+    return this._adapter(this._acquirerOf(payment)).refund(payment, refund);
+  }
+
+  /**
+   * Give back a capture the acquirer made but the gateway could not record
+   * because the payment left 'authorized' (was cancelled or expired) in the
+   * meantime. A capture another request recorded is left alone: acquirers
+   * capture a payment once, so both requests got the same capture. The refund
+   * is keyed by the payment, so it is never made twice.
+   * @param {Object} payment - Payment row the capture was made for
+   * @param {number} amount - Captured amount
+   * @returns {Promise<Object|null>} - Refund result, or null if the capture was recorded
+   */
+  async reverseCapture(payment, amount) {
+    const current = await this.paymentRepository.getPaymentForMerchant(payment.id, payment.merchant_id);
+    if (current && CAPTURED_STATUSES.includes(current.status)) {
+      return null;
+    }
+
+    const result = await this.refund(payment, { id: `rvsl_${payment.id}`, amount });
+    if (result.status !== 'processed') {
+      console.error(`[AcquirerService] Capture of payment ${payment.id} could not be reversed: ${result.errorDescription}`);
+    }
+    return result;
+  }
+
+  /**
+   * Accept an acquirer's callback about a payment and check the payment's
+   * status with the acquirer. The callback's own content is not trusted
+   * beyond naming the payment.
+   * @param {string} acquirer - Acquirer name, from the callback URL
+   * @param {Object} body - Callback body
+   * @param {string} signature - Signature sent with the callback
+   * @returns {Promise<string>} - ID of the payment being checked
+   * @throws {Error} - ACQUIRER_NOT_FOUND or INVALID_SIGNATURE
+   */
+  async handleCallback(acquirer, body, signature) {
+    const adapter = Object.prototype.hasOwnProperty.call(this.adapters, acquirer) ? this.adapters[acquirer] : null;
+    if (!adapter || !adapter.verifyCallback) {
+      throw this._createError('ACQUIRER_NOT_FOUND', 'Acquirer not found or does not send callbacks', 404);
+    }
+
+    const paymentId = adapter.verifyCallback(body, signature);
+    if (!paymentId) {
+      throw this._createError('INVALID_SIGNATURE', 'Callback signature is invalid', 401);
+    }
+
+    // Not counted as a status check, so it does not shorten the scheduled ones.
+    // One check per payment: redelivered callbacks do not queue more.
+    await this.paymentQueue.add('check-payment', { paymentId, check: 0 }, { jobId: `callback_${paymentId}` });
+    return paymentId;
+  }
+
+  /**
+   * Acquirer that processed a payment
+   * @private
+   * @param {Object} payment - Payment row
+   * @returns {string}
+   */
+  _acquirerOf(payment) {
+    return payment.acquirer || SIMULATED_ACQUIRER;
+  }
+
+  /**
+   * Adapter of an acquirer
+   * @private
+   * @param {string} acquirer - Acquirer name
+   * @returns {Object}
+   */
+  _adapter(acquirer) {
+    const adapter = this.adapters[acquirer];
+    if (!adapter) {
+      throw new Error(`No adapter for acquirer ${acquirer}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = AcquirerService;
@@ -0,0 +1,154 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * CustomerService - Handles all business logic related to customers
+ * Responsible for:
+ * - Customer creation and merchant-scoped retrieval
+ * - Tokenizing cards and UPI VPAs into a customer's vault
+ * - Listing and deleting saved tokens
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class CustomerService {
+  constructor(customerRepository) {
+    this.customerRepository = customerRepository;
+  }
+
+  /**
+   * Create a customer
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} params - Validated customer parameters
+   * @param {string} [params.name] - Customer name
+   * @param {string} [params.email] - Customer email
+   * @param {string} [params.contact] - Customer phone number
+   * @param {Object} [params.notes] - Merchant key-value notes
+   * @returns {Promise<Object>} - Created customer row
+   */
+  async createCustomer(merchantId, { name, email, contact, notes }) {
+    return this.customerRepository.createCustomer({
+      id: this._generateCustomerId(),
+      merchantId,
+      name,
+      email,
+      contact,
+      notes
+    });
+  }
+
+  /**
+   * Retrieve one of the merchant's customers
+   * @param {string} customerId - The customer ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Customer row
+   * @throws {Error} - CUSTOMER_NOT_FOUND if the customer does not belong to the merchant
+   */
+  async getCustomer(customerId, merchantId) {
+    const customer = await this.customerRepository.getCustomerForMerchant(customerId, merchantId);
+    if (!customer) {
+      throw this._createError('CUSTOMER_NOT_FOUND', 'Customer not found', 404);
+    }
+    return customer;
+  }
+
+  /**
+   * Save a payment method for a customer
+   * Only the card's network, last4 and expiry reach this method; the
+   * controller drops the number once those are derived.
+   * @param {string} customerId - The customer ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} params - Validated token parameters
+   * @param {string} params.method - 'card' or 'upi'
+   * @param {Object} [params.card] - { network, last4, fingerprint, expiryMonth, expiryYear }
+   * @param {string} [params.vpa] - UPI VPA
+   * @returns {Promise<Object>} - Created token row
+   * @throws {Error} - CUSTOMER_NOT_FOUND
+   */
+  async createToken(customerId, merchantId, { method, card, vpa }) {
+    await this.getCustomer(customerId, merchantId);
+
+    const tokenData = {
+      id: this._generateTokenId(),
+      customerId,
+      merchantId,
+      method
+    };
+
+    if (method === 'card') {
+      tokenData.cardNetwork = card.network;
+      tokenData.cardLast4 = card.last4;
+      tokenData.cardFingerprint = card.fingerprint;
+      tokenData.cardExpiryMonth = card.expiryMonth;
+      tokenData.cardExpiryYear = card.expiryYear;
+    } else {
+      tokenData.vpa = vpa;
+    }
+
+    return this.customerRepository.createToken(tokenData);
+  }
+
+  /**
+   * List a customer's saved tokens
+   * @param {string} customerId - The customer ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Array<Object>>} - Token rows
+   * @throws {Error} - CUSTOMER_NOT_FOUND
+   */
+  async listTokens(customerId, merchantId) {
+    await this.getCustomer(customerId, merchantId);
+    return this.customerRepository.listTokens(customerId);
+  }
+
+  /**
+   * Delete a customer's saved token
+   * @param {string} customerId - The customer ID
+   * @param {string} tokenId - The token ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Deleted token row
+   * @throws {Error} - CUSTOMER_NOT_FOUND or TOKEN_NOT_FOUND
+   */
+  async deleteToken(customerId, tokenId, merchantId) {
+    await this.getCustomer(customerId, merchantId);
+
+    const token = await this.customerRepository.deleteToken(tokenId, customerId);
+    if (!token) {
+      throw this._createError('TOKEN_NOT_FOUND', 'Token not found', 404);
+    }
+    return token;
+  }
+
+  /**
+   * Generate a unique customer ID
+   * @private
+   * @returns {string} - Customer ID
+   */
+  _generateCustomerId() {
+    return 'cust_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Generate a unique token ID
+   * @private
+   * @returns {string} - Token ID
+   */
+  _generateTokenId() {
+    return 'token_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = CustomerService;
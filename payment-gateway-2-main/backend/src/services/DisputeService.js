@@ -0,0 +1,266 @@
+const { v4: uuidv4 } = require('uuid');
+const { disputeResponseDays } = require('../config/payments');
+
+const DISPUTE_STATUSES = Object.freeze(['open', 'under_review', 'won', 'lost']);
+
+// Payment statuses with captured money left to dispute
+const DISPUTABLE_PAYMENT_STATUSES = ['captured', 'partially_refunded'];
+
+// How many overdue disputes one expiry run resolves
+const EXPIRY_BATCH_SIZE = 100;
+
+/**
+ * DisputeService - Handles all business logic related to disputes
+ * Responsible for:
+ * - Opening disputes against captured payments (operator / simulator)
+ * - Holding the disputed amount from the merchant's balance until resolution
+ * - Taking the merchant's evidence: open -> under_review, before the response deadline
+ * - Resolving disputes: won (hold released) or lost (released and charged back);
+ *   open disputes past their deadline are lost
+ * - Notifying merchants with dispute.created / dispute.under_review / dispute.won /
+ *   dispute.lost webhooks
+ * - Merchant-scoped retrieval and listing of disputes
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class DisputeService {
+  constructor(disputeRepository, webhookQueue, ledgerService) {
+    this.disputeRepository = disputeRepository;
+    this.webhookQueue = webhookQueue;
+    this.ledgerService = ledgerService;
+  }
+
+  /**
+   * Open a dispute against a captured payment
+   * @param {string} paymentId - The disputed payment ID
+   * @param {Object} disputeData - Validated dispute data
+   * @param {number} [disputeData.amount] - Disputed amount; defaults to what is left of the
+   *   payment after refunds
+   * @param {string} disputeData.reason - One of DISPUTE_REASONS
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} - Created dispute row
+   * @throws {Error} - PAYMENT_NOT_FOUND, PAYMENT_NOT_DISPUTABLE, INVALID_AMOUNT or DISPUTE_EXISTS
+   */
+  async createDispute(paymentId, { amount, reason }, now = new Date()) {
+    const payment = await this.disputeRepository.getPaymentWithRefunds(paymentId);
+    if (!payment) {
+      throw this._createError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+    }
+
+    const disputable = (payment.captured_amount ?? payment.amount) - payment.refunded_amount;
+    if (!DISPUTABLE_PAYMENT_STATUSES.includes(payment.status) || disputable <= 0) {
+      throw this._createError(
+        'PAYMENT_NOT_DISPUTABLE', `Payment is ${payment.status}; only captured money can be disputed`, 409
+      );
+    }
+    if (amount !== undefined && amount > disputable) {
+      throw this._createError('INVALID_AMOUNT', `Amount exceeds the disputable amount of ${disputable}`, 400);
+    }
+
+    const dispute = await this.disputeRepository.createDispute({
+      id: this._generateDisputeId(),
+      merchantId: payment.merchant_id,
+      paymentId: payment.id,
+      amount: amount ?? disputable,
+      currency: payment.currency,
+      reason,
+      respondBy: new Date(now.getTime() + disputeResponseDays * 24 * 60 * 60 * 1000)
+    });
+    if (!dispute) {
+      throw this._createError('DISPUTE_EXISTS', 'Payment has already been disputed', 409);
+    }
+
+    // The hold stands even if posting fails; the ledger check job posts it later
+    await this.ledgerService.recordDisputeHold(dispute)
+      .catch(error => console.error(`[DisputeService] Ledger posting failed for ${dispute.id}: ${error.message}`));
+    await this._sendWebhook('dispute.created', dispute);
+    return dispute;
+  }
+
+  /**
+   * Retrieve one of the merchant's disputes
+   * @param {string} disputeId - The dispute ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Dispute row
+   * @throws {Error} - DISPUTE_NOT_FOUND if it does not belong to the merchant
+   */
+  async getDispute(disputeId, merchantId) {
+    const dispute = await this.disputeRepository.getDisputeForMerchant(disputeId, merchantId);
+    if (!dispute) {
+      throw this._createError('DISPUTE_NOT_FOUND', 'Dispute not found', 404);
+    }
+    return dispute;
+  }
+
+  /**
+   * List a merchant's disputes with cursor pagination
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} filters - Validated filters ({ status })
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {string} [page.cursor] - ID of the last dispute of the previous page
+   * @returns {Promise<Object>} - { disputes, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the merchant's disputes
+   */
+  async listDisputes(merchantId, filters, page) {
+    if (page.cursor) {
+      const cursorDispute = await this.disputeRepository.getDisputeForMerchant(page.cursor, merchantId);
+      if (!cursorDispute) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known dispute', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.disputeRepository.listDisputes(merchantId, filters, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const disputes = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      disputes,
+      hasMore,
+      nextCursor: hasMore ? disputes[disputes.length - 1].id : null
+    };
+  }
+
+  /**
+   * Submit the merchant's evidence, putting the dispute under review
+   * @param {string} disputeId - The dispute ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} evidence - Validated evidence
+   * @returns {Promise<Object>} - Updated dispute row
+   * @throws {Error} - DISPUTE_NOT_FOUND, DISPUTE_NOT_OPEN or EVIDENCE_DEADLINE_PASSED
+   */
+  async submitEvidence(disputeId, merchantId, evidence) {
+    const updated = await this.disputeRepository.submitEvidence(disputeId, merchantId, evidence);
+    if (!updated) {
+      const dispute = await this.getDispute(disputeId, merchantId);
+      if (dispute.status !== 'open') {
+        throw this._createError(
+          'DISPUTE_NOT_OPEN', `Dispute is ${dispute.status}; evidence can only be submitted while it is open`, 409
+        );
+      }
+      throw this._createError('EVIDENCE_DEADLINE_PASSED', 'The deadline to respond to this dispute has passed', 409);
+    }
+
+    await this._sendWebhook('dispute.under_review', updated);
+    return updated;
+  }
+
+  /**
+   * Resolve an open or under-review dispute (operator / simulator)
+   * @param {string} disputeId - The dispute ID
+   * @param {string} status - 'won' or 'lost'
+   * @returns {Promise<Object>} - Resolved dispute row
+   * @throws {Error} - DISPUTE_NOT_FOUND or DISPUTE_ALREADY_RESOLVED
+   */
+  async resolveDispute(disputeId, status) {
+    const dispute = await this.disputeRepository.getDisputeById(disputeId);
+    if (!dispute) {
+      throw this._createError('DISPUTE_NOT_FOUND', 'Dispute not found', 404);
+    }
+
+    const resolved = await this._resolve(dispute, status, ['open', 'under_review']);
+    if (!resolved) {
+      const current = await this.disputeRepository.getDisputeById(disputeId);
+      throw this._createError('DISPUTE_ALREADY_RESOLVED', `Dispute is already ${current.status}`, 409);
+    }
+    return resolved;
+  }
+
+  /**
+   * Lose the open disputes whose response deadline has passed without evidence
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Array<Object>>} - Disputes lost
+   */
+  async expireOverdueDisputes(now = new Date()) {
+    const overdue = await this.disputeRepository.listOverdueDisputes(now, EXPIRY_BATCH_SIZE);
+
+    const lost = [];
+    for (const dispute of overdue) {
+      // Skipped if evidence arrived in the meantime
+      const resolved = await this._resolve(dispute, 'lost', ['open']);
+      if (resolved) lost.push(resolved);
+    }
+    return lost;
+  }
+
+  /**
+   * Move a dispute to won or lost, release its hold and charge back a lost one
+   * @private
+   * @param {Object} dispute - Dispute row
+   * @param {string} status - 'won' or 'lost'
+   * @param {Array<string>} fromStatuses - Statuses the dispute may be resolved from
+   * @returns {Promise<Object|null>} - Resolved row, or null if its status changed
+   */
+  async _resolve(dispute, status, fromStatuses) {
+    const resolved = await this.disputeRepository.updateDispute(dispute.id, fromStatuses, {
+      status,
+      resolved_at: new Date()
+    });
+    if (!resolved) return null;
+
+    // A missed posting is picked up by the ledger check job
+    await this._postResolution(resolved)
+      .catch(error => console.error(`[DisputeService] Ledger posting failed for ${resolved.id}: ${error.message}`));
+    await this._sendWebhook(`dispute.${status}`, resolved);
+    return resolved;
+  }
+
+  /**
+   * @private
+   */
+  async _postResolution(dispute) {
+    await this.ledgerService.recordDisputeRelease(dispute);
+    if (dispute.status === 'lost') {
+      await this.ledgerService.recordChargeback(dispute);
+    }
+  }
+
+  /**
+   * Enqueue a dispute webhook
+   * @private
+   * @param {string} event - dispute.* event name
+   * @param {Object} dispute - Dispute row
+   * @returns {Promise<void>}
+   */
+  async _sendWebhook(event, dispute) {
+    await this.webhookQueue.add('send-webhook', {
+      event,
+      disputeId: dispute.id,
+      paymentId: dispute.payment_id,
+      merchantId: dispute.merchant_id
+    });
+  }
+
+  /**
+   * Generate a unique dispute ID
+   * @private
+   * @returns {string} - Dispute ID
+   */
+  _generateDisputeId() {
+    return 'disp_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = DisputeService;
+module.exports.DISPUTE_STATUSES = DISPUTE_STATUSES;
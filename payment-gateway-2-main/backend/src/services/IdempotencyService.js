@@ -0,0 +1,120 @@
+const { idempotencyKeyTtlHours, idempotencyLockTimeoutSeconds } = require('../config/payments');
+const { fingerprintRequest } = require('../utils/idempotency');
+
+/**
+ * IdempotencyService - Handles Idempotency-Key headers on POST requests
+ * Responsible for:
+ * - Locking a key for the first request using it, so concurrent retries
+ *   are refused instead of repeating its side effects
+ * - Refusing a key reused for a request with a different method, path or body
+ * - Storing each request's response and replaying it to retries
+ * - Purging expired keys
+ *
+ * Server errors (5xx) are not stored: the key is released so the request
+ * can be retried.
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class IdempotencyService {
+  constructor(idempotencyRepository) {
+    this.idempotencyRepository = idempotencyRepository;
+  }
+
+  /**
+   * Start handling a request carrying an idempotency key
+   * @param {string} merchantId - The merchant ID
+   * @param {string} key - Idempotency-Key header value
+   * @param {Object} request - The request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Request path
+   * @param {*} request.body - Parsed request body
+   * @returns {Promise<Object>} - { acquired: true } if the request should run, else
+   *   { acquired: false, statusCode, body } to replay
+   * @throws {Error} - IDEMPOTENCY_KEY_MISMATCH if the key was used for another request,
+   *   IDEMPOTENCY_KEY_IN_USE while the first request with the key is still running
+   */
+  async begin(merchantId, key, { method, path, body }) {
+    const fingerprint = fingerprintRequest(method, path, body);
+
+    const acquired = await this.idempotencyRepository.acquire(key, merchantId, fingerprint, {
+      ttlHours: idempotencyKeyTtlHours,
+      lockTimeoutSeconds: idempotencyLockTimeoutSeconds
+    });
+    if (acquired) {
+      return { acquired: true };
+    }
+
+    const existing = await this.idempotencyRepository.find(key, merchantId);
+
+    // Keys stored before requests were fingerprinted replay without the check
+    if (existing && existing.request_fingerprint !== null && existing.request_fingerprint !== fingerprint) {
+      throw this._createError(
+        'IDEMPOTENCY_KEY_MISMATCH', 'This Idempotency-Key was already used with different request parameters', 422
+      );
+    }
+    // A missing key was released or purged since the lock attempt; a retry will take it
+    if (!existing || existing.status === 'in_progress') {
+      throw this._createError(
+        'IDEMPOTENCY_KEY_IN_USE', 'A request with this Idempotency-Key is still being processed; retry later', 409
+      );
+    }
+
+    return {
+      acquired: false,
+      statusCode: existing.status_code ?? 200,
+      body: existing.response_body
+    };
+  }
+
+  /**
+   * Finish a request that held a key: store its response, or release the
+   * key if the request failed on the server
+   * @param {string} merchantId - The merchant ID
+   * @param {string} key - Idempotency-Key header value
+   * @param {number} statusCode - HTTP status code sent
+   * @param {*} body - JSON body sent
+   * @returns {Promise<void>}
+   */
+  async complete(merchantId, key, statusCode, body) {
+    if (statusCode >= 500) {
+      return this.idempotencyRepository.release(key, merchantId);
+    }
+    return this.idempotencyRepository.complete(key, merchantId, statusCode, body);
+  }
+
+  /**
+   * Release a key whose request ended without a JSON response
+   * @param {string} merchantId - The merchant ID
+   * @param {string} key - Idempotency-Key header value
+   * @returns {Promise<void>}
+   */
+  async release(merchantId, key) {
+    return this.idempotencyRepository.release(key, merchantId);
+  }
+
+  /**
+   * Delete expired keys
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  async purgeExpired() {
+    return this.idempotencyRepository.purgeExpired();
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,213 @@
+const { v4: uuidv4 } = require('uuid');
+const { computeInvoiceTotals } = require('../utils/invoices');
+
+/**
+ * InvoiceService - Handles all business logic related to invoices
+ * Responsible for:
+ * - Computing line, discount, tax and invoice totals
+ * - Creating an invoice together with the order it is paid through
+ * - Merchant-scoped retrieval and listing
+ * - Cancelling unpaid invoices and closing their orders
+ * - Exposing invoices to the hosted invoice page and its receipts
+ *
+ * Invoices are paid through the regular checkout flow on their order; the
+ * workers mark them paid when that order's payment is captured.
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class InvoiceService {
+  constructor(invoiceRepository, orderService, orderRepository, customerRepository) {
+    this.invoiceRepository = invoiceRepository;
+    this.orderService = orderService;
+    this.orderRepository = orderRepository;
+    this.customerRepository = customerRepository;
+  }
+
+  /**
+   * Issue an invoice and create its order
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} params - Validated invoice parameters
+   * @param {Array<Object>} params.lineItems - { name, description?, quantity?, unit_amount, tax_rate? }
+   * @param {string} params.currency - ISO 4217 currency code
+   * @param {number} [params.discountAmount] - Fixed discount in minor units
+   * @param {number} [params.discountPercent] - Percentage discount
+   * @param {string} [params.customerId] - Customer the invoice is for; their saved methods are offered at checkout
+   * @param {Object} [params.customer] - { name, email } printed on the invoice, defaulting to the customer's
+   * @param {string} [params.invoiceNumber] - Merchant's own invoice number
+   * @param {string} [params.description] - Shown to the payer
+   * @param {Date} [params.dueDate] - When payment is due
+   * @param {Object} [params.notes] - Merchant key-value notes, copied to the order
+   * @returns {Promise<Object>} - Created invoice row
+   * @throws {Error} - INVALID_DISCOUNT, INVALID_AMOUNT or CUSTOMER_NOT_FOUND
+   */
+  async createInvoice(merchantId, {
+    lineItems, currency, discountAmount, discountPercent, customerId, customer = {},
+    invoiceNumber, description, dueDate, notes
+  }) {
+    let totals;
+    try {
+      totals = computeInvoiceTotals(lineItems, { discountAmount, discountPercent });
+    } catch (error) {
+      throw this._createError('INVALID_DISCOUNT', error.message, 400);
+    }
+
+    if (totals.total <= 0) {
+      throw this._createError('INVALID_AMOUNT', 'Invoice total must be greater than zero', 400);
+    }
+
+    let billedTo = customer;
+    if (customerId) {
+      const saved = await this.customerRepository.getCustomerForMerchant(customerId, merchantId);
+      if (!saved) {
+        throw this._createError('CUSTOMER_NOT_FOUND', 'Customer not found', 400);
+      }
+      billedTo = { name: customer.name || saved.name, email: customer.email || saved.email };
+    }
+
+    const id = this._generateInvoiceId();
+
+    // The invoice ID doubles as the order receipt so the order can be traced back to it
+    const order = await this.orderService.createOrder(merchantId, {
+      amount: totals.total,
+      currency,
+      receipt: id,
+      notes,
+      customerId
+    });
+
+    return this.invoiceRepository.createInvoice({
+      id,
+      merchantId,
+      orderId: order.id,
+      customerId,
+      invoiceNumber,
+      customer: billedTo,
+      description,
+      currency,
+      lineItems: totals.lineItems,
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxAmount: totals.taxAmount,
+      amount: totals.total,
+      dueDate,
+      notes
+    });
+  }
+
+  /**
+   * Retrieve one of the merchant's invoices
+   * @param {string} invoiceId - The invoice ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Invoice row
+   * @throws {Error} - INVOICE_NOT_FOUND if the invoice does not belong to the merchant
+   */
+  async getInvoice(invoiceId, merchantId) {
+    const invoice = await this.invoiceRepository.getInvoiceForMerchant(invoiceId, merchantId);
+    if (!invoice) {
+      throw this._createError('INVOICE_NOT_FOUND', 'Invoice not found', 404);
+    }
+    return invoice;
+  }
+
+  /**
+   * List a merchant's invoices with cursor pagination
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} filters - Validated filters ({ status, customerId })
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {string} [page.cursor] - ID of the last invoice of the previous page
+   * @returns {Promise<Object>} - { invoices, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the merchant's invoices
+   */
+  async listInvoices(merchantId, filters, page) {
+    if (page.cursor) {
+      const cursorInvoice = await this.invoiceRepository.getInvoiceForMerchant(page.cursor, merchantId);
+      if (!cursorInvoice) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known invoice', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.invoiceRepository.listInvoices(merchantId, filters, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const invoices = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      invoices,
+      hasMore,
+      nextCursor: hasMore ? invoices[invoices.length - 1].id : null
+    };
+  }
+
+  /**
+   * Cancel an unpaid invoice so it can no longer be paid
+   * @param {string} invoiceId - The invoice ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Cancelled invoice row
+   * @throws {Error} - INVOICE_NOT_FOUND or INVOICE_NOT_CANCELLABLE
+   */
+  async cancelInvoice(invoiceId, merchantId) {
+    const invoice = await this.getInvoice(invoiceId, merchantId);
+
+    if (invoice.status !== 'issued') {
+      throw this._createError(
+        'INVOICE_NOT_CANCELLABLE',
+        `Invoice is already ${invoice.status} and can no longer be cancelled`,
+        400
+      );
+    }
+
+    const cancelled = await this.invoiceRepository.cancelInvoice(invoiceId, merchantId);
+    if (!cancelled) {
+      throw this._createError('INVOICE_NOT_CANCELLABLE', 'Invoice changed state while cancelling; retry to see its current status', 409);
+    }
+
+    await this.orderRepository.cancelOrder(cancelled.order_id);
+    return cancelled;
+  }
+
+  /**
+   * Retrieve an invoice for the hosted invoice page and its receipts
+   * @param {string} invoiceId - The invoice ID
+   * @returns {Promise<Object>} - Invoice row with merchant_name
+   * @throws {Error} - INVOICE_NOT_FOUND if the invoice does not exist
+   */
+  async getCheckoutInvoice(invoiceId) {
+    const invoice = await this.invoiceRepository.getInvoiceById(invoiceId);
+    if (!invoice) {
+      throw this._createError('INVOICE_NOT_FOUND', 'Invoice not found', 404);
+    }
+    return invoice;
+  }
+
+  /**
+   * Generate a unique invoice ID
+   * @private
+   * @returns {string} - Invoice ID
+   */
+  _generateInvoiceId() {
+    return 'inv_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,239 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Merchant accounts: what the gateway owes the merchant, and what it holds
+// back while the merchant's payments are disputed
+const MERCHANT_BALANCE = 'merchant_balance';
+const DISPUTE_RESERVE = 'dispute_reserve';
+
+// Gateway accounts
+const ACQUIRER_RECEIVABLE = 'acquirer_receivable';
+const FEE_REVENUE = 'fee_revenue';
+const TAX_PAYABLE = 'tax_payable';
+const GATEWAY_BANK = 'gateway_bank';
+
+const JOURNAL_TYPES = Object.freeze([
+  'capture', 'fee', 'refund', 'dispute_hold', 'dispute_release', 'chargeback', 'payout'
+]);
+
+// How many unposted movements of each kind one backfill run posts
+const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * LedgerService - Handles all business logic related to the double-entry ledger
+ * Responsible for:
+ * - Posting captures, fees (and the tax on them), refunds, dispute holds, chargebacks and payouts
+ * - Merchant balances derived from the ledger
+ * - Posting movements whose journal was missed (e.g. a crash right after a capture)
+ * - Checking the ledger's invariants: every journal balances, and so does the whole ledger
+ *
+ * Postings per movement:
+ * - capture:         Dr acquirer_receivable     Cr merchant_balance
+ * - fee:             Dr merchant_balance        Cr fee_revenue, Cr tax_payable
+ * - refund:          Dr merchant_balance        Cr acquirer_receivable
+ * - dispute_hold:    Dr merchant_balance        Cr dispute_reserve
+ * - dispute_release: Dr dispute_reserve         Cr merchant_balance
+ * - chargeback:      Dr merchant_balance        Cr acquirer_receivable
+ * - payout:          Dr merchant_balance        Cr gateway_bank
+ *
+ * A dispute's amount is held when it opens and released when it is
+ * resolved; a lost dispute is then charged back.
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class LedgerService {
+  constructor(ledgerRepository) {
+    this.ledgerRepository = ledgerRepository;
+  }
+
+  /**
+   * Post a captured payment and the fee and tax charged on it
+   * @param {Object} payment - Captured payment row
+   * @returns {Promise<void>}
+   */
+  async recordCapture(payment) {
+    const amount = payment.captured_amount ?? payment.amount;
+    await this._post('capture', payment, payment.id, [
+      { account: ACQUIRER_RECEIVABLE, debit: amount },
+      { account: MERCHANT_BALANCE, merchant: true, credit: amount }
+    ]);
+
+    const fee = payment.fee || 0;
+    const tax = payment.tax || 0;
+    await this._post('fee', payment, payment.id, [
+      { account: MERCHANT_BALANCE, merchant: true, debit: fee + tax },
+      { account: FEE_REVENUE, credit: fee },
+      { account: TAX_PAYABLE, credit: tax }
+    ]);
+  }
+
+  /**
+   * Post a processed refund
+   * @param {Object} refund - Processed refund row
+   * @returns {Promise<void>}
+   */
+  async recordRefund(refund) {
+    await this._post('refund', refund, refund.id, [
+      { account: MERCHANT_BALANCE, merchant: true, debit: refund.amount },
+      { account: ACQUIRER_RECEIVABLE, credit: refund.amount }
+    ]);
+  }
+
+  /**
+   * Post the hold of a disputed amount: it leaves the merchant's balance
+   * until the dispute is resolved
+   * @param {Object} dispute - Dispute row
+   * @returns {Promise<void>}
+   */
+  async recordDisputeHold(dispute) {
+    await this._post('dispute_hold', dispute, dispute.id, [
+      { account: MERCHANT_BALANCE, merchant: true, debit: dispute.amount },
+      { account: DISPUTE_RESERVE, merchant: true, credit: dispute.amount }
+    ]);
+  }
+
+  /**
+   * Post the release of a resolved dispute's held amount
+   * @param {Object} dispute - Won or lost dispute row
+   * @returns {Promise<void>}
+   */
+  async recordDisputeRelease(dispute) {
+    await this._post('dispute_release', dispute, dispute.id, [
+      { account: DISPUTE_RESERVE, merchant: true, debit: dispute.amount },
+      { account: MERCHANT_BALANCE, merchant: true, credit: dispute.amount }
+    ]);
+  }
+
+  /**
+   * Post a chargeback: disputed funds taken back by the acquirer
+   * @param {Object} chargeback - { id, merchant_id, payment_id, currency, amount }
+   * @returns {Promise<void>}
+   */
+  async recordChargeback(chargeback) {
+    await this._post('chargeback', chargeback, chargeback.id, [
+      { account: MERCHANT_BALANCE, merchant: true, debit: chargeback.amount },
+      { account: ACQUIRER_RECEIVABLE, credit: chargeback.amount }
+    ]);
+  }
+
+  /**
+   * Post a settlement paid out to the merchant's bank account
+   * @param {Object} settlement - Settled settlement row
+   * @returns {Promise<void>}
+   */
+  async recordPayout(settlement) {
+    await this._post('payout', settlement, settlement.id, [
+      { account: MERCHANT_BALANCE, merchant: true, debit: settlement.amount },
+      { account: GATEWAY_BANK, credit: settlement.amount }
+    ]);
+  }
+
+  /**
+   * A merchant's balance per currency: captures less fees, tax, refunds,
+   * chargebacks and what has been paid out
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Array<Object>>} - Rows of { currency, balance }
+   */
+  async getBalance(merchantId) {
+    return this.ledgerRepository.getAccountBalances(MERCHANT_BALANCE, merchantId);
+  }
+
+  /**
+   * Post captures, refunds, disputes and payouts that happened before
+   * `before` but have no journal yet. Movements are normally posted as they
+   * happen; this catches any that were missed.
+   * @param {Date} before - Only movements older than this are posted, so
+   *   those being posted right now are left alone
+   * @returns {Promise<Object>} - { captures, refunds, disputes, payouts } counts posted
+   */
+  async postMissingJournals(before) {
+    const captures = await this.ledgerRepository.listUnpostedCaptures(before, BACKFILL_BATCH_SIZE);
+    for (const payment of captures) await this.recordCapture(payment);
+
+    const refunds = await this.ledgerRepository.listUnpostedRefunds(before, BACKFILL_BATCH_SIZE);
+    for (const refund of refunds) await this.recordRefund(refund);
+
+    // A dispute's hold is posted before its release, and its release before its chargeback
+    let disputes = 0;
+    for (const [type, record] of [
+      ['dispute_hold', dispute => this.recordDisputeHold(dispute)],
+      ['dispute_release', dispute => this.recordDisputeRelease(dispute)],
+      ['chargeback', dispute => this.recordChargeback(dispute)]
+    ]) {
+      const unposted = await this.ledgerRepository.listUnpostedDisputes(type, before, BACKFILL_BATCH_SIZE);
+      for (const dispute of unposted) await record(dispute);
+      disputes += unposted.length;
+    }
+
+    const payouts = await this.ledgerRepository.listUnpostedPayouts(before, BACKFILL_BATCH_SIZE);
+    for (const settlement of payouts) await this.recordPayout(settlement);
+
+    return { captures: captures.length, refunds: refunds.length, disputes, payouts: payouts.length };
+  }
+
+  /**
+   * Check that every journal balances and that total debits equal total
+   * credits in each currency
+   * @returns {Promise<Object>} - { balanced, unbalancedJournals, trialBalance }
+   */
+  async checkInvariants() {
+    const unbalancedJournals = await this.ledgerRepository.listUnbalancedJournals(100);
+    const trialBalance = await this.ledgerRepository.getTrialBalance();
+
+    const balanced = unbalancedJournals.length === 0 &&
+      trialBalance.every(({ debit, credit }) => debit === credit);
+    return { balanced, unbalancedJournals, trialBalance };
+  }
+
+  /**
+   * Post a journal of the given lines; lines of zero are left out and a
+   * journal without any lines is not posted
+   * @private
+   * @param {string} type - One of JOURNAL_TYPES
+   * @param {Object} source - Row the movement belongs to (merchant_id, currency, payment_id or id)
+   * @param {string} referenceId - ID of the entity that moved the money
+   * @param {Array<Object>} lines - { account, merchant?, debit?, credit? }
+   * @returns {Promise<Object|null>} - Posted journal, or null if there was nothing to post
+   * @throws {Error} - If the lines do not balance
+   */
+  async _post(type, source, referenceId, lines) {
+    const entries = lines
+      .filter(line => (line.debit || 0) + (line.credit || 0) > 0)
+      .map(line => ({
+        account: line.account,
+        merchant_id: line.merchant ? source.merchant_id : null,
+        debit: line.debit || 0,
+        credit: line.credit || 0
+      }));
+    if (entries.length === 0) return null;
+
+    const debit = entries.reduce((sum, entry) => sum + entry.debit, 0);
+    const credit = entries.reduce((sum, entry) => sum + entry.credit, 0);
+    if (debit !== credit) {
+      throw new Error(`Unbalanced ${type} journal for ${referenceId}: debits ${debit}, credits ${credit}`);
+    }
+
+    return this.ledgerRepository.postJournal({
+      id: this._generateJournalId(),
+      type,
+      merchantId: source.merchant_id,
+      currency: source.currency,
+      referenceId,
+      paymentId: type === 'payout' ? null : (source.payment_id || source.id),
+      entries
+    });
+  }
+
+  /**
+   * @private
+   */
+  _generateJournalId() {
+    return 'jrnl_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+}
+
+module.exports = LedgerService;
+module.exports.JOURNAL_TYPES = JOURNAL_TYPES;
+module.exports.LEDGER_ACCOUNTS = Object.freeze({
+  MERCHANT_BALANCE, DISPUTE_RESERVE, ACQUIRER_RECEIVABLE, FEE_REVENUE, TAX_PAYABLE, GATEWAY_BANK
+});
@@ -0,0 +1,346 @@
+const { v4: uuidv4 } = require('uuid');
+const { rateLimitDefaults, apiKeyCacheTtlSeconds } = require('../config/payments');
+const { generateApiKeySecret, hashApiKey, coversScopes } = require('../utils/apiKeys');
+
+// Most API keys kept in the authentication cache; the oldest is evicted first
+const MAX_CACHED_KEYS = 10000;
+
+/**
+ * MerchantService - Handles merchant authentication and account settings
+ * Responsible for:
+ * - Authenticating API keys, caching each key so requests do not query the
+ *   database every time
+ * - Issuing, rotating and revoking merchants' API keys; only their hashes
+ *   are stored and the secret is returned once, on creation
+ * - Keeping test and live data apart: a test key acts as its merchant's
+ *   sandbox account, created with the merchant's first test key
+ * - Keeping a key from issuing, rotating or revoking keys with scopes it
+ *   does not have itself
+ * - Resolving the rate limits that apply to a merchant's API keys
+ * - Changing a merchant's rate limits and acquirer routes (admin API)
+ * - Managing the browser origins allowed to use a merchant's publishable
+ *   keys, and answering whether any merchant allows an origin (CORS)
+ *
+ * The caches are per process: a change made through another API instance
+ * (e.g. a revoked key) is seen here once the cached entry expires
+ * (apiKeyCacheTtlSeconds).
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class MerchantService {
+  constructor(merchantRepository) {
+    this.merchantRepository = merchantRepository;
+    this.keyCache = new Map();
+    this.originCache = null;
+  }
+
+  /**
+   * Find the active API key a request was made with
+   * @param {string} apiKey - API key sent with the request
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {Promise<Object|null>} - { merchantId, accountId, keyId, type, mode, scopes,
+   *   allowedOrigins, rateLimits: { read, write } }, or null if the key is not valid.
+   *   merchantId is the account the request acts as: the sandbox account for test
+   *   keys. accountId is the live merchant that owns the key.
+   */
+  async authenticate(apiKey, now = Date.now()) {
+    const keyHash = hashApiKey(apiKey);
+
+    const cached = this.keyCache.get(keyHash);
+    if (cached && cached.expiresAt > now) {
+      return cached.auth;
+    }
+    this.keyCache.delete(keyHash);
+
+    const key = await this.merchantRepository.useApiKey(keyHash);
+    if (!key || (key.mode === 'test' && !key.test_merchant_id)) {
+      return null;
+    }
+
+    const auth = {
+      merchantId: key.mode === 'test' ? key.test_merchant_id : key.merchant_id,
+      accountId: key.merchant_id,
+      keyId: key.id,
+      type: key.type,
+      mode: key.mode,
+      scopes: key.scopes,
+      allowedOrigins: key.allowed_origins,
+      rateLimits: this._rateLimits(key)
+    };
+
+    if (this.keyCache.size >= MAX_CACHED_KEYS) {
+      // Maps iterate in insertion order, so the first key is the oldest
+      this.keyCache.delete(this.keyCache.keys().next().value);
+    }
+    // A rotated key must not outlive its overlap in the cache
+    let expiresAt = now + apiKeyCacheTtlSeconds * 1000;
+    if (key.expires_at) {
+      expiresAt = Math.min(expiresAt, new Date(key.expires_at).getTime());
+    }
+    this.keyCache.set(keyHash, { auth, expiresAt });
+
+    return auth;
+  }
+
+  /**
+   * Issue a new API key to a merchant. The first test key creates the
+   * merchant's sandbox account.
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} keyData - Validated key data ({ type, mode, name, scopes })
+   * @param {Array<string>|null} [callerScopes] - Scopes of the API key making the
+   *   request, or null when an admin issues the key
+   * @returns {Promise<Object>} - Created key row, with the secret as `key`
+   * @throws {Error} - INSUFFICIENT_SCOPE, MERCHANT_NOT_FOUND
+   */
+  async createApiKey(merchantId, { type, mode, name, scopes }, callerScopes = null) {
+    this._checkCallerScopes(callerScopes, scopes, 'issue');
+    if (mode === 'test') {
+      await this.merchantRepository.ensureTestAccount(merchantId);
+    }
+
+    const secret = generateApiKeySecret(type, mode);
+    const key = await this.merchantRepository.createApiKey({
+      id: this._generateKeyId(),
+      merchantId,
+      type,
+      mode,
+      name,
+      keyHash: hashApiKey(secret),
+      keyLast4: secret.slice(-4),
+      scopes
+    });
+    if (!key) {
+      throw this._createError('MERCHANT_NOT_FOUND', 'Merchant not found', 404);
+    }
+    return { ...key, key: secret };
+  }
+
+  /**
+   * List a merchant's API keys, including expired and revoked ones
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Array<Object>>} - Key rows
+   */
+  async listApiKeys(merchantId) {
+    return this.merchantRepository.listApiKeys(merchantId);
+  }
+
+  /**
+   * Replace an API key with a new one of the same type, mode, name and scopes. The old
+   * key keeps working for overlapHours so it can be swapped out without downtime.
+   * @param {string} keyId - The key being rotated
+   * @param {string} merchantId - The merchant ID
+   * @param {number} overlapHours - Hours the old key keeps working
+   * @param {Array<string>|null} [callerScopes] - Scopes of the API key making the request
+   * @returns {Promise<Object>} - New key row with the secret as `key` and the old
+   *   key's new expiry as `rotated_key_expires_at`
+   * @throws {Error} - API_KEY_NOT_FOUND, INSUFFICIENT_SCOPE, API_KEY_NOT_ACTIVE
+   */
+  async rotateApiKey(keyId, merchantId, overlapHours, callerScopes = null) {
+    const existing = await this.merchantRepository.getApiKey(keyId, merchantId);
+    if (!existing) {
+      throw this._createError('API_KEY_NOT_FOUND', 'API key not found', 404);
+    }
+    this._checkCallerScopes(callerScopes, existing.scopes, 'rotate');
+
+    const secret = generateApiKeySecret(existing.type, existing.mode);
+    const key = await this.merchantRepository.rotateApiKey(keyId, merchantId, {
+      id: this._generateKeyId(),
+      keyHash: hashApiKey(secret),
+      keyLast4: secret.slice(-4)
+    }, overlapHours);
+
+    if (!key) {
+      throw this._createError(
+        'API_KEY_NOT_ACTIVE', 'Only active API keys that have not already been rotated can be rotated', 409
+      );
+    }
+
+    this._forgetMerchant(merchantId);
+    return { ...key, key: secret };
+  }
+
+  /**
+   * Revoke an API key; it stops working immediately
+   * @param {string} keyId - The key ID
+   * @param {string} merchantId - The merchant ID
+   * @param {Array<string>|null} [callerScopes] - Scopes of the API key making the request
+   * @returns {Promise<Object>} - Revoked key row
+   * @throws {Error} - API_KEY_NOT_FOUND, INSUFFICIENT_SCOPE
+   */
+  async revokeApiKey(keyId, merchantId, callerScopes = null) {
+    if (callerScopes) {
+      const existing = await this.merchantRepository.getApiKey(keyId, merchantId);
+      if (!existing) {
+        throw this._createError('API_KEY_NOT_FOUND', 'API key not found', 404);
+      }
+      this._checkCallerScopes(callerScopes, existing.scopes, 'revoke');
+    }
+
+    const key = await this.merchantRepository.revokeApiKey(keyId, merchantId);
+    if (!key) {
+      throw this._createError('API_KEY_NOT_FOUND', 'API key not found', 404);
+    }
+
+    this._forgetMerchant(merchantId);
+    return key;
+  }
+
+  /**
+   * Set the rate limits of a merchant's API keys
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} limits - Validated limits (requests per window)
+   * @param {number|null} limits.read - Read limit, or null for the gateway default
+   * @param {number|null} limits.write - Write limit, or null for the gateway default
+   * @returns {Promise<Object>} - { merchantId, rateLimits: { read, write } } now in effect
+   * @throws {Error} - MERCHANT_NOT_FOUND
+   */
+  async updateRateLimits(merchantId, limits) {
+    const merchant = await this.merchantRepository.updateRateLimits(merchantId, limits);
+    if (!merchant) {
+      throw this._createError('MERCHANT_NOT_FOUND', 'Merchant not found', 404);
+    }
+
+    this._forgetMerchant(merchant.id);
+    return { merchantId: merchant.id, rateLimits: this._rateLimits(merchant) };
+  }
+
+  /**
+   * Set the acquirers a merchant's live payments are routed to; methods
+   * without a route use the gateway's (see config/payments.js)
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} routes - Validated routes: acquirer name by payment method (or "default")
+   * @returns {Promise<Object>} - { merchantId, acquirerRoutes }
+   * @throws {Error} - MERCHANT_NOT_FOUND
+   */
+  async updateAcquirerRoutes(merchantId, routes) {
+    const merchant = await this.merchantRepository.updateAcquirerRoutes(merchantId, routes);
+    if (!merchant) {
+      throw this._createError('MERCHANT_NOT_FOUND', 'Merchant not found', 404);
+    }
+
+    return { merchantId: merchant.id, acquirerRoutes: merchant.acquirer_routes };
+  }
+
+  /**
+   * Get the browser origins allowed to use a merchant's publishable keys
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Array<string>>}
+   */
+  async getAllowedOrigins(merchantId) {
+    return this.merchantRepository.getAllowedOrigins(merchantId);
+  }
+
+  /**
+   * Replace the browser origins allowed to use a merchant's publishable keys
+   * @param {string} merchantId - The merchant ID
+   * @param {Array<string>} origins - Validated origins
+   * @returns {Promise<Array<string>>} - Allowed origins now in effect
+   */
+  async updateAllowedOrigins(merchantId, origins) {
+    const allowed = await this.merchantRepository.updateAllowedOrigins(merchantId, origins);
+
+    this._forgetMerchant(merchantId);
+    this.originCache = null;
+    return allowed;
+  }
+
+  /**
+   * The origins allowed to frame the checkout opened with a publishable key:
+   * its merchant's allowed origins
+   * @param {string} [apiKey] - Publishable key the checkout was opened with
+   * @returns {Promise<Array<string>>} - Origins; none for a missing or invalid key
+   */
+  async getCheckoutFrameAncestors(apiKey) {
+    if (!apiKey) {
+      return [];
+    }
+    const auth = await this.authenticate(apiKey);
+    return auth && auth.type === 'publishable' ? auth.allowedOrigins : [];
+  }
+
+  /**
+   * Whether any merchant allows a browser origin. CORS preflights carry no
+   * API key, so they are answered from the union of all merchants' origins;
+   * requests with a publishable key are then held to its merchant's own.
+   * @param {string} origin - Origin header of the request
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {Promise<boolean>}
+   */
+  async isOriginAllowed(origin, now = Date.now()) {
+    if (!this.originCache || this.originCache.expiresAt <= now) {
+      const origins = await this.merchantRepository.listAllowedOrigins();
+      this.originCache = { origins: new Set(origins), expiresAt: now + apiKeyCacheTtlSeconds * 1000 };
+    }
+    return this.originCache.origins.has(origin);
+  }
+
+  /**
+   * The limits a merchant's keys are held to: its own, or the gateway defaults
+   * @private
+   * @param {Object} merchant - Merchant row (or key row with its merchant's limits)
+   * @returns {Object} - { read, write }
+   */
+  _rateLimits(merchant) {
+    return {
+      read: merchant.rate_limit_read ?? rateLimitDefaults.read,
+      write: merchant.rate_limit_write ?? rateLimitDefaults.write
+    };
+  }
+
+  /**
+   * Drop a merchant's keys, live and test, from the cache so changes apply to
+   * its next request
+   * @private
+   * @param {string} merchantId - The (live) merchant ID
+   */
+  _forgetMerchant(merchantId) {
+    for (const [keyHash, { auth }] of this.keyCache) {
+      if (auth.accountId === merchantId) {
+        this.keyCache.delete(keyHash);
+      }
+    }
+  }
+
+  /**
+   * Refuse to let an API key act on a key with scopes it does not have
+   * @private
+   * @param {Array<string>|null} callerScopes - Scopes of the key making the request, or null for an admin
+   * @param {Array<string>} scopes - Scopes of the key acted on
+   * @param {string} action - 'issue', 'rotate' or 'revoke'
+   * @throws {Error} - INSUFFICIENT_SCOPE
+   */
+  _checkCallerScopes(callerScopes, scopes, action) {
+    if (callerScopes && !coversScopes(callerScopes, scopes)) {
+      throw this._createError(
+        'INSUFFICIENT_SCOPE', `This API key cannot ${action} a key with scopes it does not have itself`, 403
+      );
+    }
+  }
+
+  /**
+   * Generate a unique API key ID
+   * @private
+   * @returns {string} - Key ID
+   */
+  _generateKeyId() {
+    return 'key_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = MerchantService;
@@ -0,0 +1,115 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * OrderService - Handles all business logic related to orders
+ * Responsible for:
+ * - Order creation, optionally for a customer
+ * - Merchant-scoped and checkout order retrieval
+ * - Exposing the order customer's saved payment methods to the checkout
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class OrderService {
+  constructor(orderRepository, customerRepository) {
+    this.orderRepository = orderRepository;
+    this.customerRepository = customerRepository;
+  }
+
+  /**
+   * Create an order whose amount is authoritative for its payments
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} params - Validated order parameters
+   * @param {number} params.amount - Amount in minor units
+   * @param {string} params.currency - Currency code
+   * @param {string} [params.receipt] - Merchant receipt reference
+   * @param {Object} [params.notes] - Merchant key-value notes
+   * @param {string} [params.customerId] - Customer the order is for
+   * @param {Date} [params.expireBy] - When the order stops accepting payments
+   * @returns {Promise<Object>} - Created order row
+   * @throws {Error} - CUSTOMER_NOT_FOUND if the customer does not belong to the merchant
+   */
+  async createOrder(merchantId, { amount, currency, receipt, notes, customerId, expireBy }) {
+    if (customerId) {
+      const customer = await this.customerRepository.getCustomerForMerchant(customerId, merchantId);
+      if (!customer) {
+        throw this._createError('CUSTOMER_NOT_FOUND', 'Customer not found', 400);
+      }
+    }
+
+    return this.orderRepository.createOrder({
+      id: this._generateOrderId(),
+      merchantId,
+      amount,
+      currency,
+      receipt,
+      notes,
+      customerId,
+      expireBy
+    });
+  }
+
+  /**
+   * Retrieve one of the merchant's orders
+   * @param {string} orderId - The order ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Order row
+   * @throws {Error} - ORDER_NOT_FOUND if the order does not belong to the merchant
+   */
+  async getOrder(orderId, merchantId) {
+    const order = await this.orderRepository.getOrderForMerchant(orderId, merchantId);
+    if (!order) {
+      throw this._createError('ORDER_NOT_FOUND', 'Order not found', 404);
+    }
+    return order;
+  }
+
+  /**
+   * Retrieve an order for the hosted checkout
+   * With a publishable key the checkout can load any of its merchant's
+   * orders; without one, only the orders of payment links and invoices.
+   * Orders created for a customer carry that customer's saved tokens so a
+   * returning shopper can pay with one.
+   * @param {string} orderId - The order ID
+   * @param {string|null} merchantId - Merchant of the publishable key, if any
+   * @returns {Promise<Object>} - Order row with a `savedTokens` array
+   * @throws {Error} - ORDER_NOT_FOUND if the order does not exist or is not reachable
+   */
+  async getCheckoutOrder(orderId, merchantId) {
+    const order = merchantId
+      ? await this.orderRepository.getOrderForMerchant(orderId, merchantId)
+      : await this.orderRepository.getHostedOrder(orderId);
+    if (!order) {
+      throw this._createError('ORDER_NOT_FOUND', 'Order not found', 404);
+    }
+
+    const savedTokens = order.customer_id ? await this.customerRepository.listTokens(order.customer_id) : [];
+    return { ...order, savedTokens };
+  }
+
+  /**
+   * Generate a unique order ID
+   * @private
+   * @returns {string} - Order ID
+   */
+  _generateOrderId() {
+    return 'order_' + uuidv4().replace(/-/g, '').substring(0, 16);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,190 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * PaymentLinkService - Handles all business logic related to payment links
+ * Responsible for:
+ * - Creating a link together with the order it collects payment for
+ * - Merchant-scoped retrieval and listing
+ * - Expiring links past their expire_by
+ * - Cancelling open links and closing their orders
+ * - Exposing open links to the hosted checkout
+ *
+ * Links are paid through the regular checkout flow on their order; the
+ * workers mark them paid when that order's payment is captured.
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class PaymentLinkService {
+  constructor(paymentLinkRepository, orderService, orderRepository) {
+    this.paymentLinkRepository = paymentLinkRepository;
+    this.orderService = orderService;
+    this.orderRepository = orderRepository;
+  }
+
+  /**
+   * Create a payment link and its order
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} params - Validated payment link parameters
+   * @param {number} params.amount - Amount in minor units
+   * @param {string} params.currency - ISO 4217 currency code
+   * @param {string} [params.description] - Shown to the payer
+   * @param {Object} [params.customer] - { name, email, contact }
+   * @param {Object} [params.notify] - { email, sms }
+   * @param {boolean} [params.reminderEnable] - Whether reminders are sent until paid
+   * @param {Object} [params.notes] - Merchant key-value notes, copied to the order
+   * @param {Date} [params.expireBy] - When the link expires
+   * @returns {Promise<Object>} - Created payment link row
+   */
+  async createLink(merchantId, { amount, currency, description, customer, notify, reminderEnable, notes, expireBy }) {
+    const id = this._generateLinkId();
+
+    // The link ID doubles as the order receipt so the order can be traced back to it
+    const order = await this.orderService.createOrder(merchantId, {
+      amount,
+      currency,
+      receipt: id,
+      notes,
+      expireBy
+    });
+
+    return this.paymentLinkRepository.createLink({
+      id,
+      merchantId,
+      orderId: order.id,
+      amount,
+      currency,
+      description,
+      customer,
+      notify,
+      reminderEnable,
+      notes,
+      expireBy
+    });
+  }
+
+  /**
+   * Retrieve one of the merchant's payment links
+   * @param {string} linkId - The payment link ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Payment link row
+   * @throws {Error} - PAYMENT_LINK_NOT_FOUND if the link does not belong to the merchant
+   */
+  async getLink(linkId, merchantId) {
+    await this.paymentLinkRepository.expireDueLinks(merchantId);
+
+    const link = await this.paymentLinkRepository.getLinkForMerchant(linkId, merchantId);
+    if (!link) {
+      throw this._createError('PAYMENT_LINK_NOT_FOUND', 'Payment link not found', 404);
+    }
+    return link;
+  }
+
+  /**
+   * List a merchant's payment links with cursor pagination
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} filters - Validated filters ({ status })
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {string} [page.cursor] - ID of the last link of the previous page
+   * @returns {Promise<Object>} - { links, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the merchant's links
+   */
+  async listLinks(merchantId, filters, page) {
+    await this.paymentLinkRepository.expireDueLinks(merchantId);
+
+    if (page.cursor) {
+      const cursorLink = await this.paymentLinkRepository.getLinkForMerchant(page.cursor, merchantId);
+      if (!cursorLink) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known payment link', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.paymentLinkRepository.listLinks(merchantId, filters, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const links = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      links,
+      hasMore,
+      nextCursor: hasMore ? links[links.length - 1].id : null
+    };
+  }
+
+  /**
+   * Cancel an open payment link so it can no longer be paid
+   * @param {string} linkId - The payment link ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Cancelled payment link row
+   * @throws {Error} - PAYMENT_LINK_NOT_FOUND or PAYMENT_LINK_NOT_CANCELLABLE
+   */
+  async cancelLink(linkId, merchantId) {
+    const link = await this.getLink(linkId, merchantId);
+
+    if (link.status !== 'created') {
+      throw this._createError(
+        'PAYMENT_LINK_NOT_CANCELLABLE',
+        `Payment link is already ${link.status} and can no longer be cancelled`,
+        400
+      );
+    }
+
+    const cancelled = await this.paymentLinkRepository.cancelLink(linkId, merchantId);
+    if (!cancelled) {
+      throw this._createError('PAYMENT_LINK_NOT_CANCELLABLE', 'Payment link changed state while cancelling; retry to see its current status', 409);
+    }
+
+    await this.orderRepository.cancelOrder(cancelled.order_id);
+    return cancelled;
+  }
+
+  /**
+   * Retrieve a payment link for the hosted checkout
+   * @param {string} linkId - The payment link ID
+   * @returns {Promise<Object>} - Payment link row with its current status
+   * @throws {Error} - PAYMENT_LINK_NOT_FOUND if the link does not exist
+   */
+  async getCheckoutLink(linkId) {
+    const link = await this.paymentLinkRepository.getLinkById(linkId);
+    if (!link) {
+      throw this._createError('PAYMENT_LINK_NOT_FOUND', 'Payment link not found', 404);
+    }
+
+    if (link.status === 'created' && link.expire_by && new Date(link.expire_by) <= new Date()) {
+      await this.paymentLinkRepository.expireDueLinks(link.merchant_id);
+      return { ...link, status: 'expired' };
+    }
+    return link;
+  }
+
+  /**
+   * Generate a unique payment link ID
+   * @private
+   * @returns {string} - Payment link ID
+   */
+  _generateLinkId() {
+    return 'plink_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = PaymentLinkService;
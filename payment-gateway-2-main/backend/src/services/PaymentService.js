@@ -0,0 +1,680 @@
+const { v4: uuidv4 } = require('uuid');
+const PaymentStateMachine = require('./PaymentStateMachine');
+const { isCardExpired } = require('../utils/paymentMethods');
+
+// Actor recorded on the transitions the risk engine's decisions cause
+const RISK_ACTOR = 'system:risk';
+
+/**
+ * PaymentService - Handles all business logic related to payments
+ * Responsible for:
+ * - Creating payments against orders and enqueueing them
+ * - Screening new payments with the risk engine: blocked payments fail, reviewed
+ *   ones wait for the merchant to approve or reject them
+ * - Charging customers' saved payment method tokens
+ * - Idempotent replay of payment creation
+ * - Capturing authorized (manual-capture) payments with their acquirer and settling their payment links and invoices
+ * - Charging the merchant's pricing (fee and tax) on captured amounts and posting captures to the ledger
+ * - Cancelling pending payments and voiding authorized ones with their acquirer
+ * - Merchant-scoped payment retrieval and status timelines
+ * - Filtered listing with cursor pagination
+ * - Attaching refunds to payments
+ * - Reporting subscription payments captured or cancelled here to SubscriptionWorker,
+ *   as PaymentWorker does for the ones it settles (subscription charges skip risk review)
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class PaymentService {
+  constructor(paymentRepository, orderRepository, paymentQueue, webhookQueue, customerRepository, paymentLinkRepository, invoiceRepository, pricingService, ledgerService, riskService, acquirerService, subscriptionQueue) {
+    this.paymentRepository = paymentRepository;
+    this.orderRepository = orderRepository;
+    this.paymentQueue = paymentQueue;
+    this.webhookQueue = webhookQueue;
+    this.customerRepository = customerRepository;
+    this.paymentLinkRepository = paymentLinkRepository;
+    this.invoiceRepository = invoiceRepository;
+    this.pricingService = pricingService;
+    this.ledgerService = ledgerService;
+    this.riskService = riskService;
+    this.acquirerService = acquirerService;
+    this.subscriptionQueue = subscriptionQueue;
+    this.stateMachine = new PaymentStateMachine(paymentRepository);
+  }
+
+  /**
+   * Create a payment for one of the merchant's orders
+   * The order amount and currency are authoritative: client-supplied values
+   * are only accepted when they match.
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} params - Validated payment parameters
+   * @param {string} params.orderId - Order ID
+   * @param {number} [params.amount] - Amount the client expects to charge
+   * @param {string} [params.currency] - Currency the client expects to charge in
+   * @param {string} params.method - Payment method
+   * @param {Object} [params.instrument] - Masked instrument: { cardNetwork, cardLast4, cardFingerprint }, { vpa }, { bank } or { wallet }
+   * @param {string} [params.captureMethod='automatic'] - 'manual' stops at 'authorized'
+   * @param {Object} [params.notes] - Merchant key-value notes
+   * @param {string} [params.customerId] - Customer being charged
+   * @param {string} [params.tokenId] - Saved payment method to charge; sets the method
+   * @param {string} [params.subscriptionId] - Subscription the payment bills (set by SubscriptionService)
+   * @param {string} [params.ip] - Payer's IP address, for risk screening
+   * @returns {Promise<Object>} - Created payment row
+   * @throws {Error} - ORDER_NOT_FOUND, ORDER_ALREADY_PAID, ORDER_CANCELLED, ORDER_EXPIRED,
+   *                   ORDER_PAYMENT_IN_PROGRESS, AMOUNT_MISMATCH, CURRENCY_MISMATCH,
+   *                   CUSTOMER_NOT_FOUND, CUSTOMER_MISMATCH or a token error
+   */
+  async createPayment(merchantId, { orderId, amount, currency, method, instrument, captureMethod = 'automatic', notes = {}, customerId, tokenId, subscriptionId, ip }) {
+    const order = await this.orderRepository.getOrderForMerchant(orderId, merchantId);
+
+    if (order && customerId) {
+      if (order.customer_id && order.customer_id !== customerId) {
+        throw this._createError('CUSTOMER_MISMATCH', 'Order belongs to a different customer', 400);
+      }
+      const customer = await this.customerRepository.getCustomerForMerchant(customerId, merchantId);
+      if (!customer) {
+        throw this._createError('CUSTOMER_NOT_FOUND', 'Customer not found', 400);
+      }
+    }
+
+    return this._createPaymentForOrder(
+      order,
+      { amount, currency, method, instrument, captureMethod, notes, customerId, tokenId, subscriptionId, ip },
+      `merchant:${merchantId}`
+    );
+  }
+
+  /**
+   * Create a payment from the hosted checkout
+   * The checkout only knows the order ID, so the merchant and amount are
+   * both taken from the order. With a publishable key it can pay any of its
+   * merchant's orders; without one, only the orders of payment links and
+   * invoices. Saved tokens can only be charged on orders created for the
+   * customer who owns them.
+   * @param {string} orderId - Order ID
+   * @param {string|null} merchantId - Merchant of the publishable key, if any
+   * @param {Object} params - Validated payment parameters
+   * @param {string} [params.method] - Payment method
+   * @param {Object} [params.instrument] - Masked instrument: { cardNetwork, cardLast4, cardFingerprint }, { vpa }, { bank } or { wallet }
+   * @param {string} [params.tokenId] - Saved payment method of the order's customer
+   * @param {string} [params.ip] - Payer's IP address, for risk screening
+   * @returns {Promise<Object>} - Created payment row
+   */
+  async createCheckoutPayment(orderId, merchantId, { method, instrument, tokenId, ip }) {
+    const order = merchantId
+      ? await this.orderRepository.getOrderForMerchant(orderId, merchantId)
+      : await this.orderRepository.getHostedOrder(orderId);
+    if (order && tokenId && !order.customer_id) {
+      throw this._createError('TOKEN_NOT_FOUND', 'Token not found', 400);
+    }
+    return this._createPaymentForOrder(order, { method, instrument, captureMethod: 'automatic', notes: {}, tokenId, ip }, 'checkout');
+  }
+
+  /**
+   * Capture an authorized payment, fully or partially
+   * The uncaptured remainder of a partial capture is released.
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {number} [amount] - Amount to capture; defaults to the full authorized amount
+   * @returns {Promise<Object>} - Captured payment row
+   * @throws {Error} - PAYMENT_NOT_FOUND, PAYMENT_NOT_CAPTURABLE, AUTHORIZATION_EXPIRED,
+   *                   CAPTURE_AMOUNT_EXCEEDS_AUTHORIZED, CAPTURE_DECLINED or ACQUIRER_UNAVAILABLE
+   */
+  async capturePayment(paymentId, merchantId, amount) {
+    const payment = await this.paymentRepository.getPaymentForMerchant(paymentId, merchantId);
+    if (!payment) {
+      throw this._createError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+    }
+
+    if (payment.status !== 'authorized') {
+      throw this._createError(
+        'PAYMENT_NOT_CAPTURABLE',
+        `Only authorized payments can be captured; payment is ${payment.status}`,
+        400
+      );
+    }
+
+    if (payment.authorization_expires_at && new Date(payment.authorization_expires_at) <= new Date()) {
+      throw this._createError('AUTHORIZATION_EXPIRED', 'Authorization window has expired', 400);
+    }
+
+    const captureAmount = amount === undefined ? payment.amount : amount;
+    if (captureAmount > payment.amount) {
+      throw this._createError(
+        'CAPTURE_AMOUNT_EXCEEDS_AUTHORIZED',
+        'Capture amount exceeds the authorized amount',
+        400
+      );
+    }
+
+    // Priced before the acquirer captures, so a capture it makes is always recorded
+    const pricing = await this.pricingService.priceCapture(payment, captureAmount);
+
+    // The acquirer captures first; the payment stays authorized if it declines,
+    // and the capture is given back if the payment cannot be captured here
+    const capture = await this._callAcquirer(() => this.acquirerService.capture(payment, captureAmount));
+    if (capture.status !== 'captured') {
+      throw this._createError('CAPTURE_DECLINED', capture.errorDescription || 'The acquirer declined the capture', 402);
+    }
+
+    const captured = await this.stateMachine.transition(payment, 'captured', {
+      actor: `merchant:${merchantId}`,
+      changes: { captured: true, captured_amount: captureAmount, captured_at: new Date(), ...pricing }
+    });
+    if (!captured) {
+      // Cancelled or expired while the acquirer was capturing it
+      await this.acquirerService.reverseCapture(payment, captureAmount)
+        .catch(error => console.error(`[PaymentService] Capture reversal failed for ${paymentId}: ${error.message}`));
+      throw this._createError('PAYMENT_NOT_CAPTURABLE', 'Payment is no longer authorized', 409);
+    }
+
+    // The capture stands even if posting fails; the ledger check job posts it later
+    await this.ledgerService.recordCapture(captured)
+      .catch(error => console.error(`[PaymentService] Ledger posting failed for ${captured.id}: ${error.message}`));
+    await this.orderRepository.markPaid(captured.order_id);
+    await this.webhookQueue.add('send-webhook', {
+      event: 'payment.captured',
+      paymentId: captured.id,
+      merchantId: captured.merchant_id
+    });
+
+    const paymentLink = await this.paymentLinkRepository.markPaidForOrder(captured.order_id, captured.id);
+    if (paymentLink) {
+      await this.webhookQueue.add('send-webhook', {
+        event: 'payment_link.paid',
+        paymentId: captured.id,
+        paymentLinkId: paymentLink.id,
+        merchantId: captured.merchant_id
+      });
+    }
+
+    const invoice = await this.invoiceRepository.markPaidForOrder(captured.order_id, captured.id);
+    if (invoice) {
+      await this.webhookQueue.add('send-webhook', {
+        event: 'invoice.paid',
+        paymentId: captured.id,
+        invoiceId: invoice.id,
+        merchantId: captured.merchant_id
+      });
+    }
+
+    await this._sendSubscriptionOutcome(captured);
+    return captured;
+  }
+
+  /**
+   * Release a payment held for review by the risk engine and queue it for processing
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Pending payment row
+   * @throws {Error} - PAYMENT_NOT_FOUND or PAYMENT_NOT_IN_REVIEW
+   */
+  async approvePayment(paymentId, merchantId) {
+    const payment = await this._getPaymentInReview(paymentId, merchantId);
+
+    const approved = await this.stateMachine.transition(payment, 'pending', { actor: `merchant:${merchantId}` });
+    if (!approved) {
+      throw this._createError('PAYMENT_NOT_IN_REVIEW', 'Payment is no longer in review', 409);
+    }
+
+    await this.paymentQueue.add('process-payment', { paymentId: approved.id }, {
+      jobId: this._processingJobId(approved.id)
+    });
+    return approved;
+  }
+
+  /**
+   * Fail a payment held for review by the risk engine
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {string} [reason] - Optional reason, kept in the status history
+   * @returns {Promise<Object>} - Failed payment row
+   * @throws {Error} - PAYMENT_NOT_FOUND or PAYMENT_NOT_IN_REVIEW
+   */
+  async rejectPayment(paymentId, merchantId, reason = null) {
+    const payment = await this._getPaymentInReview(paymentId, merchantId);
+
+    const rejected = await this.stateMachine.transition(payment, 'failed', {
+      actor: `merchant:${merchantId}`,
+      reason,
+      changes: { error_code: 'RISK_REJECTED', error_description: 'Payment was rejected by the merchant after risk review' }
+    });
+    if (!rejected) {
+      throw this._createError('PAYMENT_NOT_IN_REVIEW', 'Payment is no longer in review', 409);
+    }
+
+    await this._sendPaymentWebhook('payment.failed', rejected);
+    return rejected;
+  }
+
+  /**
+   * Cancel a payment that has not been settled
+   * - review: the payment is dropped without being processed
+   * - pending: the queued processing job is removed before a worker picks it up;
+   *   if the acquirer is still deciding it, it is asked to void it
+   * - authorized: the authorization is voided with the acquirer
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {string} [reason] - Optional cancellation reason
+   * @returns {Promise<Object>} - Cancelled payment row
+   * @throws {Error} - PAYMENT_NOT_FOUND, PAYMENT_PROCESSING, PAYMENT_NOT_CANCELLABLE,
+   *                   VOID_DECLINED or ACQUIRER_UNAVAILABLE
+   */
+  async cancelPayment(paymentId, merchantId, reason = null) {
+    const payment = await this.paymentRepository.getPaymentForMerchant(paymentId, merchantId);
+    if (!payment) {
+      throw this._createError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+    }
+
+    if (!['review', 'pending', 'authorized'].includes(payment.status)) {
+      throw this._createError(
+        'PAYMENT_NOT_CANCELLABLE',
+        `Payment is already ${payment.status} and can no longer be cancelled`,
+        400
+      );
+    }
+
+    if (payment.status === 'pending') {
+      await this._removeQueuedProcessingJob(paymentId);
+      if (payment.acquirer) {
+        // The acquirer may not have recorded it yet, so this is best effort
+        await this.acquirerService.void(payment)
+          .catch(error => console.error(`[PaymentService] Void failed for ${paymentId}: ${error.message}`));
+      }
+    }
+
+    if (payment.status === 'authorized') {
+      const voided = await this._callAcquirer(() => this.acquirerService.void(payment));
+      if (voided.status !== 'voided') {
+        throw this._createError('VOID_DECLINED', voided.errorDescription || 'The acquirer declined to void the authorization', 409);
+      }
+    }
+
+    const cancelled = await this.stateMachine.transition(payment, 'cancelled', {
+      actor: `merchant:${merchantId}`,
+      reason,
+      changes: { cancelled_at: new Date(), cancellation_reason: reason }
+    });
+    if (!cancelled) {
+      throw this._createError('PAYMENT_NOT_CANCELLABLE', 'Payment changed state while cancelling; retry to see its current status', 409);
+    }
+
+    await this.webhookQueue.add('send-webhook', {
+      event: 'payment.cancelled',
+      paymentId: cancelled.id,
+      merchantId: cancelled.merchant_id
+    });
+    await this._sendSubscriptionOutcome(cancelled);
+
+    return cancelled;
+  }
+
+  /**
+   * Retrieve a single payment with its refunds
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Payment row with a `refunds` array
+   * @throws {Error} - PAYMENT_NOT_FOUND if the payment does not belong to the merchant
+   */
+  async getPayment(paymentId, merchantId) {
+    const payment = await this.paymentRepository.getPaymentForMerchant(paymentId, merchantId);
+    if (!payment) {
+      throw this._createError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+    }
+
+    const refunds = await this.paymentRepository.getRefundsForPayments([payment.id]);
+    return { ...payment, refunds };
+  }
+
+  /**
+   * Retrieve a payment for the hosted checkout, which polls its status
+   * @param {string} paymentId - The payment ID
+   * @param {string|null} merchantId - Merchant of the publishable key, if any
+   * @returns {Promise<Object>} - Payment row
+   * @throws {Error} - PAYMENT_NOT_FOUND if the payment does not exist or is not reachable
+   *                   (see createCheckoutPayment)
+   */
+  async getCheckoutPayment(paymentId, merchantId) {
+    const payment = merchantId
+      ? await this.paymentRepository.getPaymentForMerchant(paymentId, merchantId)
+      : await this.paymentRepository.getHostedPayment(paymentId);
+    if (!payment) {
+      throw this._createError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+    }
+    return payment;
+  }
+
+  /**
+   * Retrieve the status history of a payment
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - { payment, history }
+   * @throws {Error} - PAYMENT_NOT_FOUND if the payment does not belong to the merchant
+   */
+  async getPaymentTimeline(paymentId, merchantId) {
+    const payment = await this.paymentRepository.getPaymentForMerchant(paymentId, merchantId);
+    if (!payment) {
+      throw this._createError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+    }
+
+    const history = await this.paymentRepository.getStatusHistory(payment.id);
+    return { payment, history };
+  }
+
+  /**
+   * List a merchant's payments with filters and cursor pagination
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} filters - Validated filters (see PaymentRepository.listPayments)
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {string} [page.cursor] - ID of the last payment of the previous page
+   * @returns {Promise<Object>} - { payments, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the merchant's payments
+   */
+  async listPayments(merchantId, filters, page) {
+    if (page.cursor) {
+      const exists = await this.paymentRepository.paymentExistsForMerchant(page.cursor, merchantId);
+      if (!exists) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known payment', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.paymentRepository.listPayments(merchantId, filters, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const payments = hasMore ? rows.slice(0, page.limit) : rows;
+
+    const refunds = await this.paymentRepository.getRefundsForPayments(payments.map(p => p.id));
+    const refundsByPayment = refunds.reduce((acc, refund) => {
+      (acc[refund.payment_id] = acc[refund.payment_id] || []).push(refund);
+      return acc;
+    }, {});
+
+    return {
+      payments: payments.map(p => ({ ...p, refunds: refundsByPayment[p.id] || [] })),
+      hasMore,
+      nextCursor: hasMore ? payments[payments.length - 1].id : null
+    };
+  }
+
+  /**
+   * Validate an order, screen and create a payment for it and enqueue processing
+   * The payment is created in 'created' and only moves to 'pending' once
+   * it is about to be queued. Token payments take their masked instrument
+   * from the token. The risk engine's decision is taken before the payment
+   * is created: blocked payments are created 'failed' with error_code
+   * RISK_BLOCKED and reviewed ones wait in 'review' without being queued.
+   * Subscription charges are merchant-initiated and are not screened.
+   * @private
+   * @param {Object|null} order - Order row
+   * @param {Object} params - Payment parameters
+   * @param {string} actor - Who is creating the payment
+   * @returns {Promise<Object>} - Pending, review or failed payment row
+   */
+  async _createPaymentForOrder(order, { amount, currency, method, instrument, captureMethod, notes, customerId, tokenId, subscriptionId, ip }, actor) {
+    if (!order) {
+      throw this._createError('ORDER_NOT_FOUND', 'Order not found', 400);
+    }
+
+    if (order.status === 'paid') {
+      throw this._createError('ORDER_ALREADY_PAID', 'Order has already been paid', 400);
+    }
+
+    if (order.status === 'cancelled') {
+      throw this._createError('ORDER_CANCELLED', 'Order has been cancelled', 400);
+    }
+
+    if (order.expire_by && new Date(order.expire_by) <= new Date()) {
+      throw this._createError('ORDER_EXPIRED', 'Order has expired', 400);
+    }
+
+    if (amount !== undefined && amount !== order.amount) {
+      throw this._createError('AMOUNT_MISMATCH', 'Payment amount does not match the order amount', 400);
+    }
+
+    if (currency !== undefined && currency !== order.currency) {
+      throw this._createError('CURRENCY_MISMATCH', `Order is in ${order.currency}, not ${currency}`, 400);
+    }
+
+    const token = tokenId ? await this._resolveToken(order, tokenId, customerId, method) : null;
+    const { cardNetwork, cardLast4, cardFingerprint, vpa, bank, wallet } = token
+      ? { cardNetwork: token.card_network, cardLast4: token.card_last4, cardFingerprint: token.card_fingerprint, vpa: token.vpa }
+      : (instrument || {});
+    const paymentMethod = token ? token.method : method;
+    const payerId = customerId || order.customer_id || (token && token.customer_id) || null;
+
+    const risk = subscriptionId ? null : await this.riskService.evaluate(order.merchant_id, {
+      amount: order.amount,
+      currency: order.currency,
+      method: paymentMethod,
+      cardNetwork,
+      cardFingerprint,
+      vpa,
+      customerId: payerId,
+      ip
+    });
+
+    const created = await this.paymentRepository.createPayment({
+      id: this._generatePaymentId(),
+      orderId: order.id,
+      merchantId: order.merchant_id,
+      amount: order.amount,
+      currency: order.currency,
+      method: paymentMethod,
+      cardNetwork,
+      cardLast4,
+      cardFingerprint,
+      vpa,
+      bank,
+      wallet,
+      status: 'created',
+      captureMethod,
+      notes,
+      customerId: payerId,
+      tokenId: token ? token.id : null,
+      subscriptionId,
+      ipAddress: ip,
+      risk,
+      actor
+    });
+    // Another payment on the order is still being processed or awaiting capture
+    if (!created) {
+      throw this._createError('ORDER_PAYMENT_IN_PROGRESS', 'Order already has a payment in progress', 409);
+    }
+
+    await this.orderRepository.recordAttempt(order.id);
+
+    // Nothing else knows the payment yet, so these transitions cannot race
+    if (risk && risk.decision === 'block') {
+      const failed = await this.stateMachine.transition(created, 'failed', {
+        actor: RISK_ACTOR,
+        reason: risk.reasons.join(', '),
+        changes: {
+          error_code: 'RISK_BLOCKED',
+          error_description: 'Payment was declined by risk checks'
+        }
+      });
+      await this._sendPaymentWebhook('payment.failed', failed);
+      return failed;
+    }
+
+    if (risk && risk.decision === 'review') {
+      const held = await this.stateMachine.transition(created, 'review', { actor: RISK_ACTOR, reason: risk.reasons.join(', ') });
+      await this._sendPaymentWebhook('payment.under_review', held);
+      return held;
+    }
+
+    const payment = await this.stateMachine.transition(created, 'pending', { actor });
+    await this.paymentQueue.add('process-payment', { paymentId: payment.id }, {
+      jobId: this._processingJobId(payment.id)
+    });
+
+    return payment;
+  }
+
+  /**
+   * Load one of the merchant's payments that is waiting for risk review
+   * @private
+   * @param {string} paymentId - The payment ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Payment row
+   * @throws {Error} - PAYMENT_NOT_FOUND or PAYMENT_NOT_IN_REVIEW
+   */
+  async _getPaymentInReview(paymentId, merchantId) {
+    const payment = await this.paymentRepository.getPaymentForMerchant(paymentId, merchantId);
+    if (!payment) {
+      throw this._createError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
+    }
+    if (payment.status !== 'review') {
+      throw this._createError('PAYMENT_NOT_IN_REVIEW', `Payment is ${payment.status}, not in review`, 409);
+    }
+    return payment;
+  }
+
+  /**
+   * Enqueue a payment webhook
+   * @private
+   * @param {string} event - payment.* event name
+   * @param {Object} payment - Payment row
+   * @returns {Promise<void>}
+   */
+  async _sendPaymentWebhook(event, payment) {
+    await this.webhookQueue.add('send-webhook', {
+      event,
+      paymentId: payment.id,
+      merchantId: payment.merchant_id
+    });
+  }
+
+  /**
+   * Let the subscription a payment bills advance its cycle or start dunning
+   * @private
+   * @param {Object} payment - Captured or cancelled payment row
+   * @returns {Promise<void>}
+   */
+  async _sendSubscriptionOutcome(payment) {
+    if (!payment.subscription_id) return;
+    await this.subscriptionQueue.add('subscription-payment', {
+      subscriptionId: payment.subscription_id,
+      paymentId: payment.id,
+      status: payment.status
+    }, { jobId: `outcome_${payment.id}` });
+  }
+
+  /**
+   * Load a saved token and check it may pay for the order
+   * @private
+   * @param {Object} order - Order row
+   * @param {string} tokenId - Token ID
+   * @param {string} [customerId] - Customer named in the request
+   * @param {string} [method] - Method named in the request
+   * @returns {Promise<Object>} - Token row
+   * @throws {Error} - TOKEN_NOT_FOUND, TOKEN_CUSTOMER_MISMATCH, METHOD_MISMATCH or CARD_EXPIRED
+   */
+  async _resolveToken(order, tokenId, customerId, method) {
+    const token = await this.customerRepository.getTokenForMerchant(tokenId, order.merchant_id);
+    if (!token) {
+      throw this._createError('TOKEN_NOT_FOUND', 'Token not found', 400);
+    }
+
+    const ownerId = customerId || order.customer_id;
+    if (ownerId && token.customer_id !== ownerId) {
+      throw this._createError('TOKEN_CUSTOMER_MISMATCH', 'Token does not belong to the customer', 400);
+    }
+
+    if (method !== undefined && method !== token.method) {
+      throw this._createError('METHOD_MISMATCH', `Token is a saved ${token.method}, not ${method}`, 400);
+    }
+
+    if (token.method === 'card' && isCardExpired(token.card_expiry_month, token.card_expiry_year)) {
+      throw this._createError('CARD_EXPIRED', 'Saved card has expired', 400);
+    }
+
+    return token;
+  }
+
+  /**
+   * Remove a payment's processing job if no worker has started it yet
+   * Jobs enqueued outside the API (scripts) have no known job ID; the
+   * worker skips cancelled payments for those.
+   * @private
+   * @param {string} paymentId - The payment ID
+   * @throws {Error} - PAYMENT_PROCESSING if a worker is already processing it
+   */
+  async _removeQueuedProcessingJob(paymentId) {
+    const job = await this.paymentQueue.getJob(this._processingJobId(paymentId));
+    if (!job) {
+      return;
+    }
+
+    const state = await job.getState();
+    if (state === 'active') {
+      throw this._createError('PAYMENT_PROCESSING', 'Payment is already being processed and can no longer be cancelled', 409);
+    }
+
+    if (state === 'waiting' || state === 'delayed' || state === 'prioritized') {
+      try {
+        await job.remove();
+      } catch (error) {
+        // remove() fails when a worker locked the job in the meantime
+        throw this._createError('PAYMENT_PROCESSING', 'Payment is already being processed and can no longer be cancelled', 409);
+      }
+    }
+  }
+
+  /**
+   * Call the payment's acquirer, turning a failure to reach it into an API error
+   * @private
+   * @param {Function} call - Acquirer call
+   * @returns {Promise<Object>} - Acquirer result
+   * @throws {Error} - ACQUIRER_UNAVAILABLE
+   */
+  async _callAcquirer(call) {
+    try {
+      return await call();
+    } catch (error) {
+      console.error(`[PaymentService] Acquirer call failed: ${error.message}`);
+      throw this._createError('ACQUIRER_UNAVAILABLE', 'The acquirer could not be reached; retry the request', 502);
+    }
+  }
+
+  /**
+   * BullMQ job ID of a payment's processing job
+   * @private
+   * @param {string} paymentId - The payment ID
+   * @returns {string}
+   */
+  _processingJobId(paymentId) {
+    return `process_${paymentId}`;
+  }
+
+  /**
+   * Generate a unique payment ID
+   * @private
+   * @returns {string} - Payment ID
+   */
+  _generatePaymentId() {
+    return 'pay_' + uuidv4().replace(/-/g, '').substring(0, 15);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = PaymentService;
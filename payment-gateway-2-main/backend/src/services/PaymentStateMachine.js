@@ -0,0 +1,81 @@
+/**
+ * Legal payment status transitions, keyed by current status
+ *
+ *   created -> pending -> authorized -> captured -> partially_refunded -> refunded
+ *
+ * with failed, cancelled and expired as terminal side exits. A partially
+ * refunded payment may stay partially refunded across several refunds.
+ * Payments the risk engine holds go created -> review and wait there until
+ * the merchant approves (-> pending) or rejects (-> failed) them; blocked
+ * payments go straight from created to failed.
+ */
+const TRANSITIONS = Object.freeze({
+  created: ['pending', 'review', 'failed', 'cancelled'],
+  review: ['pending', 'failed', 'cancelled'],
+  pending: ['authorized', 'failed', 'cancelled'],
+  authorized: ['captured', 'cancelled', 'expired'],
+  captured: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  refunded: [],
+  failed: [],
+  cancelled: [],
+  expired: []
+});
+
+const PAYMENT_STATUSES = Object.freeze(Object.keys(TRANSITIONS));
+
+/**
+ * PaymentStateMachine - Single writer of payment status
+ * Responsible for:
+ * - Rejecting transitions that are not in the transition table
+ * - Applying legal transitions atomically against the status that was read
+ * - Recording every transition, with its actor, in the status history
+ *
+ * API handlers and workers all move payments through this class so a
+ * re-run job can never overwrite a settled payment.
+ */
+class PaymentStateMachine {
+  constructor(paymentRepository) {
+    this.paymentRepository = paymentRepository;
+  }
+
+  /**
+   * Check whether a status change is legal
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @returns {boolean}
+   */
+  static canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Move a payment to a new status
+   * @param {Object} payment - Payment row as last read by the caller
+   * @param {string} toStatus - Requested status
+   * @param {Object} options - Transition options
+   * @param {string} options.actor - Who triggered the change, e.g. 'merchant:<id>' or 'worker:payment'
+   * @param {string} [options.reason] - Free-form reason kept in the history
+   * @param {Object} [options.changes] - Other payment columns to set in the same update
+   * @returns {Promise<Object|null>} - Updated payment row, or null if its status changed since it was read
+   * @throws {Error} - INVALID_STATE_TRANSITION if the transition is not legal
+   */
+  async transition(payment, toStatus, { actor, reason = null, changes = {} }) {
+    if (!PaymentStateMachine.canTransition(payment.status, toStatus)) {
+      const error = new Error(`Payment cannot move from ${payment.status} to ${toStatus}`);
+      error.code = 'INVALID_STATE_TRANSITION';
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return this.paymentRepository.transitionStatus(payment.id, payment.status, toStatus, {
+      actor,
+      reason,
+      changes
+    });
+  }
+}
+
+module.exports = PaymentStateMachine;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
@@ -0,0 +1,106 @@
+const { v4: uuidv4 } = require('uuid');
+const { computeFee } = require('../utils/pricing');
+
+/**
+ * PricingService - Handles all business logic related to merchant pricing
+ * Responsible for:
+ * - Pricing captured payments: the fee and the tax on it, and the plan version used
+ * - Retrieving the pricing plan in force for a merchant and its history
+ * - Versioning pricing changes so historic payments keep the fee they were charged
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class PricingService {
+  constructor(pricingRepository) {
+    this.pricingRepository = pricingRepository;
+  }
+
+  /**
+   * Price a payment being captured with the merchant's current plan
+   * @param {Object} payment - Payment row being captured
+   * @param {number} amount - Amount being captured, in minor units
+   * @returns {Promise<Object>} - { fee, tax, pricing_plan_id }, ready to be stored on the payment
+   * @throws {Error} - If no pricing plan (not even the gateway default) exists
+   */
+  async priceCapture(payment, amount) {
+    const plan = await this.pricingRepository.getCurrentPlan(payment.merchant_id);
+    if (!plan) {
+      throw new Error(`No pricing plan applies to merchant ${payment.merchant_id}`);
+    }
+
+    const { fee, tax } = computeFee(
+      { currency: plan.currency, rules: plan.rules, taxPercent: plan.tax_percent },
+      { method: payment.method, cardNetwork: payment.card_network, currency: payment.currency, amount }
+    );
+    return { fee, tax, pricing_plan_id: plan.id };
+  }
+
+  /**
+   * Retrieve the pricing plan in force for a merchant
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object>} - Pricing plan row
+   * @throws {Error} - If no pricing plan exists
+   */
+  async getPricing(merchantId) {
+    const plan = await this.pricingRepository.getCurrentPlan(merchantId);
+    if (!plan) {
+      throw this._createError('PRICING_NOT_FOUND', 'No pricing plan is configured', 404);
+    }
+    return plan;
+  }
+
+  /**
+   * List the versions of a merchant's own pricing plan, newest first
+   * Empty while the merchant is on the gateway default.
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Array<Object>>} - Pricing plan rows
+   */
+  async listPricingVersions(merchantId) {
+    return this.pricingRepository.listPlanVersions(merchantId);
+  }
+
+  /**
+   * Change a merchant's pricing by creating the next version of its plan
+   * Applies to payments captured from now on.
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} params - Validated pricing parameters
+   * @param {string} params.currency - Currency of fixed fees
+   * @param {Array<Object>} params.rules - Pricing rules (see utils/pricing.js)
+   * @param {number} params.taxPercent - Tax charged on fees, in percent
+   * @returns {Promise<Object>} - Created pricing plan row
+   * @throws {Error} - If another change was made at the same time
+   */
+  async updatePricing(merchantId, { currency, rules, taxPercent }) {
+    const plan = await this.pricingRepository.createPlanVersion({
+      id: this._generatePricingPlanId(),
+      merchantId,
+      currency,
+      rules,
+      taxPercent
+    });
+    if (!plan) {
+      throw this._createError('PRICING_CONFLICT', 'The pricing plan was changed concurrently; retry the request', 409);
+    }
+    return plan;
+  }
+
+  /**
+   * @private
+   */
+  _generatePricingPlanId() {
+    return 'price_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * @private
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = PricingService;
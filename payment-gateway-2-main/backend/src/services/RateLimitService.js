@@ -0,0 +1,63 @@
+const { rateLimitWindowSeconds } = require('../config/payments');
+const { execWithTimeout } = require('../utils/redis');
+
+// How long counting a request may take before it is let through uncounted
+const COUNT_TIMEOUT_MS = 200;
+
+/**
+ * RateLimitService - Per-API-key request limits
+ * Responsible for:
+ * - Counting each API key's requests per fixed window in Redis, reads and
+ *   writes separately, so the count is shared by every API instance
+ * - Deciding whether a request is within its key's limit, and when the
+ *   window resets
+ *
+ * Limiting fails open: if Redis is unavailable requests are not counted.
+ */
+class RateLimitService {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  /**
+   * Count a request against its API key's current window
+   * @param {string} keyId - API key identifier (see MerchantService.authenticate)
+   * @param {string} endpointClass - 'read' or 'write'
+   * @param {number} limit - Requests allowed per window
+   * @param {number} [now] - Current time (ms since epoch)
+   * @returns {Promise<Object|null>} - { allowed, limit, remaining, resetAt, retryAfterSeconds },
+   *   or null if the request could not be counted. resetAt is in seconds since epoch.
+   */
+  async consume(keyId, endpointClass, limit, now = Date.now()) {
+    const window = Math.floor(now / 1000 / rateLimitWindowSeconds);
+    const key = `ratelimit:${keyId}:${endpointClass}:${window}`;
+
+    let results;
+    try {
+      results = await execWithTimeout(
+        this.redis.multi().incr(key).expire(key, rateLimitWindowSeconds),
+        COUNT_TIMEOUT_MS
+      );
+    } catch (error) {
+      console.error(`[RateLimitService] Request not counted: ${error.message}`);
+      return null;
+    }
+
+    const [error, count] = results[0];
+    if (error) {
+      console.error(`[RateLimitService] Request not counted: ${error.message}`);
+      return null;
+    }
+
+    const resetAt = (window + 1) * rateLimitWindowSeconds;
+    return {
+      allowed: count <= limit,
+      limit,
+      remaining: Math.max(limit - count, 0),
+      resetAt,
+      retryAfterSeconds: Math.max(Math.ceil(resetAt - now / 1000), 1)
+    };
+  }
+}
+
+module.exports = RateLimitService;
@@ -0,0 +1,182 @@
+const { v4: uuidv4 } = require('uuid');
+const { RECONCILIATION_RESULTS, reconcileStatement } = require('../utils/reconciliation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period one statement may reconcile
+const MAX_PERIOD_DAYS = 31;
+
+/**
+ * ReconciliationService - Handles all business logic related to reconciliation
+ * Responsible for:
+ * - Reconciling imported acquirer statements against captured payments and processed refunds
+ * - Reporting matched, missing-on-gateway, missing-on-acquirer and amount-mismatch entries
+ * - Merchant-scoped retrieval and listing of reports and their items
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class ReconciliationService {
+  constructor(reconciliationRepository) {
+    this.reconciliationRepository = reconciliationRepository;
+  }
+
+  /**
+   * Reconcile an acquirer statement and store the report
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} statement - Validated statement
+   * @param {string} statement.source - 'csv' or 'json'
+   * @param {Array<Object>} statement.rows - Rows with `currency` upper-cased and `date` a Date
+   * @param {Date} [statement.periodStart] - Start of the period the statement covers; defaults to
+   *   the start (UTC) of the day of its earliest row
+   * @param {Date} [statement.periodEnd] - End of the period (exclusive); defaults to the end of
+   *   the day of its latest row
+   * @returns {Promise<Object>} - Created reconciliation row
+   * @throws {Error} - INVALID_PERIOD or PERIOD_TOO_LONG
+   */
+  async importStatement(merchantId, { source, rows, periodStart, periodEnd }) {
+    const dates = rows.map(row => row.date.getTime());
+    const start = periodStart || this._startOfDay(Math.min(...dates));
+    const end = periodEnd || new Date(this._startOfDay(Math.max(...dates)).getTime() + DAY_MS);
+
+    if (start >= end) {
+      throw this._createError('INVALID_PERIOD', 'period_start must be before period_end', 400);
+    }
+    if (end - start > MAX_PERIOD_DAYS * DAY_MS) {
+      throw this._createError('PERIOD_TOO_LONG', `A statement may cover at most ${MAX_PERIOD_DAYS} days`, 400);
+    }
+
+    const references = {
+      paymentIds: rows.filter(row => row.type === 'payment').map(row => row.reference),
+      refundIds: rows.filter(row => row.type === 'refund').map(row => row.reference)
+    };
+    const records = await this.reconciliationRepository.getGatewayRecords(merchantId, references);
+    const unreferenced = await this.reconciliationRepository.listUnreferencedRecords(merchantId, start, end, references);
+
+    const items = reconcileStatement(rows, records, unreferenced);
+    const counts = Object.fromEntries(RECONCILIATION_RESULTS.map(result => [result, 0]));
+    for (const item of items) counts[item.result]++;
+
+    return this.reconciliationRepository.createReconciliation({
+      id: this._generateReconciliationId(),
+      merchantId,
+      source,
+      periodStart: start,
+      periodEnd: end,
+      rowCount: rows.length,
+      counts,
+      items
+    });
+  }
+
+  /**
+   * Retrieve one of the merchant's reconciliation reports
+   * @param {string} reconciliationId - The reconciliation ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Reconciliation row
+   * @throws {Error} - RECONCILIATION_NOT_FOUND if it does not belong to the merchant
+   */
+  async getReconciliation(reconciliationId, merchantId) {
+    const reconciliation = await this.reconciliationRepository.getReconciliationForMerchant(reconciliationId, merchantId);
+    if (!reconciliation) {
+      throw this._createError('RECONCILIATION_NOT_FOUND', 'Reconciliation not found', 404);
+    }
+    return reconciliation;
+  }
+
+  /**
+   * List a merchant's reconciliation reports with cursor pagination
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {string} [page.cursor] - ID of the last reconciliation of the previous page
+   * @returns {Promise<Object>} - { reconciliations, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the merchant's reconciliations
+   */
+  async listReconciliations(merchantId, page) {
+    if (page.cursor) {
+      const cursorReconciliation = await this.reconciliationRepository.getReconciliationForMerchant(page.cursor, merchantId);
+      if (!cursorReconciliation) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known reconciliation', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.reconciliationRepository.listReconciliations(merchantId, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const reconciliations = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      reconciliations,
+      hasMore,
+      nextCursor: hasMore ? reconciliations[reconciliations.length - 1].id : null
+    };
+  }
+
+  /**
+   * List the items of one of the merchant's reconciliation reports
+   * @param {string} reconciliationId - The reconciliation ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} filters - Validated filters ({ result })
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {number} [page.cursor] - ID of the last item of the previous page
+   * @returns {Promise<Object>} - { items, hasMore, nextCursor }
+   * @throws {Error} - RECONCILIATION_NOT_FOUND if it does not belong to the merchant
+   */
+  async listItems(reconciliationId, merchantId, filters, page) {
+    await this.getReconciliation(reconciliationId, merchantId);
+
+    const rows = await this.reconciliationRepository.listItems(reconciliationId, filters, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const items = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      items,
+      hasMore,
+      nextCursor: hasMore ? String(items[items.length - 1].id) : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  _startOfDay(time) {
+    const date = new Date(time);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Generate a unique reconciliation ID
+   * @private
+   * @returns {string} - Reconciliation ID
+   */
+  _generateReconciliationId() {
+    return 'recon_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a custom error with code and status
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ReconciliationService;
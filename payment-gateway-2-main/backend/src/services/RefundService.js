@@ -4,7 +4,7 @@ const { v4: uuidv4 } = require('uuid');
  * RefundService - Handles all business logic related to refunds
  * Responsible for:
  * - Idempotency checks
- * - Validation
+ * - Validation (including refund currency)
  * - Refund creation and database operations
  * - Queue management
  * 
@@ -20,28 +20,33 @@ class RefundService {
   /**
    * Process a refund request with idempotency and validation
    * @param {string} paymentId - The payment ID to refund
+   * @param {string} merchantId - The authenticated merchant ID; the payment must be theirs
    * @param {number} requestedAmount - The amount to refund
    * @param {string} reason - The reason for refund
-   * @param {string} idempotencyKey - Optional idempotency key for duplicate prevention
-   * @returns {Promise<Object>} - Refund object with id, payment_id, amount, status
+   * @param {string} idempotencyKey - Optional idempotency key for duplicate prevention, unique per merchant
+   *   (kept for callers sending it in the body; the Idempotency-Key header covers every POST)
+   * @param {string} currency - Optional currency the caller expects; must match the payment's
+   * @param {Object} notes - Optional merchant key-value notes
+   * @returns {Promise<Object>} - Refund object with id, payment_id, amount, currency, status
    * @throws {Error} - Custom errors with specific codes and messages
    */
-  async processRefund(paymentId, requestedAmount, reason, idempotencyKey = null) {
+  async processRefund(paymentId, merchantId, requestedAmount, reason, idempotencyKey = null, currency = null, notes = {}) {
     // 1. Check for idempotency - if same request was already processed, return existing refund
     if (idempotencyKey) {
-      const existingRefund = await this.refundRepository.findRefundByIdempotencyKey(idempotencyKey);
+      const existingRefund = await this.refundRepository.findRefundByIdempotencyKey(idempotencyKey, merchantId);
       if (existingRefund) {
         return existingRefund;
       }
     }
 
     // 2. Fetch and validate the original payment
-    const payment = await this.refundRepository.getPaymentById(paymentId);
+    const payment = await this.refundRepository.getPaymentById(paymentId, merchantId);
     if (!payment) {
       throw this._createError('PAYMENT_NOT_FOUND', 'Payment not found', 404);
     }
 
-    if (payment.status !== 'success') {
+    // Only captured money can be refunded, including the rest of a partially refunded payment
+    if (!['captured', 'partially_refunded'].includes(payment.status)) {
       throw this._createError(
         'BAD_REQUEST_ERROR',
         'Payment not in refundable state',
@@ -49,11 +54,21 @@ class RefundService {
       );
     }
 
+    // Refunds are always issued in the currency the payment was made in
+    if (currency && currency !== payment.currency) {
+      throw this._createError(
+        'REFUND_CURRENCY_MISMATCH',
+        `Refund currency ${currency} does not match payment currency ${payment.currency}`,
+        400
+      );
+    }
+
     // 3. Calculate total already refunded
     const totalRefunded = await this.refundRepository.getTotalRefundedAmount(paymentId);
 
-    // 4. Validate refund amount
-    if (requestedAmount + totalRefunded > payment.amount) {
+    // 4. Validate refund amount (partial captures release the uncaptured remainder)
+    const refundableAmount = payment.captured_amount ?? payment.amount;
+    if (requestedAmount + totalRefunded > refundableAmount) {
       throw this._createError(
         'REFUND_AMOUNT_EXCEEDS_LIMIT',
         'Refund amount exceeds available amount',
@@ -76,11 +91,13 @@ class RefundService {
     const refund = await this.refundRepository.createRefund({
       id: refundId,
       paymentId,
-      merchantId: payment.merchant_id,
+      merchantId,
       amount: requestedAmount,
+      currency: payment.currency,
       reason,
       status: 'pending',
-      idempotencyKey
+      idempotencyKey,
+      notes
     });
 
     // 7. Enqueue refund processing job
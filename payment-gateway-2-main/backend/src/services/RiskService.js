@@ -0,0 +1,287 @@
+const { v4: uuidv4 } = require('uuid');
+const { riskVelocityWindowSeconds, riskVelocityLimits, riskHighAmounts } = require('../config/payments');
+const { findMatchingRule } = require('../utils/risk');
+const { execWithTimeout } = require('../utils/redis');
+
+// Used for merchants that have not saved settings of their own
+const DEFAULT_RISK_SETTINGS = Object.freeze({ rules: [], review_threshold: 50, block_threshold: 90 });
+
+// Score added by each signal; a payment's score is their sum, capped at 100
+const VELOCITY_SCORE = 50;
+const HIGH_AMOUNT_SCORE = 30;
+const MAX_SCORE = 100;
+
+// How long velocity counting may take before the payment is scored without it
+const VELOCITY_TIMEOUT_MS = 500;
+
+/**
+ * RiskService - Rule-based fraud screening of new payments
+ * Responsible for:
+ * - Blocking payments whose IP, card, VPA or customer is on the merchant's or
+ *   the global blocklist
+ * - Counting payments per IP, card, VPA and customer in Redis and scoring
+ *   those over their velocity limit
+ * - Scoring payments above the high-amount threshold of their currency
+ * - Applying the merchant's rules, then its review and block thresholds, to
+ *   decide: allow, review or block
+ * - Managing merchants' risk settings and the blocklists
+ *
+ * Velocity counters fail open: if Redis is unavailable the payment is scored
+ * on its other signals. Sandbox (test mode) payments are not counted: they
+ * reuse the same test cards and VPAs, and must keep their deterministic outcomes.
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class RiskService {
+  constructor(riskRepository, redis) {
+    this.riskRepository = riskRepository;
+    this.redis = redis;
+  }
+
+  /**
+   * Score a payment about to be created and decide what happens to it
+   * @param {string} merchantId - Merchant being paid
+   * @param {Object} payment - What is known about the payment
+   * @param {number} payment.amount - Amount in minor units
+   * @param {string} payment.currency - ISO 4217 currency code
+   * @param {string} payment.method - Payment method
+   * @param {string} [payment.cardNetwork] - Card network
+   * @param {string} [payment.cardFingerprint] - Keyed fingerprint of the card
+   * @param {string} [payment.vpa] - UPI VPA
+   * @param {string} [payment.customerId] - Customer being charged
+   * @param {string} [payment.ip] - Payer's IP address
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} - { score, decision, reasons }
+   */
+  async evaluate(merchantId, payment, now = new Date()) {
+    const candidates = this._blocklistCandidates(payment);
+
+    const blocked = await this.riskRepository.findBlocklistMatches(merchantId, candidates);
+    if (blocked.length > 0) {
+      const types = [...new Set(blocked.map(entry => entry.type))];
+      return { score: MAX_SCORE, decision: 'block', reasons: types.map(type => `BLOCKLISTED_${type.toUpperCase()}`) };
+    }
+
+    const reasons = [];
+    let score = 0;
+
+    const mode = await this.riskRepository.getMerchantMode(merchantId);
+    const exceeded = mode === 'test' ? [] : await this._countVelocity(candidates, now);
+    for (const type of exceeded) {
+      score += VELOCITY_SCORE;
+      reasons.push(`VELOCITY_${type.toUpperCase()}`);
+    }
+
+    const highAmount = riskHighAmounts[payment.currency];
+    if (highAmount !== undefined && payment.amount >= highAmount) {
+      score += HIGH_AMOUNT_SCORE;
+      reasons.push('HIGH_AMOUNT');
+    }
+
+    score = Math.min(score, MAX_SCORE);
+
+    const settings = await this.getSettings(merchantId);
+    const rule = findMatchingRule(settings.rules, {
+      amount: payment.amount,
+      score,
+      currency: payment.currency,
+      method: payment.method,
+      card_network: payment.cardNetwork,
+      ip: payment.ip,
+      vpa: payment.vpa ? payment.vpa.toLowerCase() : payment.vpa,
+      customer_id: payment.customerId
+    });
+    if (rule) {
+      reasons.push(`RULE:${rule.name}`);
+      return { score, decision: rule.action, reasons };
+    }
+
+    let decision = 'allow';
+    if (score >= settings.block_threshold) {
+      decision = 'block';
+    } else if (score >= settings.review_threshold) {
+      decision = 'review';
+    }
+    return { score, decision, reasons };
+  }
+
+  /**
+   * Get a merchant's risk settings, falling back to the defaults
+   * @param {string} merchantId - The merchant ID
+   * @returns {Promise<Object>} - { rules, review_threshold, block_threshold, updated_at }
+   */
+  async getSettings(merchantId) {
+    const settings = await this.riskRepository.getSettings(merchantId);
+    return settings || { ...DEFAULT_RISK_SETTINGS, updated_at: null };
+  }
+
+  /**
+   * Replace a merchant's risk settings
+   * @param {string} merchantId - The merchant ID
+   * @param {Object} settings - Validated settings ({ rules, reviewThreshold, blockThreshold })
+   * @returns {Promise<Object>} - Saved settings row
+   */
+  async updateSettings(merchantId, settings) {
+    return this.riskRepository.upsertSettings(merchantId, settings);
+  }
+
+  /**
+   * Block an IP, card, VPA or customer for a merchant, or for every merchant
+   * @param {string|null} merchantId - The merchant ID, or null for a global entry
+   * @param {Object} entry - Validated entry ({ type, value, reason })
+   * @returns {Promise<Object>} - Created entry
+   * @throws {Error} - BLOCKLIST_ENTRY_EXISTS if the value is already blocked
+   */
+  async addBlocklistEntry(merchantId, { type, value, reason }) {
+    const entry = await this.riskRepository.createBlocklistEntry({
+      id: this._generateEntryId(),
+      merchantId,
+      type,
+      value: this._normalizeValue(type, value),
+      reason
+    });
+    if (!entry) {
+      throw this._createError('BLOCKLIST_ENTRY_EXISTS', `This ${type} is already blocklisted`, 409);
+    }
+    return entry;
+  }
+
+  /**
+   * List a merchant's (or the global) blocklist entries with cursor pagination
+   * @param {string|null} merchantId - The merchant ID, or null for global entries
+   * @param {Object} filters - Validated filters ({ type })
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {string} [page.cursor] - ID of the last entry of the previous page
+   * @returns {Promise<Object>} - { entries, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the listed entries
+   */
+  async listBlocklistEntries(merchantId, filters, page) {
+    if (page.cursor) {
+      const cursorEntry = await this.riskRepository.getBlocklistEntry(page.cursor, merchantId);
+      if (!cursorEntry) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known blocklist entry', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.riskRepository.listBlocklistEntries(merchantId, filters, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const entries = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      entries,
+      hasMore,
+      nextCursor: hasMore ? entries[entries.length - 1].id : null
+    };
+  }
+
+  /**
+   * Remove a blocklist entry
+   * @param {string} entryId - The entry ID
+   * @param {string|null} merchantId - The merchant ID, or null for a global entry
+   * @returns {Promise<Object>} - Removed entry
+   * @throws {Error} - BLOCKLIST_ENTRY_NOT_FOUND
+   */
+  async removeBlocklistEntry(entryId, merchantId) {
+    const entry = await this.riskRepository.deleteBlocklistEntry(entryId, merchantId);
+    if (!entry) {
+      throw this._createError('BLOCKLIST_ENTRY_NOT_FOUND', 'Blocklist entry not found', 404);
+    }
+    return entry;
+  }
+
+  /**
+   * The payment's values a blocklist entry or velocity counter can match
+   * @private
+   * @param {Object} payment - Payment being scored
+   * @returns {Array<Object>} - { type, value } pairs
+   */
+  _blocklistCandidates({ ip, cardFingerprint, vpa, customerId }) {
+    return [
+      ['ip', ip],
+      ['card', cardFingerprint],
+      ['vpa', vpa],
+      ['customer', customerId]
+    ]
+      .filter(([, value]) => typeof value === 'string' && value.length > 0)
+      .map(([type, value]) => ({ type, value: this._normalizeValue(type, value) }));
+  }
+
+  /**
+   * Count this payment against the current velocity window of each of its values
+   * Counters are shared across live merchants, so a card tried at several
+   * merchants is caught too.
+   * @private
+   * @param {Array<Object>} candidates - { type, value } pairs
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<string>>} - Types whose limit the payment exceeds
+   */
+  async _countVelocity(candidates, now) {
+    if (candidates.length === 0) return [];
+
+    const window = Math.floor(now.getTime() / 1000 / riskVelocityWindowSeconds);
+    const pipeline = this.redis.multi();
+    for (const { type, value } of candidates) {
+      const key = `risk:velocity:${type}:${value}:${window}`;
+      pipeline.incr(key).expire(key, riskVelocityWindowSeconds);
+    }
+
+    let results;
+    try {
+      results = await execWithTimeout(pipeline, VELOCITY_TIMEOUT_MS);
+    } catch (error) {
+      console.error(`[RiskService] Velocity check skipped: ${error.message}`);
+      return [];
+    }
+
+    // exec() replies [error, result] per command: INCR and EXPIRE for each candidate
+    return candidates
+      .filter(({ type }, i) => {
+        const [error, count] = results[i * 2];
+        return !error && count > riskVelocityLimits[type];
+      })
+      .map(({ type }) => type);
+  }
+
+  /**
+   * VPAs are case-insensitive; everything else is matched as given
+   * @private
+   */
+  _normalizeValue(type, value) {
+    const trimmed = value.trim();
+    return type === 'vpa' ? trimmed.toLowerCase() : trimmed;
+  }
+
+  /**
+   * Generate a unique blocklist entry ID
+   * @private
+   * @returns {string} - Entry ID
+   */
+  _generateEntryId() {
+    return 'blk_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = RiskService;
+module.exports.DEFAULT_RISK_SETTINGS = DEFAULT_RISK_SETTINGS;
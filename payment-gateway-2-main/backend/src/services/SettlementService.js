@@ -0,0 +1,240 @@
+const { v4: uuidv4 } = require('uuid');
+
+const SETTLEMENT_STATUSES = Object.freeze(['created', 'processing', 'settled', 'failed']);
+
+// Payout jobs retry a bank that cannot be reached before failing the settlement
+const PAYOUT_ATTEMPTS = 3;
+const PAYOUT_BACKOFF_MS = 60 * 1000;
+
+/**
+ * SettlementService - Handles all business logic related to settlements
+ * Responsible for:
+ * - Building each day's settlement batches per merchant and currency
+ * - Paying settlements out through the bank adapter and posting payouts to the ledger
+ * - Moving settlements through created -> processing -> settled | failed
+ * - Notifying merchants with settlement.processed / settlement.failed webhooks
+ * - Merchant-scoped retrieval and listing of settlements and their transactions
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class SettlementService {
+  constructor(settlementRepository, bankAdapter, settlementQueue, webhookQueue, ledgerService) {
+    this.settlementRepository = settlementRepository;
+    this.bankAdapter = bankAdapter;
+    this.settlementQueue = settlementQueue;
+    this.webhookQueue = webhookQueue;
+    this.ledgerService = ledgerService;
+  }
+
+  /**
+   * Create the settlements for everything captured or refunded before today (UTC)
+   * and queue their payouts. Safe to re-run: a period is only settled once.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Array<Object>>} - Created settlement rows
+   */
+  async createDailySettlements(now = new Date()) {
+    const periodEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const accounts = await this.settlementRepository.listSettleableAccounts(periodEnd);
+
+    const created = [];
+    for (const { merchant_id: merchantId, currency } of accounts) {
+      const settlement = await this.settlementRepository.createSettlement({
+        id: this._generateSettlementId(),
+        merchantId,
+        currency,
+        periodEnd
+      });
+      if (!settlement) continue;
+
+      await this.settlementQueue.add('process-settlement', { settlementId: settlement.id }, {
+        jobId: `payout_${settlement.id}`,
+        attempts: PAYOUT_ATTEMPTS,
+        backoff: { type: 'exponential', delay: PAYOUT_BACKOFF_MS }
+      });
+      created.push(settlement);
+    }
+    return created;
+  }
+
+  /**
+   * Pay a settlement out and record the bank's outcome
+   * @param {string} settlementId - The settlement ID
+   * @param {Object} [options] - Processing options
+   * @param {boolean} [options.finalAttempt] - Whether a bank that cannot be reached fails
+   *   the settlement (true) or the error is rethrown so the job is retried (false)
+   * @returns {Promise<Object|null>} - Settlement row after processing, or null if it was not found
+   *   or is being processed elsewhere
+   */
+  async processSettlement(settlementId, { finalAttempt = true } = {}) {
+    let settlement = await this.settlementRepository.getSettlementById(settlementId);
+    if (!settlement) return null;
+
+    // A retried job resumes a settlement left in 'processing'; the bank
+    // does not pay the same reference twice
+    if (settlement.status === 'created') {
+      settlement = await this.settlementRepository.updateSettlement(settlementId, 'created', {
+        status: 'processing',
+        initiated_at: new Date()
+      });
+      if (!settlement) return null;
+    } else if (settlement.status !== 'processing') {
+      return settlement;
+    }
+
+    let outcome;
+    try {
+      outcome = await this.bankAdapter.payout({
+        reference: settlement.id,
+        merchantId: settlement.merchant_id,
+        amount: settlement.amount,
+        currency: settlement.currency
+      });
+    } catch (error) {
+      if (!finalAttempt) throw error;
+      outcome = { status: 'rejected', reason: `Payout could not be submitted: ${error.message}` };
+    }
+
+    if (outcome.status === 'processed') {
+      const settled = await this.settlementRepository.updateSettlement(settlementId, 'processing', {
+        status: 'settled',
+        utr: outcome.utr,
+        settled_at: new Date()
+      });
+      if (settled) {
+        // A missed posting is picked up by the ledger check job
+        await this.ledgerService.recordPayout(settled)
+          .catch(error => console.error(`[SettlementService] Ledger posting failed for ${settled.id}: ${error.message}`));
+        await this._sendWebhook('settlement.processed', settled);
+      }
+      return settled;
+    }
+
+    // Its payments and refunds are released to the next settlement run
+    const failed = await this.settlementRepository.failSettlement(settlementId, {
+      reason: String(outcome.reason || 'Payout rejected by the bank').substring(0, 255),
+      failedAt: new Date()
+    });
+    if (failed) await this._sendWebhook('settlement.failed', failed);
+    return failed;
+  }
+
+  /**
+   * Retrieve one of the merchant's settlements
+   * @param {string} settlementId - The settlement ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Settlement row
+   * @throws {Error} - SETTLEMENT_NOT_FOUND if the settlement does not belong to the merchant
+   */
+  async getSettlement(settlementId, merchantId) {
+    const settlement = await this.settlementRepository.getSettlementForMerchant(settlementId, merchantId);
+    if (!settlement) {
+      throw this._createError('SETTLEMENT_NOT_FOUND', 'Settlement not found', 404);
+    }
+    return settlement;
+  }
+
+  /**
+   * List a merchant's settlements with cursor pagination
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} filters - Validated filters ({ status })
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {string} [page.cursor] - ID of the last settlement of the previous page
+   * @returns {Promise<Object>} - { settlements, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the merchant's settlements
+   */
+  async listSettlements(merchantId, filters, page) {
+    if (page.cursor) {
+      const cursorSettlement = await this.settlementRepository.getSettlementForMerchant(page.cursor, merchantId);
+      if (!cursorSettlement) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known settlement', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.settlementRepository.listSettlements(merchantId, filters, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const settlements = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      settlements,
+      hasMore,
+      nextCursor: hasMore ? settlements[settlements.length - 1].id : null
+    };
+  }
+
+  /**
+   * List the payments and refunds paid out by one of the merchant's settlements
+   * @param {string} settlementId - The settlement ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} page - Pagination options
+   * @param {number} page.limit - Page size
+   * @param {number} [page.cursor] - ID of the last transaction of the previous page
+   * @returns {Promise<Object>} - { transactions, hasMore, nextCursor }
+   * @throws {Error} - SETTLEMENT_NOT_FOUND if the settlement does not belong to the merchant
+   */
+  async listTransactions(settlementId, merchantId, page) {
+    await this.getSettlement(settlementId, merchantId);
+
+    const rows = await this.settlementRepository.listTransactions(settlementId, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+
+    const hasMore = rows.length > page.limit;
+    const transactions = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      transactions,
+      hasMore,
+      nextCursor: hasMore ? String(transactions[transactions.length - 1].id) : null
+    };
+  }
+
+  /**
+   * Enqueue a settlement webhook
+   * @private
+   * @param {string} event - settlement.* event name
+   * @param {Object} settlement - Settlement row
+   * @returns {Promise<void>}
+   */
+  async _sendWebhook(event, settlement) {
+    await this.webhookQueue.add('send-webhook', {
+      event,
+      settlementId: settlement.id,
+      merchantId: settlement.merchant_id
+    });
+  }
+
+  /**
+   * Generate a unique settlement ID
+   * @private
+   * @returns {string} - Settlement ID
+   */
+  _generateSettlementId() {
+    return 'setl_' + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = SettlementService;
+module.exports.SETTLEMENT_STATUSES = SETTLEMENT_STATUSES;
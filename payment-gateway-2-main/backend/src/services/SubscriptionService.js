@@ -0,0 +1,691 @@
+const { v4: uuidv4 } = require('uuid');
+const { isCardExpired } = require('../utils/paymentMethods');
+const { subscriptionRetryDelaysHours, subscriptionChargeTimeoutMinutes } = require('../config/payments');
+const { CHARGEABLE_STATUSES } = require('../repository/SubscriptionRepository');
+
+/**
+ * Subscription statuses
+ *
+ *   trialing -> active -> completed
+ *
+ * A failed charge moves the subscription to past_due while dunning retries
+ * it, and to halted once every retry has failed. paused and halted
+ * subscriptions are not charged until resumed; cancelled and completed are
+ * terminal.
+ */
+const SUBSCRIPTION_STATUSES = Object.freeze([
+  'trialing', 'active', 'past_due', 'halted', 'paused', 'cancelled', 'completed'
+]);
+const PAUSABLE_STATUSES = ['trialing', 'active', 'past_due'];
+const RESUMABLE_STATUSES = ['paused', 'halted'];
+const CANCELLABLE_STATUSES = ['trialing', 'active', 'past_due', 'paused', 'halted'];
+
+const PLAN_PERIODS = Object.freeze(['daily', 'weekly', 'monthly', 'yearly']);
+
+/**
+ * SubscriptionService - Handles all business logic related to plans and subscriptions
+ * Responsible for:
+ * - Plan creation, retrieval and listing
+ * - Subscribing a customer's saved payment method to a plan, with an optional trial
+ * - Charging due billing cycles through an order and a token payment
+ * - Advancing billing cycles on capture and dunning failed charges
+ * - Pausing, resuming and cancelling subscriptions
+ * - Scheduling charges as delayed jobs on the subscription queue
+ * - Emitting subscription.* webhooks
+ *
+ * SubscriptionWorker calls chargeSubscription when a charge job fires and
+ * handlePaymentOutcome once PaymentWorker settles the cycle's payment.
+ *
+ * Follows Single Responsibility Principle by separating business logic
+ * from HTTP handling and data access
+ */
+class SubscriptionService {
+  constructor(subscriptionRepository, customerRepository, orderService, paymentService, subscriptionQueue, webhookQueue) {
+    this.subscriptionRepository = subscriptionRepository;
+    this.customerRepository = customerRepository;
+    this.orderService = orderService;
+    this.paymentService = paymentService;
+    this.subscriptionQueue = subscriptionQueue;
+    this.webhookQueue = webhookQueue;
+  }
+
+  /**
+   * Create a plan
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} params - Validated plan parameters
+   * @param {string} params.name - Plan name
+   * @param {string} [params.description] - Plan description
+   * @param {number} params.amount - Amount charged per cycle, in minor units
+   * @param {string} params.currency - ISO 4217 currency code
+   * @param {string} params.period - 'daily', 'weekly', 'monthly' or 'yearly'
+   * @param {number} params.intervalCount - Periods per billing cycle
+   * @param {number} params.trialPeriodDays - Default trial length for new subscriptions
+   * @param {Object} [params.notes] - Merchant key-value notes
+   * @returns {Promise<Object>} - Created plan row
+   */
+  async createPlan(merchantId, { name, description, amount, currency, period, intervalCount, trialPeriodDays, notes }) {
+    return this.subscriptionRepository.createPlan({
+      id: this._generateId('plan_'),
+      merchantId,
+      name,
+      description,
+      amount,
+      currency,
+      period,
+      intervalCount,
+      trialPeriodDays,
+      notes
+    });
+  }
+
+  /**
+   * Retrieve one of the merchant's plans
+   * @param {string} planId - The plan ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Plan row
+   * @throws {Error} - PLAN_NOT_FOUND if the plan does not belong to the merchant
+   */
+  async getPlan(planId, merchantId) {
+    const plan = await this.subscriptionRepository.getPlanForMerchant(planId, merchantId);
+    if (!plan) {
+      throw this._createError('PLAN_NOT_FOUND', 'Plan not found', 404);
+    }
+    return plan;
+  }
+
+  /**
+   * List a merchant's plans with cursor pagination
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} page - Pagination options ({ limit, cursor })
+   * @returns {Promise<Object>} - { plans, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the merchant's plans
+   */
+  async listPlans(merchantId, page) {
+    if (page.cursor) {
+      const cursorPlan = await this.subscriptionRepository.getPlanForMerchant(page.cursor, merchantId);
+      if (!cursorPlan) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known plan', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.subscriptionRepository.listPlans(merchantId, { limit: page.limit + 1, cursor: page.cursor });
+    const hasMore = rows.length > page.limit;
+    const plans = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return { plans, hasMore, nextCursor: hasMore ? plans[plans.length - 1].id : null };
+  }
+
+  /**
+   * Subscribe a customer's saved payment method to a plan
+   * Without a trial the first cycle is charged right away; with one it is
+   * charged when the trial ends.
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} params - Validated subscription parameters
+   * @param {string} params.planId - Plan to bill
+   * @param {string} params.customerId - Customer to bill
+   * @param {string} params.tokenId - Saved payment method of the customer
+   * @param {number} [params.totalCount] - Number of cycles to bill; unlimited when omitted
+   * @param {number} [params.trialPeriodDays] - Overrides the plan's trial length
+   * @param {Object} [params.notes] - Merchant key-value notes, copied to every cycle's payment
+   * @returns {Promise<Object>} - Created subscription row
+   * @throws {Error} - PLAN_NOT_FOUND, CUSTOMER_NOT_FOUND, TOKEN_NOT_FOUND,
+   *                   TOKEN_CUSTOMER_MISMATCH or CARD_EXPIRED
+   */
+  async createSubscription(merchantId, { planId, customerId, tokenId, totalCount, trialPeriodDays, notes }) {
+    const plan = await this.subscriptionRepository.getPlanForMerchant(planId, merchantId);
+    if (!plan) {
+      throw this._createError('PLAN_NOT_FOUND', 'Plan not found', 400);
+    }
+
+    const customer = await this.customerRepository.getCustomerForMerchant(customerId, merchantId);
+    if (!customer) {
+      throw this._createError('CUSTOMER_NOT_FOUND', 'Customer not found', 400);
+    }
+
+    const token = await this.customerRepository.getTokenForMerchant(tokenId, merchantId);
+    if (!token) {
+      throw this._createError('TOKEN_NOT_FOUND', 'Token not found', 400);
+    }
+    if (token.customer_id !== customerId) {
+      throw this._createError('TOKEN_CUSTOMER_MISMATCH', 'Token does not belong to the customer', 400);
+    }
+    if (token.method === 'card' && isCardExpired(token.card_expiry_month, token.card_expiry_year)) {
+      throw this._createError('CARD_EXPIRED', 'Saved card has expired', 400);
+    }
+
+    const trialDays = trialPeriodDays === undefined ? plan.trial_period_days : trialPeriodDays;
+    const now = new Date();
+    const trialEnd = trialDays > 0 ? new Date(now.getTime() + trialDays * 24 * 60 * 60 * 1000) : null;
+
+    const subscription = await this.subscriptionRepository.createSubscription({
+      id: this._generateId('sub_'),
+      merchantId,
+      planId: plan.id,
+      customerId,
+      tokenId: token.id,
+      status: trialEnd ? 'trialing' : 'active',
+      totalCount,
+      trialEnd,
+      nextChargeAt: trialEnd || now,
+      notes
+    });
+
+    await this._scheduleCharge(subscription);
+    return subscription;
+  }
+
+  /**
+   * Retrieve one of the merchant's subscriptions
+   * @param {string} subscriptionId - The subscription ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Subscription row
+   * @throws {Error} - SUBSCRIPTION_NOT_FOUND if the subscription does not belong to the merchant
+   */
+  async getSubscription(subscriptionId, merchantId) {
+    const subscription = await this.subscriptionRepository.getSubscriptionForMerchant(subscriptionId, merchantId);
+    if (!subscription) {
+      throw this._createError('SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 404);
+    }
+    return subscription;
+  }
+
+  /**
+   * List a merchant's subscriptions with cursor pagination
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {Object} filters - Validated filters ({ status, planId, customerId })
+   * @param {Object} page - Pagination options ({ limit, cursor })
+   * @returns {Promise<Object>} - { subscriptions, hasMore, nextCursor }
+   * @throws {Error} - INVALID_CURSOR if the cursor is not one of the merchant's subscriptions
+   */
+  async listSubscriptions(merchantId, filters, page) {
+    if (page.cursor) {
+      const cursorSubscription = await this.subscriptionRepository.getSubscriptionForMerchant(page.cursor, merchantId);
+      if (!cursorSubscription) {
+        throw this._createError('INVALID_CURSOR', 'Cursor does not reference a known subscription', 400);
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.subscriptionRepository.listSubscriptions(merchantId, filters, {
+      limit: page.limit + 1,
+      cursor: page.cursor
+    });
+    const hasMore = rows.length > page.limit;
+    const subscriptions = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+      subscriptions,
+      hasMore,
+      nextCursor: hasMore ? subscriptions[subscriptions.length - 1].id : null
+    };
+  }
+
+  /**
+   * Pause a subscription: no cycle is charged until it is resumed
+   * A charge already in flight still completes and pays its cycle.
+   * @param {string} subscriptionId - The subscription ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Paused subscription row
+   * @throws {Error} - SUBSCRIPTION_NOT_FOUND or SUBSCRIPTION_NOT_PAUSABLE
+   */
+  async pauseSubscription(subscriptionId, merchantId) {
+    const subscription = await this.getSubscription(subscriptionId, merchantId);
+    if (!PAUSABLE_STATUSES.includes(subscription.status)) {
+      throw this._createError('SUBSCRIPTION_NOT_PAUSABLE', `Subscription is ${subscription.status} and cannot be paused`, 400);
+    }
+
+    const paused = await this.subscriptionRepository.updateSubscription(subscription.id, [subscription.status], {
+      status: 'paused',
+      paused_at: new Date(),
+      next_retry_at: null
+    });
+    if (!paused) {
+      throw this._createError('SUBSCRIPTION_NOT_PAUSABLE', 'Subscription changed state while pausing; retry to see its current status', 409);
+    }
+
+    await this._unscheduleCharge(subscription);
+    await this._sendWebhook('subscription.paused', paused);
+    return paused;
+  }
+
+  /**
+   * Resume a paused or halted subscription
+   * The next cycle is charged when it falls due, or right away if it fell
+   * due while the subscription was not being charged. Dunning starts over.
+   * @param {string} subscriptionId - The subscription ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @returns {Promise<Object>} - Resumed subscription row
+   * @throws {Error} - SUBSCRIPTION_NOT_FOUND or SUBSCRIPTION_NOT_RESUMABLE
+   */
+  async resumeSubscription(subscriptionId, merchantId) {
+    const subscription = await this.getSubscription(subscriptionId, merchantId);
+    if (!RESUMABLE_STATUSES.includes(subscription.status)) {
+      throw this._createError('SUBSCRIPTION_NOT_RESUMABLE', `Subscription is ${subscription.status} and cannot be resumed`, 400);
+    }
+
+    const now = new Date();
+    const inTrial = subscription.paid_count === 0 && subscription.trial_end && new Date(subscription.trial_end) > now;
+    const nextChargeAt = subscription.next_charge_at && new Date(subscription.next_charge_at) < now
+      ? now
+      : subscription.next_charge_at;
+
+    const resumed = await this.subscriptionRepository.updateSubscription(subscription.id, [subscription.status], {
+      status: inTrial ? 'trialing' : 'active',
+      paused_at: null,
+      failed_attempts: 0,
+      next_retry_at: null,
+      next_charge_at: nextChargeAt
+    });
+    if (!resumed) {
+      throw this._createError('SUBSCRIPTION_NOT_RESUMABLE', 'Subscription changed state while resuming; retry to see its current status', 409);
+    }
+
+    await this._scheduleCharge(resumed);
+    await this._sendWebhook('subscription.resumed', resumed);
+    return resumed;
+  }
+
+  /**
+   * Cancel a subscription, now or at the end of the current cycle
+   * @param {string} subscriptionId - The subscription ID
+   * @param {string} merchantId - The authenticated merchant ID
+   * @param {boolean} [atCycleEnd=false] - Keep the paid cycle and cancel instead of charging the next one
+   * @returns {Promise<Object>} - Cancelled (or scheduled-to-cancel) subscription row
+   * @throws {Error} - SUBSCRIPTION_NOT_FOUND or SUBSCRIPTION_NOT_CANCELLABLE
+   */
+  async cancelSubscription(subscriptionId, merchantId, atCycleEnd = false) {
+    const subscription = await this.getSubscription(subscriptionId, merchantId);
+    if (!CANCELLABLE_STATUSES.includes(subscription.status)) {
+      throw this._createError('SUBSCRIPTION_NOT_CANCELLABLE', `Subscription is already ${subscription.status}`, 400);
+    }
+
+    if (atCycleEnd) {
+      if (!['trialing', 'active'].includes(subscription.status)) {
+        throw this._createError(
+          'SUBSCRIPTION_NOT_CANCELLABLE',
+          `A ${subscription.status} subscription can only be cancelled immediately`,
+          400
+        );
+      }
+
+      const scheduled = await this.subscriptionRepository.updateSubscription(subscription.id, [subscription.status], {
+        cancel_at_cycle_end: true
+      });
+      if (!scheduled) {
+        throw this._createError('SUBSCRIPTION_NOT_CANCELLABLE', 'Subscription changed state while cancelling; retry to see its current status', 409);
+      }
+      return scheduled;
+    }
+
+    const cancelled = await this._cancel(subscription);
+    if (!cancelled) {
+      throw this._createError('SUBSCRIPTION_NOT_CANCELLABLE', 'Subscription changed state while cancelling; retry to see its current status', 409);
+    }
+
+    await this._unscheduleCharge(subscription);
+    return cancelled;
+  }
+
+  /**
+   * Charge a subscription's due cycle or dunning retry
+   * Called by SubscriptionWorker. Jobs for subscriptions that are no longer
+   * due (paused, rescheduled or already being charged) are ignored.
+   * @param {string} subscriptionId - The subscription ID
+   * @returns {Promise<Object|null>} - Created payment, or null if nothing was charged
+   */
+  async chargeSubscription(subscriptionId) {
+    const subscription = await this.subscriptionRepository.claimDueCharge(subscriptionId, subscriptionChargeTimeoutMinutes);
+    if (!subscription) {
+      return null;
+    }
+
+    // A cycle boundary (not a dunning retry) ends subscriptions cancelled at cycle end
+    if (subscription.cancel_at_cycle_end && !subscription.next_retry_at) {
+      const cancelled = await this._cancel(subscription, { charge_started_at: null });
+      if (!cancelled) {
+        await this.subscriptionRepository.updateSubscription(subscription.id, SUBSCRIPTION_STATUSES, { charge_started_at: null });
+      }
+      return null;
+    }
+
+    const plan = await this.subscriptionRepository.getPlanForMerchant(subscription.plan_id, subscription.merchant_id);
+
+    let payment;
+    try {
+      const order = await this.orderService.createOrder(subscription.merchant_id, {
+        amount: plan.amount,
+        currency: plan.currency,
+        receipt: subscription.id,
+        notes: subscription.notes,
+        customerId: subscription.customer_id
+      });
+
+      payment = await this.paymentService.createPayment(subscription.merchant_id, {
+        orderId: order.id,
+        customerId: subscription.customer_id,
+        tokenId: subscription.token_id,
+        subscriptionId: subscription.id,
+        notes: subscription.notes
+      });
+    } catch (error) {
+      // A token that can no longer be charged fails the cycle like a declined payment
+      if (error.code) {
+        await this.handlePaymentOutcome(subscription.id, null, 'failed', error.message);
+        return null;
+      }
+
+      await this.subscriptionRepository.updateSubscription(subscription.id, CHARGEABLE_STATUSES, { charge_started_at: null });
+      throw error;
+    }
+
+    await this.subscriptionRepository.updateSubscription(subscription.id, SUBSCRIPTION_STATUSES, {
+      last_payment_id: payment.id
+    });
+    return payment;
+  }
+
+  /**
+   * Record the outcome of the charge in flight and release its claim
+   * Called by SubscriptionWorker once the cycle's payment is captured, or
+   * has failed, been cancelled or expired, all of which fail the charge. The
+   * update is retried if the merchant pauses or cancels the subscription at
+   * the same moment.
+   * @param {string} subscriptionId - The subscription ID
+   * @param {string|null} paymentId - The settled payment, or null if none could be created
+   * @param {string} status - 'captured', 'failed', 'cancelled' or 'expired'
+   * @param {string} [reason] - Why a charge failed, for logs
+   * @returns {Promise<Object|null>} - Updated subscription, or null if no charge was in flight
+   */
+  async handlePaymentOutcome(subscriptionId, paymentId, status, reason = `Payment ${status}`) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const subscription = await this.subscriptionRepository.getSubscriptionById(subscriptionId);
+      if (!subscription || !subscription.charge_started_at) {
+        return null;
+      }
+
+      const updated = status === 'captured'
+        ? await this._recordPaidCycle(subscription, paymentId)
+        : await this._recordFailedCharge(subscription, paymentId, reason);
+      if (updated) {
+        return updated;
+      }
+    }
+
+    throw new Error(`Failed to record charge outcome for subscription ${subscriptionId}: status kept changing`);
+  }
+
+  /**
+   * Enqueue charge jobs for due subscriptions that have none
+   * Run periodically by SubscriptionWorker so a lost delayed job only
+   * postpones a charge until the next sweep.
+   * @param {number} [limit=100] - Maximum subscriptions per sweep
+   * @returns {Promise<number>} - Number of due subscriptions found
+   */
+  async enqueueDueCharges(limit = 100) {
+    const due = await this.subscriptionRepository.listDueSubscriptions(limit, subscriptionChargeTimeoutMinutes);
+    for (const subscription of due) {
+      await this._scheduleCharge(subscription);
+    }
+    return due.length;
+  }
+
+  /**
+   * Advance a subscription past the cycle its payment paid for
+   * Cycles start when they were due, not when the charge succeeded, so
+   * dunning retries do not shift the billing dates.
+   * @private
+   * @param {Object} subscription - Subscription row holding the charge claim
+   * @param {string} paymentId - The captured payment ID
+   * @returns {Promise<Object|null>} - Updated row, or null if its status changed
+   */
+  async _recordPaidCycle(subscription, paymentId) {
+    const plan = await this.subscriptionRepository.getPlanForMerchant(subscription.plan_id, subscription.merchant_id);
+    const cycleStart = new Date(subscription.next_charge_at);
+    const cycleEnd = this._addPeriod(cycleStart, plan.period, plan.interval_count);
+    const paidCount = subscription.paid_count + 1;
+    const completed = subscription.total_count !== null && paidCount >= subscription.total_count;
+
+    let status = subscription.status;
+    if (completed && status !== 'cancelled') {
+      status = 'completed';
+    } else if (CHARGEABLE_STATUSES.includes(status)) {
+      status = 'active';
+    }
+
+    const updated = await this.subscriptionRepository.updateSubscription(subscription.id, [subscription.status], {
+      status,
+      paid_count: paidCount,
+      failed_attempts: 0,
+      current_start: cycleStart,
+      current_end: cycleEnd,
+      next_charge_at: status === 'completed' || status === 'cancelled' ? null : cycleEnd,
+      next_retry_at: null,
+      charge_started_at: null,
+      last_payment_id: paymentId,
+      ended_at: status === 'completed' ? new Date() : subscription.ended_at
+    });
+    if (!updated) {
+      return null;
+    }
+
+    if (paidCount === 1) {
+      await this._sendWebhook('subscription.activated', updated, paymentId);
+    }
+    await this._sendWebhook('subscription.charged', updated, paymentId);
+
+    if (updated.status === 'completed') {
+      await this._sendWebhook('subscription.completed', updated);
+    } else if (CHARGEABLE_STATUSES.includes(updated.status)) {
+      await this._scheduleCharge(updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Dun a subscription whose charge failed
+   * Each failure schedules the next retry from subscriptionRetryDelaysHours;
+   * once they are used up the subscription is halted.
+   * @private
+   * @param {Object} subscription - Subscription row holding the charge claim
+   * @param {string|null} paymentId - The failed payment, or null if none could be created
+   * @param {string} reason - Why the charge failed, for logs
+   * @returns {Promise<Object|null>} - Updated row, or null if its status changed
+   */
+  async _recordFailedCharge(subscription, paymentId, reason) {
+    const failedAttempts = subscription.failed_attempts + 1;
+    const chargeable = CHARGEABLE_STATUSES.includes(subscription.status);
+    const retryDelayHours = subscriptionRetryDelaysHours[failedAttempts - 1];
+    const halted = chargeable && retryDelayHours === undefined;
+
+    let status = subscription.status;
+    if (halted) {
+      status = 'halted';
+    } else if (chargeable) {
+      status = 'past_due';
+    }
+
+    console.warn(`[SubscriptionService] Charge failed for ${subscription.id} (attempt ${failedAttempts}): ${reason}`);
+
+    const updated = await this.subscriptionRepository.updateSubscription(subscription.id, [subscription.status], {
+      status,
+      failed_attempts: failedAttempts,
+      next_retry_at: chargeable && !halted ? new Date(Date.now() + retryDelayHours * 60 * 60 * 1000) : null,
+      charge_started_at: null,
+      last_payment_id: paymentId || subscription.last_payment_id
+    });
+    if (!updated) {
+      return null;
+    }
+
+    if (halted) {
+      await this._sendWebhook('subscription.halted', updated, paymentId);
+    } else if (chargeable) {
+      await this._sendWebhook('subscription.past_due', updated, paymentId);
+      await this._scheduleCharge(updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Cancel a subscription immediately
+   * A charge already in flight keeps its claim so its outcome is still recorded.
+   * @private
+   * @param {Object} subscription - Subscription row as last read
+   * @param {Object} [changes] - Other columns to set in the same update
+   * @returns {Promise<Object|null>} - Cancelled row, or null if its status changed
+   */
+  async _cancel(subscription, changes = {}) {
+    const now = new Date();
+    const cancelled = await this.subscriptionRepository.updateSubscription(subscription.id, [subscription.status], {
+      status: 'cancelled',
+      cancelled_at: now,
+      ended_at: now,
+      next_charge_at: null,
+      next_retry_at: null,
+      ...changes
+    });
+
+    if (cancelled) {
+      await this._sendWebhook('subscription.cancelled', cancelled);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Enqueue a delayed job for the subscription's next charge or retry
+   * The job ID names the due time, so rescheduling the same charge is a no-op.
+   * @private
+   * @param {Object} subscription - Subscription row
+   * @returns {Promise<void>}
+   */
+  async _scheduleCharge(subscription) {
+    const dueAt = this._dueAt(subscription);
+    if (!dueAt) {
+      return;
+    }
+
+    await this.subscriptionQueue.add('charge-subscription', { subscriptionId: subscription.id }, {
+      jobId: this._chargeJobId(subscription.id, dueAt),
+      delay: Math.max(0, dueAt.getTime() - Date.now())
+    });
+  }
+
+  /**
+   * Remove the subscription's scheduled charge job, if it has not started
+   * A job that already started finds the subscription no longer chargeable.
+   * @private
+   * @param {Object} subscription - Subscription row as it was scheduled
+   * @returns {Promise<void>}
+   */
+  async _unscheduleCharge(subscription) {
+    const dueAt = this._dueAt(subscription);
+    if (!dueAt) {
+      return;
+    }
+
+    const job = await this.subscriptionQueue.getJob(this._chargeJobId(subscription.id, dueAt));
+    if (job && ['waiting', 'delayed', 'prioritized'].includes(await job.getState())) {
+      try {
+        await job.remove();
+      } catch (error) {
+        // A worker locked the job in the meantime; it will skip the subscription
+      }
+    }
+  }
+
+  /**
+   * When the subscription's next charge attempt is due
+   * @private
+   * @param {Object} subscription - Subscription row
+   * @returns {Date|null}
+   */
+  _dueAt(subscription) {
+    const dueAt = subscription.next_retry_at || subscription.next_charge_at;
+    return dueAt ? new Date(dueAt) : null;
+  }
+
+  /**
+   * BullMQ job ID of a subscription's charge job for a due time
+   * @private
+   * @param {string} subscriptionId - The subscription ID
+   * @param {Date} dueAt - When the charge is due
+   * @returns {string}
+   */
+  _chargeJobId(subscriptionId, dueAt) {
+    return `charge_${subscriptionId}_${dueAt.getTime()}`;
+  }
+
+  /**
+   * Add billing periods to a date
+   * Monthly and yearly cycles that start on a day the target month does not
+   * have (e.g. the 31st) end on that month's last day.
+   * @private
+   * @param {Date} date - Cycle start
+   * @param {string} period - 'daily', 'weekly', 'monthly' or 'yearly'
+   * @param {number} count - Number of periods
+   * @returns {Date} - Cycle end
+   */
+  _addPeriod(date, period, count) {
+    const result = new Date(date.getTime());
+    if (period === 'daily' || period === 'weekly') {
+      const days = period === 'daily' ? count : count * 7;
+      result.setUTCDate(result.getUTCDate() + days);
+      return result;
+    }
+
+    const months = period === 'monthly' ? count : count * 12;
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+  }
+
+  /**
+   * Enqueue a subscription webhook
+   * @private
+   * @param {string} event - subscription.* event name
+   * @param {Object} subscription - Subscription row
+   * @param {string} [paymentId] - Payment the event is about, if any
+   * @returns {Promise<void>}
+   */
+  async _sendWebhook(event, subscription, paymentId) {
+    await this.webhookQueue.add('send-webhook', {
+      event,
+      subscriptionId: subscription.id,
+      paymentId: paymentId || null,
+      merchantId: subscription.merchant_id
+    });
+  }
+
+  /**
+   * Generate a unique ID with the given prefix
+   * @private
+   * @param {string} prefix - 'plan_' or 'sub_'
+   * @returns {string}
+   */
+  _generateId(prefix) {
+    return prefix + uuidv4().replace(/-/g, '').substring(0, 14);
+  }
+
+  /**
+   * Create a structured error object
+   * @private
+   * @param {string} code - Error code
+   * @param {string} description - Error description
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Custom error object
+   */
+  _createError(code, description, statusCode = 400) {
+    const error = new Error(description);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = SubscriptionService;
+module.exports.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
+module.exports.PLAN_PERIODS = PLAN_PERIODS;
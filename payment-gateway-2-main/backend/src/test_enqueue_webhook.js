@@ -4,7 +4,7 @@ const { connection } = require('./config/queue');
 
 async function main() {
   try {
-    const p = await db.query("SELECT id, merchant_id FROM payments WHERE status='success' AND merchant_id IS NOT NULL ORDER BY created_at DESC LIMIT 1");
+    const p = await db.query("SELECT id, merchant_id FROM payments WHERE status='captured' AND merchant_id IS NOT NULL ORDER BY created_at DESC LIMIT 1");
     if (!p.rows.length) {
       console.log('No successful payment with merchant_id found.');
       process.exit(0);
@@ -1,5 +1,15 @@
 (async () => {
   try {
+    const orderRes = await fetch('http://localhost:8000/api/v1/orders', {
+      method: 'POST',
+      headers: {
+        'X-Api-Key': 'test_key_abc123',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ amount: 1000, currency: 'INR', receipt: 'ORDER_FINAL_01' })
+    });
+    const order = await orderRes.json();
+
     const res = await fetch('http://localhost:8000/api/v1/payments', {
       method: 'POST',
       headers: {
@@ -7,7 +17,7 @@
         'Idempotency-Key': 'test_idemp_final',
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ order_id: 'ORDER_FINAL_01', amount: 1000, method: 'upi' })
+      body: JSON.stringify({ order_id: order.id, amount: 1000, method: 'upi', vpa: 'customer@upi' })
     });
     const text = await res.text();
     console.log('Status:', res.status);
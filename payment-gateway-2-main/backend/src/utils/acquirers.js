@@ -0,0 +1,64 @@
+/**
+ * Acquirer names, routing validation and callback signatures
+ *
+ * Payments are routed to an acquirer by method: a route maps a payment
+ * method, or "default" for every other method, to an acquirer name.
+ */
+const crypto = require('crypto');
+const { PAYMENT_METHODS } = require('./paymentMethods');
+
+// 'simulated' decides outcomes in-process (utils/sandbox.js); 'mock' calls
+// the mock acquirer service (mock_acquirer.js) over HTTP
+const ACQUIRERS = ['simulated', 'mock'];
+const DEFAULT_ROUTE = 'default';
+
+/**
+ * Validate acquirer routes
+ * @param {*} routes - e.g. { "card": "mock", "default": "simulated" }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateAcquirerRoutes(routes) {
+  if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+    return 'routes must be an object mapping payment methods to acquirers';
+  }
+  for (const [method, acquirer] of Object.entries(routes)) {
+    if (method !== DEFAULT_ROUTE && !PAYMENT_METHODS.includes(method)) {
+      return `routes keys must be one of: ${[...PAYMENT_METHODS, DEFAULT_ROUTE].join(', ')}`;
+    }
+    if (!ACQUIRERS.includes(acquirer)) {
+      return `routes values must be one of: ${ACQUIRERS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Signature of an acquirer callback body
+ * @param {Object} body - Callback body
+ * @param {string} secret - Secret shared with the acquirer
+ * @returns {string} - Hex HMAC-SHA256 of the JSON body
+ */
+function signAcquirerCallback(body, secret) {
+  return crypto.createHmac('sha256', secret).update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Whether a callback's signature is valid
+ * @param {Object} body - Callback body
+ * @param {string} signature - Signature sent with the callback
+ * @param {string} secret - Secret shared with the acquirer
+ * @returns {boolean}
+ */
+function verifyAcquirerCallback(body, signature, secret) {
+  const expected = Buffer.from(signAcquirerCallback(body, secret));
+  const provided = Buffer.from(String(signature || ''));
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+  ACQUIRERS,
+  DEFAULT_ROUTE,
+  validateAcquirerRoutes,
+  signAcquirerCallback,
+  verifyAcquirerCallback
+};
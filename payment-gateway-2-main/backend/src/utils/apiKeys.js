@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+/**
+ * Merchant API keys: how secrets are generated and stored, the scopes
+ * limiting what a key may do, and the browser origins allowed to use a
+ * merchant's publishable keys.
+ *
+ * Secret keys (sk_) are for merchants' servers. Publishable keys (pk_) are
+ * safe to put in web pages: they have no scopes and only work with the
+ * checkout API (/api/v1/checkout), on the merchant's own orders.
+ *
+ * A scope is "<resource>:read", "<resource>:write" (which includes read) or
+ * "*" for everything; "*" may also stand for the resource ("*:read" is a
+ * read-only key). Reads are GET and HEAD requests. The resource of a request
+ * is the first segment of its path after /api/v1, except that refunds
+ * (/api/v1/payments/:id/refunds) are their own resource.
+ */
+const API_KEY_RESOURCES = [
+  'payments', 'refunds', 'orders', 'customers', 'payment_links', 'plans', 'subscriptions',
+  'invoices', 'settlements', 'pricing', 'balance', 'reconciliations', 'disputes', 'risk',
+  'webhooks', 'api_keys', 'allowed_origins'
+];
+const API_KEY_TYPES = ['secret', 'publishable'];
+const API_KEY_PREFIXES = { secret: 'sk_', publishable: 'pk_' };
+// Test keys act as the merchant's sandbox account (see MerchantService)
+const API_KEY_MODES = ['live', 'test'];
+const API_KEY_ACCESS = ['read', 'write'];
+const FULL_ACCESS_SCOPE = '*';
+
+const MAX_API_KEY_NAME_LENGTH = 100;
+
+// Hours a rotated key keeps working alongside its replacement
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+const MAX_ROTATION_OVERLAP_HOURS = 168;
+
+const MAX_ALLOWED_ORIGINS = 20;
+
+/**
+ * Generate a new API key, e.g. sk_live_... or pk_test_...
+ * @param {string} [type] - 'secret' or 'publishable'
+ * @param {string} [mode] - 'live' or 'test'
+ * @returns {string}
+ */
+function generateApiKeySecret(type = 'secret', mode = 'live') {
+  return `${API_KEY_PREFIXES[type]}${mode}_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - The secret key
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Validate an API key's name
+ * @param {*} name - Candidate name
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateApiKeyName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_API_KEY_NAME_LENGTH) {
+    return `name must be a string of 1 to ${MAX_API_KEY_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate a list of scopes
+ * @param {*} scopes - Candidate scopes
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+
+  for (const scope of scopes) {
+    if (scope === FULL_ACCESS_SCOPE) continue;
+
+    const [resource, access, ...rest] = typeof scope === 'string' ? scope.split(':') : [];
+    if (rest.length > 0 || !API_KEY_ACCESS.includes(access)
+        || (resource !== FULL_ACCESS_SCOPE && !API_KEY_RESOURCES.includes(resource))) {
+      return `Invalid scope ${JSON.stringify(scope)}: use "*" or "<resource>:<read|write>" ` +
+        `where resource is "*" or one of: ${API_KEY_RESOURCES.join(', ')}`;
+    }
+  }
+
+  if (new Set(scopes).size !== scopes.length) {
+    return 'scopes must not repeat';
+  }
+  return null;
+}
+
+/**
+ * Validate a merchant's allowed origins
+ * @param {*} origins - Candidate origins
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateAllowedOrigins(origins) {
+  if (!Array.isArray(origins) || origins.length > MAX_ALLOWED_ORIGINS) {
+    return `origins must be an array of at most ${MAX_ALLOWED_ORIGINS} origins`;
+  }
+
+  for (const origin of origins) {
+    let url;
+    try {
+      url = new URL(origin);
+    } catch (error) {
+      url = null;
+    }
+    // An origin is scheme, host and port only: no path, trailing slash or wildcard
+    if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== origin) {
+      return `Invalid origin ${JSON.stringify(origin)}: use the scheme, host and optional port, e.g. "https://shop.example.com"`;
+    }
+  }
+
+  if (new Set(origins).size !== origins.length) {
+    return 'origins must not repeat';
+  }
+  return null;
+}
+
+/**
+ * The scope a request needs
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, without the query string
+ * @returns {Object} - { resource, access }; resource is null for paths outside the scoped resources
+ */
+function requiredScope(method, path) {
+  // Express routes match case-insensitively, so /Refunds must be refunds too
+  const [, , , resource, , subresource] = path.toLowerCase().split('/');
+  const access = method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+
+  if (resource === 'payments' && subresource === 'refunds') {
+    return { resource: 'refunds', access };
+  }
+  return { resource: API_KEY_RESOURCES.includes(resource) ? resource : null, access };
+}
+
+/**
+ * Whether a key's scopes allow access to a resource
+ * @param {Array<string>} scopes - The key's scopes
+ * @param {string|null} resource - Resource requested (null needs full access)
+ * @param {string} access - 'read' or 'write'
+ * @returns {boolean}
+ */
+function hasScope(scopes, resource, access) {
+  if (scopes.includes(FULL_ACCESS_SCOPE)) return true;
+  if (resource === null) return false;
+
+  return scopes.some(scope => {
+    const [scopeResource, scopeAccess] = scope.split(':');
+    return (scopeResource === FULL_ACCESS_SCOPE || scopeResource === resource)
+      && (scopeAccess === 'write' || scopeAccess === access);
+  });
+}
+
+/**
+ * Whether a key's scopes include every one of another set of scopes, so that
+ * keys it issues or manages cannot do more than it can itself
+ * @param {Array<string>} scopes - The key's scopes
+ * @param {Array<string>} otherScopes - Scopes of the key being issued or managed
+ * @returns {boolean}
+ */
+function coversScopes(scopes, otherScopes) {
+  if (scopes.includes(FULL_ACCESS_SCOPE)) return true;
+
+  return otherScopes.every(scope => {
+    if (scope === FULL_ACCESS_SCOPE) return false;
+    const [resource, access] = scope.split(':');
+    return hasScope(scopes, resource, access);
+  });
+}
+
+module.exports = {
+  API_KEY_RESOURCES,
+  API_KEY_TYPES,
+  API_KEY_MODES,
+  FULL_ACCESS_SCOPE,
+  DEFAULT_ROTATION_OVERLAP_HOURS,
+  MAX_ROTATION_OVERLAP_HOURS,
+  generateApiKeySecret,
+  hashApiKey,
+  validateApiKeyName,
+  validateScopes,
+  validateAllowedOrigins,
+  requiredScope,
+  hasScope,
+  coversScopes
+};
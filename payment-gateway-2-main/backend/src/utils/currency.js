@@ -0,0 +1,87 @@
+/**
+ * ISO 4217 currencies accepted by the gateway, keyed by alphabetic code,
+ * with the number of minor-unit digits (the "exponent") of each.
+ * Amounts are always expressed in minor units: 50000 INR is ₹500.00,
+ * 500 JPY is ¥500.
+ */
+const CURRENCY_EXPONENTS = Object.freeze({
+  AED: 2, ARS: 2, AUD: 2, BDT: 2, BGN: 2, BHD: 3, BRL: 2, CAD: 2,
+  CHF: 2, CLP: 0, CNY: 2, COP: 2, CZK: 2, DKK: 2, EGP: 2, EUR: 2,
+  GBP: 2, HKD: 2, HUF: 2, IDR: 2, ILS: 2, INR: 2, ISK: 0, JOD: 3,
+  JPY: 0, KES: 2, KRW: 0, KWD: 3, LKR: 2, MXN: 2, MYR: 2, NGN: 2,
+  NOK: 2, NPR: 2, NZD: 2, OMR: 3, PHP: 2, PKR: 2, PLN: 2, QAR: 2,
+  RON: 2, SAR: 2, SEK: 2, SGD: 2, THB: 2, TND: 3, TRY: 2, TWD: 2,
+  UGX: 0, USD: 2, VND: 0, XAF: 0, XOF: 0, ZAR: 2
+});
+
+const DEFAULT_CURRENCY = 'INR';
+
+/**
+ * Check whether a value is a supported ISO 4217 currency code
+ * Codes are case-sensitive: callers upper-case user input first.
+ * @param {*} code - Candidate currency code
+ * @returns {boolean}
+ */
+function isSupportedCurrency(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(CURRENCY_EXPONENTS, code);
+}
+
+/**
+ * Number of minor-unit digits for a currency
+ * @param {string} code - ISO 4217 currency code
+ * @returns {number}
+ * @throws {Error} - If the currency is not supported
+ */
+function getMinorUnitExponent(code) {
+  if (!isSupportedCurrency(code)) {
+    throw new Error(`Unsupported currency: ${code}`);
+  }
+  return CURRENCY_EXPONENTS[code];
+}
+
+/**
+ * Validate an amount expressed in a currency's minor units
+ * @param {*} amount - Candidate amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateMinorUnitAmount(amount, currency) {
+  if (!isSupportedCurrency(currency)) {
+    return `Unsupported currency: ${currency}`;
+  }
+
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    const exponent = CURRENCY_EXPONENTS[currency];
+    return exponent === 0
+      ? `Amount must be a positive integer; ${currency} has no minor unit`
+      : `Amount must be a positive integer in ${currency} minor units (1/${10 ** exponent} of a unit)`;
+  }
+
+  return null;
+}
+
+/**
+ * Format a minor-unit amount for documents shown to payers
+ * Uses the ISO code rather than a symbol so the result survives plain-text
+ * and PDF rendering: 123450 INR is "INR 1,234.50".
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string}
+ */
+function formatMinorUnits(amount, currency) {
+  const exponent = getMinorUnitExponent(currency);
+  const major = (amount / 10 ** exponent).toLocaleString('en-US', {
+    minimumFractionDigits: exponent,
+    maximumFractionDigits: exponent
+  });
+  return `${currency} ${major}`;
+}
+
+module.exports = {
+  CURRENCY_EXPONENTS,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  getMinorUnitExponent,
+  validateMinorUnitAmount,
+  formatMinorUnits
+};
@@ -0,0 +1,63 @@
+/**
+ * Dispute reasons and the evidence a merchant submits to contest a dispute.
+ * Evidence is a flat object of the fields below; each value is free text
+ * (a description, a tracking number, a link to a document the merchant hosts).
+ */
+const DISPUTE_REASONS = Object.freeze([
+  'fraudulent',
+  'product_not_received',
+  'product_unacceptable',
+  'duplicate',
+  'subscription_canceled',
+  'credit_not_processed',
+  'general'
+]);
+
+const EVIDENCE_FIELDS = Object.freeze([
+  'product_description',
+  'customer_name',
+  'customer_email',
+  'customer_communication',
+  'shipping_carrier',
+  'shipping_tracking_number',
+  'service_date',
+  'refund_policy',
+  'cancellation_policy',
+  'uncategorized_text'
+]);
+
+const MAX_EVIDENCE_VALUE_LENGTH = 5000;
+
+/**
+ * Validate dispute evidence
+ * @param {*} evidence - Candidate evidence object
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateEvidence(evidence) {
+  if (evidence === null || typeof evidence !== 'object' || Array.isArray(evidence)) {
+    return 'evidence must be an object';
+  }
+
+  const entries = Object.entries(evidence);
+  if (entries.length === 0) {
+    return `evidence must include at least one of: ${EVIDENCE_FIELDS.join(', ')}`;
+  }
+
+  for (const [field, value] of entries) {
+    if (!EVIDENCE_FIELDS.includes(field)) {
+      return `evidence.${field} is not a known evidence field`;
+    }
+    if (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_EVIDENCE_VALUE_LENGTH) {
+      return `evidence.${field} must be a non-empty string of at most ${MAX_EVIDENCE_VALUE_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DISPUTE_REASONS,
+  EVIDENCE_FIELDS,
+  MAX_EVIDENCE_VALUE_LENGTH,
+  validateEvidence
+};
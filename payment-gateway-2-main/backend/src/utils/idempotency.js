@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+/**
+ * Idempotency-Key header helpers: the key a merchant sends with a POST, and
+ * the fingerprint telling whether a retry with that key is the same request.
+ */
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Validate an Idempotency-Key header value
+ * @param {*} key - Candidate key
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateIdempotencyKey(key) {
+  if (typeof key !== 'string' || key.trim().length === 0 || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters long`;
+  }
+  return null;
+}
+
+/**
+ * JSON with object keys sorted, so bodies differing only in key order match
+ * @param {*} value - Parsed request body (or part of it)
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint a request: its method, path and body
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, without the query string
+ * @param {*} body - Parsed request body
+ * @returns {string} - SHA-256 hex digest
+ */
+function fingerprintRequest(method, path, body) {
+  return crypto
+    .createHash('sha256')
+    .update(`${method.toUpperCase()} ${path}\n${canonicalJson(body)}`)
+    .digest('hex');
+}
+
+module.exports = {
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+  validateIdempotencyKey,
+  canonicalJson,
+  fingerprintRequest
+};
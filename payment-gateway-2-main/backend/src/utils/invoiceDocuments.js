@@ -0,0 +1,196 @@
+/**
+ * Downloadable invoice documents: the HTML and PDF receipt served from the
+ * hosted invoice page. Paid invoices render as receipts carrying the payment
+ * reference; open ones as the invoice to be paid.
+ */
+const { formatMinorUnits } = require('./currency');
+const { renderTextPdf } = require('./pdf');
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {Date|string|null} value - Timestamp
+ * @returns {string} - YYYY-MM-DD, or an empty string
+ */
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Heading and reference lines shared by both formats
+ * @param {Object} invoice - Invoice row with merchant_name
+ * @returns {Object} - { title, details: Array<[label, value]> }
+ */
+function describeInvoice(invoice) {
+  const details = [
+    ['Invoice', invoice.invoice_number || invoice.id],
+    ['Issued', formatDate(invoice.created_at)]
+  ];
+  if (invoice.due_date) details.push(['Due', formatDate(invoice.due_date)]);
+  if (invoice.customer_name || invoice.customer_email) {
+    details.push(['Billed to', [invoice.customer_name, invoice.customer_email].filter(Boolean).join(' - ')]);
+  }
+  details.push(['Status', invoice.status.toUpperCase()]);
+  if (invoice.status === 'paid') {
+    details.push(['Paid on', formatDate(invoice.paid_at)]);
+    details.push(['Payment', invoice.payment_id]);
+  }
+
+  return {
+    title: `${invoice.status === 'paid' ? 'Receipt' : 'Invoice'} from ${invoice.merchant_name || 'merchant'}`,
+    details
+  };
+}
+
+/**
+ * Subtotal, discount, tax and total lines
+ * @param {Object} invoice - Invoice row
+ * @returns {Array<Array<string>>} - [label, formatted amount] pairs
+ */
+function summarizeTotals(invoice) {
+  const money = amount => formatMinorUnits(amount, invoice.currency);
+  const totals = [['Subtotal', money(invoice.subtotal)]];
+  if (invoice.discount_amount > 0) totals.push(['Discount', `-${money(invoice.discount_amount)}`]);
+  if (invoice.tax_amount > 0) totals.push(['Tax', money(invoice.tax_amount)]);
+  totals.push([invoice.status === 'paid' ? 'Amount paid' : 'Amount due', money(invoice.amount)]);
+  return totals;
+}
+
+/**
+ * Render an invoice as a standalone HTML document
+ * @param {Object} invoice - Invoice row with merchant_name
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.pdfUrl] - Link to the PDF version
+ * @returns {string} - HTML document
+ */
+function renderInvoiceHtml(invoice, { pdfUrl } = {}) {
+  const { title, details } = describeInvoice(invoice);
+  const money = amount => escapeHtml(formatMinorUnits(amount, invoice.currency));
+
+  const detailRows = details
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n        ');
+  const itemRows = invoice.line_items
+    .map(line => `<tr>
+          <td>${escapeHtml(line.name)}${line.description ? `<div class="muted">${escapeHtml(line.description)}</div>` : ''}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${money(line.unit_amount)}</td>
+          <td class="num">${line.tax_rate}%</td>
+          <td class="num">${money(line.total)}</td>
+        </tr>`)
+    .join('\n        ');
+  const totalRows = summarizeTotals(invoice)
+    .map(([label, value]) => `<tr><td colspan="4">${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`)
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 720px; margin: 40px auto; padding: 0 16px; }
+    h1 { font-size: 22px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    .details th { width: 140px; color: #6b7280; font-weight: normal; }
+    .num { text-align: right; white-space: nowrap; }
+    .muted { color: #6b7280; font-size: 13px; }
+    tfoot tr:last-child td { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${invoice.description ? `<p>${escapeHtml(invoice.description)}</p>` : ''}
+  <table class="details">
+    <tbody>
+        ${detailRows}
+    </tbody>
+  </table>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Tax</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>
+        ${itemRows}
+    </tbody>
+    <tfoot>
+        ${totalRows}
+    </tfoot>
+  </table>
+  ${pdfUrl ? `<p><a href="${escapeHtml(pdfUrl)}">Download PDF</a></p>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render an invoice as a PDF document
+ * @param {Object} invoice - Invoice row with merchant_name
+ * @returns {Buffer} - PDF bytes
+ */
+function renderInvoicePdf(invoice) {
+  const { title, details } = describeInvoice(invoice);
+  const money = amount => formatMinorUnits(amount, invoice.currency);
+  const columns = { item: 0, quantity: 260, unit: 300, tax: 385, amount: 425 };
+
+  const rows = [{ cells: [{ text: title }], size: 18, bold: true }];
+  if (invoice.description) {
+    rows.push({ cells: [{ text: invoice.description }], gap: 4 });
+  }
+  details.forEach(([label, value], i) => {
+    rows.push({ cells: [{ text: label }, { text: value, x: 90 }], gap: i === 0 ? 12 : 0 });
+  });
+
+  rows.push({
+    cells: [
+      { text: 'Item', x: columns.item },
+      { text: 'Qty', x: columns.quantity },
+      { text: 'Unit price', x: columns.unit },
+      { text: 'Tax', x: columns.tax },
+      { text: 'Amount', x: columns.amount }
+    ],
+    bold: true,
+    gap: 16,
+    rule: true
+  });
+  for (const line of invoice.line_items) {
+    rows.push({
+      cells: [
+        { text: line.name.length > 48 ? `${line.name.slice(0, 45)}...` : line.name, x: columns.item },
+        { text: String(line.quantity), x: columns.quantity },
+        { text: money(line.unit_amount), x: columns.unit },
+        { text: `${line.tax_rate}%`, x: columns.tax },
+        { text: money(line.total), x: columns.amount }
+      ],
+      gap: 2
+    });
+  }
+
+  summarizeTotals(invoice).forEach(([label, value], i, totals) => {
+    rows.push({
+      cells: [{ text: label, x: columns.unit }, { text: value, x: columns.amount }],
+      bold: i === totals.length - 1,
+      gap: i === 0 ? 12 : 0
+    });
+  });
+
+  return renderTextPdf(rows, { title });
+}
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,142 @@
+/**
+ * Invoice arithmetic: validating line items and computing totals.
+ *
+ * All amounts are integers in the invoice currency's minor units. An
+ * invoice-level discount is spread over the lines in proportion to their
+ * amounts, and each line is taxed at its own rate on its discounted amount,
+ * so the stored lines always add up to the invoice totals.
+ */
+const { toBasisPoints, applyBasisPoints } = require('./percent');
+
+const MAX_LINE_ITEMS = 50;
+const MAX_LINE_NAME_LENGTH = 255;
+const MAX_LINE_DESCRIPTION_LENGTH = 1024;
+const MAX_QUANTITY = 100000;
+
+/**
+ * Validate the line items of an invoice
+ * @param {*} lineItems - Candidate array of { name, description?, quantity?, unit_amount, tax_rate? }
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateLineItems(lineItems) {
+  if (!Array.isArray(lineItems) || lineItems.length === 0 || lineItems.length > MAX_LINE_ITEMS) {
+    return `line_items must be an array of 1 to ${MAX_LINE_ITEMS} items`;
+  }
+
+  for (let i = 0; i < lineItems.length; i++) {
+    const item = lineItems[i];
+    const field = `line_items[${i}]`;
+
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      return `${field} must be an object`;
+    }
+    if (typeof item.name !== 'string' || item.name.trim().length === 0 || item.name.length > MAX_LINE_NAME_LENGTH) {
+      return `${field}.name must be a string of 1 to ${MAX_LINE_NAME_LENGTH} characters`;
+    }
+    if (item.description !== undefined &&
+        (typeof item.description !== 'string' || item.description.length > MAX_LINE_DESCRIPTION_LENGTH)) {
+      return `${field}.description must be a string of at most ${MAX_LINE_DESCRIPTION_LENGTH} characters`;
+    }
+    if (item.quantity !== undefined &&
+        (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_QUANTITY)) {
+      return `${field}.quantity must be an integer between 1 and ${MAX_QUANTITY}`;
+    }
+    if (!Number.isSafeInteger(item.unit_amount) || item.unit_amount < 0) {
+      return `${field}.unit_amount must be a non-negative integer in minor units`;
+    }
+    if (item.tax_rate !== undefined && toBasisPoints(item.tax_rate) === null) {
+      return `${field}.tax_rate must be a percentage between 0 and 100 with at most two decimals`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate an invoice-level discount
+ * At most one of the two forms may be given.
+ * @param {Object} discount - { discountAmount, discountPercent }
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateDiscount({ discountAmount, discountPercent }) {
+  if (discountAmount !== undefined && discountPercent !== undefined) {
+    return 'Specify either discount_amount or discount_percent, not both';
+  }
+  if (discountAmount !== undefined && (!Number.isSafeInteger(discountAmount) || discountAmount < 0)) {
+    return 'discount_amount must be a non-negative integer in minor units';
+  }
+  if (discountPercent !== undefined && toBasisPoints(discountPercent) === null) {
+    return 'discount_percent must be a percentage between 0 and 100 with at most two decimals';
+  }
+  return null;
+}
+
+/**
+ * Compute line and invoice totals
+ * Inputs must have passed validateLineItems and validateDiscount.
+ * @param {Array<Object>} lineItems - Validated line items
+ * @param {Object} [discount] - { discountAmount, discountPercent }
+ * @returns {Object} - { lineItems, subtotal, discountAmount, taxAmount, total }, where each
+ *   line carries its quantity, unit_amount, tax_rate, amount, discount_amount, tax_amount and total
+ * @throws {Error} - If a fixed discount exceeds the subtotal
+ */
+function computeInvoiceTotals(lineItems, { discountAmount, discountPercent } = {}) {
+  const lines = lineItems.map(item => {
+    const quantity = item.quantity === undefined ? 1 : item.quantity;
+    return {
+      name: item.name,
+      description: item.description || null,
+      quantity,
+      unit_amount: item.unit_amount,
+      tax_rate: item.tax_rate || 0,
+      amount: quantity * item.unit_amount
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  let discount = 0;
+  if (discountAmount !== undefined) {
+    if (discountAmount > subtotal) {
+      throw new Error('discount_amount cannot exceed the invoice subtotal');
+    }
+    discount = discountAmount;
+  } else if (discountPercent !== undefined) {
+    discount = applyBasisPoints(subtotal, toBasisPoints(discountPercent));
+  }
+
+  // Pro-rata shares are rounded down; the few minor units left over go to
+  // the largest line so no line is discounted below zero
+  let allocated = 0;
+  for (const line of lines) {
+    line.discount_amount = subtotal === 0 ? 0 : Math.floor(discount * line.amount / subtotal);
+    allocated += line.discount_amount;
+  }
+  if (allocated < discount) {
+    const largest = lines.reduce((max, line) => (line.amount > max.amount ? line : max), lines[0]);
+    largest.discount_amount += discount - allocated;
+  }
+
+  let taxAmount = 0;
+  for (const line of lines) {
+    const taxable = line.amount - line.discount_amount;
+    line.tax_amount = applyBasisPoints(taxable, toBasisPoints(line.tax_rate));
+    line.total = taxable + line.tax_amount;
+    taxAmount += line.tax_amount;
+  }
+
+  return {
+    lineItems: lines,
+    subtotal,
+    discountAmount: discount,
+    taxAmount,
+    total: subtotal - discount + taxAmount
+  };
+}
+
+module.exports = {
+  MAX_LINE_ITEMS,
+  validateLineItems,
+  validateDiscount,
+  computeInvoiceTotals
+};
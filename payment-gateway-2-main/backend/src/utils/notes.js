@@ -0,0 +1,42 @@
+/**
+ * Merchant-defined notes: a flat key-value object attached to orders,
+ * payments and refunds, used to tie gateway objects to the merchant's own
+ * records. Values are strings so notes can be matched exactly in list filters.
+ */
+const MAX_NOTES_KEYS = 15;
+const MAX_NOTE_KEY_LENGTH = 40;
+const MAX_NOTE_VALUE_LENGTH = 256;
+
+/**
+ * Validate a notes object
+ * @param {*} notes - Candidate notes
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateNotes(notes) {
+  if (notes === null || typeof notes !== 'object' || Array.isArray(notes)) {
+    return 'Notes must be a key-value object';
+  }
+
+  const entries = Object.entries(notes);
+  if (entries.length > MAX_NOTES_KEYS) {
+    return `Notes can have at most ${MAX_NOTES_KEYS} keys`;
+  }
+
+  for (const [key, value] of entries) {
+    if (key.length === 0 || key.length > MAX_NOTE_KEY_LENGTH) {
+      return `Note keys must be 1 to ${MAX_NOTE_KEY_LENGTH} characters long`;
+    }
+    if (typeof value !== 'string' || value.length > MAX_NOTE_VALUE_LENGTH) {
+      return `Note "${key}" must be a string of at most ${MAX_NOTE_VALUE_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  MAX_NOTES_KEYS,
+  MAX_NOTE_KEY_LENGTH,
+  MAX_NOTE_VALUE_LENGTH,
+  validateNotes
+};
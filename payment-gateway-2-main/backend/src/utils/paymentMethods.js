@@ -0,0 +1,254 @@
+/**
+ * Helpers for the payment instruments the gateway accepts: cards, UPI
+ * virtual payment addresses (VPAs), netbanking and wallets.
+ *
+ * Card numbers and CVVs only ever pass through these helpers on their way
+ * to a network, last4 and keyed fingerprint; callers must not persist them.
+ */
+const crypto = require('crypto');
+const { cardFingerprintSecret } = require('../config/payments');
+
+const VPA_PATTERN = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+const MAX_CARD_NAME_LENGTH = 100;
+
+const PAYMENT_METHODS = Object.freeze(['card', 'upi', 'netbanking', 'wallet']);
+
+const CARD_NETWORKS = Object.freeze(['visa', 'mastercard', 'rupay', 'amex']);
+
+// Netbanking banks by the first four characters of their IFSC codes
+const NETBANKING_BANKS = Object.freeze({
+  HDFC: 'HDFC Bank',
+  ICIC: 'ICICI Bank',
+  SBIN: 'State Bank of India',
+  UTIB: 'Axis Bank',
+  KKBK: 'Kotak Mahindra Bank',
+  PUNB: 'Punjab National Bank',
+  BARB: 'Bank of Baroda',
+  YESB: 'Yes Bank'
+});
+
+const WALLETS = Object.freeze({
+  paytm: 'Paytm',
+  phonepe: 'PhonePe',
+  amazonpay: 'Amazon Pay',
+  mobikwik: 'MobiKwik',
+  freecharge: 'Freecharge'
+});
+
+/**
+ * Strip the spaces and dashes payers type into card numbers
+ * @param {*} number - Card number as entered
+ * @returns {string|null} - Digits only, or null if it is not a 12-19 digit number
+ */
+function normalizeCardNumber(number) {
+  if (typeof number !== 'string' && typeof number !== 'number') {
+    return null;
+  }
+  const digits = String(number).replace(/[\s-]/g, '');
+  return /^\d{12,19}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Luhn (mod 10) checksum used by every supported card network
+ * @param {string} digits - Normalized card number
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Identify the card network from the number's prefix
+ * @param {string} digits - Normalized card number
+ * @returns {string|null} - 'visa', 'mastercard', 'rupay', 'amex' or null
+ */
+function detectCardNetwork(digits) {
+  const prefix2 = parseInt(digits.slice(0, 2), 10);
+  const prefix4 = parseInt(digits.slice(0, 4), 10);
+  const prefix6 = parseInt(digits.slice(0, 6), 10);
+
+  if (prefix2 === 34 || prefix2 === 37) return 'amex';
+  if (digits[0] === '4') return 'visa';
+  if ((prefix2 >= 51 && prefix2 <= 55) || (prefix4 >= 2221 && prefix4 <= 2720)) return 'mastercard';
+  if (prefix2 === 60 || prefix2 === 65 || prefix2 === 81 || prefix2 === 82 || (prefix6 >= 508500 && prefix6 <= 508999)) return 'rupay';
+  return null;
+}
+
+/**
+ * Check whether a card expiry is in the past
+ * Cards are valid until the end of their expiry month.
+ * @param {number} month - Expiry month (1-12)
+ * @param {number} year - Four-digit expiry year
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+function isCardExpired(month, year, now = new Date()) {
+  return year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1);
+}
+
+/**
+ * Check the shape of a UPI VPA (handle@provider)
+ * @param {*} vpa - Candidate VPA
+ * @returns {boolean}
+ */
+function isValidVpa(vpa) {
+  return typeof vpa === 'string' && VPA_PATTERN.test(vpa);
+}
+
+/**
+ * Keyed fingerprint of a card number: the same card always has the same
+ * fingerprint, but the number cannot be recovered from it
+ * @param {string} digits - Normalized card number
+ * @returns {string} - Hex HMAC-SHA256 of the number
+ */
+function fingerprintCard(digits) {
+  return crypto.createHmac('sha256', cardFingerprintSecret).update(digits).digest('hex');
+}
+
+/**
+ * Validate a card payload and derive what may be stored about it
+ * @param {*} card - { number, expiry_month, expiry_year, cvv, name } as sent by the client
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.requireCvv=true] - Saving a card to the vault does not take a CVV
+ * @returns {Object} - { errors, details } where errors are field-level
+ *                     ({ field, code, description }) and details is
+ *                     { network, last4, fingerprint, expiryMonth, expiryYear, name } when there are none
+ */
+function validateCard(card, { requireCvv = true } = {}) {
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    return { errors: [fieldError('card', 'MISSING_CARD', 'card details are required')], details: null };
+  }
+
+  const errors = [];
+
+  const digits = normalizeCardNumber(card.number);
+  let network = null;
+  if (!digits) {
+    errors.push(fieldError('card.number', 'INVALID_CARD_NUMBER', 'Card number must be 12 to 19 digits'));
+  } else if (!passesLuhn(digits)) {
+    errors.push(fieldError('card.number', 'INVALID_CARD_NUMBER', 'Card number is invalid'));
+  } else {
+    network = detectCardNetwork(digits);
+    if (!network) {
+      errors.push(fieldError('card.number', 'UNSUPPORTED_CARD_NETWORK', 'Only Visa, Mastercard, RuPay and Amex cards are accepted'));
+    }
+  }
+
+  const expiryMonth = card.expiry_month;
+  // Two-digit years as printed on cards are taken to be in this century
+  const expiryYear = Number.isInteger(card.expiry_year) && card.expiry_year < 100 ? 2000 + card.expiry_year : card.expiry_year;
+  if (!Number.isInteger(expiryMonth) || expiryMonth < 1 || expiryMonth > 12) {
+    errors.push(fieldError('card.expiry_month', 'INVALID_EXPIRY_MONTH', 'Expiry month must be between 1 and 12'));
+  } else if (!Number.isInteger(expiryYear) || expiryYear < 2000 || expiryYear > 2099) {
+    errors.push(fieldError('card.expiry_year', 'INVALID_EXPIRY_YEAR', 'Expiry year must be a two- or four-digit year'));
+  } else if (isCardExpired(expiryMonth, expiryYear)) {
+    errors.push(fieldError('card.expiry_year', 'CARD_EXPIRED', 'Card has expired'));
+  }
+
+  if (requireCvv || card.cvv !== undefined) {
+    const cvvLength = network === 'amex' ? 4 : 3;
+    if (typeof card.cvv !== 'string' || !new RegExp(`^\\d{${cvvLength}}$`).test(card.cvv)) {
+      errors.push(fieldError('card.cvv', 'INVALID_CVV', `CVV must be ${cvvLength} digits`));
+    }
+  }
+
+  if (card.name !== undefined &&
+      (typeof card.name !== 'string' || card.name.trim().length === 0 || card.name.length > MAX_CARD_NAME_LENGTH)) {
+    errors.push(fieldError('card.name', 'INVALID_CARD_NAME', `Name on card must be 1 to ${MAX_CARD_NAME_LENGTH} characters`));
+  }
+
+  if (errors.length > 0) {
+    return { errors, details: null };
+  }
+
+  return {
+    errors,
+    details: {
+      network,
+      last4: digits.slice(-4),
+      fingerprint: fingerprintCard(digits),
+      expiryMonth,
+      expiryYear,
+      name: card.name !== undefined ? card.name.trim() : null
+    }
+  };
+}
+
+/**
+ * Validate a UPI VPA
+ * @param {*} vpa - Candidate VPA
+ * @returns {Array<Object>} - Field-level errors, empty when valid
+ */
+function validateVpa(vpa) {
+  if (vpa === undefined || vpa === null || vpa === '') {
+    return [fieldError('vpa', 'MISSING_VPA', 'vpa is required for UPI payments')];
+  }
+  if (!isValidVpa(vpa)) {
+    return [fieldError('vpa', 'INVALID_VPA', 'vpa must be a UPI address such as name@bank')];
+  }
+  return [];
+}
+
+/**
+ * Validate a netbanking bank code
+ * @param {*} bank - Bank code, e.g. 'HDFC'
+ * @returns {Array<Object>} - Field-level errors, empty when valid
+ */
+function validateBank(bank) {
+  if (bank === undefined || bank === null || bank === '') {
+    return [fieldError('bank', 'MISSING_BANK', 'bank is required for netbanking payments')];
+  }
+  if (!Object.prototype.hasOwnProperty.call(NETBANKING_BANKS, bank)) {
+    return [fieldError('bank', 'UNSUPPORTED_BANK', `bank must be one of: ${Object.keys(NETBANKING_BANKS).join(', ')}`)];
+  }
+  return [];
+}
+
+/**
+ * Validate a wallet code
+ * @param {*} wallet - Wallet code, e.g. 'paytm'
+ * @returns {Array<Object>} - Field-level errors, empty when valid
+ */
+function validateWallet(wallet) {
+  if (wallet === undefined || wallet === null || wallet === '') {
+    return [fieldError('wallet', 'MISSING_WALLET', 'wallet is required for wallet payments')];
+  }
+  if (!Object.prototype.hasOwnProperty.call(WALLETS, wallet)) {
+    return [fieldError('wallet', 'UNSUPPORTED_WALLET', `wallet must be one of: ${Object.keys(WALLETS).join(', ')}`)];
+  }
+  return [];
+}
+
+/**
+ * @private
+ */
+function fieldError(field, code, description) {
+  return { field, code, description };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  CARD_NETWORKS,
+  NETBANKING_BANKS,
+  WALLETS,
+  normalizeCardNumber,
+  passesLuhn,
+  detectCardNetwork,
+  isCardExpired,
+  fingerprintCard,
+  isValidVpa,
+  validateCard,
+  validateVpa,
+  validateBank,
+  validateWallet
+};
@@ -0,0 +1,108 @@
+/**
+ * Minimal PDF writer for gateway-generated documents such as invoice receipts.
+ *
+ * Produces A4 pages of positioned text in the standard Helvetica fonts, which
+ * every PDF viewer ships, so no font embedding or third-party library is
+ * needed. Text is WinAnsi (Latin-1) encoded; other characters render as '?'.
+ */
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const DEFAULT_FONT_SIZE = 10;
+const LINE_SPACING = 1.5;
+
+/**
+ * Escape text for a PDF literal string
+ * @param {*} text - Text to draw
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+}
+
+/**
+ * Lay rows out top to bottom, starting a new page when one is full
+ * @param {Array<Object>} rows - Rows to draw
+ * @returns {Array<string>} - One content stream per page
+ */
+function layoutPages(rows) {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const row of rows) {
+    const size = row.size || DEFAULT_FONT_SIZE;
+    const advance = (row.gap || 0) + size * LINE_SPACING;
+
+    if (y - advance < MARGIN && ops.length > 0) {
+      pages.push(ops.join('\n'));
+      ops = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= advance;
+
+    const font = row.bold ? 'F2' : 'F1';
+    for (const cell of row.cells || []) {
+      if (cell.text === undefined || cell.text === null || cell.text === '') continue;
+      ops.push(`BT /${font} ${size} Tf ${MARGIN + (cell.x || 0)} ${y.toFixed(2)} Td (${escapeText(cell.text)}) Tj ET`);
+    }
+    if (row.rule) {
+      ops.push(`0.5 w ${MARGIN} ${(y - size * 0.5).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(y - size * 0.5).toFixed(2)} l S`);
+    }
+  }
+
+  pages.push(ops.join('\n'));
+  return pages;
+}
+
+/**
+ * Render rows of text as a PDF document
+ * @param {Array<Object>} rows - Rows drawn top to bottom, each
+ *   { cells: [{ text, x }], size?, bold?, gap?, rule? } where x is the offset
+ *   from the left margin in points, gap extra space above the row and rule
+ *   draws a line under it
+ * @param {Object} [options] - Document options
+ * @param {string} [options.title] - Document title shown by viewers
+ * @returns {Buffer} - PDF bytes
+ */
+function renderTextPdf(rows, { title } = {}) {
+  const pages = layoutPages(rows);
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+
+  const objects = [];
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Producer (Payment Gateway)${title ? ` /Title (${escapeText(title)})` : ''} >>`;
+
+  pages.forEach((content, i) => {
+    const pageId = pageIds[i];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Every character is a single Latin-1 byte, so string lengths are byte offsets
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = body.length;
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = body.length;
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+module.exports = {
+  renderTextPdf
+};
@@ -0,0 +1,33 @@
+/**
+ * Percentages as the API accepts them (0-100, at most two decimals) and the
+ * integer basis points the gateway computes with, so fees, taxes and
+ * discounts on minor-unit amounts round the same way everywhere.
+ */
+
+/**
+ * Convert a percentage with at most two decimals to basis points
+ * @param {*} percent - Candidate percentage, e.g. 18 or 12.5
+ * @returns {number|null} - Basis points (0-10000), or null if invalid
+ */
+function toBasisPoints(percent) {
+  if (typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+    return null;
+  }
+  const basisPoints = Math.round(percent * 100);
+  return Math.abs(percent * 100 - basisPoints) < 1e-6 ? basisPoints : null;
+}
+
+/**
+ * Apply a rate to a minor-unit amount, rounding half up to a whole minor unit
+ * @param {number} amount - Amount in minor units
+ * @param {number} basisPoints - Rate in basis points
+ * @returns {number}
+ */
+function applyBasisPoints(amount, basisPoints) {
+  return Math.round(amount * basisPoints / 10000);
+}
+
+module.exports = {
+  toBasisPoints,
+  applyBasisPoints
+};
@@ -0,0 +1,101 @@
+/**
+ * Pricing rules: what the gateway charges a merchant for a captured payment.
+ *
+ * A pricing plan is a list of rules plus the tax (GST) rate charged on fees.
+ * Each rule is { method?, card_network?, percent, fixed_fee? }: the most
+ * specific rule matching the payment applies (method and card network, then
+ * method, then the catch-all rule without a method, which every plan has).
+ * fixed_fee is in minor units of the plan's currency and only charged on
+ * payments in that currency.
+ */
+const { PAYMENT_METHODS, CARD_NETWORKS } = require('./paymentMethods');
+const { toBasisPoints, applyBasisPoints } = require('./percent');
+
+const MAX_PRICING_RULES = 50;
+
+/**
+ * Validate the rules of a pricing plan
+ * @param {*} rules - Candidate array of { method?, card_network?, percent, fixed_fee? }
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validatePricingRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0 || rules.length > MAX_PRICING_RULES) {
+    return `rules must be an array of 1 to ${MAX_PRICING_RULES} rules`;
+  }
+
+  const seen = new Set();
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    const field = `rules[${i}]`;
+
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      return `${field} must be an object`;
+    }
+    if (rule.method !== undefined && !PAYMENT_METHODS.includes(rule.method)) {
+      return `${field}.method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+    }
+    if (rule.card_network !== undefined) {
+      if (rule.method !== 'card') {
+        return `${field}.card_network requires method "card"`;
+      }
+      if (!CARD_NETWORKS.includes(rule.card_network)) {
+        return `${field}.card_network must be one of: ${CARD_NETWORKS.join(', ')}`;
+      }
+    }
+    if (toBasisPoints(rule.percent) === null) {
+      return `${field}.percent must be a percentage between 0 and 100 with at most two decimals`;
+    }
+    if (rule.fixed_fee !== undefined && (!Number.isSafeInteger(rule.fixed_fee) || rule.fixed_fee < 0)) {
+      return `${field}.fixed_fee must be a non-negative integer in minor units`;
+    }
+
+    const key = `${rule.method || '*'}/${rule.card_network || '*'}`;
+    if (seen.has(key)) {
+      return `${field} duplicates an earlier rule for the same method and card network`;
+    }
+    seen.add(key);
+  }
+
+  if (!seen.has('*/*')) {
+    return 'rules must include a catch-all rule without a method';
+  }
+  return null;
+}
+
+/**
+ * Find the rule of a plan that prices a payment
+ * @param {Array<Object>} rules - Validated pricing rules
+ * @param {Object} payment - { method, cardNetwork }
+ * @returns {Object} - The most specific matching rule
+ */
+function findPricingRule(rules, { method, cardNetwork }) {
+  return rules.find(rule => rule.method === method && rule.card_network && rule.card_network === cardNetwork)
+    || rules.find(rule => rule.method === method && !rule.card_network)
+    || rules.find(rule => !rule.method);
+}
+
+/**
+ * Compute the fee and the tax on it for a captured amount
+ * The fee never exceeds the amount it is charged on.
+ * @param {Object} plan - { currency, rules, taxPercent }
+ * @param {Object} payment - What is being priced
+ * @param {string} payment.method - Payment method
+ * @param {string} [payment.cardNetwork] - Card network, for card payments
+ * @param {string} payment.currency - Payment currency
+ * @param {number} payment.amount - Captured amount in minor units
+ * @returns {Object} - { fee, tax } in minor units
+ */
+function computeFee(plan, { method, cardNetwork, currency, amount }) {
+  const rule = findPricingRule(plan.rules, { method, cardNetwork });
+  const fixedFee = currency === plan.currency ? (rule.fixed_fee || 0) : 0;
+  const fee = Math.min(amount, applyBasisPoints(amount, toBasisPoints(rule.percent)) + fixedFee);
+  const tax = applyBasisPoints(fee, toBasisPoints(plan.taxPercent));
+  return { fee, tax };
+}
+
+module.exports = {
+  MAX_PRICING_RULES,
+  validatePricingRules,
+  findPricingRule,
+  computeFee
+};
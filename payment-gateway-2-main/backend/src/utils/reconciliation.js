@@ -0,0 +1,213 @@
+/**
+ * Acquirer statement reconciliation: parsing and validating statements and
+ * matching their rows against the gateway's records.
+ *
+ * A statement row is { reference, type, amount, currency, date }: the
+ * payment or refund ID the acquirer settled, `payment` or `refund`, the
+ * amount in minor units, the ISO 4217 currency and the ISO 8601 date. On the
+ * gateway side a payment counts once captured and a refund once processed.
+ */
+const { isSupportedCurrency } = require('./currency');
+
+const MAX_STATEMENT_ROWS = 10000;
+const MAX_REFERENCE_LENGTH = 64;
+const STATEMENT_ENTRY_TYPES = Object.freeze(['payment', 'refund']);
+const STATEMENT_COLUMNS = Object.freeze(['reference', 'type', 'amount', 'currency', 'date']);
+const RECONCILIATION_RESULTS = Object.freeze(['matched', 'missing_on_gateway', 'missing_on_acquirer', 'amount_mismatch']);
+
+// References are gateway IDs such as pay_... and rfnd_...
+const REFERENCE_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Whether a value is an ISO 8601 date, optionally with a time
+ * @param {*} value - Candidate date string
+ * @returns {boolean}
+ */
+function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Split CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks) into records
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Records of fields; blank lines are skipped
+ * @throws {Error} - If a quoted field is not closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      if (record.length > 1 || record[0] !== '') records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  record.push(field);
+  if (record.length > 1 || record[0] !== '') records.push(record);
+  return records;
+}
+
+/**
+ * Read the rows of a CSV statement
+ * The header names the columns (in any order, case-insensitive); amounts
+ * that are whole numbers are converted, anything else is left for
+ * validateStatementRows to reject.
+ * @param {string} text - CSV text with a header row
+ * @returns {Object} - { rows } or { error }
+ */
+function parseStatementCsv(text) {
+  let records;
+  try {
+    records = parseCsv(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (records.length === 0) {
+    return { error: 'The statement is empty' };
+  }
+
+  const header = records[0].map(name => name.trim().toLowerCase());
+  const missing = STATEMENT_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return { error: `The statement header is missing: ${missing.join(', ')}` };
+  }
+
+  const rows = records.slice(1).map(record => {
+    const row = {};
+    for (const column of STATEMENT_COLUMNS) {
+      row[column] = (record[header.indexOf(column)] || '').trim();
+    }
+    if (/^\d+$/.test(row.amount)) row.amount = Number(row.amount);
+    return row;
+  });
+  return { rows };
+}
+
+/**
+ * Validate the rows of a statement
+ * @param {*} rows - Candidate array of { reference, type, amount, currency, date }
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateStatementRows(rows) {
+  if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_STATEMENT_ROWS) {
+    return `A statement must have 1 to ${MAX_STATEMENT_ROWS} rows`;
+  }
+
+  const seen = new Set();
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const field = `rows[${i}]`;
+
+    if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+      return `${field} must be an object`;
+    }
+    if (typeof row.reference !== 'string' || row.reference.length > MAX_REFERENCE_LENGTH || !REFERENCE_PATTERN.test(row.reference)) {
+      return `${field}.reference must be 1 to ${MAX_REFERENCE_LENGTH} letters, digits, underscores or hyphens`;
+    }
+    if (!STATEMENT_ENTRY_TYPES.includes(row.type)) {
+      return `${field}.type must be one of: ${STATEMENT_ENTRY_TYPES.join(', ')}`;
+    }
+    if (!Number.isSafeInteger(row.amount) || row.amount <= 0) {
+      return `${field}.amount must be a positive integer in minor units`;
+    }
+    if (typeof row.currency !== 'string' || !isSupportedCurrency(row.currency.toUpperCase())) {
+      return `${field}.currency must be a supported ISO 4217 code`;
+    }
+    if (!isIsoDate(row.date)) {
+      return `${field}.date must be an ISO 8601 date`;
+    }
+
+    const key = `${row.type}:${row.reference}`;
+    if (seen.has(key)) {
+      return `${field} lists ${row.type} ${row.reference} more than once`;
+    }
+    seen.add(key);
+  }
+  return null;
+}
+
+/**
+ * Match statement rows against the gateway's records
+ * @param {Array<Object>} rows - Validated rows with `currency` upper-cased and `date` a Date
+ * @param {Array<Object>} records - Gateway records referenced by the statement:
+ *   { entity_type, entity_id, amount, currency, occurred_at }
+ * @param {Array<Object>} unreferenced - Gateway records of the period the statement does not list
+ * @returns {Array<Object>} - Items of { result, entity_type, reference, entity_id, currency,
+ *   statement_amount, gateway_amount, statement_date, gateway_date }
+ */
+function reconcileStatement(rows, records, unreferenced) {
+  const byReference = new Map(records.map(record => [`${record.entity_type}:${record.entity_id}`, record]));
+
+  const items = rows.map(row => {
+    const record = byReference.get(`${row.type}:${row.reference}`);
+    let result = 'matched';
+    if (!record) {
+      result = 'missing_on_gateway';
+    } else if (record.amount !== row.amount || record.currency !== row.currency) {
+      result = 'amount_mismatch';
+    }
+    return {
+      result,
+      entity_type: row.type,
+      reference: row.reference,
+      entity_id: record ? record.entity_id : null,
+      currency: row.currency,
+      statement_amount: row.amount,
+      gateway_amount: record ? record.amount : null,
+      statement_date: row.date,
+      gateway_date: record ? record.occurred_at : null
+    };
+  });
+
+  for (const record of unreferenced) {
+    items.push({
+      result: 'missing_on_acquirer',
+      entity_type: record.entity_type,
+      reference: null,
+      entity_id: record.entity_id,
+      currency: record.currency,
+      statement_amount: null,
+      gateway_amount: record.amount,
+      statement_date: null,
+      gateway_date: record.occurred_at
+    });
+  }
+  return items;
+}
+
+module.exports = {
+  MAX_STATEMENT_ROWS,
+  STATEMENT_ENTRY_TYPES,
+  RECONCILIATION_RESULTS,
+  isIsoDate,
+  parseStatementCsv,
+  validateStatementRows,
+  reconcileStatement
+};
@@ -0,0 +1,31 @@
+/**
+ * Helpers for request-path Redis calls.
+ *
+ * The shared connection in config/queue.js retries commands forever (BullMQ
+ * requires maxRetriesPerRequest: null), so a call made while serving a
+ * request must bound how long it waits for Redis itself.
+ */
+
+/**
+ * Run a MULTI pipeline, giving up if Redis does not reply in time
+ * @param {Object} pipeline - ioredis pipeline (redis.multi())
+ * @param {number} timeoutMs - How long to wait for the reply
+ * @returns {Promise<Array>} - exec() replies: [error, result] per command
+ * @throws {Error} - If Redis fails or does not reply within timeoutMs
+ */
+async function execWithTimeout(pipeline, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no reply from Redis within ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  try {
+    return await Promise.race([pipeline.exec(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  execWithTimeout
+};
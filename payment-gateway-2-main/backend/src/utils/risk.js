@@ -0,0 +1,198 @@
+/**
+ * Risk rules: how a merchant steers the risk engine's decision.
+ *
+ * A rule is { name, conditions, action }. conditions is a list of
+ * { field, operator, value } that must all hold for the rule to match, and
+ * action is the decision taken when it does (allow, review or block). Rules
+ * are evaluated in order and the first match decides, after the engine has
+ * scored the payment; `score` is that score, so a rule can act on it.
+ */
+const { PAYMENT_METHODS, CARD_NETWORKS } = require('./paymentMethods');
+
+const RISK_DECISIONS = Object.freeze(['allow', 'review', 'block']);
+
+// What a blocklist entry can match: the payer's IP, a card fingerprint, a VPA or a customer ID
+const BLOCKLIST_TYPES = Object.freeze(['ip', 'card', 'vpa', 'customer']);
+
+const NUMERIC_FIELDS = Object.freeze(['amount', 'score']);
+const STRING_FIELDS = Object.freeze(['currency', 'method', 'card_network', 'ip', 'vpa', 'customer_id']);
+const RULE_FIELDS = Object.freeze([...NUMERIC_FIELDS, ...STRING_FIELDS]);
+
+const NUMERIC_OPERATORS = Object.freeze(['gt', 'gte', 'lt', 'lte']);
+const RULE_OPERATORS = Object.freeze(['eq', 'neq', 'in', 'not_in', ...NUMERIC_OPERATORS]);
+
+const MAX_RISK_RULES = 50;
+const MAX_RULE_CONDITIONS = 10;
+const MAX_RULE_NAME_LENGTH = 64;
+const MAX_VALUE_LENGTH = 320;
+
+/**
+ * Validate a merchant's risk rules
+ * @param {*} rules - Candidate array of { name, conditions, action }
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateRiskRules(rules) {
+  if (!Array.isArray(rules) || rules.length > MAX_RISK_RULES) {
+    return `rules must be an array of at most ${MAX_RISK_RULES} rules`;
+  }
+
+  const names = new Set();
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    const field = `rules[${i}]`;
+
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      return `${field} must be an object`;
+    }
+    if (typeof rule.name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(rule.name) || rule.name.length > MAX_RULE_NAME_LENGTH) {
+      return `${field}.name must be 1 to ${MAX_RULE_NAME_LENGTH} letters, digits, underscores or hyphens`;
+    }
+    if (names.has(rule.name)) {
+      return `${field}.name duplicates an earlier rule`;
+    }
+    names.add(rule.name);
+
+    if (!RISK_DECISIONS.includes(rule.action)) {
+      return `${field}.action must be one of: ${RISK_DECISIONS.join(', ')}`;
+    }
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0 || rule.conditions.length > MAX_RULE_CONDITIONS) {
+      return `${field}.conditions must be an array of 1 to ${MAX_RULE_CONDITIONS} conditions`;
+    }
+
+    for (let j = 0; j < rule.conditions.length; j++) {
+      const conditionError = validateCondition(rule.conditions[j]);
+      if (conditionError) {
+        return `${field}.conditions[${j}]${conditionError}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @returns {string|null} - The problem, phrased to follow the condition's path
+ */
+function validateCondition(condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return ' must be an object';
+  }
+
+  const { field, operator, value } = condition;
+  if (!RULE_FIELDS.includes(field)) {
+    return `.field must be one of: ${RULE_FIELDS.join(', ')}`;
+  }
+  if (!RULE_OPERATORS.includes(operator)) {
+    return `.operator must be one of: ${RULE_OPERATORS.join(', ')}`;
+  }
+
+  const numeric = NUMERIC_FIELDS.includes(field);
+  if (NUMERIC_OPERATORS.includes(operator) && !numeric) {
+    return `.operator ${operator} only applies to ${NUMERIC_FIELDS.join(' and ')}`;
+  }
+
+  const isValidValue = numeric
+    ? v => Number.isSafeInteger(v) && v >= 0
+    : v => typeof v === 'string' && v.length > 0 && v.length <= MAX_VALUE_LENGTH;
+  const expected = numeric ? 'a non-negative integer' : 'a non-empty string';
+
+  if (operator === 'in' || operator === 'not_in') {
+    if (!Array.isArray(value) || value.length === 0 || !value.every(isValidValue)) {
+      return `.value must be a non-empty array, each ${expected}`;
+    }
+    return null;
+  }
+  if (!isValidValue(value)) {
+    return `.value must be ${expected}`;
+  }
+
+  if (field === 'method' && !PAYMENT_METHODS.includes(value)) {
+    return `.value must be one of: ${PAYMENT_METHODS.join(', ')}`;
+  }
+  if (field === 'card_network' && !CARD_NETWORKS.includes(value)) {
+    return `.value must be one of: ${CARD_NETWORKS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the review and block score thresholds
+ * @param {*} reviewThreshold - Score from which payments are held for review
+ * @param {*} blockThreshold - Score from which payments are blocked
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateRiskThresholds(reviewThreshold, blockThreshold) {
+  for (const [name, value] of [['review_threshold', reviewThreshold], ['block_threshold', blockThreshold]]) {
+    if (!Number.isInteger(value) || value < 1 || value > 100) {
+      return `${name} must be an integer between 1 and 100`;
+    }
+  }
+  if (reviewThreshold > blockThreshold) {
+    return 'review_threshold cannot be higher than block_threshold';
+  }
+  return null;
+}
+
+/**
+ * Validate a blocklist entry
+ * @param {*} type - One of BLOCKLIST_TYPES
+ * @param {*} value - IP, card fingerprint, VPA or customer ID
+ * @returns {string|null} - A description of the problem, or null if valid
+ */
+function validateBlocklistEntry(type, value) {
+  if (!BLOCKLIST_TYPES.includes(type)) {
+    return `type must be one of: ${BLOCKLIST_TYPES.join(', ')}`;
+  }
+  if (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_VALUE_LENGTH) {
+    return `value must be a non-empty string of at most ${MAX_VALUE_LENGTH} characters`;
+  }
+  if (type === 'card' && !/^[0-9a-f]{64}$/.test(value)) {
+    return 'value must be a card fingerprint, as returned on payments';
+  }
+  return null;
+}
+
+/**
+ * Find the first rule whose conditions all hold for a payment
+ * @param {Array<Object>} rules - Validated risk rules
+ * @param {Object} facts - Values of RULE_FIELDS for the payment being scored
+ * @returns {Object|null} - Matching rule, or null if none matches
+ */
+function findMatchingRule(rules, facts) {
+  return rules.find(rule => rule.conditions.every(condition => conditionHolds(condition, facts))) || null;
+}
+
+/**
+ * @private
+ */
+function conditionHolds({ field, operator, value }, facts) {
+  const actual = facts[field];
+  if (actual === undefined || actual === null) {
+    // An absent fact (no VPA on a card payment) only satisfies negative conditions
+    return operator === 'neq' || operator === 'not_in';
+  }
+
+  switch (operator) {
+    case 'eq': return actual === value;
+    case 'neq': return actual !== value;
+    case 'in': return value.includes(actual);
+    case 'not_in': return !value.includes(actual);
+    case 'gt': return actual > value;
+    case 'gte': return actual >= value;
+    case 'lt': return actual < value;
+    case 'lte': return actual <= value;
+    default: return false;
+  }
+}
+
+module.exports = {
+  RISK_DECISIONS,
+  BLOCKLIST_TYPES,
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  validateRiskRules,
+  validateRiskThresholds,
+  validateBlocklistEntry,
+  findMatchingRule
+};
@@ -0,0 +1,114 @@
+/**
+ * Outcome of processing a payment. Live payments are simulated from each
+ * method's success rate and latency (config/payments.js); test-mode payments
+ * (made with test API keys) have deterministic outcomes chosen by the
+ * amount, card number or VPA, so test suites can exercise every path.
+ *
+ * Test-mode rules, first match wins:
+ * - Magic amounts (minor units, any method)
+ * - Magic card numbers, matched through the payment's card fingerprint
+ * - Magic VPAs
+ * - Anything else succeeds after DEFAULT_LATENCY_MS
+ */
+const { methodSimulations } = require('../config/payments');
+const { fingerprintCard } = require('./paymentMethods');
+
+const DEFAULT_LATENCY_MS = 1000;
+
+const SUCCESS = { success: true, errorCode: null, errorDescription: null, latencyMs: DEFAULT_LATENCY_MS };
+
+/**
+ * A failed outcome
+ * @param {string} errorCode - Decline code stored on the payment
+ * @param {string} errorDescription - Description stored on the payment
+ * @param {number} [latencyMs] - Processing time
+ * @returns {Object}
+ */
+function decline(errorCode, errorDescription, latencyMs = DEFAULT_LATENCY_MS) {
+  return { success: false, errorCode, errorDescription, latencyMs };
+}
+
+const TEST_AMOUNTS = Object.freeze({
+  40002: decline('PAYMENT_DECLINED', 'The payment was declined by the issuer'),
+  40010: { ...SUCCESS, latencyMs: 10000 },
+  40051: decline('INSUFFICIENT_FUNDS', 'The payer has insufficient funds'),
+  40068: decline('ISSUER_TIMEOUT', 'The issuer did not respond in time', 20000),
+  40091: decline('ISSUER_UNAVAILABLE', 'The issuer is unavailable')
+});
+
+const TEST_CARDS = Object.freeze({
+  '4111111111111111': SUCCESS,
+  '5555555555554444': SUCCESS,
+  '4000000000000002': decline('CARD_DECLINED', 'The card was declined'),
+  '4000000000009995': decline('INSUFFICIENT_FUNDS', 'The card has insufficient funds'),
+  '4000000000000069': decline('EXPIRED_CARD', 'The issuer reports the card as expired'),
+  '4000000000000127': decline('INCORRECT_CVV', 'The card\'s CVV is incorrect'),
+  '4000000000000119': decline('PROCESSING_ERROR', 'The issuer could not process the card')
+});
+
+const TEST_VPAS = Object.freeze({
+  'success@test': SUCCESS,
+  'failure@test': decline('PAYMENT_DECLINED', 'The payer declined the payment')
+});
+
+// Card numbers are not stored, so test cards are recognized by fingerprint
+let testCardsByFingerprint = null;
+
+/**
+ * Outcome of a test-mode payment
+ * @param {Object} payment - Payment row
+ * @returns {Object} - { success, errorCode, errorDescription, latencyMs }
+ */
+function testOutcome(payment) {
+  if (TEST_AMOUNTS[payment.amount]) {
+    return TEST_AMOUNTS[payment.amount];
+  }
+
+  if (payment.method === 'card' && payment.card_fingerprint) {
+    if (!testCardsByFingerprint) {
+      testCardsByFingerprint = new Map(
+        Object.entries(TEST_CARDS).map(([number, outcome]) => [fingerprintCard(number), outcome])
+      );
+    }
+    return testCardsByFingerprint.get(payment.card_fingerprint) || SUCCESS;
+  }
+
+  if (payment.method === 'upi' && payment.vpa) {
+    return TEST_VPAS[payment.vpa.toLowerCase()] || SUCCESS;
+  }
+
+  return SUCCESS;
+}
+
+/**
+ * Outcome of a live payment, simulated from its method's success rate and latency
+ * @param {Object} payment - Payment row
+ * @param {Function} [random] - Source of numbers in [0, 1)
+ * @returns {Object} - { success, errorCode, errorDescription, latencyMs }
+ */
+function liveOutcome(payment, random = Math.random) {
+  const simulation = methodSimulations[payment.method] || methodSimulations.card;
+  const latencyMs = Math.floor(random() * (simulation.maxLatencyMs - simulation.minLatencyMs + 1) + simulation.minLatencyMs);
+
+  return random() * 100 <= simulation.successRate
+    ? { ...SUCCESS, latencyMs }
+    : { success: false, errorCode: null, errorDescription: null, latencyMs };
+}
+
+/**
+ * Outcome of processing a payment
+ * @param {Object} payment - Payment row
+ * @param {string} mode - 'live' or 'test', from the payment's merchant account
+ * @returns {Object} - { success, errorCode, errorDescription, latencyMs }
+ */
+function paymentOutcome(payment, mode) {
+  return mode === 'test' ? testOutcome(payment) : liveOutcome(payment);
+}
+
+module.exports = {
+  TEST_AMOUNTS,
+  TEST_CARDS,
+  TEST_VPAS,
+  paymentOutcome,
+  liveOutcome
+};
@@ -0,0 +1,35 @@
+/**
+ * Webhook deliveries. A send-webhook job names the entities its event is
+ * about (see WebhookWorker); the worker loads them when it delivers, so a
+ * retried webhook carries their current state.
+ */
+
+// Payload data keys and the job field naming each one
+const JOB_FIELDS = Object.freeze({
+  payment: 'paymentId',
+  refund: 'refundId',
+  payment_link: 'paymentLinkId',
+  invoice: 'invoiceId',
+  subscription: 'subscriptionId',
+  settlement: 'settlementId',
+  dispute: 'disputeId'
+});
+
+/**
+ * The send-webhook job that delivers a logged webhook again
+ * @param {Object} log - webhook_logs row
+ * @returns {Object} - Job data naming the entities of the logged payload
+ */
+function webhookRetryJob(log) {
+  // payload is JSONB, which pg parses, but may also be read as text
+  const payload = typeof log.payload === 'string' ? JSON.parse(log.payload) : log.payload;
+  const job = { event: log.event };
+  for (const [key, field] of Object.entries(JOB_FIELDS)) {
+    job[field] = payload?.data?.[key]?.id || null;
+  }
+  return { ...job, merchantId: log.merchant_id, attempt: 1 };
+}
+
+module.exports = {
+  webhookRetryJob
+};
@@ -0,0 +1,54 @@
+const { Worker } = require('bullmq');
+const { connection, paymentQueue, webhookQueue, subscriptionQueue } = require('../config/queue');
+const db = require('../config/db');
+const PaymentRepository = require('../repository/PaymentRepository');
+const PaymentStateMachine = require('../services/PaymentStateMachine');
+const AcquirerService = require('../services/AcquirerService');
+
+const paymentRepository = new PaymentRepository(db);
+const stateMachine = new PaymentStateMachine(paymentRepository);
+const acquirerService = new AcquirerService(paymentRepository, paymentQueue);
+
+// Voids manual-capture payments whose authorization window lapsed without a capture
+const worker = new Worker('authorization-queue', async (job) => {
+    const { paymentId } = job.data;
+
+    const res = await db.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+    const payment = res.rows[0];
+
+    // Only payments still sitting in 'authorized' are voided; captured ones are left alone
+    if (!payment || payment.status !== 'authorized') return;
+    if (new Date(payment.authorization_expires_at) > new Date()) return;
+
+    // Released with the acquirer first; an acquirer that cannot be reached
+    // fails the job, which is retried
+    const voided = await acquirerService.void(payment);
+    if (voided.status !== 'voided') {
+        console.warn(`⚠️ [AuthorizationWorker] Acquirer declined to void payment ${paymentId}: ${voided.errorCode}`);
+    }
+
+    const expired = await stateMachine.transition(payment, 'expired', {
+        actor: 'worker:authorization',
+        reason: 'Authorization window lapsed'
+    });
+    if (!expired) return;
+
+    console.log(`⌛ [AuthorizationWorker] Authorization expired for payment ${paymentId}`);
+
+    await webhookQueue.add('send-webhook', {
+        event: 'payment.expired',
+        paymentId,
+        merchantId: payment.merchant_id
+    });
+
+    // An expired subscription payment fails its charge, which starts dunning
+    if (payment.subscription_id) {
+        await subscriptionQueue.add('subscription-payment', {
+            subscriptionId: payment.subscription_id,
+            paymentId,
+            status: 'expired'
+        }, { jobId: `outcome_${paymentId}` });
+    }
+}, { connection });
+
+module.exports = worker;
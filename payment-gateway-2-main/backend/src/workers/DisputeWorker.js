@@ -0,0 +1,31 @@
+const { Worker } = require('bullmq');
+const { connection, webhookQueue, disputeQueue } = require('../config/queue');
+const { disputeExpirySchedule } = require('../config/payments');
+const db = require('../config/db');
+const DisputeRepository = require('../repository/DisputeRepository');
+const LedgerRepository = require('../repository/LedgerRepository');
+const DisputeService = require('../services/DisputeService');
+const LedgerService = require('../services/LedgerService');
+
+const disputeService = new DisputeService(
+    new DisputeRepository(db),
+    webhookQueue,
+    new LedgerService(new LedgerRepository(db))
+);
+
+// Open disputes the merchant did not respond to in time are lost
+disputeQueue.add('expire-disputes', {}, {
+    repeat: { pattern: disputeExpirySchedule, tz: 'UTC' },
+    jobId: 'expire-disputes'
+}).catch(err => console.error('[DisputeWorker] Failed to schedule dispute expiry:', err?.message || err));
+
+const worker = new Worker('dispute-queue', async (job) => {
+    if (job.name !== 'expire-disputes') return;
+
+    const lost = await disputeService.expireOverdueDisputes();
+    if (lost.length > 0) {
+        console.log(`⚖️ [DisputeWorker] ${lost.length} dispute(s) lost past their response deadline`);
+    }
+}, { connection });
+
+module.exports = worker;
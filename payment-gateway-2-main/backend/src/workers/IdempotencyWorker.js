@@ -0,0 +1,25 @@
+const { Worker } = require('bullmq');
+const { connection, idempotencyQueue } = require('../config/queue');
+const { idempotencyPurgeSchedule } = require('../config/payments');
+const db = require('../config/db');
+const IdempotencyRepository = require('../repository/IdempotencyRepository');
+const IdempotencyService = require('../services/IdempotencyService');
+
+const idempotencyService = new IdempotencyService(new IdempotencyRepository(db));
+
+// Expired idempotency keys are no longer replayed; drop them
+idempotencyQueue.add('purge-idempotency-keys', {}, {
+    repeat: { pattern: idempotencyPurgeSchedule, tz: 'UTC' },
+    jobId: 'purge-idempotency-keys'
+}).catch(err => console.error('[IdempotencyWorker] Failed to schedule key purge:', err?.message || err));
+
+const worker = new Worker('idempotency-queue', async (job) => {
+    if (job.name !== 'purge-idempotency-keys') return;
+
+    const purged = await idempotencyService.purgeExpired();
+    if (purged > 0) {
+        console.log(`🧹 [IdempotencyWorker] Purged ${purged} expired idempotency key(s)`);
+    }
+}, { connection });
+
+module.exports = worker;
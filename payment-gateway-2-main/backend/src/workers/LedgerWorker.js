@@ -0,0 +1,34 @@
+const { Worker } = require('bullmq');
+const { connection, ledgerQueue } = require('../config/queue');
+const { ledgerCheckSchedule, ledgerBackfillGraceMinutes } = require('../config/payments');
+const db = require('../config/db');
+const LedgerRepository = require('../repository/LedgerRepository');
+const LedgerService = require('../services/LedgerService');
+
+const ledgerService = new LedgerService(new LedgerRepository(db));
+
+ledgerQueue.add('check-ledger', {}, {
+    repeat: { pattern: ledgerCheckSchedule, tz: 'UTC' },
+    jobId: 'check-ledger'
+}).catch(err => console.error('[LedgerWorker] Failed to schedule ledger checks:', err?.message || err));
+
+const worker = new Worker('ledger-queue', async (job) => {
+    if (job.name !== 'check-ledger') return;
+
+    const before = new Date(Date.now() - ledgerBackfillGraceMinutes * 60 * 1000);
+    const posted = await ledgerService.postMissingJournals(before);
+    if (posted.captures + posted.refunds + posted.disputes + posted.payouts > 0) {
+        console.warn(`📒 [LedgerWorker] Posted missed journals: ${JSON.stringify(posted)}`);
+    }
+
+    const report = await ledgerService.checkInvariants();
+    if (!report.balanced) {
+        // Failing the job keeps the report in BullMQ's failed set
+        console.error('🚨 [LedgerWorker] Ledger does not balance:', JSON.stringify(report));
+        throw new Error(`Ledger does not balance: ${report.unbalancedJournals.length} unbalanced journal(s)`);
+    }
+    console.log(`📒 [LedgerWorker] Ledger balances: ${JSON.stringify(report.trialBalance)}`);
+    return report;
+}, { connection });
+
+module.exports = worker;
@@ -1,37 +1,171 @@
 const { Worker } = require('bullmq');
-const { connection, webhookQueue } = require('../config/queue');
+const { connection, paymentQueue, webhookQueue, authorizationQueue, subscriptionQueue } = require('../config/queue');
+const { authorizationWindowHours } = require('../config/payments');
 const db = require('../config/db');
+const PaymentRepository = require('../repository/PaymentRepository');
+const PaymentLinkRepository = require('../repository/PaymentLinkRepository');
+const InvoiceRepository = require('../repository/InvoiceRepository');
+const PricingRepository = require('../repository/PricingRepository');
+const LedgerRepository = require('../repository/LedgerRepository');
+const PaymentStateMachine = require('../services/PaymentStateMachine');
+const AcquirerService = require('../services/AcquirerService');
+const PricingService = require('../services/PricingService');
+const LedgerService = require('../services/LedgerService');
+
+const paymentRepository = new PaymentRepository(db);
+const stateMachine = new PaymentStateMachine(paymentRepository);
+const acquirerService = new AcquirerService(paymentRepository, paymentQueue);
+const paymentLinkRepository = new PaymentLinkRepository(db);
+const invoiceRepository = new InvoiceRepository(db);
+const pricingService = new PricingService(new PricingRepository(db));
+const ledgerService = new LedgerService(new LedgerRepository(db));
+const ACTOR = 'worker:payment';
 
 const worker = new Worker('payment-queue', async (job) => {
-    const { paymentId } = job.data;
+    // check counts the status checks made while the acquirer's answer is pending
+    const { paymentId, check = 0 } = job.data;
     
     // 1. Fetch payment details
-    const res = await db.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+    // The merchant's mode (live or sandbox) and acquirer routes decide where it is processed
+    const res = await db.query(
+        `SELECT p.*, m.mode AS merchant_mode, m.acquirer_routes AS merchant_acquirer_routes
+         FROM payments p LEFT JOIN merchants m ON m.id = p.merchant_id WHERE p.id = $1`,
+        [paymentId]
+    );
     const payment = res.rows[0];
+    if (!payment) throw new Error(`Payment not found: ${paymentId}`);
+
+    // Only pending payments are processed: cancelled ones (jobs enqueued by
+    // scripts cannot be removed) and re-enqueued settled ones are left alone
+    if (payment.status !== 'pending') {
+        console.log(`⏭️ Payment ${paymentId} is ${payment.status}, skipping`);
+        return;
+    }
 
-    // 2. Simulate processing delay (Requirement: 5-10s or Test Mode)
-    const delay = process.env.TEST_MODE === 'true' 
-        ? parseInt(process.env.TEST_PROCESSING_DELAY || 1000) 
-        : Math.floor(Math.random() * (10000 - 5000 + 1) + 5000);
-    await new Promise(r => setTimeout(r, delay));
+    // 2. Authorize with the payment's acquirer (see services/AcquirerService.js).
+    // While its answer is pending the payment stays pending: a status check is
+    // scheduled, and acquirers that answer later also send a callback.
+    const authorization = await acquirerService.authorize(payment, check);
+    if (authorization.status === 'pending') {
+        console.log(`⏳ Payment ${paymentId} is pending with ${authorization.acquirer}`);
+        return;
+    }
 
-    // 3. Determine Outcome (Requirement: UPI 90%, Card 95% success)
-    let success = false;
-    if (process.env.TEST_MODE === 'true') {
-        success = process.env.TEST_PAYMENT_SUCCESS !== 'false';
+    // 3. Update Database
+    // A null result means the payment was cancelled while being processed.
+    let updated;
+    if (authorization.status === 'declined') {
+        updated = await stateMachine.transition(payment, 'failed', {
+            actor: ACTOR,
+            changes: {
+                error_code: authorization.errorCode,
+                error_description: authorization.errorDescription,
+                acquirer_reference: authorization.reference
+            }
+        });
     } else {
-        const chance = Math.random() * 100;
-        success = payment.method === 'upi' ? chance <= 90 : chance <= 95;
+        const authorizedAt = new Date();
+        updated = await stateMachine.transition(payment, 'authorized', {
+            actor: ACTOR,
+            changes: {
+                authorized_at: authorizedAt,
+                authorization_expires_at: new Date(authorizedAt.getTime() + authorizationWindowHours * 60 * 60 * 1000),
+                acquirer_reference: authorization.reference
+            }
+        });
+    }
+
+    // 4. Capture automatic-capture payments with the acquirer, only once they
+    // are authorized here: a cancellation voids them with the acquirer first,
+    // so it either makes the capture decline or is declined itself. They are
+    // priced first, so a capture the acquirer makes is always recorded. A
+    // capture that cannot be priced, or that the acquirer declines or does not
+    // answer, leaves the payment authorized like a manual-capture payment,
+    // voided if not captured within the authorization window.
+    let captured = false;
+    let pricing;
+    if (updated && updated.status === 'authorized' && payment.capture_method !== 'manual') {
+        try {
+            pricing = await pricingService.priceCapture(updated, payment.amount);
+            const capture = await acquirerService.capture({ ...updated, acquirer: authorization.acquirer }, payment.amount);
+            captured = capture.status === 'captured';
+        } catch (err) {
+            console.error(`[PaymentWorker] Capture failed for ${paymentId}:`, err.message);
+        }
+    }
+
+    if (captured) {
+        const authorized = updated;
+        updated = await stateMachine.transition(authorized, 'captured', {
+            actor: ACTOR,
+            changes: {
+                captured: true,
+                captured_amount: payment.amount,
+                captured_at: new Date(),
+                authorization_expires_at: null,
+                ...pricing
+            }
+        });
+        if (!updated) {
+            // Cancelled or expired while the acquirer was capturing it
+            await acquirerService.reverseCapture({ ...authorized, acquirer: authorization.acquirer }, payment.amount)
+                .catch(err => console.error(`[PaymentWorker] Capture reversal failed for ${paymentId}:`, err.message));
+        }
+    } else if (updated && updated.status === 'authorized') {
+        await authorizationQueue.add('void-authorization', { paymentId }, {
+            delay: authorizationWindowHours * 60 * 60 * 1000,
+            jobId: `void_${paymentId}`,
+            attempts: 5,
+            backoff: { type: 'exponential', delay: 60000 }
+        });
     }
+    if (!updated) return;
+    const status = updated.status;
 
-    // 4. Update Database
-    const status = success ? 'success' : 'failed';
-    await db.query('UPDATE payments SET status = $1, updated_at = NOW() WHERE id = $2', [status, paymentId]);
+    // 5. Post the capture to the ledger and close the order
+    if (status === 'captured') {
+        // The capture stands even if posting fails; the ledger check job posts it later
+        await ledgerService.recordCapture(updated)
+            .catch(err => console.error(`[PaymentWorker] Ledger posting failed for ${paymentId}:`, err.message));
+        await db.query('UPDATE orders SET status = \'paid\', updated_at = NOW() WHERE id = $1 AND status <> \'paid\'', [payment.order_id]);
+    }
 
-    // 5. Enqueue Webhook
+    // 6. Enqueue Webhook
     await webhookQueue.add('send-webhook', {
         event: `payment.${status}`,
         paymentId: paymentId,
         merchantId: payment.merchant_id
     });
+
+    // 7. Settle the payment link or invoice the order was created for, if any
+    if (status === 'captured') {
+        const paymentLink = await paymentLinkRepository.markPaidForOrder(payment.order_id, paymentId);
+        if (paymentLink) {
+            await webhookQueue.add('send-webhook', {
+                event: 'payment_link.paid',
+                paymentId: paymentId,
+                paymentLinkId: paymentLink.id,
+                merchantId: payment.merchant_id
+            });
+        }
+
+        const invoice = await invoiceRepository.markPaidForOrder(payment.order_id, paymentId);
+        if (invoice) {
+            await webhookQueue.add('send-webhook', {
+                event: 'invoice.paid',
+                paymentId: paymentId,
+                invoiceId: invoice.id,
+                merchantId: payment.merchant_id
+            });
+        }
+    }
+
+    // 8. Let the subscription this payment bills advance its cycle or start dunning
+    if (payment.subscription_id && (status === 'captured' || status === 'failed')) {
+        await subscriptionQueue.add('subscription-payment', {
+            subscriptionId: payment.subscription_id,
+            paymentId,
+            status
+        }, { jobId: `outcome_${paymentId}` });
+    }
 }, { connection });
\ No newline at end of file
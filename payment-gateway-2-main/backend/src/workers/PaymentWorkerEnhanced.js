@@ -1,43 +1,180 @@
 const { Worker } = require('bullmq');
-const { connection, webhookQueue } = require('../config/queue');
+const { connection, paymentQueue, webhookQueue, authorizationQueue, subscriptionQueue } = require('../config/queue');
+const { authorizationWindowHours } = require('../config/payments');
 const db = require('../config/db');
+const PaymentRepository = require('../repository/PaymentRepository');
+const PaymentLinkRepository = require('../repository/PaymentLinkRepository');
+const InvoiceRepository = require('../repository/InvoiceRepository');
+const PricingRepository = require('../repository/PricingRepository');
+const LedgerRepository = require('../repository/LedgerRepository');
+const PaymentStateMachine = require('../services/PaymentStateMachine');
+const AcquirerService = require('../services/AcquirerService');
+const PricingService = require('../services/PricingService');
+const LedgerService = require('../services/LedgerService');
+
+const paymentRepository = new PaymentRepository(db);
+const stateMachine = new PaymentStateMachine(paymentRepository);
+const acquirerService = new AcquirerService(paymentRepository, paymentQueue);
+const paymentLinkRepository = new PaymentLinkRepository(db);
+const invoiceRepository = new InvoiceRepository(db);
+const pricingService = new PricingService(new PricingRepository(db));
+const ledgerService = new LedgerService(new LedgerRepository(db));
+const ACTOR = 'worker:payment';
 
 const worker = new Worker('payment-queue', async (job) => {
-    const { paymentId } = job.data;
+    const { paymentId, check = 0 } = job.data;
     console.log(`🔁 [Enhanced] Processing payment job ${job.id} paymentId=${paymentId}`);
 
     try {
-        const res = await db.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+        // The merchant's mode (live or sandbox) and acquirer routes decide where it is processed
+        const res = await db.query(
+            `SELECT p.*, m.mode AS merchant_mode, m.acquirer_routes AS merchant_acquirer_routes
+             FROM payments p LEFT JOIN merchants m ON m.id = p.merchant_id WHERE p.id = $1`,
+            [paymentId]
+        );
         const payment = res.rows[0];
         if (!payment) throw new Error(`Payment not found: ${paymentId}`);
+        if (payment.status !== 'pending') {
+            console.log(`⏭️ [Enhanced] Payment ${paymentId} is ${payment.status}, skipping`);
+            return;
+        }
 
-        const delay = process.env.TEST_MODE === 'true'
-            ? parseInt(process.env.TEST_PROCESSING_DELAY || 1000)
-            : Math.floor(Math.random() * (10000 - 5000 + 1) + 5000);
-        await new Promise(r => setTimeout(r, delay));
+        // A pending answer is checked again later (see services/AcquirerService.js)
+        const authorization = await acquirerService.authorize(payment, check);
+        if (authorization.status === 'pending') {
+            console.log(`⏳ [Enhanced] Payment ${paymentId} is pending with ${authorization.acquirer}`);
+            return;
+        }
 
-        let success = false;
-        if (process.env.TEST_MODE === 'true') {
-            success = process.env.TEST_PAYMENT_SUCCESS !== 'false';
+        let updated;
+        if (authorization.status === 'declined') {
+            updated = await stateMachine.transition(payment, 'failed', {
+                actor: ACTOR,
+                changes: {
+                    error_code: authorization.errorCode,
+                    error_description: authorization.errorDescription,
+                    acquirer_reference: authorization.reference
+                }
+            });
         } else {
-            const chance = Math.random() * 100;
-            success = payment.method === 'upi' ? chance <= 90 : chance <= 95;
+            const authorizedAt = new Date();
+            updated = await stateMachine.transition(payment, 'authorized', {
+                actor: ACTOR,
+                changes: {
+                    authorized_at: authorizedAt,
+                    authorization_expires_at: new Date(authorizedAt.getTime() + authorizationWindowHours * 60 * 60 * 1000),
+                    acquirer_reference: authorization.reference
+                }
+            });
+        }
+
+        // Captured with the acquirer only once authorized here, so a cancellation (which voids
+        // first) cannot miss it, and priced first, so a capture it makes is always recorded; a
+        // capture that cannot be priced, or that it declines or does not answer, leaves the payment authorized
+        let captured = false;
+        let pricing;
+        if (updated && updated.status === 'authorized' && payment.capture_method !== 'manual') {
+            try {
+                pricing = await pricingService.priceCapture(updated, payment.amount);
+                const capture = await acquirerService.capture({ ...updated, acquirer: authorization.acquirer }, payment.amount);
+                captured = capture.status === 'captured';
+            } catch (err) {
+                console.error(`[Enhanced] Capture failed for ${paymentId}:`, err.message);
+            }
+        }
+
+        if (captured) {
+            const authorized = updated;
+            updated = await stateMachine.transition(authorized, 'captured', {
+                actor: ACTOR,
+                changes: {
+                    captured: true,
+                    captured_amount: payment.amount,
+                    captured_at: new Date(),
+                    authorization_expires_at: null,
+                    ...pricing
+                }
+            });
+            if (!updated) {
+                await acquirerService.reverseCapture({ ...authorized, acquirer: authorization.acquirer }, payment.amount)
+                    .catch(err => console.error(`[Enhanced] Capture reversal failed for ${paymentId}:`, err.message));
+            }
+        } else if (updated && updated.status === 'authorized') {
+            await authorizationQueue.add('void-authorization', { paymentId }, {
+                delay: authorizationWindowHours * 60 * 60 * 1000,
+                jobId: `void_${paymentId}`,
+                attempts: 5,
+                backoff: { type: 'exponential', delay: 60000 }
+            });
         }
 
-        const status = success ? 'success' : 'failed';
-        await db.query('UPDATE payments SET status = $1, updated_at = NOW() WHERE id = $2', [status, paymentId]);
+        if (!updated) {
+            console.log(`⏭️ [Enhanced] Payment ${paymentId} changed state while processing, skipping`);
+            return;
+        }
+        const status = updated.status;
         console.log(`✅ [Enhanced] Payment ${paymentId} -> ${status}`);
 
+        if (status === 'captured') {
+            // The capture stands even if posting fails; the ledger check job posts it later
+            await ledgerService.recordCapture(updated)
+                .catch(err => console.error(`[Enhanced] Ledger posting failed for ${paymentId}:`, err.message));
+            await db.query('UPDATE orders SET status = \'paid\', updated_at = NOW() WHERE id = $1 AND status <> \'paid\'', [payment.order_id]);
+        }
+
         await webhookQueue.add('send-webhook', {
             event: `payment.${status}`,
             paymentId,
             merchantId: payment.merchant_id
         });
 
+        if (status === 'captured') {
+            const paymentLink = await paymentLinkRepository.markPaidForOrder(payment.order_id, paymentId);
+            if (paymentLink) {
+                console.log(`🔗 [Enhanced] Payment link ${paymentLink.id} paid by ${paymentId}`);
+                await webhookQueue.add('send-webhook', {
+                    event: 'payment_link.paid',
+                    paymentId,
+                    paymentLinkId: paymentLink.id,
+                    merchantId: payment.merchant_id
+                });
+            }
+
+            const invoice = await invoiceRepository.markPaidForOrder(payment.order_id, paymentId);
+            if (invoice) {
+                console.log(`🧾 [Enhanced] Invoice ${invoice.id} paid by ${paymentId}`);
+                await webhookQueue.add('send-webhook', {
+                    event: 'invoice.paid',
+                    paymentId,
+                    invoiceId: invoice.id,
+                    merchantId: payment.merchant_id
+                });
+            }
+        }
+
+        if (payment.subscription_id && (status === 'captured' || status === 'failed')) {
+            await subscriptionQueue.add('subscription-payment', {
+                subscriptionId: payment.subscription_id,
+                paymentId,
+                status
+            }, { jobId: `outcome_${paymentId}` });
+        }
+
     } catch (err) {
         console.error(`❌ [Enhanced] Error processing payment ${paymentId}:`, err && err.stack ? err.stack : err);
         try {
-            await db.query('UPDATE payments SET status = $1, updated_at = NOW() WHERE id = $2', ['failed', paymentId]);
+            // Only a payment still pending may be failed; anything further along is kept
+            const current = await db.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+            if (current.rows[0] && current.rows[0].status === 'pending') {
+                const failed = await stateMachine.transition(current.rows[0], 'failed', { actor: ACTOR, reason: err && err.message });
+                if (failed && failed.subscription_id) {
+                    await subscriptionQueue.add('subscription-payment', {
+                        subscriptionId: failed.subscription_id,
+                        paymentId,
+                        status: 'failed'
+                    }, { jobId: `outcome_${paymentId}` });
+                }
+            }
         } catch (e) {
             console.error('[Enhanced] Failed to mark payment failed:', e && e.stack ? e.stack : e);
         }
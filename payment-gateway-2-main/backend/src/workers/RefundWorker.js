@@ -1,24 +1,86 @@
 const { Worker } = require('bullmq');
-const { connection, webhookQueue } = require('../config/queue');
+const { connection, paymentQueue, webhookQueue } = require('../config/queue');
 const db = require('../config/db');
+const PaymentRepository = require('../repository/PaymentRepository');
+const LedgerRepository = require('../repository/LedgerRepository');
+const PaymentStateMachine = require('../services/PaymentStateMachine');
+const LedgerService = require('../services/LedgerService');
+const AcquirerService = require('../services/AcquirerService');
+
+const paymentRepository = new PaymentRepository(db);
+const stateMachine = new PaymentStateMachine(paymentRepository);
+const acquirerService = new AcquirerService(paymentRepository, paymentQueue);
+const ledgerService = new LedgerService(new LedgerRepository(db));
+
+// Moves the refunded payment to partially_refunded or refunded. Retried a few
+// times because refunds of the same payment may finish concurrently.
+async function markPaymentRefunded(refund) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const paymentRes = await db.query('SELECT * FROM payments WHERE id = $1', [refund.payment_id]);
+        const payment = paymentRes.rows[0];
+        // A re-run job for an already fully refunded payment has nothing to move
+        if (payment.status === 'refunded') return;
+
+        const totalRes = await db.query(
+            'SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE payment_id = $1 AND status = \'processed\'',
+            [refund.payment_id]
+        );
+        const refunded = parseInt(totalRes.rows[0].total);
+        const refundable = payment.captured_amount ?? payment.amount;
+        const toStatus = refunded >= refundable ? 'refunded' : 'partially_refunded';
+
+        const updated = await stateMachine.transition(payment, toStatus, {
+            actor: 'worker:refund',
+            reason: `Refund ${refund.id} processed`
+        });
+        if (updated) return;
+    }
+    throw new Error(`Could not update status of payment ${refund.payment_id} after refund ${refund.id}`);
+}
 
 const worker = new Worker('refund-queue', async (job) => {
     const { refundId } = job.data;
 
-    // Simulate 3-5 second delay
-    const delay = Math.floor(Math.random() * (5000 - 3000 + 1) + 3000);
-    await new Promise(res => setTimeout(res, delay));
+    const pendingRes = await db.query('SELECT * FROM refunds WHERE id = $1', [refundId]);
+    const pending = pendingRes.rows[0];
+    // A re-run job for a refund already settled has nothing to do
+    if (!pending || pending.status !== 'pending') return;
+
+    // Refund through the acquirer that took the payment (see services/AcquirerService.js).
+    // An acquirer that cannot be reached fails the job, leaving the refund pending.
+    const paymentRes = await db.query('SELECT * FROM payments WHERE id = $1', [pending.payment_id]);
+    const result = await acquirerService.refund(paymentRes.rows[0], pending);
+
+    if (result.status !== 'processed') {
+        await db.query(
+            'UPDATE refunds SET status = \'failed\', acquirer_reference = $2, updated_at = NOW() WHERE id = $1',
+            [refundId, result.reference]
+        );
+        console.warn(`⚠️ [RefundWorker] Acquirer declined refund ${refundId}: ${result.errorCode}`);
+        await webhookQueue.add('send-webhook', {
+            event: 'refund.failed',
+            refundId: refundId,
+            merchantId: pending.merchant_id
+        });
+        return;
+    }
 
     // Update status to 'processed'
     await db.query(
-        'UPDATE refunds SET status = \'processed\', processed_at = NOW() WHERE id = $1',
-        [refundId]
+        'UPDATE refunds SET status = \'processed\', processed_at = NOW(), acquirer_reference = $2 WHERE id = $1',
+        [refundId, result.reference]
     );
 
-    // Fetch refund data for webhook
+    // Fetch refund data for the payment update and webhook
     const refundRes = await db.query('SELECT * FROM refunds WHERE id = $1', [refundId]);
     const refund = refundRes.rows[0];
 
+    await markPaymentRefunded(refund);
+
+    // A missed posting is picked up by the ledger check job
+    await ledgerService.recordRefund(refund)
+        .catch(err => console.error(`[RefundWorker] Ledger posting failed for ${refundId}:`, err.message));
+
     // Enqueue webhook for 'refund.processed'
     await webhookQueue.add('send-webhook', {
         event: 'refund.processed',
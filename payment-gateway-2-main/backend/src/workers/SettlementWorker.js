@@ -0,0 +1,42 @@
+const { Worker } = require('bullmq');
+const { connection, webhookQueue, settlementQueue } = require('../config/queue');
+const { settlementSchedule } = require('../config/payments');
+const db = require('../config/db');
+const SettlementRepository = require('../repository/SettlementRepository');
+const LedgerRepository = require('../repository/LedgerRepository');
+const SettlementService = require('../services/SettlementService');
+const LedgerService = require('../services/LedgerService');
+const MockBankAdapter = require('../adapters/MockBankAdapter');
+
+const settlementService = new SettlementService(
+    new SettlementRepository(db),
+    new MockBankAdapter(),
+    settlementQueue,
+    webhookQueue,
+    new LedgerService(new LedgerRepository(db))
+);
+
+// Settlements are built once a day; each one's payout is its own job
+settlementQueue.add('create-settlements', {}, {
+    repeat: { pattern: settlementSchedule, tz: 'UTC' },
+    jobId: 'create-settlements'
+}).catch(err => console.error('[SettlementWorker] Failed to schedule settlements:', err?.message || err));
+
+const worker = new Worker('settlement-queue', async (job) => {
+    if (job.name === 'create-settlements') {
+        const settlements = await settlementService.createDailySettlements();
+        console.log(`🏦 [SettlementWorker] ${settlements.length} settlement(s) created`);
+        return;
+    }
+
+    if (job.name === 'process-settlement') {
+        // Errors reaching the bank are retried until the job's last attempt
+        const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+        const settlement = await settlementService.processSettlement(job.data.settlementId, { finalAttempt });
+        if (settlement) {
+            console.log(`💸 [SettlementWorker] Settlement ${settlement.id} is ${settlement.status}`);
+        }
+    }
+}, { connection });
+
+module.exports = worker;
@@ -0,0 +1,71 @@
+const { Worker } = require('bullmq');
+const { connection, paymentQueue, webhookQueue, subscriptionQueue } = require('../config/queue');
+const { subscriptionSweepIntervalMinutes } = require('../config/payments');
+const db = require('../config/db');
+const PaymentRepository = require('../repository/PaymentRepository');
+const OrderRepository = require('../repository/OrderRepository');
+const CustomerRepository = require('../repository/CustomerRepository');
+const PaymentLinkRepository = require('../repository/PaymentLinkRepository');
+const InvoiceRepository = require('../repository/InvoiceRepository');
+const SubscriptionRepository = require('../repository/SubscriptionRepository');
+const PricingRepository = require('../repository/PricingRepository');
+const LedgerRepository = require('../repository/LedgerRepository');
+const RiskRepository = require('../repository/RiskRepository');
+const PaymentService = require('../services/PaymentService');
+const OrderService = require('../services/OrderService');
+const SubscriptionService = require('../services/SubscriptionService');
+const PricingService = require('../services/PricingService');
+const LedgerService = require('../services/LedgerService');
+const RiskService = require('../services/RiskService');
+const AcquirerService = require('../services/AcquirerService');
+
+const orderRepository = new OrderRepository(db);
+const customerRepository = new CustomerRepository(db);
+const subscriptionService = new SubscriptionService(
+    new SubscriptionRepository(db),
+    customerRepository,
+    new OrderService(orderRepository, customerRepository),
+    new PaymentService(
+        new PaymentRepository(db), orderRepository, paymentQueue, webhookQueue, customerRepository,
+        new PaymentLinkRepository(db), new InvoiceRepository(db), new PricingService(new PricingRepository(db)),
+        new LedgerService(new LedgerRepository(db)), new RiskService(new RiskRepository(db), connection),
+        new AcquirerService(new PaymentRepository(db), paymentQueue), subscriptionQueue
+    ),
+    subscriptionQueue,
+    webhookQueue
+);
+
+// Charges are delayed jobs scheduled by SubscriptionService; the repeatable
+// sweep re-enqueues any due subscription whose job was lost
+subscriptionQueue.add('sweep-due-subscriptions', {}, {
+    repeat: { every: subscriptionSweepIntervalMinutes * 60 * 1000 },
+    jobId: 'sweep-due-subscriptions'
+}).catch(err => console.error('[SubscriptionWorker] Failed to schedule sweep:', err?.message || err));
+
+const worker = new Worker('subscription-queue', async (job) => {
+    if (job.name === 'charge-subscription') {
+        const payment = await subscriptionService.chargeSubscription(job.data.subscriptionId);
+        if (payment) {
+            console.log(`🔄 [SubscriptionWorker] Charging subscription ${job.data.subscriptionId} with payment ${payment.id}`);
+        }
+        return;
+    }
+
+    if (job.name === 'subscription-payment') {
+        const { subscriptionId, paymentId, status } = job.data;
+        const subscription = await subscriptionService.handlePaymentOutcome(subscriptionId, paymentId, status);
+        if (subscription) {
+            console.log(`📅 [SubscriptionWorker] Subscription ${subscriptionId} is ${subscription.status} after payment ${paymentId} ${status}`);
+        }
+        return;
+    }
+
+    if (job.name === 'sweep-due-subscriptions') {
+        const due = await subscriptionService.enqueueDueCharges();
+        if (due > 0) {
+            console.log(`🧹 [SubscriptionWorker] ${due} due subscription(s) enqueued`);
+        }
+    }
+}, { connection });
+
+module.exports = worker;
@@ -8,14 +8,48 @@ const db = require('../config/db');
 const webhookQueue = new Queue('webhook-queue', { connection });
 
 const worker = new Worker('webhook-queue', async (job) => {
-    const { event, paymentId, merchantId, attempt = 1 } = job.data;
+    const { event, paymentId, refundId, paymentLinkId, invoiceId, subscriptionId, settlementId, disputeId, merchantId, attempt = 1 } = job.data;
     console.log(`🔁 [WebhookWorker] Job ${job.id} attempt=${attempt} event=${event} paymentId=${paymentId} merchantId=${merchantId}`);
     
     const merchant = (await db.query('SELECT * FROM merchants WHERE id = $1', [merchantId])).rows[0];
     if (!merchant?.webhook_url) return;
 
-    const payment = (await db.query('SELECT * FROM payments WHERE id = $1', [paymentId])).rows[0];
-    const payload = { event, timestamp: Math.floor(Date.now()/1000), data: { payment } };
+    // Refund events carry the refund (with its notes), payment link and invoice
+    // events the link or invoice and the payment that paid it, subscription
+    // events the subscription and the cycle's payment (if any), settlement
+    // events the settlement, dispute events the dispute and the disputed
+    // payment, payment events the payment
+    let data;
+    if (refundId) {
+        const refund = (await db.query('SELECT * FROM refunds WHERE id = $1', [refundId])).rows[0];
+        data = { refund };
+    } else if (paymentLinkId) {
+        const paymentLink = (await db.query('SELECT * FROM payment_links WHERE id = $1', [paymentLinkId])).rows[0];
+        const payment = (await db.query('SELECT * FROM payments WHERE id = $1', [paymentId])).rows[0];
+        data = { payment_link: paymentLink, payment };
+    } else if (invoiceId) {
+        const invoice = (await db.query('SELECT * FROM invoices WHERE id = $1', [invoiceId])).rows[0];
+        const payment = (await db.query('SELECT * FROM payments WHERE id = $1', [paymentId])).rows[0];
+        data = { invoice, payment };
+    } else if (subscriptionId) {
+        const subscription = (await db.query('SELECT * FROM subscriptions WHERE id = $1', [subscriptionId])).rows[0];
+        const payment = paymentId
+            ? (await db.query('SELECT * FROM payments WHERE id = $1', [paymentId])).rows[0]
+            : null;
+        data = { subscription, payment };
+    } else if (settlementId) {
+        const settlement = (await db.query('SELECT * FROM settlements WHERE id = $1', [settlementId])).rows[0];
+        data = { settlement };
+    } else if (disputeId) {
+        const dispute = (await db.query('SELECT * FROM disputes WHERE id = $1', [disputeId])).rows[0];
+        const payment = (await db.query('SELECT * FROM payments WHERE id = $1', [paymentId])).rows[0];
+        data = { dispute, payment };
+    } else {
+        const payment = (await db.query('SELECT * FROM payments WHERE id = $1', [paymentId])).rows[0];
+        data = { payment };
+    }
+    // livemode tells sandbox (test key) events apart from live ones
+    const payload = { event, livemode: merchant.mode !== 'test', timestamp: Math.floor(Date.now()/1000), data };
     
     // Generate HMAC Signature
     const signature = crypto.createHmac('sha256', merchant.webhook_secret)
@@ -1,11 +1,23 @@
 const PaymentWorker = require('./PaymentWorker');
 const RefundWorker = require('./RefundWorker');
 const WebhookWorker = require('./WebhookWorker');
+const AuthorizationWorker = require('./AuthorizationWorker');
+const SubscriptionWorker = require('./SubscriptionWorker');
+const SettlementWorker = require('./SettlementWorker');
+const LedgerWorker = require('./LedgerWorker');
+const DisputeWorker = require('./DisputeWorker');
+const IdempotencyWorker = require('./IdempotencyWorker');
 
 console.log('🚀 Payment Gateway Workers are live!');
 console.log('- Payment Worker: Listening...');
 console.log('- Refund Worker: Listening...');
 console.log('- Webhook Worker: Listening...');
+console.log('- Authorization Worker: Listening...');
+console.log('- Subscription Worker: Listening...');
+console.log('- Settlement Worker: Listening...');
+console.log('- Ledger Worker: Listening...');
+console.log('- Dispute Worker: Listening...');
+console.log('- Idempotency Worker: Listening...');
 
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
@@ -1,5 +1,18 @@
+const CHECKOUT_ORIGIN = 'http://localhost:3001';
+
 class PaymentGateway {
   constructor(options) {
+    // A publishable key (pk_...); this page's origin must be one of the
+    // merchant's allowed origins
+    if (!options.key) {
+      throw new Error('PaymentGateway: key is required');
+    }
+    // The order must be created server-side (POST /api/v1/orders); its
+    // amount is what the checkout displays and charges
+    if (!options.orderId) {
+      throw new Error('PaymentGateway: orderId is required');
+    }
+
     this.key = options.key;
     this.orderId = options.orderId;
     this.onSuccess = options.onSuccess;
@@ -17,7 +30,7 @@ class PaymentGateway {
           <button data-test-id="close-modal-button" style="position:absolute;top:10px;right:10px;">×</button>
           <iframe 
             data-test-id="payment-iframe"
-            src="http://localhost:3001/checkout?order_id=${this.orderId}&embedded=true" 
+            src="${CHECKOUT_ORIGIN}/checkout?order_id=${encodeURIComponent(this.orderId)}&key=${encodeURIComponent(this.key)}&origin=${encodeURIComponent(window.location.origin)}&embedded=true" 
             style="width:100%;height:100%;border:none;">
           </iframe>
         </div>
@@ -33,6 +46,7 @@ class PaymentGateway {
 
     // 3. Listen for PostMessage from Iframe
     window.addEventListener('message', (event) => {
+      if (event.origin !== CHECKOUT_ORIGIN) return;
       if (event.data.type === 'payment_success') {
         this.onSuccess(event.data.data);
         document.body.removeChild(modal);
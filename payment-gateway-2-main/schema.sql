@@ -2,12 +2,29 @@
 CREATE TABLE IF NOT EXISTS merchants (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     name VARCHAR(255) NOT NULL,
-    api_key VARCHAR(255) UNIQUE NOT NULL,
+    api_key VARCHAR(255) UNIQUE,
     webhook_url TEXT,
     webhook_secret VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-merchant API rate limits (requests per window, see config/payments.js);
+-- NULL uses the gateway default
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS rate_limit_read INTEGER;
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS rate_limit_write INTEGER;
+
+-- Browser origins (e.g. "https://shop.example.com") allowed to use the
+-- merchant's publishable keys, directly or through the embedded checkout
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS allowed_origins JSONB NOT NULL DEFAULT '[]';
+
+-- Test mode: every live merchant gets a sandbox account ('test' mode, linked
+-- by live_merchant_id) the first time it creates a test API key. Requests
+-- made with test keys act as the sandbox account, so test data never mixes
+-- with live data, and its payments have deterministic outcomes (see
+-- utils/sandbox.js)
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS mode VARCHAR(10) NOT NULL DEFAULT 'live';
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS live_merchant_id UUID REFERENCES merchants(id);
+
 -- 2. Payments Table
 CREATE TABLE IF NOT EXISTS payments (
     id VARCHAR(64) PRIMARY KEY,
@@ -21,6 +38,58 @@ CREATE TABLE IF NOT EXISTS payments (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Two-step authorize/capture: manual-capture payments stop at 'authorized'
+-- until captured (fully or partially) or voided when the window lapses
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS capture_method VARCHAR(20) NOT NULL DEFAULT 'automatic';
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS captured_amount INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS authorized_at TIMESTAMP;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS authorization_expires_at TIMESTAMP;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS captured_at TIMESTAMP;
+
+-- ISO 4217 currency; amounts are in that currency's minor units
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'INR';
+
+-- Merchant-initiated cancellation of pending/authorized payments
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS cancellation_reason VARCHAR(255);
+
+-- Merchant-defined key-value notes (see utils/notes.js for limits)
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS notes JSONB NOT NULL DEFAULT '{}';
+
+-- Customer and saved payment method being charged, if any
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS customer_id VARCHAR(64);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS token_id VARCHAR(64);
+
+-- Masked instrument shown on the dashboard: card network and last4, or the UPI VPA.
+-- Card numbers and CVVs are validated but never stored.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS card_network VARCHAR(20);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS card_last4 VARCHAR(4);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS vpa VARCHAR(320);
+
+-- Netbanking bank (IFSC prefix, e.g. 'HDFC') or wallet (e.g. 'paytm') chosen by the payer
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS bank VARCHAR(10);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS wallet VARCHAR(20);
+
+-- Subscription whose billing cycle (or dunning retry) created the payment
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS subscription_id VARCHAR(64);
+
+-- Gateway fee and the tax (GST) on it, charged when the payment is captured,
+-- and the pricing plan version that priced them
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS fee INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tax INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS pricing_plan_id VARCHAR(64);
+
+-- Statuses are owned by PaymentStateMachine; captured payments used to be stored as 'success'
+ALTER TABLE payments ALTER COLUMN status SET DEFAULT 'created';
+UPDATE payments SET status = 'captured' WHERE status = 'success';
+-- Migrated rows (including ones migrated before this was added) are captured
+-- in full, so settlement and the ledger backfill pick them up
+UPDATE payments
+SET captured = true,
+    captured_amount = COALESCE(captured_amount, amount),
+    captured_at = COALESCE(updated_at, created_at)
+WHERE status IN ('captured', 'partially_refunded', 'refunded') AND captured_at IS NULL;
+
 -- 3. Refunds Table
 CREATE TABLE IF NOT EXISTS refunds (
     id VARCHAR(64) PRIMARY KEY,
@@ -33,6 +102,17 @@ CREATE TABLE IF NOT EXISTS refunds (
     processed_at TIMESTAMP
 );
 
+-- Columns used by RefundRepository; refunds always carry their payment's currency
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'INR';
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Merchant-defined key-value notes, as on payments and orders
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS notes JSONB NOT NULL DEFAULT '{}';
+
+-- Refund idempotency keys are unique per merchant (idx_refunds_merchant_idempotency_key), not globally
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_idempotency_key_key;
+
 -- 4. Webhook Logs Table
 CREATE TABLE IF NOT EXISTS webhook_logs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -58,7 +138,481 @@ CREATE TABLE IF NOT EXISTS idempotency_keys (
     PRIMARY KEY (key, merchant_id)
 );
 
+-- Idempotency-Key header handling for every authenticated POST (see
+-- services/IdempotencyService.js): a key is 'in_progress' while its first
+-- request runs (locked_at), then 'completed' with the response to replay.
+-- The fingerprint (method, path and body) detects a key reused for another request.
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS request_fingerprint VARCHAR(64);
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed';
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS status_code INTEGER;
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP;
+ALTER TABLE idempotency_keys ALTER COLUMN response_body DROP NOT NULL;
+
+-- 6. Orders Table
+-- payments.order_id references orders.id for payments created through the API
+CREATE TABLE IF NOT EXISTS orders (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID REFERENCES merchants(id),
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    receipt VARCHAR(40),
+    notes JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'created',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Orders created for a customer let the checkout offer their saved methods
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_id VARCHAR(64);
+
+-- Orders behind payment links stop accepting payments once the link expires;
+-- cancelling the link moves its order to 'cancelled'
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS expire_by TIMESTAMP;
+
+-- 7. Payment Status History
+-- One row per transition applied by PaymentStateMachine; from_status is NULL on creation
+CREATE TABLE IF NOT EXISTS payment_status_history (
+    id BIGSERIAL PRIMARY KEY,
+    payment_id VARCHAR(64) NOT NULL REFERENCES payments(id),
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor VARCHAR(100) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 8. Customers Table
+CREATE TABLE IF NOT EXISTS customers (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID REFERENCES merchants(id),
+    name VARCHAR(255),
+    email VARCHAR(255),
+    contact VARCHAR(16),
+    notes JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 9. Saved Payment Method Tokens
+-- Only what is needed to display and charge a saved method; never a card number
+CREATE TABLE IF NOT EXISTS payment_tokens (
+    id VARCHAR(64) PRIMARY KEY,
+    customer_id VARCHAR(64) NOT NULL REFERENCES customers(id),
+    merchant_id UUID REFERENCES merchants(id),
+    method VARCHAR(20) NOT NULL,
+    card_network VARCHAR(20),
+    card_last4 VARCHAR(4),
+    card_expiry_month SMALLINT,
+    card_expiry_year SMALLINT,
+    vpa VARCHAR(320),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP
+);
+
+-- 10. Payment Links Table
+-- A shareable URL to the hosted checkout for an order created with the link
+CREATE TABLE IF NOT EXISTS payment_links (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    order_id VARCHAR(64) NOT NULL UNIQUE REFERENCES orders(id),
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    description VARCHAR(2048),
+    customer_name VARCHAR(255),
+    customer_email VARCHAR(255),
+    customer_contact VARCHAR(20),
+    notify_email BOOLEAN NOT NULL DEFAULT FALSE,
+    notify_sms BOOLEAN NOT NULL DEFAULT FALSE,
+    reminder_enable BOOLEAN NOT NULL DEFAULT FALSE,
+    notes JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'created',
+    expire_by TIMESTAMP,
+    payment_id VARCHAR(64) REFERENCES payments(id),
+    paid_at TIMESTAMP,
+    expired_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 11. Plans Table
+-- What a subscription charges each billing cycle: every interval_count periods
+CREATE TABLE IF NOT EXISTS plans (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    name VARCHAR(255) NOT NULL,
+    description VARCHAR(2048),
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    period VARCHAR(10) NOT NULL,
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    trial_period_days INTEGER NOT NULL DEFAULT 0,
+    notes JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 12. Subscriptions Table
+-- A customer's saved payment method charged on a plan's schedule. next_charge_at
+-- is when the next cycle starts, next_retry_at when a failed cycle is retried
+-- (dunning) and charge_started_at is set while a charge is in flight.
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    plan_id VARCHAR(64) NOT NULL REFERENCES plans(id),
+    customer_id VARCHAR(64) NOT NULL REFERENCES customers(id),
+    token_id VARCHAR(64) NOT NULL REFERENCES payment_tokens(id),
+    status VARCHAR(20) NOT NULL,
+    total_count INTEGER,
+    paid_count INTEGER NOT NULL DEFAULT 0,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    trial_end TIMESTAMP,
+    current_start TIMESTAMP,
+    current_end TIMESTAMP,
+    next_charge_at TIMESTAMP,
+    next_retry_at TIMESTAMP,
+    charge_started_at TIMESTAMP,
+    last_payment_id VARCHAR(64) REFERENCES payments(id),
+    cancel_at_cycle_end BOOLEAN NOT NULL DEFAULT FALSE,
+    notes JSONB NOT NULL DEFAULT '{}',
+    paused_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    ended_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 13. Invoices Table
+-- An itemized bill paid through the hosted checkout via the order created with
+-- it. line_items stores each line as computed at issue time (amount, discount
+-- share, tax and total) so the invoice always renders as it was sent.
+CREATE TABLE IF NOT EXISTS invoices (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    order_id VARCHAR(64) NOT NULL UNIQUE REFERENCES orders(id),
+    customer_id VARCHAR(64) REFERENCES customers(id),
+    invoice_number VARCHAR(40),
+    customer_name VARCHAR(255),
+    customer_email VARCHAR(255),
+    description VARCHAR(2048),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    line_items JSONB NOT NULL,
+    subtotal INTEGER NOT NULL,
+    discount_amount INTEGER NOT NULL DEFAULT 0,
+    tax_amount INTEGER NOT NULL DEFAULT 0,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    due_date TIMESTAMP,
+    notes JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'issued',
+    payment_id VARCHAR(64) REFERENCES payments(id),
+    paid_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 14. Settlements Table
+-- One payout batch per merchant, currency and day: captured payments minus
+-- refunds and fees up to period_end. created -> processing (payout sent to the
+-- bank) -> settled, or failed if the bank rejects the payout.
+CREATE TABLE IF NOT EXISTS settlements (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    period_end TIMESTAMP NOT NULL,
+    gross_amount INTEGER NOT NULL DEFAULT 0,
+    refund_amount INTEGER NOT NULL DEFAULT 0,
+    fee_amount INTEGER NOT NULL DEFAULT 0,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    payment_count INTEGER NOT NULL DEFAULT 0,
+    refund_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'created',
+    utr VARCHAR(64),
+    failure_reason VARCHAR(255),
+    initiated_at TIMESTAMP,
+    settled_at TIMESTAMP,
+    failed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (merchant_id, currency, period_end)
+);
+
+-- 15. Settlement Transactions
+-- The payments (credits) and refunds (debits) a settlement pays out; each is
+-- settled exactly once. net is what the entry adds to the settlement amount.
+CREATE TABLE IF NOT EXISTS settlement_transactions (
+    id BIGSERIAL PRIMARY KEY,
+    settlement_id VARCHAR(64) NOT NULL REFERENCES settlements(id),
+    entity_type VARCHAR(10) NOT NULL,
+    entity_id VARCHAR(64) NOT NULL,
+    payment_id VARCHAR(64) NOT NULL REFERENCES payments(id),
+    amount INTEGER NOT NULL,
+    fee INTEGER NOT NULL DEFAULT 0,
+    net INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (entity_type, entity_id)
+);
+
+-- Settlements deduct each payment's recorded fee and the tax on it
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS tax_amount INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE settlement_transactions ADD COLUMN IF NOT EXISTS tax INTEGER NOT NULL DEFAULT 0;
+
+-- 16. Pricing Plans
+-- Versioned fee schedules (rules are described in utils/pricing.js). Every
+-- change inserts the merchant's next version; merchant_id NULL is the gateway
+-- default for merchants without a plan of their own. Payments keep the
+-- version that priced them, so a change never alters historic fees.
+CREATE TABLE IF NOT EXISTS pricing_plans (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID REFERENCES merchants(id),
+    version INTEGER NOT NULL CHECK (version > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    rules JSONB NOT NULL,
+    tax_percent NUMERIC(5,2) NOT NULL DEFAULT 18,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO pricing_plans (id, merchant_id, version, currency, rules, tax_percent)
+VALUES ('price_default_v1', NULL, 1, 'INR', '[{"percent": 2}]', 18)
+ON CONFLICT (id) DO NOTHING;
+
+-- 17. Ledger Journals
+-- Append-only double-entry ledger of every money movement. A journal is one
+-- movement (capture, fee, refund, dispute hold or release, chargeback or
+-- payout) of the entity in reference_id, posted at most once; its entries
+-- always balance.
+CREATE TABLE IF NOT EXISTS ledger_journals (
+    id VARCHAR(64) PRIMARY KEY,
+    type VARCHAR(20) NOT NULL,
+    merchant_id UUID REFERENCES merchants(id),
+    currency VARCHAR(3) NOT NULL,
+    reference_id VARCHAR(64) NOT NULL,
+    payment_id VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (type, reference_id)
+);
+
+-- 18. Ledger Entries
+-- One debit or credit of a journal. merchant_id is set on merchant accounts
+-- (merchant_balance, dispute_reserve) and NULL on the gateway's own accounts.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    journal_id VARCHAR(64) NOT NULL REFERENCES ledger_journals(id),
+    account VARCHAR(30) NOT NULL,
+    merchant_id UUID REFERENCES merchants(id),
+    currency VARCHAR(3) NOT NULL,
+    debit INTEGER NOT NULL DEFAULT 0 CHECK (debit >= 0),
+    credit INTEGER NOT NULL DEFAULT 0 CHECK (credit >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((debit = 0) <> (credit = 0))
+);
+
+-- Ledger rows are never changed: corrections are new journals
+CREATE OR REPLACE FUNCTION ledger_reject_change() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_journals_append_only ON ledger_journals;
+CREATE TRIGGER ledger_journals_append_only BEFORE UPDATE OR DELETE ON ledger_journals
+    FOR EACH ROW EXECUTE FUNCTION ledger_reject_change();
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+CREATE TRIGGER ledger_entries_append_only BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_reject_change();
+
+-- 19. Reconciliations
+-- One imported acquirer statement and the counts of its reconciliation
+-- against captured payments and processed refunds (see utils/reconciliation.js)
+CREATE TABLE IF NOT EXISTS reconciliations (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID REFERENCES merchants(id),
+    source VARCHAR(10) NOT NULL,
+    period_start TIMESTAMP NOT NULL,
+    period_end TIMESTAMP NOT NULL,
+    row_count INTEGER NOT NULL,
+    matched_count INTEGER NOT NULL,
+    missing_on_gateway_count INTEGER NOT NULL,
+    missing_on_acquirer_count INTEGER NOT NULL,
+    amount_mismatch_count INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 20. Reconciliation Items
+-- Outcome for each statement row, plus our records of the period the
+-- statement does not list (missing_on_acquirer, reference NULL)
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+    id BIGSERIAL PRIMARY KEY,
+    reconciliation_id VARCHAR(64) NOT NULL REFERENCES reconciliations(id),
+    result VARCHAR(20) NOT NULL,
+    entity_type VARCHAR(20) NOT NULL,
+    reference VARCHAR(64),
+    entity_id VARCHAR(64),
+    currency VARCHAR(3) NOT NULL,
+    statement_amount INTEGER,
+    gateway_amount INTEGER,
+    statement_date TIMESTAMP,
+    gateway_date TIMESTAMP
+);
+
+-- 21. Disputes
+-- A customer's dispute of a captured payment, at most one per payment.
+-- open -> under_review (merchant submitted evidence before respond_by) ->
+-- won | lost; an open dispute past respond_by is lost. The disputed amount
+-- is held from the merchant's balance while the dispute is open or under
+-- review, released if it is won and charged back if it is lost.
+CREATE TABLE IF NOT EXISTS disputes (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    payment_id VARCHAR(64) NOT NULL UNIQUE REFERENCES payments(id),
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    reason VARCHAR(30) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    evidence JSONB,
+    evidence_submitted_at TIMESTAMP,
+    respond_by TIMESTAMP NOT NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Settlements withhold disputed amounts (dispute_hold) and pay them back
+-- once a dispute is won (dispute_release)
+ALTER TABLE settlement_transactions ALTER COLUMN entity_type TYPE VARCHAR(20);
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS dispute_amount INTEGER NOT NULL DEFAULT 0;
+
+-- A failed settlement releases its entries (released_at) so the next run settles
+-- them again: entities and periods are only unique among entries and
+-- settlements that have not failed
+ALTER TABLE settlement_transactions ADD COLUMN IF NOT EXISTS released_at TIMESTAMP;
+ALTER TABLE settlement_transactions DROP CONSTRAINT IF EXISTS settlement_transactions_entity_type_entity_id_key;
+ALTER TABLE settlements DROP CONSTRAINT IF EXISTS settlements_merchant_id_currency_period_end_key;
+
+-- 22. Risk Settings
+-- A merchant's risk engine configuration: ordered rules (see utils/risk.js)
+-- and the score thresholds at which payments are held for review or blocked.
+-- Merchants without a row use the defaults.
+CREATE TABLE IF NOT EXISTS risk_settings (
+    merchant_id UUID PRIMARY KEY REFERENCES merchants(id),
+    rules JSONB NOT NULL DEFAULT '[]',
+    review_threshold INTEGER NOT NULL DEFAULT 50,
+    block_threshold INTEGER NOT NULL DEFAULT 90,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 23. Risk Blocklist
+-- IPs, card fingerprints, VPAs and customers whose payments are always
+-- blocked; merchant_id NULL entries are added by the operator and apply to
+-- every merchant
+CREATE TABLE IF NOT EXISTS risk_blocklist (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID REFERENCES merchants(id),
+    type VARCHAR(20) NOT NULL,
+    value VARCHAR(320) NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Risk engine verdict on each payment, taken before it is queued: a score
+-- (0-100), the decision (allow, review or block) and the reasons behind it.
+-- 'review' payments wait for the merchant to approve or reject them; blocked
+-- and rejected payments fail with error_code RISK_BLOCKED / RISK_REJECTED.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS risk_score INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS risk_decision VARCHAR(10);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS risk_reasons JSONB;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS error_code VARCHAR(50);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS error_description VARCHAR(255);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+
+-- Keyed card fingerprints (see utils/paymentMethods.js) let velocity checks and
+-- blocklists recognise a card without its number
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS card_fingerprint VARCHAR(64);
+ALTER TABLE payment_tokens ADD COLUMN IF NOT EXISTS card_fingerprint VARCHAR(64);
+
+-- 24. API Keys
+-- A merchant's secret keys, stored only as SHA-256 hashes (the secret is shown
+-- once, when the key is created). scopes limit what a key may do (see
+-- utils/apiKeys.js). A rotated key keeps working until expires_at next to its
+-- replacement (replaced_by); a revoked key stops at once. last_used_at is
+-- refreshed whenever the API reloads the key into its cache.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    name VARCHAR(100) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    key_last4 VARCHAR(4) NOT NULL,
+    scopes JSONB NOT NULL DEFAULT '["*"]',
+    expires_at TIMESTAMP,
+    replaced_by VARCHAR(64),
+    revoked_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- merchants.api_key held each merchant's single key in plaintext: move it to
+-- api_keys, hashed, and clear it
+ALTER TABLE merchants ALTER COLUMN api_key DROP NOT NULL;
+INSERT INTO api_keys (id, merchant_id, name, key_hash, key_last4, scopes, created_at)
+SELECT 'key_' || substr(md5(random()::text || id::text), 1, 14), id, 'Default',
+       encode(sha256(convert_to(api_key, 'UTF8')), 'hex'), right(api_key, 4), '["*"]', NOW()
+FROM merchants
+WHERE api_key IS NOT NULL
+ON CONFLICT (key_hash) DO NOTHING;
+UPDATE merchants SET api_key = NULL WHERE api_key IS NOT NULL;
+
+-- 'secret' keys are for merchants' servers; 'publishable' keys go in web
+-- pages, have no scopes and only work with the checkout API
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'secret';
+
+-- Keys belong to the live merchant; 'test' keys act as its sandbox account
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS mode VARCHAR(10) NOT NULL DEFAULT 'live';
+
+-- Acquirers (see services/AcquirerService.js): the acquirer each payment was
+-- sent to and its reference there, and the acquirer's reference for each
+-- refund. A merchant's acquirer_routes (payment method or "default" ->
+-- acquirer) override the gateway's ACQUIRER_ROUTES.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS acquirer VARCHAR(50);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS acquirer_reference VARCHAR(255);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS acquirer_reference VARCHAR(255);
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS acquirer_routes JSONB NOT NULL DEFAULT '{}';
+
 -- Indexes for Performance
 CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_merchant_created ON payments(merchant_id, created_at DESC, id DESC);
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_merchant ON webhook_logs(merchant_id);
-CREATE INDEX IF NOT EXISTS idx_webhook_logs_retry ON webhook_logs(next_retry_at) WHERE status = 'pending';
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_retry ON webhook_logs(next_retry_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_orders_merchant ON orders(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_payments_notes ON payments USING GIN (notes jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS idx_payment_status_history_payment ON payment_status_history(payment_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_customers_merchant ON customers(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_payment_tokens_customer ON payment_tokens(customer_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_payments_merchant_method ON payments(merchant_id, method, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_links_merchant_created ON payment_links(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_plans_merchant_created ON plans(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_merchant_created ON subscriptions(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_due ON subscriptions(next_charge_at) WHERE status IN ('trialing', 'active', 'past_due');
+CREATE INDEX IF NOT EXISTS idx_payments_subscription ON payments(subscription_id) WHERE subscription_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_merchant_created ON invoices(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_settlements_merchant_created ON settlements(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_settlement_transactions_settlement ON settlement_transactions(settlement_id, id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlement_transactions_entity ON settlement_transactions(entity_type, entity_id) WHERE released_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlements_period ON settlements(merchant_id, currency, period_end) WHERE status <> 'failed';
+CREATE INDEX IF NOT EXISTS idx_payments_captured_at ON payments(captured_at) WHERE captured_at IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_plans_merchant_version ON pricing_plans(COALESCE(merchant_id::text, 'default'), version);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_journal ON ledger_entries(journal_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_merchant_account ON ledger_entries(merchant_id, account, currency);
+CREATE INDEX IF NOT EXISTS idx_reconciliations_merchant_created ON reconciliations(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_reconciliation ON reconciliation_items(reconciliation_id, result, id);
+CREATE INDEX IF NOT EXISTS idx_refunds_processed_at ON refunds(merchant_id, processed_at) WHERE status = 'processed';
+CREATE INDEX IF NOT EXISTS idx_disputes_merchant_created ON disputes(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_disputes_respond_by ON disputes(respond_by) WHERE status = 'open';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_risk_blocklist_entry ON risk_blocklist(COALESCE(merchant_id::text, 'global'), type, value);
+CREATE INDEX IF NOT EXISTS idx_payments_review ON payments(merchant_id, created_at DESC) WHERE status = 'review';
+-- An order has at most one payment in flight, so a double submit cannot charge it twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_order_in_flight ON payments(order_id) WHERE status IN ('created', 'pending', 'review', 'authorized');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_merchant_idempotency_key ON refunds(merchant_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_api_keys_merchant_created ON api_keys(merchant_id, created_at DESC, id DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_merchants_live_merchant ON merchants(live_merchant_id);